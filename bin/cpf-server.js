@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * cpf-server - Share one set of CPF tracker data between several people
+ *
+ * Runs an ApiServer over the tracker's modules and config.js, with the data in
+ * a directory of JSON files, and serves the tracker itself. Everyone opens the
+ * printed URL and signs in with their own account; the first run creates the
+ * demo accounts from CPF_USERS with CPF_AUTH.demoPassword.
+ *
+ *   node bin/cpf-server.js
+ *   node bin/cpf-server.js --port 8080 --host 0.0.0.0 --data /srv/cpf-data
+ *   LEDGER_KEY=... node bin/cpf-server.js --cors https://tracker.example.org
+ *
+ * Ledger checkpoints are signed with LEDGER_KEY (or --key); without one a key
+ * is generated and kept in the data directory.
+ */
+
+const path = require('path');
+const ApiServer = require('../core/api-server');
+const StorageAdapter = require('../core/storage');
+const EventBus = require('../core/event-bus');
+const Ledger = require('../core/ledger');
+const RBAC = require('../core/rbac');
+const AuthManager = require('../core/auth');
+const AttachmentStore = require('../core/attachments');
+const ApprovalEngine = require('../core/approval-engine');
+const QAGates = require('../core/qa-gates');
+const FundingTracker = require('../core/funding-tracker');
+const BidManager = require('../core/bid-manager');
+const ChangeOrderManager = require('../core/change-orders');
+const QualificationEngine = require('../core/qualification');
+const NotificationCenter = require('../core/notifications');
+const Workflow = require('../core/workflow');
+const DecisionRules = require('../core/decision-rules');
+const SchemaValidator = require('../core/schema-validator');
+const config = require('../examples/cpf-tracker/config');
+
+const ROOT = path.join(__dirname, '..');
+
+const USAGE = `Usage: cpf-server [options]
+
+Options:
+  --port <port>             Port to listen on (default: ${config.CPF_SERVER.port})
+  --host <host>             Interface to listen on (default: 127.0.0.1)
+  --data <dir>              Where the tracker's data is kept (default: ./data)
+  --key <secret>            HMAC key for ledger checkpoints (default: $LEDGER_KEY)
+  --key-id <id>             Key id recorded on checkpoints (default: cpf-server)
+  --cors <origin>           Allow the API to be called from another origin
+  -h, --help                Show this help`;
+
+const VALUE_OPTIONS = ['port', 'host', 'data', 'key', 'key-id', 'cors'];
+
+class UsageError extends Error {}
+
+/**
+ * @param {Array} argv - process.argv.slice(2)
+ * @returns {Object} options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (!VALUE_OPTIONS.includes(name)) throw new UsageError(`Unknown option --${name}`);
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new UsageError(`--${name} requires a value`);
+            options[name] = value;
+        } else {
+            throw new UsageError(`Unexpected argument ${arg}`);
+        }
+    }
+    if (options.port !== undefined && !/^\d+$/.test(options.port)) throw new UsageError(`Invalid port ${options.port}`);
+    return options;
+}
+
+/**
+ * The tracker's modules on the same storage keys index.html uses
+ * @param {Object} options - parsed command-line options
+ * @returns {Promise<Object>} { storage, events, ledger, rbac, auth, documents, approvals, qaGates, funding, workflow, decisions, schemas }
+ */
+async function createModules(options) {
+    const directory = path.resolve(options.data || 'data');
+    const storage = new StorageAdapter.File({ directory });
+
+    let key = options.key || process.env.LEDGER_KEY;
+    if (!key) {
+        key = storage.get('cpf_server_ledger_key') || AuthManager.randomHex(32);
+        storage.set('cpf_server_ledger_key', key);
+    }
+
+    const events = new EventBus();
+    const ledger = new Ledger({
+        storage,
+        storageKey: 'cpf_ledger_financial',
+        signer: Ledger.createHmacSigner(key, options['key-id'] || 'cpf-server'),
+        checkpointInterval: 50
+    });
+    ledger.subscribe(events);
+    const rbac = new RBAC({ storage, events });
+    const auth = new AuthManager({
+        storage,
+        storageKey: 'cpf_auth',
+        rbac,
+        events,
+        idleTimeoutMinutes: config.CPF_AUTH.idleTimeoutMinutes,
+        maxSessionHours: config.CPF_AUTH.maxSessionHours,
+        minPasswordLength: config.CPF_AUTH.minPasswordLength
+    });
+    const documents = new AttachmentStore({
+        storage,
+        storageKey: 'cpf_documents',
+        events,
+        ledger,
+        types: config.CPF_DOCUMENT_TYPES,
+        content: new AttachmentStore.Files({ directory: path.join(directory, 'documents') })
+    });
+    const approvals = new ApprovalEngine({ storage, chains: config.CPF_APPROVAL_CHAINS, rbac, events, documents });
+    const qaGates = new QAGates({ storage, templates: config.CPF_QA_TEMPLATES, events });
+    const funding = new FundingTracker({ storage, sources: config.CPF_FUNDING_SOURCES, events, qaGates, approvals });
+    const workflow = new Workflow({ ...config.CPF_WORKFLOW, events, context: { qaGates, funding, approvals } });
+    const decisions = new DecisionRules({ ...config.CPF_DECISION_RULES, events, workflow, rbac });
+    const schemas = new SchemaValidator();
+
+    await Promise.all([ledger, rbac, auth, documents, approvals, qaGates, funding].map(module => module.ready));
+
+    // Same as the tracker's syncRbacConfig(): roles, conditions and field policies come from config.js
+    Object.entries(config.CPF_RBAC_CONDITIONS).forEach(([name, predicate]) => rbac.defineCondition(name, predicate));
+    Object.entries(config.CPF_RBAC_ROLES).forEach(([roleId, permissions]) => rbac.defineRole(roleId, permissions));
+    Object.entries(config.CPF_FIELD_POLICIES).forEach(([resourceType, fields]) => rbac.defineFieldPolicy(resourceType, fields));
+    auth.users.forEach(user => user.roles.forEach(roleId => rbac.assignRole(user.id, roleId)));
+
+    const missing = Object.entries(config.CPF_USERS).filter(([, user]) => !auth.getUser(user.id));
+    await Promise.all(missing.map(([roleId, user]) => auth.addUser({
+        ...user,
+        roles: [roleId],
+        password: config.CPF_AUTH.demoPassword,
+        mustChangePassword: true
+    })));
+
+    return { storage, events, ledger, rbac, auth, documents, approvals, qaGates, funding, workflow, decisions, schemas };
+}
+
+/**
+ * Storage policies for the keys in CPF_SERVER.shared
+ * @param {Object} modules - from createModules()
+ * @returns {Object} key -> policy
+ */
+function sharedPolicies(modules) {
+    const { rbac, schemas, ledger, approvals, qaGates, funding, documents } = modules;
+    const shared = {};
+    Object.entries(config.CPF_SERVER.shared).forEach(([key, policy]) => { shared[key] = { ...policy }; });
+    const isStaff = userId => rbac.can(userId, 'view', 'budget');
+    const isAdmin = userId => rbac.can(userId, 'admin', 'organization');
+
+    // Contractors and customers only receive the projects they are allowed to view. ApiServer checks
+    // each changed field against the writer's roles; these fields follow rules of their own.
+    Object.assign(shared[config.CPF_PROJECTS_KEY], {
+        rows: (userId, project) => rbac.can(userId, 'view', 'project', project.id, project),
+        fields: {
+            form300: formFlag(approvals, '300'),
+            form320: formFlag(approvals, '320'),
+            form300ApprovalId: approvalLink(rbac, 'form300ApprovalId'),
+            form320ApprovalId: approvalLink(rbac, 'form320ApprovalId'),
+            bids: (userId, project, previous) => {
+                if (rbac.canField(userId, 'edit', 'project', 'bids', previous || project)) return null;
+                if (!rbac.can(userId, 'edit', 'bid-submission')) return 'your roles cannot edit bids';
+                const before = ((previous && previous.bids) || []).map(bid => JSON.stringify(bid));
+                const after = (project.bids || []).map(bid => JSON.stringify(bid));
+                const changed = [...after.filter(bid => !before.includes(bid)), ...before.filter(bid => !after.includes(bid))].map(bid => JSON.parse(bid));
+                return changed.every(bid => bid.contractorId === userId && !bid.selected) ? null : 'contractors can only submit their own bids';
+            }
+        },
+        validate: projects => {
+            if (!Array.isArray(projects)) return ['expected an array of projects'];
+            return projects.flatMap(project => schemas.validate('Project', project).errors
+                .map(error => `${project.id}: ${SchemaValidator.formatError(error)}`));
+        }
+    });
+
+    // Clients may add entries in their own name, which must chain onto what is already there
+    Object.assign(shared[ledger.storageKey], {
+        validate: async (entries, previous, user) => {
+            const problems = ApiServer.appendOnly(entries, previous);
+            if (problems.length) return problems;
+            const forged = entries.slice((previous || []).length).find(entry => entry.userId !== user.id);
+            if (forged) return [`${forged.action} is recorded for ${forged.userId}, not ${user.id}`];
+            const copy = new Ledger({ storage: new StorageAdapter.Memory({ [ledger.storageKey]: entries }), storageKey: ledger.storageKey });
+            await copy.ready;
+            const { issues } = await copy.verify();
+            return issues.filter(issue => issue.index >= (previous || []).length).map(issue => issue.message);
+        }
+    });
+
+    // Password hashes never leave the server; only staff see other people's accounts and roles
+    Object.assign(shared.cpf_auth_users, {
+        rows: (userId, user) => user.id === userId || isStaff(userId),
+        read: users => users.map(user => AuthManager.publicUser(user))
+    });
+    Object.assign(shared.rbac_data, {
+        read: (data, userId) => isStaff(userId) || !data
+            ? data
+            : { ...data, users: data.users && data.users[userId] ? { [userId]: data.users[userId] } : {} }
+    });
+    // Notifications are queued by every browser for the system; only their recipient reads them
+    // (see NotificationCenter.verifyChanges())
+    const notifications = new NotificationCenter({ storage: new StorageAdapter.Memory(), storageKey: 'cpf_notifications' });
+    Object.assign(shared[notifications.storageKey], {
+        rows: (userId, notification) => notification.userId === userId || isStaff(userId),
+        validate: (next, previous, user) => notifications.verifyChanges(next, previous, user.id)
+    });
+    // Uploads and removals are made again as the writer, from the files already sent (see AttachmentStore.verifyChanges())
+    Object.assign(shared[documents.storageKey], {
+        rows: (userId, document) => !!document.projectId || isStaff(userId),
+        validate: (next, previous, user) => documents.verifyChanges(next, previous, user.id)
+    });
+
+    // Approvals must follow from actions the writer was allowed to take (see ApprovalEngine.verifyChanges());
+    // only people who set budgets move an amount, and only admins replay legacy form approvals
+    Object.assign(shared[approvals.storageKey], {
+        validate: (next, previous, user) => {
+            const problems = approvals.verifyChanges(next, previous, user.id, { migration: isAdmin(user.id) });
+            if (problems.length || rbac.can(user.id, 'edit', 'budget')) return problems;
+            const amounts = new Map((previous || []).map(approval => [approval.id, approval.amount]));
+            return next.filter(approval => amounts.has(approval.id) && amounts.get(approval.id) !== approval.amount)
+                .map(approval => `${approval.id}: your roles cannot change its amount`);
+        }
+    });
+    // Inspections are recorded again as the writer, who must be allowed to inspect the project
+    // (see QAGates.verifyChanges()); work orders only change by those inspections or a completion
+    Object.assign(shared[qaGates.storageKey], {
+        validate: (next, previous, user) => qaGates.verifyChanges(next, previous, user.id, {
+            canInspect: checkpoint => rbac.can(user.id, 'edit', 'qa-report', checkpoint.projectId)
+        })
+    });
+    Object.assign(shared[qaGates.storageKey + '_work_orders'], {
+        validate: (next, previous, user) => qaGates.verifyWorkOrderChanges(next, previous, user.id)
+    });
+    // Commitments, schedules and payments are set again as the writer (see FundingTracker.verifyChanges())
+    Object.assign(shared[funding.storageKey], {
+        validate: (next, previous, user) => funding.verifyChanges(next, previous, user.id)
+    });
+    // Awards are made again as the writer on the stored projects (see BidManager.verifyChanges()); the
+    // server hosts no BidManager, so one is set up from config.js for the check
+    const bids = new BidManager({ storage: new StorageAdapter.Memory(), qaGates, contractors: config.CPF_CONTRACTORS, scoring: config.CPF_BID_SCORING });
+    Object.assign(shared[bids.storageKey], {
+        validate: async (next, previous, user) => bids.verifyChanges(next, previous, user.id, {
+            projects: await modules.storage.get(config.CPF_PROJECTS_KEY)
+        })
+    });
+    // Change orders are requested again as the writer and then follow the stored approval requests
+    // (see ChangeOrderManager.verifyChanges()); set up like the tracker's, from config.js
+    const changeOrders = new ChangeOrderManager({
+        storage: new StorageAdapter.Memory(),
+        approvals,
+        chainId: 'cpf-change-order',
+        approvalThreshold: config.CPF_CHANGE_ORDER_THRESHOLD
+    });
+    Object.assign(shared[changeOrders.storageKey], {
+        validate: (next, previous, user) => changeOrders.verifyChanges(next, previous, user.id)
+    });
+    // Qualification decisions are only added, decided again as the writer (see QualificationEngine.verifyChanges())
+    const qualification = new QualificationEngine({ ...config.CPF_QUALIFICATION, storage: new StorageAdapter.Memory() });
+    Object.assign(shared[qualification.storageKey], {
+        validate: (next, previous, user) => qualification.verifyChanges(next, previous, user.id)
+    });
+    // Delegations are added and revoked by the person delegating (or an admin)
+    Object.assign(shared[approvals.storageKey + '_delegations'], {
+        validate: (next, previous, user) => {
+            if (!Array.isArray(next)) return ['expected an array of delegations'];
+            if (isAdmin(user.id)) return [];
+            const key = delegation => JSON.stringify(delegation);
+            const before = new Set((previous || []).map(key));
+            const after = new Set(next.map(key));
+            return [...next.filter(d => !before.has(key(d))), ...(previous || []).filter(d => !after.has(key(d)))]
+                .filter(delegation => delegation.from !== user.id)
+                .map(delegation => `only ${delegation.from} can change their delegation to ${delegation.to}`);
+        }
+    });
+
+    return shared;
+}
+
+/**
+ * A 300CPF/320CPF flag can only be set once its approval chain is complete,
+ * and only cleared while the chain is open again (a revision was requested)
+ */
+function formFlag(approvals, formType) {
+    return (userId, project) => {
+        const approval = approvals.approvals.find(a => a.id === project[`form${formType}ApprovalId`]);
+        const approved = !!approval && approval.projectId === project.id && approval.milestone === `${formType}CPF` && approval.status === 'approved';
+        if (!!project[`form${formType}`] === approved) return null;
+        return approved ? `${formType}CPF is approved` : `${formType}CPF is not approved yet`;
+    };
+}
+
+/**
+ * A project's approval request is linked once, by whoever creates it; only project editors relink it
+ */
+function approvalLink(rbac, field) {
+    return (userId, project, previous) => !previous || !previous[field] || rbac.canField(userId, 'edit', 'project', field, previous)
+        ? null
+        : `your roles cannot change ${field}`;
+}
+
+/**
+ * A form is authorized once its approval chain completes through the API
+ * (the tracker sets the same flags when approving in the browser)
+ */
+function trackFormApprovals(server, events) {
+    const flags = { '300CPF': 'form300', '320CPF': 'form320' };
+    events.on('APPROVAL_GRANTED', event => {
+        const flag = flags[event.details.milestone];
+        if (!flag || !event.details.fullyApproved || event.details.migration) return;
+        return server.saveProject(event.projectId, project => { project[flag] = true; });
+    });
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const modules = await createModules(options);
+    const server = new ApiServer({
+        ...modules,
+        documents: modules.documents.content,
+        documentsKey: modules.documents.storageKey,
+        projectsKey: config.CPF_PROJECTS_KEY,
+        shared: sharedPolicies(modules),
+        static: { '/core/': path.join(ROOT, 'core'), '/examples/': path.join(ROOT, 'examples') },
+        allowOrigin: options.cors || null
+    });
+    trackFormApprovals(server, modules.events);
+
+    const { url } = await server.listen(Number(options.port || config.CPF_SERVER.port), options.host || '127.0.0.1');
+    console.log(`CPF tracker server listening on ${url}`);
+    console.log(`Data: ${path.resolve(options.data || 'data')}`);
+    console.log(`Open ${url}/examples/cpf-tracker/?server=${encodeURIComponent(url)}`);
+    return null;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { if (code !== null) process.exitCode = code; })
+        .catch(e => {
+            console.error(e instanceof UsageError ? `${e.message}\n\n${USAGE}` : e.stack || e.message);
+            process.exitCode = 2;
+        });
+}
+
+module.exports = { main, parseArgs, createModules, sharedPolicies };
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+/**
+ * ledger-cli - Verify, query and convert exported ledgers from the command line
+ *
+ * Reads the JSON the tracker exports: the entry array from "Export Ledger",
+ * or the `{ entries, checkpoints }` object from `Ledger.export()`. Signed
+ * checkpoints exported separately can be added with --checkpoints.
+ *
+ *   node bin/ledger-cli.js verify ledger-export.json --checkpoints ledger-checkpoints.json --key $LEDGER_KEY
+ *   node bin/ledger-cli.js history ledger-export.json --project CPF-001 --from 2024-01-01
+ *   node bin/ledger-cli.js export ledger-export.json --format jsonl --out audit.jsonl
+ *   node bin/ledger-cli.js summary ledger-export.json
+ *   node bin/ledger-cli.js portfolio portfolio-all-2024-06-30.csv
+ *
+ * Exit codes: 0 ok, 1 integrity check failed, 2 bad usage or unreadable input.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ledger = require('../core/ledger');
+const StorageAdapter = require('../core/storage');
+const SchemaValidator = require('../core/schema-validator');
+
+const USAGE = `Usage: ledger-cli <command> <file> [options]
+
+Commands:
+  verify <ledger.json>      Check hashes, chain links and checkpoints
+  history <ledger.json>     Print entries (filterable)
+  export <ledger.json>      Convert entries to CSV or JSON Lines (filterable)
+  summary <ledger.json>     Count entries by action, user and project (filterable)
+  portfolio <portfolio.csv> Totals by stage from the portfolio CSV export
+
+Filters:
+  --project <id>            Entries for one project (Ledger.getHistory)
+  --user <id>               Entries by one user (Ledger.getByUser)
+  --action <type>           Entries of one action type (Ledger.getByAction)
+  --from <date>             On or after this date (Ledger.getByDateRange)
+  --to <date>               On or before this date; a bare date includes the whole day
+
+Options:
+  --checkpoints <file>      Checkpoint export to verify alongside the entries
+  --key <secret>            HMAC key for checkpoint signatures (default: $LEDGER_KEY)
+  --key-id <id>             Key id recorded on checkpoints (default: cpf-local)
+  --format <fmt>            history: table|json|jsonl|csv  export: csv|jsonl|json
+  --out <file>              Write output to a file instead of stdout
+  --json                    verify/summary: print the result as JSON
+  -h, --help                Show this help`;
+
+const VALUE_OPTIONS = ['project', 'user', 'action', 'from', 'to', 'checkpoints', 'key', 'key-id', 'format', 'out'];
+
+class UsageError extends Error {}
+
+/**
+ * @param {Array} argv - process.argv.slice(2)
+ * @returns {Object} { command, file, options }
+ */
+function parseArgs(argv) {
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split(/=(.*)/s);
+            if (VALUE_OPTIONS.includes(name)) {
+                const value = inline !== undefined ? inline : argv[++i];
+                if (value === undefined) throw new UsageError(`--${name} requires a value`);
+                options[name] = value;
+            } else if (name === 'json') {
+                options.json = true;
+            } else {
+                throw new UsageError(`Unknown option --${name}`);
+            }
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    return { command: positional[0], file: positional[1], options };
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new UsageError(`Cannot read ${file}: ${e.message}`);
+    }
+}
+
+function parseDate(value, endOfDay = false) {
+    const bareDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(bareDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+    if (isNaN(date)) throw new UsageError(`Invalid date ${value}`);
+    return date;
+}
+
+/**
+ * Load an exported ledger through the normal Ledger load path
+ * @returns {Promise<Ledger>}
+ */
+async function loadLedger(file, options) {
+    const data = readJSON(file);
+    const entries = Array.isArray(data) ? data : data.entries;
+    if (!Array.isArray(entries)) throw new UsageError(`${file} is not a ledger export (expected an entry array or { entries })`);
+
+    let checkpoints = Array.isArray(data) ? [] : (data.checkpoints || []);
+    if (options.checkpoints) {
+        const extra = readJSON(options.checkpoints);
+        checkpoints = Array.isArray(extra) ? extra : (extra.checkpoints || []);
+    }
+
+    const key = options.key || process.env.LEDGER_KEY;
+    const ledger = new Ledger({
+        storage: new StorageAdapter.Memory({ ledger_entries: entries, ledger_entries_checkpoints: checkpoints }),
+        signer: key ? Ledger.createHmacSigner(key, options['key-id'] || 'cpf-local') : null
+    });
+    await ledger.ready;
+    return ledger;
+}
+
+/**
+ * Apply the filter options using the Ledger query methods
+ * @returns {Array} Matching entries in ledger order
+ */
+function filterEntries(ledger, options) {
+    const selections = [];
+    if (options.project) selections.push(ledger.getHistory(options.project));
+    if (options.user) selections.push(ledger.getByUser(options.user));
+    if (options.action) selections.push(ledger.getByAction(options.action));
+    if (options.from || options.to) {
+        selections.push(ledger.getByDateRange(
+            options.from ? parseDate(options.from) : new Date(0),
+            options.to ? parseDate(options.to, true) : new Date(8.64e15)
+        ));
+    }
+
+    return selections.reduce((entries, selection) => {
+        const ids = new Set(selection.map(e => e.id));
+        return entries.filter(e => ids.has(e.id));
+    }, ledger.getAll());
+}
+
+function formatEntries(entries, format) {
+    switch (format) {
+        case 'json':
+            return JSON.stringify(entries, null, 2);
+        case 'jsonl':
+            return entries.map(e => JSON.stringify(e)).join('\n');
+        case 'csv': {
+            // Reuse Ledger.exportCSV so the columns match the in-app export
+            const subset = new Ledger({ storage: new StorageAdapter.Memory() });
+            subset.entries = entries;
+            return subset.exportCSV();
+        }
+        case 'table':
+            return entries.map(e => [
+                e.timestamp,
+                (e.action || '').padEnd(24),
+                (e.projectId || '-').padEnd(10),
+                (e.userId || '-').padEnd(16),
+                JSON.stringify(e.details || {})
+            ].join('  ')).join('\n');
+        default:
+            throw new UsageError(`Unknown format ${format}`);
+    }
+}
+
+function output(text, options) {
+    if (options.out) {
+        fs.writeFileSync(options.out, text + '\n');
+        process.stderr.write(`Wrote ${path.resolve(options.out)}\n`);
+    } else {
+        process.stdout.write(text + '\n');
+    }
+}
+
+async function verify(ledger, options) {
+    const result = await ledger.verify();
+    const unsignedCheckpoints = ledger.checkpoints.length > 0 && !ledger.signer;
+
+    if (options.json) {
+        output(JSON.stringify({ ...result, signaturesChecked: !unsignedCheckpoints }, null, 2), options);
+    } else {
+        const lines = [`${result.valid ? '✅' : '❌'} ${result.message}`, `  ${result.checked} entries, ${result.checkpoints.length} checkpoints checked`];
+        result.issues.forEach(issue => lines.push(`  - [${issue.cause}] ${issue.message}`));
+        result.checkpoints.forEach(c => lines.push(`  ${c.valid ? '✓' : '✗'} ${c.message}`));
+        if (unsignedCheckpoints) lines.push('  ! No --key given: checkpoint signatures were not checked');
+        if (ledger.entries.length && ledger.entries[0].previousHash !== '0') {
+            lines.push('  ! First entry does not start the chain: this looks like a filtered export');
+        }
+        output(lines.join('\n'), options);
+    }
+
+    return result.valid ? 0 : 1;
+}
+
+function summary(entries, options) {
+    const count = key => entries.reduce((counts, e) => {
+        const value = e[key] || '(none)';
+        counts[value] = (counts[value] || 0) + 1;
+        return counts;
+    }, {});
+    const result = {
+        entries: entries.length,
+        first: entries.length ? entries[0].timestamp : null,
+        last: entries.length ? entries[entries.length - 1].timestamp : null,
+        byAction: count('action'),
+        byUser: count('userId'),
+        byProject: count('projectId')
+    };
+
+    if (options.json) {
+        output(JSON.stringify(result, null, 2), options);
+        return;
+    }
+
+    const section = (title, counts) => [title, ...Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([name, n]) => `  ${String(n).padStart(6)}  ${name}`)];
+    output([
+        `${result.entries} entries${result.first ? ` from ${result.first} to ${result.last}` : ''}`,
+        ...section('By action:', result.byAction),
+        ...section('By user:', result.byUser),
+        ...section('By project:', result.byProject)
+    ].join('\n'), options);
+}
+
+/**
+ * Totals by stage from the CSV written by the tracker's exportPortfolio
+ */
+function portfolio(file, options) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8').trim();
+    } catch (e) {
+        throw new UsageError(`Cannot read ${file}: ${e.message}`);
+    }
+
+    // Quoted cells: addresses contain commas
+    const [header = [], ...rows] = SchemaValidator.parseCSV(text);
+    const column = name => header.indexOf(name);
+    if (column('Status') === -1 || column('Net Cost') === -1) throw new UsageError(`${file} is not a portfolio export`);
+
+    const byStatus = {};
+    rows.forEach(row => {
+        const status = row[column('Status')];
+        const stats = byStatus[status] || (byStatus[status] = { projects: 0, estimated: 0, incentivized: 0, net: 0 });
+        stats.projects++;
+        stats.estimated += parseFloat(row[column('Estimated')]) || 0;
+        stats.incentivized += parseFloat(row[column('Incentivized')]) || 0;
+        stats.net += parseFloat(row[column('Net Cost')]) || 0;
+    });
+
+    if (options.json) {
+        output(JSON.stringify({ projects: rows.length, byStatus }, null, 2), options);
+        return;
+    }
+
+    const money = n => ('$' + Math.round(n).toLocaleString('en-US')).padStart(12);
+    output([
+        `${rows.length} projects`,
+        `  ${'Stage'.padEnd(16)}${'Projects'.padStart(8)}${'Estimated'.padStart(12)}${'Incentives'.padStart(12)}${'Net'.padStart(12)}`,
+        ...Object.entries(byStatus).map(([status, s]) =>
+            `  ${status.padEnd(16)}${String(s.projects).padStart(8)}${money(s.estimated)}${money(s.incentivized)}${money(s.net)}`)
+    ].join('\n'), options);
+}
+
+async function main(argv) {
+    const { command, file, options } = parseArgs(argv);
+    if (options.help || !command) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+    if (!file) throw new UsageError(`${command} requires a file`);
+
+    if (command === 'portfolio') {
+        portfolio(file, options);
+        return 0;
+    }
+
+    const ledger = await loadLedger(file, options);
+    switch (command) {
+        case 'verify':
+            return verify(ledger, options);
+        case 'history':
+            output(formatEntries(filterEntries(ledger, options), options.format || 'table'), options);
+            return 0;
+        case 'export':
+            output(formatEntries(filterEntries(ledger, options), options.format || 'csv'), options);
+            return 0;
+        case 'summary':
+            summary(filterEntries(ledger, options), options);
+            return 0;
+        default:
+            throw new UsageError(`Unknown command ${command}`);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(e => {
+            console.error(e instanceof UsageError ? `${e.message}\n\n${USAGE}` : e.stack || e.message);
+            process.exitCode = 2;
+        });
+}
+
+module.exports = { main, parseArgs, filterEntries, loadLedger };
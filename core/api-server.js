@@ -0,0 +1,1328 @@
+/**
+ * ApiServer - Authenticated JSON API over the Core Modules (Node only)
+ *
+ * Hosts Ledger, RBAC, ApprovalEngine, FundingTracker and QAGates behind JSON
+ * endpoints so several people can work on the same data. Needs nothing but
+ * Node's http module; every hosted module must persist through `storage`:
+ *
+ *   const server = new ApiServer({ storage, auth, rbac, ledger, approvals, funding, qaGates,
+ *                                  workflow, decisions, schemas, projectsKey: 'cpf_projects_financial' });
+ *   await server.listen(8787);
+ *
+ *   POST /api/login                       { login, password }  -> { token, session, user }
+ *   GET  /api/projects                    Authorization: Bearer <token>
+ *   GET  /api/projects/CPF-001/approvals
+ *   POST /api/approvals/APR-.../approve   { comments, role }
+ *   GET  /api/ledger/verify
+ *   GET  /api/funding/gap/CPF-001
+ *
+ * Every route names the RBAC permission it needs (see defineRoutes()). Routes
+ * on one project also check it against that project, so conditions such as
+ * `isSelectedBidder` apply, and project updates check each field's policy.
+ * The modules' own policies still run underneath: an approval is refused
+ * unless the caller holds a slot on the active step.
+ *
+ * Keys listed in `shared` are served whole through /api/storage for
+ * StorageAdapter.Remote, so the tracker itself can run against the server.
+ * Each key has a policy: { view, edit } rules (true for any signed-in user, an
+ * RBAC resource, a { permission, resource } pair, or an array of them; a key
+ * without a rule is closed), `rows(userId, row)` to hide array rows a user may
+ * not see (writes keep them), `project(row)` to hide rows of projects the user
+ * cannot view (and refuse new ones), `read(value, userId)` to redact, and
+ * `validate(next, previous, user)` returning problems. Writes to the
+ * projects key are checked field by field like project updates, and a new
+ * status must be a transition whose guards pass; with `decisions`
+ * (DecisionRules) new decision points are replayed instead, and the key's
+ * `fields` map can check fields of its own. Values carry a revision (SHA-256
+ * of the stored JSON); a write based on an older revision is refused with 409
+ * rather than overwriting someone else's change.
+ *
+ * POST /api/sync takes a SyncEngine's per-field changes and ledger entries
+ * from a copy that worked offline. Changes are checked like project updates,
+ * and each project they touch like a write to the projects key (status
+ * transitions, decisions), and a field someone else changed in the meantime
+ * comes back as a conflict instead of being overwritten; the server's ledger
+ * is only appended to, and only with entries in the syncing user's name
+ * (the copy keeps the others and is told how many).
+ *
+ * Each sign-in gets its own bearer token with the AuthManager's idle and
+ * absolute timeouts; an account on a temporary password can only change it.
+ * Tokens live in memory, so restarting the server signs everyone out.
+ */
+const apiStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const apiEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const apiHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+const apiAuth = typeof AuthManager !== 'undefined' ? AuthManager : require('./auth');
+const apiSync = typeof SyncEngine !== 'undefined' ? SyncEngine : require('./sync');
+const apiDecisions = typeof DecisionRules !== 'undefined' ? DecisionRules : require('./decision-rules');
+
+const ADMIN = { permission: 'admin', resource: 'organization' };
+
+class ApiServer {
+    constructor(options = {}) {
+        if (!options.auth || !options.rbac) throw new Error('ApiServer requires auth and rbac');
+        this.storage = apiStorage.resolve(options);
+        this.auth = options.auth;
+        this.rbac = options.rbac;
+        this.ledger = options.ledger || null;
+        this.approvals = options.approvals || null;
+        this.funding = options.funding || null;
+        this.qaGates = options.qaGates || null;
+        this.workflow = options.workflow || null;
+        this.decisions = options.decisions || null;
+        this.schemas = options.schemas || null;
+        this.events = options.events || null;
+        this.projectsKey = options.projectsKey || 'projects';
+        this.projectSchema = options.projectSchema || 'Project';
+        this.shared = options.shared || {};
+        // Document contents by hash (an AttachmentStore content store); metadata is the `documentsKey` array
+        this.documents = options.documents || null;
+        this.documentsKey = options.documentsKey || 'attachments';
+        // URL prefix -> directory, e.g. { '/core/': 'core' }; nothing else is served
+        this.static = options.static || {};
+        this.allowOrigin = options.allowOrigin || null;
+        this.maxBodyBytes = (options.maxBodyMB || 25) * 1024 * 1024;
+        this.sessions = new Map();
+        this.locks = {};
+        this.routes = this.defineRoutes();
+        this.server = null;
+    }
+
+    /**
+     * Route table. `access` is 'public', 'user' (any signed-in user) or
+     * { permission, resource, project: request => projectId }; `resource` can
+     * also be a function of the request, and `principal(request)` names the
+     * user the permission is checked for when not the caller.
+     * @returns {Array} [{ method, path, access, handler }]
+     */
+    defineRoutes() {
+        const onProject = (permission, resource, param = 'projectId') => ({ permission, resource, project: req => req.params[param] });
+        // Signing or turning down an approval needs approve rights on its resource, for the user or whoever they act for
+        const onApprover = {
+            permission: 'approve',
+            resource: req => this.approvals.getResource(this.requireApproval(req.params.approvalId)),
+            principal: req => req.body.onBehalfOf || req.user.id,
+            project: req => this.requireApproval(req.params.approvalId).projectId
+        };
+        const onCheckpoint = { permission: 'edit', resource: 'qa-report', project: req => this.requireCheckpoint(req.params.checkpointId).projectId };
+
+        return [
+            this.route('POST', '/api/login', 'public', req => this.login(req)),
+            this.route('POST', '/api/logout', 'user', req => this.logout(req)),
+            this.route('GET', '/api/me', 'user', req => ({
+                user: req.user,
+                session: { ...req.session },
+                permissions: this.rbac.getUserPermissions(req.user.id)
+            })),
+            this.route('POST', '/api/password', 'user', async req => {
+                await this.auth.changePassword(req.user.id, req.body.currentPassword, req.body.password);
+                return { user: apiAuth.publicUser(this.auth.getUser(req.user.id)) };
+            }),
+
+            this.route('GET', '/api/users', 'user', req => this.listUsers(req.user.id)),
+            this.route('POST', '/api/users', ADMIN, req => {
+                req.status = 201;
+                return this.auth.addUser({ ...req.body, mustChangePassword: true }, { userId: req.user.id });
+            }),
+            this.route('PATCH', '/api/users/:userId', ADMIN, req => {
+                const user = this.auth.updateUser(req.params.userId, req.body, { userId: req.user.id });
+                if (user.disabled) this.endSessionsFor(user.id, 'account_disabled');
+                return user;
+            }),
+            this.route('POST', '/api/users/:userId/password', ADMIN, req =>
+                this.auth.setPassword(req.params.userId, req.body.password, { userId: req.user.id, mustChangePassword: true })),
+
+            this.route('GET', '/api/projects', 'user', async req => (await this.readProjects())
+                .filter(project => this.canSeeProject(req.user.id, project))
+                .map(project => this.rbac.maskFields(req.user.id, project, 'project'))),
+            this.route('POST', '/api/projects', { permission: 'edit', resource: 'project' }, req => this.createProject(req)),
+            this.route('GET', '/api/projects/:projectId', onProject('view', 'project'), req =>
+                this.rbac.maskFields(req.user.id, req.project, 'project')),
+            this.route('PATCH', '/api/projects/:projectId', onProject('view', 'project'), req => this.updateProject(req)),
+            this.route('POST', '/api/projects/:projectId/transitions', onProject('edit', 'project'), req => this.transitionProject(req)),
+            this.route('GET', '/api/projects/:projectId/history', onProject('view', 'audit'), req => this.requireModule('ledger').getHistory(req.project.id)),
+
+            this.route('GET', '/api/projects/:projectId/approvals', onProject('view', 'project'), req =>
+                this.requireModule('approvals').getForProject(req.project.id)),
+            this.route('POST', '/api/approvals/:approvalId/approve', onApprover, req =>
+                this.approvals.approve(req.params.approvalId, req.user.id, req.body.comments || '', {
+                    role: req.body.role,
+                    onBehalfOf: req.body.onBehalfOf
+                })),
+            this.route('POST', '/api/approvals/:approvalId/reject', onApprover, req => {
+                if (!req.body.reason) throw ApiServer.error(422, 'invalid', 'A rejection needs a reason');
+                return this.approvals.reject(req.params.approvalId, req.user.id, req.body.reason, {
+                    role: req.body.role,
+                    onBehalfOf: req.body.onBehalfOf
+                });
+            }),
+
+            this.route('GET', '/api/ledger', { permission: 'view', resource: 'audit' }, req => this.queryLedger(req.query)),
+            this.route('GET', '/api/ledger/verify', { permission: 'view', resource: 'audit' }, () => this.requireModule('ledger').verify()),
+            this.route('POST', '/api/ledger/checkpoints', ADMIN, req => {
+                req.status = 201;
+                return this.requireModule('ledger').checkpoint();
+            }),
+
+            this.route('GET', '/api/funding/sources', { permission: 'view', resource: 'funding' }, () => this.requireModule('funding').getSourceBalances()),
+            this.route('GET', '/api/funding/gap/:projectId', onProject('view', 'funding'), req => this.requireModule('funding').getGap(req.project.id)),
+            this.route('GET', '/api/projects/:projectId/funding', onProject('view', 'funding'), req => {
+                const funding = this.requireModule('funding');
+                const projectId = req.project.id;
+                return {
+                    gap: funding.getGap(projectId),
+                    commitments: funding.commitments.filter(c => c.projectId === projectId),
+                    disbursements: funding.disbursements.filter(d => d.projectId === projectId),
+                    schedule: funding.getPaymentSchedule(projectId)
+                };
+            }),
+            this.route('POST', '/api/projects/:projectId/funding/commitments', onProject('edit', 'funding'), req => {
+                const funding = this.requireModule('funding');
+                const id = funding.addCommitment({ ...req.body, projectId: req.project.id, userId: req.user.id });
+                req.status = 201;
+                return { id, gap: funding.getGap(req.project.id) };
+            }),
+
+            this.route('GET', '/api/projects/:projectId/qa', onProject('view', 'qa-report'), req => ({
+                checkpoints: this.requireModule('qaGates').getCheckpoints(req.project.id),
+                workOrders: this.qaGates.getWorkOrders({ projectId: req.project.id })
+            })),
+            this.route('POST', '/api/qa/:checkpointId/inspections', onCheckpoint, req => {
+                req.status = 201;
+                return this.qaGates.recordInspection(req.params.checkpointId, { ...req.body, inspector: req.user.id });
+            }),
+            this.route('GET', '/api/qa/work-orders', { permission: 'view', resource: 'work-orders' }, async req => {
+                const visible = new Set((await this.readProjects()).filter(p => this.canSeeProject(req.user.id, p)).map(p => p.id));
+                return this.requireModule('qaGates').getWorkOrders({ status: req.query.status }).filter(wo => visible.has(wo.projectId));
+            }),
+
+            this.route('GET', '/api/documents/:hash', 'user', req => this.readDocument(req)),
+            this.route('PUT', '/api/documents/:hash', 'user', req => this.writeDocument(req)),
+
+            this.route('GET', '/api/storage', 'user', req => this.readShared(req.user)),
+            this.route('PUT', '/api/storage/:key', 'user', req => this.writeShared(req.user, req.params.key, req.body)),
+
+            this.route('POST', '/api/sync', 'user', req => this.syncChanges(req))
+        ];
+    }
+
+    /**
+     * @private
+     */
+    route(method, path, access, handler) {
+        const keys = [];
+        const pattern = path.replace(/:(\w+)/g, (_, key) => {
+            keys.push(key);
+            return '([^/]+)';
+        });
+        return { method, path, access, handler, keys, regex: new RegExp(`^${pattern}$`) };
+    }
+
+    /**
+     * Start listening
+     * @param {number} port - 0 picks a free port
+     * @param {string} host
+     * @returns {Promise<Object>} { host, port, url }
+     */
+    listen(port = 8787, host = '127.0.0.1') {
+        const http = require('http');
+        this.server = http.createServer((req, res) => this.handle(req, res));
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                const address = this.server.address();
+                resolve({ host: address.address, port: address.port, url: `http://${host}:${address.port}` });
+            });
+        });
+    }
+
+    close() {
+        if (!this.server) return Promise.resolve();
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Answer one HTTP request (also usable as middleware in another server)
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     */
+    async handle(req, res) {
+        if (this.allowOrigin) {
+            res.setHeader('Access-Control-Allow-Origin', this.allowOrigin);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, OPTIONS');
+        }
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                return res.end();
+            }
+            const url = new URL(req.url, 'http://localhost');
+            if (!url.pathname.startsWith('/api/')) return await this.serveStatic(req, res, url.pathname);
+
+            const { route, params } = this.match(req.method, url.pathname);
+            const request = { method: req.method, params, query: Object.fromEntries(url.searchParams), body: {}, headers: req.headers, status: 200 };
+            if (route.access !== 'public') Object.assign(request, this.authenticate(req));
+
+            if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+                const raw = await this.readBody(req);
+                request.bytes = raw;
+                if (!(req.headers['content-type'] || '').startsWith('application/octet-stream')) {
+                    request.body = ApiServer.parseJSON(raw);
+                }
+            }
+
+            // A temporary password only lets its holder choose a new one
+            if (request.user && request.user.mustChangePassword && !ApiServer.PASSWORD_CHANGE_ROUTES.includes(route.path)) {
+                throw ApiServer.error(403, 'password_change_required', 'Choose a new password first (POST /api/password)');
+            }
+            await this.authorize(route, request);
+            const result = await route.handler(request);
+            if (result instanceof Uint8Array) {
+                res.writeHead(request.status, { 'Content-Type': 'application/octet-stream', 'Content-Length': result.length });
+                return res.end(Buffer.from(result));
+            }
+            this.send(res, request.status, result === undefined ? { ok: true } : result);
+        } catch (e) {
+            const status = ApiServer.statusFor(e);
+            if (status === 500) console.error('API request failed:', e);
+            this.send(res, status, {
+                error: status === 500 ? 'Internal server error' : e.message,
+                reason: e.reason || null,
+                details: e.details || (e.errors ? { errors: e.errors } : null)
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    match(method, pathname) {
+        let allowed = false;
+        for (const route of this.routes) {
+            const found = route.regex.exec(pathname);
+            if (!found) continue;
+            if (route.method !== method) {
+                allowed = true;
+                continue;
+            }
+            const params = {};
+            route.keys.forEach((key, i) => { params[key] = decodeURIComponent(found[i + 1]); });
+            return { route, params };
+        }
+        throw allowed
+            ? ApiServer.error(405, 'method_not_allowed', `${method} is not supported on ${pathname}`)
+            : ApiServer.error(404, 'not_found', `No route for ${pathname}`);
+    }
+
+    // ---------------------------------------------------------------
+    // Sessions
+    // ---------------------------------------------------------------
+
+    /**
+     * @private
+     */
+    async login(req) {
+        const { provider = 'local', ...credentials } = req.body;
+        this.pruneSessions();
+        const user = await this.auth.authenticate(provider, credentials);
+
+        const now = new Date();
+        const token = apiAuth.randomHex(32);
+        const session = {
+            id: 'SES-' + apiAuth.randomHex(12),
+            userId: user.id,
+            provider,
+            createdAt: now.toISOString(),
+            lastActiveAt: now.toISOString(),
+            expiresAt: this.auth.sessionExpiry(now, now).toISOString()
+        };
+        this.sessions.set(token, session);
+
+        apiEvents.publish(this, 'USER_LOGIN', {
+            projectId: null,
+            userId: user.id,
+            details: { provider, sessionId: session.id, client: 'api', mustChangePassword: !!user.mustChangePassword }
+        });
+        return { token, session: { ...session }, user };
+    }
+
+    /**
+     * @private
+     */
+    logout(req) {
+        this.endSession(req.token, 'USER_LOGOUT', 'signed_out');
+    }
+
+    /**
+     * The accounts a user may see: the rows the directory's shared key gives
+     * them, otherwise everyone for admins and their own account for the rest
+     * @private
+     */
+    async listUsers(userId) {
+        const users = this.auth.getUsers();
+        const policy = this.shared[`${this.auth.storageKey}_users`];
+        if (!policy || !this.allowed(userId, policy.view, 'view')) {
+            return this.allowed(userId, ADMIN) ? users : users.filter(user => user.id === userId);
+        }
+        const visible = await this.rowFilter(userId, policy);
+        return visible ? users.filter(visible) : users;
+    }
+
+    /**
+     * Resolve the bearer token to its session and user, sliding the idle timeout
+     * @private
+     */
+    authenticate(req) {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        const session = match ? this.sessions.get(match[1]) : null;
+        if (!session) throw ApiServer.error(401, 'unauthenticated', 'Sign in first');
+
+        const token = match[1];
+        const now = new Date();
+        const user = this.auth.getUser(session.userId);
+        if (!user || user.disabled) {
+            this.endSession(token, 'USER_LOGOUT', 'account_disabled');
+            throw ApiServer.error(401, 'unauthenticated', 'This account is disabled');
+        }
+        if (new Date(session.expiresAt) <= now) {
+            this.endSession(token, 'SESSION_EXPIRED', 'timeout');
+            throw ApiServer.error(401, 'session_expired', 'Your session has expired; sign in again');
+        }
+
+        session.lastActiveAt = now.toISOString();
+        session.expiresAt = this.auth.sessionExpiry(new Date(session.createdAt), now).toISOString();
+        return { token, session, user: apiAuth.publicUser(user) };
+    }
+
+    /**
+     * @private
+     */
+    endSession(token, type, reason) {
+        const session = this.sessions.get(token);
+        if (!session) return;
+        this.sessions.delete(token);
+        apiEvents.publish(this, type, {
+            projectId: null,
+            userId: session.userId,
+            details: { sessionId: session.id, reason, client: 'api' }
+        });
+    }
+
+    /**
+     * @private
+     */
+    endSessionsFor(userId, reason) {
+        for (const [token, session] of this.sessions) {
+            if (session.userId === userId) this.endSession(token, 'USER_LOGOUT', reason);
+        }
+    }
+
+    /**
+     * @private
+     */
+    pruneSessions(now = new Date()) {
+        for (const [token, session] of this.sessions) {
+            if (new Date(session.expiresAt) <= now) this.endSession(token, 'SESSION_EXPIRED', 'timeout');
+        }
+    }
+
+    // ---------------------------------------------------------------
+    // Authorization
+    // ---------------------------------------------------------------
+
+    /**
+     * Check the route's permission; routes on one project also need to see it
+     * @private
+     */
+    async authorize(route, req) {
+        const access = route.access;
+        if (typeof access === 'string') return;
+
+        let projectId = null;
+        if (access.project) {
+            projectId = access.project(req);
+            req.project = (await this.readProjects()).find(p => p.id === projectId) || null;
+            if (!req.project) throw ApiServer.error(404, 'not_found', `Project ${projectId} not found`);
+            if (!this.canSeeProject(req.user.id, req.project)) {
+                throw ApiServer.error(403, 'not_authorized', `You cannot view project ${projectId}`);
+            }
+        }
+        const resource = typeof access.resource === 'function' ? access.resource(req) : access.resource;
+        const principal = access.principal ? access.principal(req) : req.user.id;
+        if (!this.rbac.can(principal, access.permission, resource, projectId, req.project || {})) {
+            throw ApiServer.error(403, 'not_authorized', `${principal === req.user.id ? 'Your roles' : principal} cannot ${access.permission} ${resource}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    canSeeProject(userId, project) {
+        return this.rbac.can(userId, 'view', 'project', project.id, project);
+    }
+
+    /**
+     * @private
+     */
+    allowed(userId, rule, permission) {
+        return ApiServer.allows(this.rbac, userId, rule, permission);
+    }
+
+    /**
+     * @private
+     */
+    requireModule(name) {
+        if (!this[name]) throw ApiServer.error(404, 'not_found', `This server does not host ${name}`);
+        return this[name];
+    }
+
+    /**
+     * @private
+     */
+    requireApproval(approvalId) {
+        const approval = this.requireModule('approvals').approvals.find(a => a.id === approvalId);
+        if (!approval) throw ApiServer.error(404, 'not_found', `Approval ${approvalId} not found`);
+        return approval;
+    }
+
+    /**
+     * @private
+     */
+    requireCheckpoint(checkpointId) {
+        const checkpoint = this.requireModule('qaGates').checkpoints.find(cp => cp.id === checkpointId);
+        if (!checkpoint) throw ApiServer.error(404, 'not_found', `Checkpoint ${checkpointId} not found`);
+        return checkpoint;
+    }
+
+    // ---------------------------------------------------------------
+    // Projects
+    // ---------------------------------------------------------------
+
+    async readProjects() {
+        return (await this.storage.get(this.projectsKey)) || [];
+    }
+
+    /**
+     * @private
+     */
+    async createProject(req) {
+        const project = req.body;
+        if (!project.id) throw ApiServer.error(422, 'invalid', 'Project requires an id');
+        return this.withLock(this.projectsKey, async () => {
+            const projects = await this.readProjects();
+            if (projects.some(p => p.id === project.id)) throw ApiServer.error(409, 'conflict', `Project ${project.id} already exists`);
+            this.validateProject(project);
+            this.requireProjectWrite(req.user.id, [], project);
+
+            projects.push(project);
+            await this.storage.set(this.projectsKey, projects);
+            apiEvents.publish(this, 'PROJECT_CREATED', {
+                projectId: project.id,
+                userId: req.user.id,
+                details: { type: project.type, scenario: project.scenario, client: 'api' }
+            });
+            req.status = 201;
+            return project;
+        });
+    }
+
+    /**
+     * Apply field changes the caller's roles may edit; the status moves only through transitions
+     * @private
+     */
+    async updateProject(req) {
+        const changes = req.body;
+        const fields = Object.keys(changes);
+        if (fields.includes('id')) throw ApiServer.error(422, 'invalid', 'A project id cannot be changed');
+        if (this.workflow && fields.includes(this.workflow.stateField)) {
+            throw ApiServer.error(422, 'invalid', `Change ${this.workflow.stateField} with POST /api/projects/${req.project.id}/transitions`);
+        }
+        const denied = fields.filter(field => !this.rbac.canField(req.user.id, 'edit', 'project', field, req.project));
+        if (denied.length) {
+            throw ApiServer.error(403, 'not_authorized', `Your roles cannot edit ${denied.join(', ')}`, { fields: denied });
+        }
+
+        return this.saveProject(req.project.id, project => {
+            const previous = JSON.parse(JSON.stringify(project));
+            const before = {};
+            fields.forEach(field => {
+                before[field] = project[field];
+                project[field] = changes[field];
+            });
+            this.requireProjectWrite(req.user.id, [previous], project);
+            project.updatedDate = new Date().toISOString();
+            this.validateProject(project);
+            apiEvents.publish(this, 'FIELD_UPDATE', {
+                projectId: project.id,
+                userId: req.user.id,
+                details: { fields, before, after: changes, client: 'api' }
+            });
+        });
+    }
+
+    /**
+     * Throw the first reason checkProjectWrite() gives for not storing this project
+     * @private
+     */
+    requireProjectWrite(userId, stored, project) {
+        const problems = this.checkProjectWrite(userId, stored, [project], this.shared[this.projectsKey] || {});
+        if (problems.length === 0) return;
+        const authorized = problems.every(problem => problem.reason !== 'not_authorized');
+        throw ApiServer.error(authorized ? 422 : 403, authorized ? 'invalid' : 'not_authorized', problems[0].message,
+            { errors: problems.map(problem => problem.message) });
+    }
+
+    /**
+     * @private
+     */
+    async transitionProject(req) {
+        const workflow = this.requireModule('workflow');
+        if (!req.body.to) throw ApiServer.error(422, 'invalid', 'Name the state to move to');
+
+        return this.saveProject(req.project.id, project => {
+            const result = workflow.transition(project, req.body.to, { userId: req.user.id, reason: req.body.reason });
+            if (!result.ok) {
+                throw ApiServer.error(409, result.reason || 'conflict', `Cannot move ${project.id} to ${req.body.to}`, {
+                    unmetGuards: result.unmetGuards || []
+                });
+            }
+            project.updatedDate = new Date().toISOString();
+        });
+    }
+
+    /**
+     * Read-modify-write one project, one write to the projects key at a time
+     * @param {string} projectId
+     * @param {Function} change - Receives the project to mutate
+     * @returns {Promise<Object>} The saved project
+     */
+    saveProject(projectId, change) {
+        return this.withLock(this.projectsKey, async () => {
+            const projects = await this.readProjects();
+            const project = projects.find(p => p.id === projectId);
+            if (!project) throw ApiServer.error(404, 'not_found', `Project ${projectId} not found`);
+            await change(project);
+            await this.storage.set(this.projectsKey, projects);
+            return project;
+        });
+    }
+
+    /**
+     * @private
+     */
+    validateProject(project) {
+        if (!this.schemas) return;
+        const result = this.schemas.validate(this.projectSchema, project);
+        if (!result.valid) {
+            throw ApiServer.error(422, 'invalid', `${project.id} is invalid`, { errors: result.errors });
+        }
+    }
+
+    // ---------------------------------------------------------------
+    // Ledger
+    // ---------------------------------------------------------------
+
+    /**
+     * Entries matching every filter given
+     * @param {Object} query - { project, user, action, from, to, limit }
+     * @returns {Array}
+     */
+    queryLedger(query = {}) {
+        const from = query.from ? new Date(query.from) : null;
+        const to = query.to ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(query.to) ? `${query.to}T23:59:59.999Z` : query.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) throw ApiServer.error(422, 'invalid', 'from and to must be dates');
+
+        const entries = this.requireModule('ledger').getAll().filter(entry =>
+            (!query.project || entry.projectId === query.project) &&
+            (!query.user || entry.userId === query.user) &&
+            (!query.action || entry.action === query.action) &&
+            (!from || new Date(entry.timestamp) >= from) &&
+            (!to || new Date(entry.timestamp) <= to));
+        return query.limit ? entries.slice(-Number(query.limit)) : entries;
+    }
+
+    // ---------------------------------------------------------------
+    // Document contents
+    // ---------------------------------------------------------------
+
+    /**
+     * Bytes of a document on a project the caller can see
+     * @private
+     */
+    async readDocument(req) {
+        const store = this.requireModule('documents');
+        const hash = req.params.hash;
+        const projects = await this.readProjects();
+        const listed = ((await this.storage.get(this.documentsKey)) || []).filter(d => d.hash === hash);
+        const visible = listed.some(d => {
+            const project = projects.find(p => p.id === d.projectId);
+            return project && this.canSeeProject(req.user.id, project);
+        });
+        const bytes = visible ? await store.get(hash) : undefined;
+        if (!bytes) throw ApiServer.error(404, 'not_found', `Document ${hash} not found`);
+        return bytes;
+    }
+
+    /**
+     * Store uploaded bytes under their SHA-256 hash
+     * @private
+     */
+    async writeDocument(req) {
+        const store = this.requireModule('documents');
+        const hash = req.params.hash;
+        if (!apiHashing.isSha256(hash)) throw ApiServer.error(422, 'invalid', `${hash} is not a SHA-256 hash`);
+        if (await apiHashing.digest(req.bytes) !== hash) throw ApiServer.error(422, 'invalid', 'Content does not match its hash');
+        if (!(await store.get(hash))) await store.put(hash, req.bytes);
+        req.status = 201;
+        return { hash, size: req.bytes.length };
+    }
+
+    // ---------------------------------------------------------------
+    // Shared storage (StorageAdapter.Remote)
+    // ---------------------------------------------------------------
+
+    /**
+     * Every shared key the user may view, as { key: { value, revision } }
+     * @param {Object} user
+     * @returns {Promise<Object>}
+     */
+    async readShared(user) {
+        const snapshot = {};
+        for (const [key, policy] of Object.entries(this.shared)) {
+            if (!this.allowed(user.id, policy.view, 'view')) continue;
+            const stored = await this.storage.get(key);
+            if (stored === undefined) continue;
+            let value = stored;
+            if (Array.isArray(value)) {
+                const visible = await this.rowFilter(user.id, policy);
+                if (visible) value = value.filter(visible);
+            }
+            if (policy.read) value = policy.read(value, user.id);
+            snapshot[key] = { value, revision: await ApiServer.revision(stored) };
+        }
+        return snapshot;
+    }
+
+    /**
+     * Replace a shared key if the write was based on its current revision
+     * @param {Object} user
+     * @param {string} key
+     * @param {Object} body - { value, revision }
+     * @returns {Promise<Object>} { revision }
+     */
+    writeShared(user, key, body) {
+        const policy = this.shared[key];
+        if (!policy) throw ApiServer.error(404, 'not_found', `${key} is not shared`);
+        if (!this.allowed(user.id, policy.view, 'view') || !this.allowed(user.id, policy.edit, 'edit')) {
+            throw ApiServer.error(403, 'not_authorized', `Your roles cannot change ${key}`);
+        }
+        if (!body || !('value' in body)) throw ApiServer.error(422, 'invalid', 'Send { value, revision }');
+
+        return this.withLock(key, async () => {
+            const stored = await this.storage.get(key);
+            const current = stored === undefined ? null : await ApiServer.revision(stored);
+            if ((body.revision || null) !== current) {
+                throw ApiServer.error(409, 'conflict', `${key} was changed by someone else`, { revision: current });
+            }
+
+            let next = body.value;
+            const visible = Array.isArray(next) ? await this.rowFilter(user.id, policy) : null;
+            if (visible) {
+                next = ApiServer.mergeRows(stored || [], next, visible);
+                // New rows must belong to projects the writer can see
+                const storedIds = new Set((stored || []).map(row => row.id));
+                const hidden = policy.project && next.find(row => !storedIds.has(row.id) && !visible(row));
+                if (hidden) throw ApiServer.error(403, 'not_authorized', `You cannot view project ${policy.project(hidden)}`);
+            }
+            const problems = [
+                ...(key === this.projectsKey ? this.checkProjectWrite(user.id, stored || [], next, policy).map(problem => problem.message) : []),
+                ...(policy.validate ? await policy.validate(next, stored, user) : [])
+            ];
+            if (problems.length) throw ApiServer.error(422, 'invalid', `${key} was not saved: ${problems[0]}`, { errors: problems });
+
+            await this.storage.set(key, next);
+            await this.reloadModules(key);
+            return { revision: await ApiServer.revision(next) };
+        });
+    }
+
+    /**
+     * Why a write to the projects key may not be stored. Each changed field is
+     * checked like a synced change (see checkChange()) or by the key's own
+     * `fields[field](userId, project, previous)`, a status change must be a
+     * workflow transition whose guards pass, and with `decisions` new decision
+     * points are replayed as the writer, which accounts for the status and hold
+     * they change. New projects start in the workflow's initial state with no
+     * decisions or hold; only admins remove projects. PATCH and POST
+     * /api/projects and sync go through the same checks.
+     * @returns {Array} [{ projectId, reason, message }]
+     * @private
+     */
+    checkProjectWrite(userId, stored, next, policy) {
+        if (!Array.isArray(next)) return [];
+        const fieldChecks = policy.fields || {};
+        const stateField = this.workflow ? this.workflow.stateField : 'status';
+        const storedById = new Map(stored.map(project => [project.id, project]));
+        const kept = new Set(next.map(project => project.id));
+        const problems = [];
+        const refuse = (project, reason, message) => problems.push({ projectId: project.id, reason, message: `${project.id}: ${message}` });
+        stored.filter(project => !kept.has(project.id) && !this.rbac.can(userId, 'admin', 'organization'))
+            .forEach(project => refuse(project, 'not_authorized', 'your roles cannot remove projects'));
+
+        next.forEach(project => {
+            const previous = storedById.get(project.id) || null;
+            const checkFields = (fields, before) => fields.forEach(field => {
+                const problem = fieldChecks[field](userId, project, before);
+                if (problem) refuse(project, 'not_authorized', problem);
+            });
+            if (!previous) {
+                const problem = this.checkChange(userId, stored, { id: project.id, projectId: project.id, path: '', to: project });
+                if (problem) return refuse(project, problem.reason, problem.message);
+                if (this.workflow && (project[stateField] || this.workflow.initial) !== this.workflow.initial) {
+                    return refuse(project, 'invalid', `a new project starts in ${this.workflow.label(this.workflow.initial)}`);
+                }
+                if ((project.decisionPoints || []).length > 0 || project.hold) {
+                    return refuse(project, 'invalid', 'a new project starts without decisions or a hold');
+                }
+                return checkFields(Object.keys(fieldChecks).filter(field => field in project), null);
+            }
+
+            let fields = Array.from(new Set([...Object.keys(previous), ...Object.keys(project)]))
+                .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(project[field]));
+            if (this.decisions && fields.includes('decisionPoints')) {
+                if (!ApiServer.keepsRows(previous.decisionPoints, project.decisionPoints)) {
+                    return refuse(project, 'invalid', 'recorded decisions cannot be changed or removed');
+                }
+                // Decisions recorded before decision rules (without an id) may be removed by project editors
+                const dropped = ApiServer.droppedRows(previous.decisionPoints, project.decisionPoints);
+                if (dropped.length > 0 && !this.rbac.canField(userId, 'edit', 'project', 'decisionPoints', previous)) {
+                    return refuse(project, 'not_authorized', 'Your roles cannot edit decisionPoints');
+                }
+                const problem = this.replayDecisions(userId, previous, project);
+                if (problem) return refuse(project, problem.reason, problem.message);
+                fields = fields.filter(field => !['decisionPoints', 'hold', stateField].includes(field));
+            }
+            if (this.decisions && fields.includes('hold')) {
+                return refuse(project, 'invalid', 'a hold only starts and ends with a decision');
+            }
+            checkFields(fields.filter(field => fieldChecks[field]), previous);
+            fields.filter(field => !fieldChecks[field]).forEach(field => {
+                const change = { id: project.id, projectId: project.id, path: field, from: previous[field], to: project[field] };
+                const problem = this.checkChange(userId, stored, change);
+                if (problem) return refuse(project, problem.reason, problem.message);
+                if (field === stateField) {
+                    const blocked = this.checkTransition({ ...project, [stateField]: previous[stateField] }, project[stateField]);
+                    if (blocked) refuse(project, 'invalid', blocked);
+                }
+            });
+        });
+        return problems;
+    }
+
+    /**
+     * Why a project may not move from its current state to `to`, or null.
+     * Automatic transitions are left to the modules that make them.
+     * @private
+     */
+    checkTransition(project, to) {
+        if (!this.workflow) return null;
+        const check = this.workflow.evaluate(project, to);
+        if (!check.allowed) return `Cannot move to ${to}: ${check.unmetGuards.map(guard => guard.message).join('; ')}`;
+        return check.transition.automatic ? `${this.workflow.label(to)} is only reached automatically` : null;
+    }
+
+    /**
+     * Decide a project's new decision points again as the writer, on a copy and
+     * without publishing; null when they lead to the status, hold and decisions
+     * sent, otherwise { reason, message }
+     * @private
+     */
+    replayDecisions(userId, previous, project) {
+        const workflow = this.workflow ? Object.assign(Object.create(this.workflow), { events: null, ledger: null }) : null;
+        const decisions = new apiDecisions({ workflow, rbac: this.rbac, types: this.decisions.getTypes(), outcomes: this.decisions.outcomes });
+        const copy = JSON.parse(JSON.stringify(previous));
+        const dropped = ApiServer.droppedRows(previous.decisionPoints, project.decisionPoints).map(point => JSON.stringify(point));
+        copy.decisionPoints = (copy.decisionPoints || []).filter(point => !dropped.includes(JSON.stringify(point)));
+        const known = new Set(copy.decisionPoints.map(point => point.id));
+        try {
+            (project.decisionPoints || []).filter(point => !known.has(point.id)).forEach(point => {
+                if (point.decidedBy !== userId) {
+                    throw apiDecisions.error('not_decider', `${point.type} was decided by ${point.decidedBy}, not ${userId}`);
+                }
+                const replayed = decisions.decide(copy, { type: point.type, outcome: point.outcome, inputs: point.inputs, notes: point.notes },
+                    { userId, role: point.role });
+                // Keep the recorded id and time, which later decisions and the hold refer to
+                copy.decisionPoints.forEach(other => { if (other.resolvedBy === replayed.id) other.resolvedBy = point.id; });
+                if (copy.hold && copy.hold.decisionId === replayed.id) Object.assign(copy.hold, { decisionId: point.id, since: point.timestamp });
+                Object.assign(replayed, { id: point.id, timestamp: point.timestamp });
+            });
+        } catch (e) {
+            return { reason: ['not_decider', 'role_not_held'].includes(e.reason) ? 'not_authorized' : 'invalid', message: e.message };
+        }
+        const stateField = this.workflow ? this.workflow.stateField : 'status';
+        const outcome = p => JSON.stringify([p[stateField], p.hold || null, p.decisionPoints || []]);
+        return outcome(copy) === outcome(project) ? null : { reason: 'invalid', message: 'the decisions do not lead to this status and hold' };
+    }
+
+    /**
+     * The rows of a shared key a user may see, from its `rows` and `project` policies, or null for all
+     * @private
+     */
+    async rowFilter(userId, policy) {
+        if (!policy.rows && !policy.project) return null;
+        const projects = policy.project
+            ? new Set((await this.readProjects()).filter(p => this.canSeeProject(userId, p)).map(p => p.id))
+            : null;
+        return row => {
+            if (policy.rows && !policy.rows(userId, row)) return false;
+            const projectId = projects ? policy.project(row) : null;
+            return !projectId || projects.has(projectId);
+        };
+    }
+
+    // ---------------------------------------------------------------
+    // Offline copies (SyncEngine)
+    // ---------------------------------------------------------------
+
+    /**
+     * Apply a copy's field changes in order and append its new ledger entries
+     * @param {Object} req - body { replica, changes, ledger }
+     * @returns {Promise<Object>} { applied, unchanged, conflicts: [{ changeId, current }],
+     *                              rejected: [{ changeId, reason, message }], records, ledger, ledgerRefused }
+     * @private
+     */
+    async syncChanges(req) {
+        const userId = req.user.id;
+        const changes = Array.isArray(req.body.changes) ? req.body.changes : [];
+        const ledgerPolicy = this.ledger ? this.shared[this.ledger.storageKey] : null;
+        const canView = policy => policy && this.allowed(userId, policy.view, 'view');
+
+        let ledgerMerge = { added: 0, refused: 0 };
+        if (Array.isArray(req.body.ledger) && this.ledger) {
+            if (!canView(ledgerPolicy) || !this.allowed(userId, ledgerPolicy.edit, 'edit')) {
+                throw ApiServer.error(403, 'not_authorized', 'Your roles cannot add ledger entries');
+            }
+            // A copy may only add entries in its user's name; the rest stay in that copy
+            ledgerMerge = await this.withLock(this.ledger.storageKey, () =>
+                this.ledger.merge(req.body.ledger, { keep: 'ours', accept: entry => entry.userId === userId }));
+        }
+
+        const outcome = await this.withLock(this.projectsKey, async () => {
+            const stored = await this.readProjects();
+            const rejected = [];
+            const reject = (change, reason, message) => rejected.push({ changeId: change.id, projectId: change.projectId, path: change.path, reason, message });
+            const allowed = changes.filter(change => {
+                const problem = this.checkChange(userId, stored, change);
+                if (problem) reject(change, problem.reason, problem.message);
+                return !problem;
+            });
+
+            const result = apiSync.apply(stored, allowed);
+            result.missing.forEach(change => reject(change, 'not_found', `Project ${change.projectId} not found`));
+
+            // A project the changes would leave invalid, or move in a way the writer
+            // could not (a blocked transition, decisions that do not replay), keeps its stored version
+            const invalid = new Map();
+            const policy = this.shared[this.projectsKey] || {};
+            new Set(result.applied.map(change => change.projectId)).forEach(projectId => {
+                const index = result.records.findIndex(p => p.id === projectId);
+                if (index === -1) return;
+                const original = stored.find(p => p.id === projectId);
+                const check = this.schemas ? this.schemas.validate(this.projectSchema, result.records[index]) : { valid: true };
+                const [problem] = check.valid ? this.checkProjectWrite(userId, original ? [original] : [], [result.records[index]], policy) : [];
+                if (check.valid && !problem) return;
+                invalid.set(projectId, check.valid
+                    ? { reason: problem.reason, message: problem.message }
+                    : { reason: 'invalid_record', message: `${projectId} would not be valid with this change` });
+                if (original) result.records[index] = original;
+                else result.records.splice(index, 1);
+            });
+            const applied = result.applied.filter(change => {
+                if (!invalid.has(change.projectId)) return true;
+                const { reason, message } = invalid.get(change.projectId);
+                reject(change, reason, message);
+                return false;
+            });
+
+            if (applied.length) await this.storage.set(this.projectsKey, result.records);
+            return { applied, unchanged: result.unchanged, conflicts: result.conflicts, rejected };
+        });
+
+        if (outcome.applied.length || outcome.conflicts.length || ledgerMerge.added) {
+            apiEvents.publish(this, 'SYNC_COMPLETED', {
+                userId,
+                details: {
+                    via: 'server',
+                    client: 'api',
+                    replica: req.body.replica || null,
+                    applied: outcome.applied.length,
+                    conflicts: outcome.conflicts.length,
+                    rejected: outcome.rejected.length,
+                    ledgerEntriesAdded: ledgerMerge.added,
+                    ledgerEntriesRefused: ledgerMerge.refused
+                }
+            });
+        }
+
+        const records = (await this.readProjects())
+            .filter(project => this.canSeeProject(userId, project))
+            .map(project => this.rbac.maskFields(userId, project, 'project'));
+        return {
+            applied: outcome.applied.map(change => change.id),
+            unchanged: outcome.unchanged.map(change => change.id),
+            conflicts: outcome.conflicts.map(({ change, current }) => ({ changeId: change.id, current })),
+            rejected: outcome.rejected,
+            records,
+            ...(this.ledger && canView(ledgerPolicy) ? { ledger: this.ledger.getAll(), ledgerRefused: ledgerMerge.refused } : {})
+        };
+    }
+
+    /**
+     * Why a synced change may not be applied, or null. Same rules as PATCH and
+     * POST /api/projects; projects are never removed through sync. What the
+     * changes do together (status, decisions) is checked once they are applied.
+     * @private
+     */
+    checkChange(userId, projects, change) {
+        if (!change || !change.id || !change.projectId || typeof change.path !== 'string') {
+            return { reason: 'invalid', message: 'A change needs an id, a project and a path' };
+        }
+        const project = projects.find(p => p.id === change.projectId);
+        if (change.path === '') {
+            if (change.to === null || change.to === undefined || change.to.id !== change.projectId) {
+                return { reason: 'invalid', message: `Projects cannot be removed or renamed through sync (${change.projectId})` };
+            }
+            if (project && !this.canSeeProject(userId, project)) {
+                return { reason: 'not_authorized', message: `You cannot view project ${change.projectId}` };
+            }
+            if (!this.rbac.can(userId, 'edit', 'project')) {
+                return { reason: 'not_authorized', message: 'Your roles cannot create projects' };
+            }
+            return null;
+        }
+        if (!project) return { reason: 'not_found', message: `Project ${change.projectId} not found` };
+        if (!this.canSeeProject(userId, project)) {
+            return { reason: 'not_authorized', message: `You cannot view project ${change.projectId}` };
+        }
+        const field = change.path.split('.')[0];
+        if (field === 'id') return { reason: 'invalid', message: 'A project id cannot be changed' };
+        if (!this.rbac.canField(userId, 'edit', 'project', field, project)) {
+            return { reason: 'not_authorized', message: `Your roles cannot edit ${field}` };
+        }
+        return null;
+    }
+
+    /**
+     * Hosted modules keep their data in memory; reload any that own a key a client replaced
+     * @private
+     */
+    async reloadModules(key) {
+        const modules = [this.ledger, this.rbac, this.auth, this.approvals, this.approvals && this.approvals.documents, this.funding, this.qaGates];
+        for (const module of modules) {
+            if (module && module.storageKey && key.startsWith(module.storageKey)) await module.load();
+        }
+    }
+
+    /**
+     * Run writes to one key one at a time
+     * @private
+     */
+    withLock(key, task) {
+        const previous = this.locks[key] || Promise.resolve();
+        const run = previous.then(task, task);
+        this.locks[key] = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * @private
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.maxBodyBytes) {
+                    reject(ApiServer.error(413, 'too_large', `Requests are limited to ${this.maxBodyBytes / 1024 / 1024} MB`));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(new Uint8Array(Buffer.concat(chunks))));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * @private
+     */
+    send(res, status, body) {
+        const text = JSON.stringify(body);
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+        res.end(text);
+    }
+
+    /**
+     * Files under the configured static prefixes; dotfiles and paths outside them are not served
+     * @private
+     */
+    async serveStatic(req, res, pathname) {
+        const fs = require('fs');
+        const path = require('path');
+        const prefix = Object.keys(this.static).find(p => pathname.startsWith(p));
+        if (!prefix || !['GET', 'HEAD'].includes(req.method)) throw ApiServer.error(404, 'not_found', `${pathname} not found`);
+
+        const root = path.resolve(this.static[prefix]);
+        const relative = decodeURIComponent(pathname.slice(prefix.length));
+        let file = path.resolve(root, relative);
+        if ((file !== root && !file.startsWith(root + path.sep)) || relative.split('/').some(part => part.startsWith('.'))) {
+            throw ApiServer.error(404, 'not_found', `${pathname} not found`);
+        }
+        if (fs.existsSync(file) && fs.statSync(file).isDirectory()) file = path.join(file, 'index.html');
+        if (!fs.existsSync(file)) throw ApiServer.error(404, 'not_found', `${pathname} not found`);
+
+        const bytes = fs.readFileSync(file);
+        res.writeHead(200, {
+            'Content-Type': ApiServer.MIME_TYPES[path.extname(file)] || 'application/octet-stream',
+            'Content-Length': bytes.length
+        });
+        res.end(req.method === 'HEAD' ? undefined : bytes);
+    }
+
+    /**
+     * Whether a shared key's view/edit rule lets a user in: true = any signed-in
+     * user, an RBAC resource, a { permission, resource } pair, or an array of
+     * these (any one will do). A missing rule lets nobody in.
+     * @param {RBAC} rbac
+     * @param {string} userId
+     * @param {*} rule
+     * @param {string} permission - 'view' or 'edit', for a rule that names only a resource
+     * @returns {boolean}
+     */
+    static allows(rbac, userId, rule, permission) {
+        if (rule === true) return true;
+        if (Array.isArray(rule)) return rule.some(r => ApiServer.allows(rbac, userId, r, permission));
+        if (typeof rule === 'string') return rbac.can(userId, permission, rule);
+        if (rule && rule.resource) return rbac.can(userId, rule.permission || permission, rule.resource);
+        return false;
+    }
+
+    /**
+     * Revision of a stored value: SHA-256 of its JSON
+     * @param {*} value
+     * @returns {Promise<string>}
+     */
+    static revision(value) {
+        return apiHashing.digest(JSON.stringify(value));
+    }
+
+    /**
+     * A row-filtered write: rows the writer cannot see are kept as stored,
+     * visible rows are replaced or (when missing) deleted, new rows are added
+     * @param {Array} stored
+     * @param {Array} incoming
+     * @param {Function} visible - row => boolean
+     * @returns {Array}
+     */
+    static mergeRows(stored, incoming, visible) {
+        const incomingById = new Map(incoming.map(row => [row.id, row]));
+        const storedIds = new Set(stored.map(row => row.id));
+        const merged = [];
+        stored.forEach(row => {
+            if (!visible(row)) merged.push(row);
+            else if (incomingById.has(row.id)) merged.push(incomingById.get(row.id));
+        });
+        incoming.filter(row => !storedIds.has(row.id)).forEach(row => merged.push(row));
+        return merged;
+    }
+
+    /**
+     * Whether every stored row with an id is still there
+     * @private
+     */
+    static keepsRows(stored = [], next = []) {
+        return (stored || []).filter(row => row.id).every(row => (next || []).some(other => other.id === row.id));
+    }
+
+    /**
+     * Stored rows without an id that are no longer there unchanged
+     * @private
+     */
+    static droppedRows(stored = [], next = []) {
+        const kept = (next || []).map(row => JSON.stringify(row));
+        return (stored || []).filter(row => !row.id && !kept.includes(JSON.stringify(row)));
+    }
+
+    /**
+     * Validator for keys that may only grow: stored rows must come back unchanged and in order
+     * @param {Array} next
+     * @param {Array} previous
+     * @returns {Array} Problems
+     */
+    static appendOnly(next, previous = []) {
+        if (!Array.isArray(next)) return ['expected an array'];
+        const changed = (previous || []).findIndex((row, i) => JSON.stringify(row) !== JSON.stringify(next[i]));
+        return changed === -1 ? [] : [`entry ${changed} was changed or removed; entries can only be added`];
+    }
+
+    static parseJSON(bytes) {
+        if (!bytes.length) return {};
+        try {
+            return JSON.parse(Buffer.from(bytes).toString('utf8'));
+        } catch (e) {
+            throw ApiServer.error(400, 'invalid_json', 'Request body is not valid JSON');
+        }
+    }
+
+    static error(status, reason, message, details = null) {
+        const error = new Error(message);
+        error.status = status;
+        error.reason = reason;
+        error.details = details;
+        return error;
+    }
+
+    /**
+     * HTTP status for an error thrown by a route or a hosted module
+     * @param {Error} error
+     * @returns {number}
+     */
+    static statusFor(error) {
+        if (error.status) return error.status;
+        if (error instanceof TypeError || error instanceof ReferenceError || error instanceof RangeError) return 500;
+        return ApiServer.REASON_STATUS[error.reason] || 400;
+    }
+}
+
+/**
+ * Client for an ApiServer, in the browser or Node
+ *
+ *   const api = new ApiServer.Client({ url: 'http://127.0.0.1:8787' });
+ *   await api.login('local', { login: 'sarah.finance@cpf.example.org', password });
+ *   const projects = await api.request('GET', '/api/projects');
+ *
+ * Failed requests throw an Error carrying the server's `status`, `reason` and `details`.
+ */
+class ApiClient {
+    constructor(options = {}) {
+        if (!options.url) throw new Error('API client requires the server url');
+        this.url = options.url.replace(/\/+$/, '');
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+        if (!this.fetch) throw new Error('API client requires fetch');
+        this.token = options.token || null;
+        this.onUnauthorized = options.onUnauthorized || null;
+    }
+
+    /**
+     * @param {string} providerId
+     * @param {Object} credentials - e.g. { login, password }
+     * @returns {Promise<Object>} { token, session, user }
+     */
+    async login(providerId, credentials = {}) {
+        const result = await this.request('POST', '/api/login', { ...credentials, provider: providerId });
+        this.token = result.token;
+        return result;
+    }
+
+    async logout() {
+        if (!this.token) return;
+        try {
+            await this.request('POST', '/api/logout');
+        } finally {
+            this.token = null;
+        }
+    }
+
+    /**
+     * @param {string} method
+     * @param {string} path - e.g. '/api/projects'
+     * @param {Object|Uint8Array} body - Bytes are sent as application/octet-stream
+     * @param {Object} options - { binary: resolve to the response bytes }
+     * @returns {Promise<*>}
+     */
+    async request(method, path, body, options = {}) {
+        const headers = { Accept: options.binary ? 'application/octet-stream' : 'application/json' };
+        let payload;
+        if (body instanceof Uint8Array) {
+            headers['Content-Type'] = 'application/octet-stream';
+            payload = body;
+        } else if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            payload = JSON.stringify(body);
+        }
+        if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+        const response = await this.fetch(this.url + path, { method, headers, body: payload });
+        if (response.ok && options.binary) return new Uint8Array(await response.arrayBuffer());
+
+        const text = await response.text();
+        let data = null;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch (e) {
+            data = { error: text };
+        }
+        if (!response.ok) {
+            const error = new Error((data && data.error) || `${method} ${path} failed with ${response.status}`);
+            error.status = response.status;
+            error.reason = data && data.reason;
+            error.details = data && data.details;
+            if (response.status === 401 && this.onUnauthorized) this.onUnauthorized(error);
+            throw error;
+        }
+        return data;
+    }
+}
+
+// Module error reasons; anything else a module throws is a 400
+ApiServer.REASON_STATUS = {
+    invalid_credentials: 401,
+    invalid_token: 401,
+    unknown_user: 401,
+    account_disabled: 403,
+    not_authorized: 403,
+    self_approval: 403,
+    role_not_held: 403,
+    separation_of_duties: 403,
+    not_an_approver: 403,
+    not_requester: 403,
+    wrong_password: 403,
+    no_delegation: 403,
+    not_found: 404,
+    conflict: 409,
+    not_pending: 409,
+    missing_documents: 409,
+    guards_unmet: 409,
+    no_transition: 409,
+    milestone_not_ready: 409,
+    retainage_not_releasable: 409,
+    overpayment: 409,
+    source_exhausted: 409,
+    unknown_state: 422,
+    invalid_record: 422,
+    weak_password: 422
+};
+
+ApiServer.PASSWORD_CHANGE_ROUTES = ['/api/me', '/api/password', '/api/logout'];
+
+ApiServer.MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+ApiServer.Client = ApiClient;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiServer;
+}
@@ -1,77 +1,852 @@
 /**
  * ApprovalEngine - Multi-Party Approval Workflows
  * Manages milestone-based approvals with configurable chains
+ *
+ * A chain is an ordered list of steps. Steps run sequentially; the approvers
+ * inside a step act in parallel and the step completes once its quorum is met.
+ * Steps can be routed by amount, escalate when they time out, and approvers can
+ * delegate to someone else for a period of time.
+ *
+ *   {
+ *       id: 'cpf-300',
+ *       name: '300CPF Project Authorization',
+ *       steps: [
+ *           { id: 'review', approvers: [{ role: 'coordinator' }, { role: 'finance' }],
+ *             timeoutHours: 120, escalateTo: [{ role: 'executive' }] },
+ *           { id: 'board', approvers: ['exec_maria', 'exec_lee', 'exec_kim'], quorum: 2 },
+ *           { id: 'executive', approvers: [{ role: 'executive' }], when: { amountAbove: 25000 } }
+ *       ],
+ *       requiredDocuments: ['signed-300cpf']
+ *   }
+ *
+ * With an RBAC instance, approvers must hold `approve` on the chain's resource
+ * and role slots are matched against the user's RBAC roles. Requesters cannot
+ * approve their own requests and one user cannot fill two slots on the same
+ * request.
+ *
+ * With a `documents` store (AttachmentStore), `requiredDocuments` on a chain
+ * or a step lists document types that must be attached before anyone can
+ * approve (see getMissingDocuments()).
+ *
+ * Requests, approvals, rejections, escalations, delegations and denied attempts
+ * are published as APPROVAL_* events on `events` (or recorded straight to
+ * `ledger` when no event bus is configured).
  */
+const approvalStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const approvalEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
 class ApprovalEngine {
     constructor(config = {}) {
         this.approvals = [];
+        this.delegations = [];
+        this.chains = {};
         this.config = config;
-        this.storageKey = 'approval_requests';
-        this.load();
+        this.storageKey = config.storageKey || 'approval_requests';
+        this.storage = approvalStorage.resolve(config);
+        this.rbac = config.rbac || null;
+        this.ledger = config.ledger || null;
+        this.events = config.events || null;
+        this.documents = config.documents || null;
+        this.allowSelfApproval = config.allowSelfApproval || false;
+        this.separationOfDuties = config.separationOfDuties !== false;
+        (config.chains || []).forEach(chain => this.defineChain(chain));
+        this.ready = this.load();
+    }
+
+    /**
+     * Register a chain definition
+     * @param {Object} chain - { id, name, resource, requiredDocuments,
+     *                           steps: [{ id, name, resource, approvers, quorum, when, timeoutHours, escalateTo, requiredDocuments }] }
+     */
+    defineChain(chain) {
+        if (!chain.id) throw new Error('Approval chain requires an id');
+        if (!Array.isArray(chain.steps) || chain.steps.length === 0) {
+            throw new Error(`Approval chain ${chain.id} has no steps`);
+        }
+        chain.steps.forEach(step => {
+            if (!step.id) throw new Error(`Approval chain ${chain.id} has a step without an id`);
+            if (!Array.isArray(step.approvers) || step.approvers.length === 0) {
+                throw new Error(`Step ${step.id} in chain ${chain.id} has no approvers`);
+            }
+            if (step.quorum && step.quorum > step.approvers.length) {
+                throw new Error(`Step ${step.id} in chain ${chain.id} needs ${step.quorum} approvals but only has ${step.approvers.length} approvers`);
+            }
+        });
+        this.chains[chain.id] = chain;
+    }
+
+    getChain(chainId) {
+        return this.chains[chainId] || null;
     }
 
     requestApproval(request) {
+        const chain = request.chainId ? this.getChain(request.chainId) : null;
+        if (request.chainId && !chain) throw new Error(`Approval chain ${request.chainId} does not exist`);
+
+        // Without a chain, requiredApprovers becomes a single all-must-approve step
+        const definition = chain || {
+            steps: [{ id: 'approvers', name: 'Approvers', approvers: request.requiredApprovers || [] }]
+        };
+
         const approval = {
-            id: 'APR-' + Date.now(),
+            id: 'APR-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
             ...request,
             status: 'pending',
             approvals: [],
+            history: [],
+            revision: 0,
             createdAt: new Date().toISOString()
         };
+        approval.steps = this.buildSteps(definition, approval);
+        this.activateNextStep(approval);
+
         this.approvals.push(approval);
+        this.publish('APPROVAL_REQUESTED', approval, request.requestedBy, {
+            chainId: approval.chainId || null,
+            amount: approval.amount,
+            steps: approval.steps.filter(s => s.status !== 'skipped').map(s => s.id)
+        });
         this.save();
         return approval.id;
     }
 
-    approve(approvalId, userId, comments = '') {
+    get(approvalId) {
         const approval = this.approvals.find(a => a.id === approvalId);
         if (!approval) throw new Error('Approval not found');
-        
-        approval.approvals.push({
+        return approval;
+    }
+
+    getForProject(projectId) {
+        return this.approvals.filter(a => a.projectId === projectId);
+    }
+
+    /**
+     * Record an approval on the active step
+     * @param {string} approvalId
+     * @param {string} userId - User taking the action
+     * @param {string} comments
+     * @param {Object} options - { role: role the user is approving as, onBehalfOf: delegating user }
+     * @returns {Object} Updated approval
+     */
+    approve(approvalId, userId, comments = '', options = {}) {
+        const approval = this.get(approvalId);
+        if (approval.status !== 'pending') {
+            throw new Error(`Approval ${approvalId} is ${approval.status}`);
+        }
+
+        const now = new Date();
+        const onBehalfOf = options.onBehalfOf || null;
+        if (onBehalfOf && !this.hasDelegation(onBehalfOf, userId, now)) {
+            this.deny(approval, userId, 'no_delegation', `${userId} has no active delegation from ${onBehalfOf}`, { onBehalfOf });
+        }
+
+        const principal = onBehalfOf || userId;
+        this.checkPolicy(approval, userId, principal, options);
+        if (!approval.steps) return this.approveLegacy(approval, userId, comments);
+
+        const step = approval.steps[approval.currentStep];
+        const slot = this.findApproverSlot(step, principal, options.role);
+        if (!slot) {
+            this.deny(approval, userId, 'not_an_approver',
+                `${principal} is not an approver for the current step (${step.name})`, { onBehalfOf, role: options.role || null });
+        }
+
+        this.fillSlot(approval, step, slot, userId, comments, { onBehalfOf }, now);
+        this.save();
+        return approval;
+    }
+
+    /**
+     * Replay approvals recorded before approval chains existed (the tracker's
+     * old per-form checkboxes) onto a new request. Records are matched to open
+     * slots by user or role in whatever order they fit, without policy checks,
+     * and are marked `migration`. This is for data migrations only: ApiServer
+     * has no route to it and approve() has no way to skip its checks.
+     * @param {string} approvalId
+     * @param {Array} records - [{ userId, role, comments }]
+     * @returns {Array} Records no open slot matched
+     */
+    replayMigrated(approvalId, records) {
+        const approval = this.get(approvalId);
+        if (!approval.steps) throw new Error(`Approval ${approvalId} has no steps to replay onto`);
+
+        let remaining = records.slice();
+        let progressed = true;
+        while (remaining.length > 0 && progressed && approval.status === 'pending') {
+            progressed = false;
+            remaining = remaining.filter(record => {
+                const step = approval.steps[approval.currentStep];
+                const slot = this.findOpenSlot(step, record.userId, record.role || null);
+                if (!slot) return true;
+                this.fillSlot(approval, step, slot, record.userId, record.comments || '', { onBehalfOf: null, migration: true });
+                progressed = true;
+                return false;
+            });
+        }
+        this.save();
+        return remaining;
+    }
+
+    /**
+     * Turn down the request at its active step. The same checks as approve()
+     * apply and the user must hold an open slot on the step; requesters take
+     * back their own requests with withdraw().
+     * @param {string} approvalId
+     * @param {string} userId - User taking the action
+     * @param {string} reason
+     * @param {Object} options - { role, onBehalfOf }
+     * @returns {Object} Updated approval
+     */
+    reject(approvalId, userId, reason, options = {}) {
+        const approval = this.get(approvalId);
+        const onBehalfOf = options.onBehalfOf || null;
+        if (approval.status !== 'pending') {
+            this.deny(approval, userId, 'not_pending', `${approval.milestone || approval.id} is ${approval.status} and cannot be rejected`, { action: 'reject' });
+        }
+        if (onBehalfOf && !this.hasDelegation(onBehalfOf, userId)) {
+            this.deny(approval, userId, 'no_delegation', `${userId} has no active delegation from ${onBehalfOf}`, { onBehalfOf, action: 'reject' });
+        }
+
+        const principal = onBehalfOf || userId;
+        this.checkAuthority(approval, userId, principal, { ...options, action: 'reject' });
+        const step = approval.steps ? approval.steps[approval.currentStep] : null;
+        const isApprover = step
+            ? !!this.findApproverSlot(step, principal, options.role)
+            : (approval.requiredApprovers || []).includes(principal);
+        if (!isApprover) {
+            this.deny(approval, userId, 'not_an_approver',
+                `${principal} is not an approver for the current step${step ? ` (${step.name})` : ''}`, { onBehalfOf, role: options.role || null, action: 'reject' });
+        }
+
+        return this.close(approval, userId, reason, { onBehalfOf });
+    }
+
+    /**
+     * Take back a pending request; only the user who requested it can
+     * @param {string} approvalId
+     * @param {string} userId
+     * @param {string} reason
+     * @returns {Object} Updated approval (rejected, with `withdrawn`)
+     */
+    withdraw(approvalId, userId, reason) {
+        const approval = this.get(approvalId);
+        if (approval.status !== 'pending') {
+            this.deny(approval, userId, 'not_pending', `${approval.milestone || approval.id} is ${approval.status} and cannot be withdrawn`, { action: 'withdraw' });
+        }
+        if (!userId || approval.requestedBy !== userId) {
+            this.deny(approval, userId, 'not_requester', `Only ${approval.requestedBy || 'the requester'} can withdraw ${approval.milestone || approval.id}`, { action: 'withdraw' });
+        }
+        return this.close(approval, userId, reason, { withdrawn: true });
+    }
+
+    /**
+     * Restart a rejected (or in-flight) approval from the first step. Previous
+     * actions stay in `approvals`/`history`; `changes` (e.g. a revised amount)
+     * are applied before steps are re-routed. Only someone who could approve
+     * the request (see checkAuthority()) can reopen it.
+     */
+    reopen(approvalId, userId, reason, changes = {}) {
+        const approval = this.get(approvalId);
+        const previousStatus = approval.status;
+        this.checkAuthority(approval, userId, userId, { action: 'reopen' });
+
+        Object.assign(approval, changes);
+        approval.status = 'pending';
+        approval.revision = (approval.revision || 0) + 1;
+        delete approval.rejectedBy;
+        delete approval.rejectionReason;
+        delete approval.withdrawn;
+        delete approval.approvedAt;
+
+        const chain = approval.chainId ? this.getChain(approval.chainId) : null;
+        const definition = chain || {
+            steps: [{ id: 'approvers', name: 'Approvers', approvers: approval.requiredApprovers || [] }]
+        };
+        approval.steps = this.buildSteps(definition, approval);
+        this.activateNextStep(approval);
+
+        approval.history = approval.history || [];
+        approval.history.push({
+            action: 'reopened',
             userId,
-            action: 'approved',
-            comments,
+            reason,
+            previousStatus,
+            revision: approval.revision,
             timestamp: new Date().toISOString()
         });
+        this.publish('APPROVAL_REOPENED', approval, userId, { reason, previousStatus, revision: approval.revision, changes });
+        this.save();
+        return approval;
+    }
 
-        if (this.isFullyApproved(approval)) {
-            approval.status = 'approved';
+    /**
+     * Re-evaluate amount routing for steps that have not started yet
+     * @param {string} approvalId
+     * @param {Object} changes - Fields to update first (e.g. { amount })
+     */
+    reroute(approvalId, changes = {}) {
+        const approval = this.get(approvalId);
+        Object.assign(approval, changes);
+        if (approval.status !== 'pending' || !approval.chainId) {
+            this.save();
+            return approval;
         }
+
+        const chain = this.getChain(approval.chainId);
+        if (!chain) return approval;
+
+        approval.steps.forEach(step => {
+            if (step.status !== 'waiting' && step.status !== 'skipped') return;
+            const definition = chain.steps.find(s => s.id === step.id);
+            step.status = this.stepApplies(definition, approval) ? 'waiting' : 'skipped';
+        });
+
         this.save();
+        return approval;
     }
 
-    reject(approvalId, userId, reason) {
-        const approval = this.approvals.find(a => a.id === approvalId);
-        if (!approval) throw new Error('Approval not found');
-        
-        approval.status = 'rejected';
-        approval.rejectedBy = userId;
-        approval.rejectionReason = reason;
+    /**
+     * Let `to` act for `from` until a given date
+     * @param {Object} delegation - { from, to, until, reason }
+     */
+    delegate(delegation) {
+        if (!delegation.from || !delegation.to) throw new Error('Delegation requires from and to');
+        if (delegation.from === delegation.to) throw new Error('Cannot delegate to yourself');
+
+        const record = {
+            id: 'DLG-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            from: delegation.from,
+            to: delegation.to,
+            until: delegation.until ? new Date(delegation.until).toISOString() : null,
+            reason: delegation.reason || '',
+            createdAt: new Date().toISOString()
+        };
+        this.delegations.push(record);
+        approvalEvents.publish(this, 'APPROVAL_DELEGATED', { userId: record.from, details: { ...record, delegationId: record.id } });
+        this.save();
+        return record.id;
+    }
+
+    revokeDelegation(delegationId, userId = null) {
+        const record = this.delegations.find(d => d.id === delegationId);
+        this.delegations = this.delegations.filter(d => d.id !== delegationId);
+        if (record) {
+            approvalEvents.publish(this, 'APPROVAL_DELEGATION_REVOKED', { userId, details: { delegationId, from: record.from, to: record.to } });
+        }
         this.save();
     }
 
+    hasDelegation(from, to, at = new Date()) {
+        return this.delegations.some(d =>
+            d.from === from && d.to === to && (!d.until || new Date(d.until) >= at)
+        );
+    }
+
+    /**
+     * Add escalation approvers to active steps that are past their deadline
+     * @param {Date} now
+     * @returns {Array} Escalated approvals [{ approvalId, stepId, escalateTo }]
+     */
+    processEscalations(now = new Date()) {
+        const escalated = [];
+
+        this.approvals.forEach(approval => {
+            if (approval.status !== 'pending' || !approval.steps) return;
+            const step = approval.steps[approval.currentStep];
+            if (!step || step.escalated || !step.dueAt || !step.escalateTo?.length) return;
+            if (new Date(step.dueAt) > now) return;
+
+            step.escalated = true;
+            step.escalatedAt = now.toISOString();
+            step.escalateTo.forEach(a => step.slots.push({ ...this.normalizeApprover(a), escalation: true, approvedBy: null, approvedAt: null }));
+
+            approval.history.push({
+                action: 'escalated',
+                userId: 'system',
+                stepId: step.id,
+                escalateTo: step.escalateTo,
+                timestamp: now.toISOString()
+            });
+            escalated.push({ approvalId: approval.id, projectId: approval.projectId, stepId: step.id, escalateTo: step.escalateTo });
+            this.publish('APPROVAL_ESCALATED', approval, 'system', {
+                stepId: step.id,
+                escalateTo: step.escalateTo.map(a => typeof a === 'string' ? a : a.label || a.role || a.user)
+            });
+        });
+
+        if (escalated.length > 0) this.save();
+        return escalated;
+    }
+
     isFullyApproved(approval) {
+        if (approval.steps) {
+            return approval.steps.every(s => s.status === 'approved' || s.status === 'skipped');
+        }
         const required = approval.requiredApprovers || [];
         const approved = approval.approvals.map(a => a.userId);
         return required.every(r => approved.includes(r));
     }
 
-    getPending(userId = null) {
-        if (!userId) return this.approvals.filter(a => a.status === 'pending');
-        return this.approvals.filter(a => 
-            a.status === 'pending' && 
-            a.requiredApprovers.includes(userId)
-        );
+    /**
+     * Open slots on the active step for a user or any of their roles
+     * @param {string} userId
+     * @param {Array} roles
+     * @returns {Array} Pending approvals
+     */
+    getPending(userId = null, roles = []) {
+        const pending = this.approvals.filter(a => a.status === 'pending');
+        if (!userId && roles.length === 0) return pending;
+
+        return pending.filter(a => {
+            if (!a.steps) return (a.requiredApprovers || []).includes(userId);
+            const step = a.steps[a.currentStep];
+            return step && (
+                (userId && this.findOpenSlot(step, userId)) ||
+                roles.some(role => this.findOpenSlot(step, null, role))
+            );
+        });
+    }
+
+    /**
+     * Document types the chain and its active step require
+     * @param {string} approvalId
+     * @returns {Array} Document type ids
+     */
+    getRequiredDocuments(approvalId) {
+        const approval = this.get(approvalId);
+        const chain = approval.chainId ? this.getChain(approval.chainId) : null;
+        if (!chain || approval.status !== 'pending') return [];
+        const step = approval.steps ? chain.steps.find(s => s.id === approval.steps[approval.currentStep]?.id) : null;
+        return Array.from(new Set([...(chain.requiredDocuments || []), ...((step && step.requiredDocuments) || [])]));
+    }
+
+    /**
+     * Required document types not attached yet (always empty without a `documents` store)
+     * @param {string} approvalId
+     * @returns {Array} Document type ids
+     */
+    getMissingDocuments(approvalId) {
+        const required = this.getRequiredDocuments(approvalId);
+        if (!this.documents || required.length === 0) return [];
+        const approval = this.get(approvalId);
+        return this.documents.missingTypes(required, { projectId: approval.projectId, approvalId: approval.id });
+    }
+
+    /**
+     * Check someone's edited copy of the requests against the stored one by
+     * replaying what changed through this engine's checks, as `userId` (for
+     * ApiServer, where the tracker saves the whole list). New requests are
+     * rebuilt from their request fields; new approvals, rejections,
+     * withdrawals and reopenings are replayed in time order and must all be
+     * the user's own, escalations are re-run, and an amount change re-routes
+     * the request. Migrated approvals are only accepted first on a new
+     * request, and only with `options.migration`. The result must match the
+     * copy apart from timestamps.
+     * @param {Array} next - The edited requests
+     * @param {Array} previous - The stored requests
+     * @param {string} userId
+     * @param {Object} options - { migration: allow replayMigrated() records on new requests }
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId, options = {}) {
+        if (!Array.isArray(next)) return ['expected an array of approval requests'];
+        const stored = new Map((previous || []).map(approval => [approval.id, approval]));
+        const kept = new Set(next.map(approval => approval.id));
+        const problems = Array.from(stored.keys()).filter(id => !kept.has(id)).map(id => `${id} was removed`);
+
+        next.forEach(approval => {
+            const before = stored.get(approval.id);
+            if (before && JSON.stringify(before) === JSON.stringify(approval)) return;
+            try {
+                this.replayChanges(approval, before || null, userId, options);
+            } catch (e) {
+                problems.push(`${approval.id}: ${e.message}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Rebuild one edited request on a scratch engine; throws when its actions do not lead to it
+     * @private
+     */
+    replayChanges(approval, before, userId, options) {
+        const scratch = new ApprovalEngine({
+            storage: new approvalStorage.Memory(),
+            rbac: this.rbac,
+            documents: this.documents,
+            allowSelfApproval: this.allowSelfApproval,
+            separationOfDuties: this.separationOfDuties
+        });
+        scratch.chains = this.chains;
+        scratch.delegations = this.delegations;
+
+        const requestFields = value => Object.fromEntries(Object.entries(value)
+            .filter(([field]) => !ApprovalEngine.ENGINE_FIELDS.includes(field) && field !== 'amount'));
+        const entries = approval.approvals || [];
+        const history = approval.history || [];
+        let added = entries;
+        if (before) {
+            if (JSON.stringify(requestFields(before)) !== JSON.stringify(requestFields(approval))) {
+                throw new Error('only the amount of a request can be changed');
+            }
+            const startsWith = (list, stored) => JSON.stringify(list.slice(0, stored.length)) === JSON.stringify(stored);
+            if (!startsWith(entries, before.approvals || []) || !startsWith(history, before.history || [])) {
+                throw new Error('recorded approvals and history cannot be changed');
+            }
+            scratch.approvals = [JSON.parse(JSON.stringify(before))];
+            added = entries.slice((before.approvals || []).length);
+        } else {
+            scratch.requestApproval({ ...requestFields(approval), amount: approval.amount });
+            scratch.approvals[0].id = approval.id;
+            const firstNew = entries.findIndex(entry => !entry.migration);
+            const migrated = entries.slice(0, firstNew === -1 ? entries.length : firstNew);
+            if (migrated.length > 0) {
+                if (!options.migration) throw new Error(`${userId} cannot record migrated approvals`);
+                scratch.replayMigrated(approval.id, migrated);
+                added = entries.slice(migrated.length);
+            }
+        }
+
+        const actions = [...added, ...history.slice(before ? (before.history || []).length : 0)]
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const current = () => scratch.approvals[0];
+        // The tracker re-routes a pending request as soon as its amount changes
+        if (!actions.some(entry => entry.action === 'reopened') && current().amount !== approval.amount) {
+            scratch.reroute(approval.id, { amount: approval.amount });
+        }
+
+        actions.forEach(entry => {
+            const system = entry.action === 'escalated';
+            if (entry.userId !== (system ? 'system' : userId)) {
+                throw new Error(`${entry.action} by ${entry.userId} cannot be recorded by ${userId}`);
+            }
+            if (entry.action === 'approved') {
+                if (entry.migration) throw new Error('migrated approvals can only be recorded first on a new request');
+                scratch.approve(approval.id, userId, entry.comments || '', { role: entry.role || undefined, onBehalfOf: entry.onBehalfOf || null });
+            } else if (entry.action === 'rejected') {
+                scratch.reject(approval.id, userId, entry.reason, { onBehalfOf: entry.onBehalfOf || null });
+            } else if (entry.action === 'withdrawn') {
+                scratch.withdraw(approval.id, userId, entry.reason);
+            } else if (entry.action === 'reopened') {
+                scratch.reopen(approval.id, userId, entry.reason, current().amount !== approval.amount ? { amount: approval.amount } : {});
+            } else if (system) {
+                scratch.processEscalations();
+            } else {
+                throw new Error(`unknown action ${entry.action}`);
+            }
+        });
+        if (current().amount !== approval.amount) scratch.reroute(approval.id, { amount: approval.amount });
+
+        if (ApprovalEngine.withoutTimes(current()) !== ApprovalEngine.withoutTimes(approval)) {
+            throw new Error('does not match what its recorded actions lead to');
+        }
+    }
+
+    /**
+     * Canonical JSON of a request with its timestamps left out
+     * @private
+     */
+    static withoutTimes(value) {
+        const strip = v => {
+            if (Array.isArray(v)) return v.map(strip);
+            if (!v || typeof v !== 'object') return v;
+            return Object.fromEntries(Object.keys(v).sort()
+                .filter(key => !ApprovalEngine.TIME_FIELDS.includes(key) && v[key] !== undefined)
+                .map(key => [key, strip(v[key])]));
+        };
+        return JSON.stringify(strip(value));
+    }
+
+    /**
+     * @private
+     */
+    buildSteps(definition, request) {
+        return definition.steps.map(step => {
+            const slots = step.approvers.map(a => ({ ...this.normalizeApprover(a), approvedBy: null, approvedAt: null }));
+            return {
+                id: step.id,
+                name: step.name || step.id,
+                quorum: step.quorum || (step.mode === 'any' ? 1 : slots.length),
+                slots,
+                timeoutHours: step.timeoutHours || null,
+                escalateTo: step.escalateTo || [],
+                status: this.stepApplies(step, request) ? 'waiting' : 'skipped',
+                activatedAt: null,
+                dueAt: null,
+                escalated: false
+            };
+        });
+    }
+
+    /**
+     * @private
+     */
+    normalizeApprover(approver) {
+        if (typeof approver === 'string') return { user: approver, label: approver };
+        return { ...approver, label: approver.label || approver.user || approver.role };
+    }
+
+    /**
+     * Amount/milestone routing for a step definition
+     * @private
+     */
+    stepApplies(step, request) {
+        const when = step && step.when;
+        if (!when) return true;
+        if (typeof when === 'function') return !!when(request);
+
+        const amount = Number(request.amount) || 0;
+        if (when.amountAbove !== undefined && !(amount > when.amountAbove)) return false;
+        if (when.amountAtMost !== undefined && !(amount <= when.amountAtMost)) return false;
+        if (when.milestone !== undefined && when.milestone !== request.milestone) return false;
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    activateNextStep(approval, now = new Date()) {
+        const index = approval.steps.findIndex(s => s.status === 'waiting');
+        if (index === -1) {
+            approval.status = 'approved';
+            approval.approvedAt = now.toISOString();
+            approval.currentStep = approval.steps.length;
+            return;
+        }
+
+        const step = approval.steps[index];
+        step.status = 'active';
+        step.activatedAt = now.toISOString();
+        step.dueAt = step.timeoutHours
+            ? new Date(now.getTime() + step.timeoutHours * 3600 * 1000).toISOString()
+            : null;
+        approval.currentStep = index;
+    }
+
+    /**
+     * RBAC, self-approval and separation-of-duties checks. Throws (and logs) on denial.
+     * @private
+     */
+    checkPolicy(approval, userId, principal, options) {
+        const details = { onBehalfOf: options.onBehalfOf || null, role: options.role || null };
+        this.checkAuthority(approval, userId, principal, options);
+
+        const missing = this.getMissingDocuments(approval.id);
+        if (missing.length > 0) {
+            const labels = missing.map(type => (this.documents.getType && this.documents.getType(type) || {}).label || type);
+            this.deny(approval, userId, 'missing_documents', `${approval.milestone || approval.id} needs ${labels.join(', ')} attached before it can be approved`, { ...details, missing });
+        }
+
+        if (this.separationOfDuties) {
+            const actors = approval.steps
+                ? approval.steps.flatMap(s => s.slots).filter(s => s.approvedBy).flatMap(s => [s.approvedBy, s.onBehalfOf])
+                : approval.approvals.filter(a => a.action === 'approved').map(a => a.userId);
+            if (actors.includes(userId) || actors.includes(principal)) {
+                this.deny(approval, userId, 'separation_of_duties', `${principal} has already approved ${approval.id}`, details);
+            }
+        }
+    }
+
+    /**
+     * Sign a slot on the active step and move on once the step is complete
+     * @private
+     */
+    fillSlot(approval, step, slot, userId, comments, details, now = new Date()) {
+        slot.approvedBy = userId;
+        slot.approvedAt = now.toISOString();
+        slot.onBehalfOf = details.onBehalfOf;
+
+        approval.approvals.push({
+            userId,
+            action: 'approved',
+            comments,
+            stepId: step.id,
+            role: slot.role || null,
+            ...details,
+            timestamp: now.toISOString()
+        });
+
+        if (this.isStepComplete(step)) {
+            step.status = 'approved';
+            step.completedAt = now.toISOString();
+            this.activateNextStep(approval, now);
+        }
+
+        this.publish('APPROVAL_GRANTED', approval, userId, {
+            stepId: step.id,
+            role: slot.role || null,
+            comments,
+            stepComplete: step.status === 'approved',
+            fullyApproved: approval.status === 'approved',
+            ...details
+        });
+    }
+
+    /**
+     * Whether the principal may act on the request at all: not its requester
+     * and, with RBAC, holding `approve` on its resource (and `options.role`).
+     * Shared by approve, reject and reopen. Throws (and logs) on denial.
+     * @private
+     */
+    checkAuthority(approval, userId, principal, options = {}) {
+        const action = options.action || 'approve';
+        const details = { onBehalfOf: options.onBehalfOf || null, role: options.role || null, ...(options.action ? { action } : {}) };
+
+        if (!this.allowSelfApproval && approval.requestedBy && [userId, principal].includes(approval.requestedBy)) {
+            this.deny(approval, userId, 'self_approval', `${approval.requestedBy} requested ${approval.id} and cannot ${action} it`, details);
+        }
+
+        if (this.rbac) {
+            const resource = this.getResource(approval);
+            if (!this.rbac.can(principal, 'approve', resource, approval.projectId, approval)) {
+                this.deny(approval, userId, 'not_authorized', `${principal} is not authorized to ${action} ${resource}`, { ...details, resource });
+            }
+            if (options.role && !this.rbac.hasRole(principal, options.role)) {
+                this.deny(approval, userId, 'role_not_held', `${principal} does not hold the ${options.role} role`, details);
+            }
+        }
+    }
+
+    /**
+     * Record a rejection or withdrawal
+     * @private
+     */
+    close(approval, userId, reason, details = {}) {
+        const stepId = approval.steps ? approval.steps[approval.currentStep]?.id || null : null;
+        approval.status = 'rejected';
+        approval.rejectedBy = userId;
+        approval.rejectionReason = reason;
+        if (details.withdrawn) approval.withdrawn = true;
+        approval.history = approval.history || [];
+        approval.history.push({
+            action: details.withdrawn ? 'withdrawn' : 'rejected',
+            userId,
+            reason,
+            stepId,
+            ...(details.onBehalfOf ? { onBehalfOf: details.onBehalfOf } : {}),
+            timestamp: new Date().toISOString()
+        });
+        this.publish('APPROVAL_REJECTED', approval, userId, { reason, stepId, ...details });
+        this.save();
+        return approval;
+    }
+
+    /**
+     * RBAC resource an approval is checked against: the active step's, the
+     * chain's, or the request's own resource or milestone
+     * @param {Object} approval
+     * @returns {string}
+     */
+    getResource(approval) {
+        const chain = approval.chainId ? this.getChain(approval.chainId) : null;
+        const step = approval.steps && chain ? chain.steps.find(s => s.id === approval.steps[approval.currentStep]?.id) : null;
+        return (step && step.resource) || (chain && chain.resource) || approval.resource || approval.milestone || 'approval';
+    }
+
+    /**
+     * Publish a denied attempt and throw
+     * @private
+     */
+    deny(approval, userId, reason, message, details = {}) {
+        this.publish('APPROVAL_DENIED', approval, userId, {
+            stepId: approval.steps ? approval.steps[approval.currentStep]?.id || null : null,
+            reason,
+            message,
+            ...details
+        });
+
+        const error = new Error(message);
+        error.reason = reason;
+        throw error;
+    }
+
+    /**
+     * Publish an event about an approval
+     * @private
+     */
+    publish(type, approval, userId, details = {}) {
+        approvalEvents.publish(this, type, {
+            projectId: approval.projectId,
+            userId,
+            details: { approvalId: approval.id, milestone: approval.milestone || null, ...details }
+        });
+    }
+
+    /**
+     * Open slot for the principal; with RBAC, role slots match the user's roles
+     * @private
+     */
+    findApproverSlot(step, principal, role) {
+        if (role || !this.rbac) return this.findOpenSlot(step, principal, role);
+
+        const direct = this.findOpenSlot(step, principal);
+        if (direct) return direct;
+        for (const userRole of this.rbac.getUserRoles(principal)) {
+            const slot = this.findOpenSlot(step, principal, userRole);
+            if (slot) return slot;
+        }
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    findOpenSlot(step, userId, role = null) {
+        return step.slots.find(slot => {
+            if (slot.approvedBy) return false;
+            if (slot.escalation && !step.escalated) return false;
+            if (slot.user) return slot.user === userId;
+            return !!role && slot.role === role;
+        }) || null;
+    }
+
+    /**
+     * @private
+     */
+    isStepComplete(step) {
+        if (step.slots.some(s => s.escalation && s.approvedBy)) return true;
+        return step.slots.filter(s => !s.escalation && s.approvedBy).length >= step.quorum;
+    }
+
+    /**
+     * Approvals stored before chains existed
+     * @private
+     */
+    approveLegacy(approval, userId, comments) {
+        approval.approvals.push({
+            userId,
+            action: 'approved',
+            comments,
+            timestamp: new Date().toISOString()
+        });
+
+        if (this.isFullyApproved(approval)) {
+            approval.status = 'approved';
+        }
+        this.publish('APPROVAL_GRANTED', approval, userId, { comments, fullyApproved: approval.status === 'approved' });
+        this.save();
+        return approval;
     }
 
     save() {
-        localStorage.setItem(this.storageKey, JSON.stringify(this.approvals));
+        return Promise.all([
+            approvalStorage.write(this.storage, this.storageKey, this.approvals, 'approvals'),
+            approvalStorage.write(this.storage, this.storageKey + '_delegations', this.delegations, 'approval delegations')
+        ]);
     }
 
     load() {
-        const saved = localStorage.getItem(this.storageKey);
-        this.approvals = saved ? JSON.parse(saved) : [];
+        return Promise.all([
+            approvalStorage.read(this.storage, this.storageKey, data => { this.approvals = data || []; }, 'approvals'),
+            approvalStorage.read(this.storage, this.storageKey + '_delegations', data => { this.delegations = data || []; }, 'approval delegations')
+        ]);
     }
 }
 
+// Fields the engine keeps on a request, as opposed to the ones it was asked with
+ApprovalEngine.ENGINE_FIELDS = ['id', 'status', 'approvals', 'history', 'revision', 'createdAt', 'steps', 'currentStep',
+    'approvedAt', 'rejectedBy', 'rejectionReason', 'withdrawn'];
+ApprovalEngine.TIME_FIELDS = ['timestamp', 'createdAt', 'activatedAt', 'dueAt', 'completedAt', 'escalatedAt', 'approvedAt'];
+
 if (typeof module !== 'undefined') module.exports = ApprovalEngine;
@@ -0,0 +1,471 @@
+/**
+ * AttachmentStore - Documents and Evidence Linked to Projects, Approvals and QA
+ *
+ * Keeps signed forms, invoices, assessment reports and inspection photos with
+ * the records they support. Metadata lives on the module's storage adapter;
+ * file contents live in a content store keyed by their SHA-256 hash (IndexedDB
+ * in the browser, a directory on disk in Node):
+ *
+ *   const documents = new AttachmentStore({ events, ledger, types: [
+ *       { id: 'invoice', label: 'Contractor invoice', accept: ['application/pdf', 'image/*'] },
+ *       { id: 'inspection-photo', label: 'Inspection photo', accept: ['image/*'], maxSizeMB: 10 }
+ *   ] });
+ *   const doc = await documents.upload({ content: file, name: 'invoice-114.pdf', type: 'invoice',
+ *                                        projectId: 'CPF-001', approvalId: 'APR-...' }, { userId: 'contractor_acme' });
+ *   await documents.getContent(doc.id);   // throws if the bytes no longer match
+ *   await documents.verify(doc.id);       // { valid, problems: ['content_changed', ...] }
+ *
+ * Every upload is published as DOCUMENT_UPLOADED with the content hash, so the
+ * ledger's hash chain pins what each document looked like when it was added:
+ * verify() compares the stored bytes with the metadata and with that entry.
+ * Removing a document hides it (DOCUMENT_REMOVED) but keeps it for audit.
+ *
+ * ApprovalEngine chains can name `requiredDocuments` types; with
+ * `documents: attachmentStore` the engine refuses approvals until a document of
+ * each type is linked to the approval or, unlinked to any approval, to its project.
+ */
+const attachmentStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const attachmentEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const attachmentHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+
+class AttachmentStore {
+    constructor(options = {}) {
+        this.documents = [];
+        this.types = {};
+        this.storageKey = options.storageKey || 'attachments';
+        this.storage = attachmentStorage.resolve(options);
+        this.content = options.content || AttachmentStore.defaultContentStore(options);
+        this.ledger = options.ledger || null;
+        this.events = options.events || null;
+        this.maxSizeMB = options.maxSizeMB || 25;
+        (options.types || []).forEach(type => this.defineType(type));
+        this.ready = this.load();
+    }
+
+    /**
+     * Register a document type
+     * @param {Object} type - { id, label, accept: ['application/pdf', 'image/*'], maxSizeMB }
+     */
+    defineType(type) {
+        if (!type.id) throw new Error('Document type requires an id');
+        this.types[type.id] = { label: type.id, accept: [], ...type };
+    }
+
+    getType(typeId) {
+        return this.types[typeId] || null;
+    }
+
+    /**
+     * Store a document and link it to a project (and optionally an approval or QA checkpoint)
+     * @param {Object} file - { content: Uint8Array | ArrayBuffer | Blob | string, name, type, mimeType,
+     *                         projectId, approvalId, checkpointId, itemId, description }
+     * @param {Object} options - { userId }
+     * @returns {Promise<Object>} Document metadata
+     */
+    async upload(file, options = {}) {
+        if (!file.name) throw AttachmentStore.error('missing_name', 'Document requires a name');
+        if (!file.projectId) throw AttachmentStore.error('missing_project', `${file.name} must be linked to a project`);
+        const bytes = await AttachmentStore.toBytes(file.content);
+        const mimeType = file.mimeType || file.content?.type || 'application/octet-stream';
+        this.checkFile(file.type, file.name, mimeType, bytes.length);
+
+        const hash = await attachmentHashing.digest(bytes);
+        const existing = await this.content.get(hash);
+        if (!existing) await this.content.put(hash, bytes);
+
+        const document = {
+            id: 'DOC-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            name: file.name,
+            type: file.type || null,
+            mimeType,
+            size: bytes.length,
+            hash,
+            projectId: file.projectId,
+            approvalId: file.approvalId || null,
+            checkpointId: file.checkpointId || null,
+            itemId: file.itemId || null,
+            description: file.description || '',
+            uploadedBy: options.userId || null,
+            uploadedAt: new Date().toISOString(),
+            removedAt: null
+        };
+        this.documents.push(document);
+
+        attachmentEvents.publish(this, 'DOCUMENT_UPLOADED', {
+            projectId: document.projectId,
+            userId: document.uploadedBy,
+            details: {
+                documentId: document.id,
+                name: document.name,
+                type: document.type,
+                mimeType,
+                size: document.size,
+                hash,
+                approvalId: document.approvalId,
+                checkpointId: document.checkpointId,
+                itemId: document.itemId
+            }
+        });
+        await this.save();
+        return { ...document };
+    }
+
+    get(documentId) {
+        const document = this.documents.find(d => d.id === documentId);
+        if (!document) throw AttachmentStore.error('not_found', `Document ${documentId} not found`);
+        return document;
+    }
+
+    /**
+     * @param {Object} filter - { projectId, approvalId, checkpointId, itemId, type, includeRemoved }
+     * @returns {Array} Documents, newest first
+     */
+    list(filter = {}) {
+        const { includeRemoved, ...fields } = filter;
+        return this.documents
+            .filter(d => includeRemoved || !d.removedAt)
+            .filter(d => Object.entries(fields).every(([key, value]) => value === undefined || d[key] === value))
+            .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+    }
+
+    /**
+     * Required document types with nothing to show for them. A document counts when it is
+     * linked to the approval (or checkpoint), or to the project without an approval.
+     * @param {Array} types - Document type ids
+     * @param {Object} scope - { projectId, approvalId, checkpointId }
+     * @returns {Array} Missing type ids
+     */
+    missingTypes(types, scope = {}) {
+        const linked = this.list({ projectId: scope.projectId }).filter(d =>
+            (scope.approvalId && d.approvalId === scope.approvalId) ||
+            (scope.checkpointId && d.checkpointId === scope.checkpointId) ||
+            (!d.approvalId && !d.checkpointId)
+        );
+        return types.filter(type => !linked.some(d => d.type === type));
+    }
+
+    /**
+     * Read a document's bytes, checking them against the recorded hash
+     * @param {string} documentId
+     * @returns {Promise<Uint8Array>}
+     */
+    async getContent(documentId) {
+        const document = this.get(documentId);
+        const bytes = await this.content.get(document.hash);
+        if (!bytes) throw AttachmentStore.error('content_missing', `The file for ${document.name} is missing`);
+        if (await attachmentHashing.digest(bytes) !== document.hash) {
+            throw AttachmentStore.error('content_changed', `${document.name} has changed since it was uploaded`);
+        }
+        return bytes;
+    }
+
+    /**
+     * Check a document's bytes against its metadata and the ledger entry for its upload
+     * @param {string} documentId
+     * @returns {Promise<Object>} { documentId, name, valid, hash, problems: ['content_missing' | 'content_changed' | 'not_in_ledger' | 'hash_mismatch'] }
+     */
+    async verify(documentId) {
+        const document = this.get(documentId);
+        const problems = [];
+
+        const bytes = await this.content.get(document.hash);
+        if (!bytes) {
+            problems.push('content_missing');
+        } else if (await attachmentHashing.digest(bytes) !== document.hash) {
+            problems.push('content_changed');
+        }
+
+        if (this.ledger) {
+            const entry = this.ledger.getAll().find(e => e.action === 'DOCUMENT_UPLOADED' && e.details && e.details.documentId === documentId);
+            if (!entry) problems.push('not_in_ledger');
+            else if (entry.details.hash !== document.hash) problems.push('hash_mismatch');
+        }
+
+        return { documentId, name: document.name, valid: problems.length === 0, hash: document.hash, problems };
+    }
+
+    /**
+     * Verify every document, optionally for one project
+     * @param {Object} filter - As list()
+     * @returns {Promise<Array>} Results from verify()
+     */
+    verifyAll(filter = {}) {
+        return Promise.all(this.list({ includeRemoved: true, ...filter }).map(d => this.verify(d.id)));
+    }
+
+    /**
+     * Hide a document; its metadata and content are kept for audit
+     * @param {string} documentId
+     * @param {Object} options - { userId, reason }
+     */
+    remove(documentId, options = {}) {
+        const document = this.get(documentId);
+        if (document.removedAt) return document;
+        Object.assign(document, {
+            removedAt: new Date().toISOString(),
+            removedBy: options.userId || null,
+            removeReason: options.reason || ''
+        });
+        attachmentEvents.publish(this, 'DOCUMENT_REMOVED', {
+            projectId: document.projectId,
+            userId: document.removedBy,
+            details: { documentId, name: document.name, type: document.type, hash: document.hash, reason: document.removeReason }
+        });
+        this.save();
+        return document;
+    }
+
+    /**
+     * Check someone's edited copy of the document index against the stored
+     * one, as `userId` (for ApiServer, where the tracker saves the whole
+     * index). A new document is uploaded again in the user's name from the
+     * bytes already in the content store; after that it can only be removed,
+     * by the user. Documents stay in the index. The result must match the copy
+     * apart from timestamps.
+     * @param {Array} next - The edited index
+     * @param {Array} previous - The stored index
+     * @param {string} userId
+     * @returns {Promise<Array>} Problems
+     */
+    async verifyChanges(next, previous, userId) {
+        if (!Array.isArray(next)) return ['expected an array of documents'];
+        const stored = new Map((previous || []).map(document => [document.id, document]));
+        const kept = new Set(next.map(document => document.id));
+        const problems = Array.from(stored.keys()).filter(id => !kept.has(id)).map(id => `${id} was removed from the index`);
+
+        for (const document of next) {
+            const before = stored.get(document.id);
+            if (before && JSON.stringify(before) === JSON.stringify(document)) continue;
+            try {
+                await this.replayDocument(document, before || null, userId);
+            } catch (e) {
+                problems.push(`${document.id}: ${e.message}`);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Rebuild one edited document on a scratch store; throws when the user's upload or removal does not lead to it
+     * @private
+     */
+    async replayDocument(document, before, userId) {
+        const scratch = new AttachmentStore({
+            storage: new attachmentStorage.Memory(),
+            content: this.content,
+            types: Object.values(this.types),
+            maxSizeMB: this.maxSizeMB
+        });
+        if (before) {
+            const fixed = value => JSON.stringify(Object.entries(value).filter(([field]) => !AttachmentStore.REMOVAL_FIELDS.includes(field)));
+            if (fixed(before) !== fixed(document)) throw new Error('only the removal of a document can be recorded');
+            scratch.documents = [JSON.parse(JSON.stringify(before))];
+        } else {
+            if (document.uploadedBy !== userId) throw new Error(`an upload by ${document.uploadedBy} cannot be recorded by ${userId}`);
+            const bytes = await this.content.get(document.hash);
+            if (!bytes) throw new Error(`the file for ${document.name} has not been uploaded`);
+            const { name, type, mimeType, projectId, approvalId, checkpointId, itemId, description } = document;
+            await scratch.upload({ content: bytes, name, type, mimeType, projectId, approvalId, checkpointId, itemId, description }, { userId });
+            scratch.documents[0].id = document.id;
+        }
+
+        if (document.removedAt && !scratch.documents[0].removedAt) {
+            if (document.removedBy !== userId) throw new Error(`a removal by ${document.removedBy} cannot be recorded by ${userId}`);
+            scratch.remove(document.id, { userId, reason: document.removeReason });
+        }
+        if (AttachmentStore.withoutTimes(scratch.documents[0]) !== AttachmentStore.withoutTimes(document)) {
+            throw new Error('does not match what its upload and removal lead to');
+        }
+    }
+
+    /**
+     * @private
+     */
+    checkFile(typeId, name, mimeType, size) {
+        const type = typeId ? this.getType(typeId) : null;
+        if (typeId && Object.keys(this.types).length > 0 && !type) {
+            throw AttachmentStore.error('unknown_type', `Unknown document type ${typeId}`);
+        }
+        const maxSizeMB = (type && type.maxSizeMB) || this.maxSizeMB;
+        if (size > maxSizeMB * 1024 * 1024) {
+            throw AttachmentStore.error('too_large', `${name} is larger than ${maxSizeMB} MB`);
+        }
+        if (type && type.accept.length > 0 && !type.accept.some(pattern => AttachmentStore.matchesMime(pattern, mimeType))) {
+            throw AttachmentStore.error('file_type_not_allowed', `${type.label} must be ${type.accept.join(' or ')}, not ${mimeType}`);
+        }
+    }
+
+    save() {
+        return attachmentStorage.write(this.storage, this.storageKey, this.documents, 'document index');
+    }
+
+    load() {
+        return attachmentStorage.read(this.storage, this.storageKey, data => { this.documents = data || []; }, 'document index');
+    }
+
+    /**
+     * IndexedDB in the browser, a directory in Node, otherwise memory
+     * @param {Object} options - { directory, dbName }
+     */
+    static defaultContentStore(options = {}) {
+        if (typeof indexedDB !== 'undefined') return new IndexedDBContentStore({ dbName: options.dbName });
+        if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+            return new FileContentStore({ directory: options.directory });
+        }
+        return new MemoryContentStore();
+    }
+
+    static async toBytes(content) {
+        if (content === undefined || content === null) throw AttachmentStore.error('missing_content', 'Document has no content');
+        if (typeof content === 'string') return attachmentHashing.toBytes(content);
+        if (content instanceof Uint8Array) return content;
+        if (content instanceof ArrayBuffer) return new Uint8Array(content);
+        if (typeof content.arrayBuffer === 'function') return new Uint8Array(await content.arrayBuffer());
+        throw AttachmentStore.error('missing_content', 'Document content must be bytes, a Blob or a string');
+    }
+
+    /**
+     * Canonical JSON of a document's metadata with its timestamps left out
+     * @private
+     */
+    static withoutTimes(value) {
+        return JSON.stringify(Object.fromEntries(Object.keys(value).sort()
+            .filter(key => !['uploadedAt', 'removedAt'].includes(key) && value[key] !== undefined)
+            .map(key => [key, value[key]])));
+    }
+
+    static matchesMime(pattern, mimeType) {
+        return pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : pattern === mimeType;
+    }
+
+    static error(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+/**
+ * Content stores hold file bytes by SHA-256 hash:
+ *   put(hash, bytes), get(hash) -> bytes | undefined, remove(hash)   (all Promises)
+ */
+class MemoryContentStore {
+    constructor() {
+        this.files = new Map();
+    }
+
+    async put(hash, bytes) {
+        this.files.set(hash, new Uint8Array(bytes));
+    }
+
+    async get(hash) {
+        const bytes = this.files.get(hash);
+        return bytes ? new Uint8Array(bytes) : undefined;
+    }
+
+    async remove(hash) {
+        this.files.delete(hash);
+    }
+}
+
+/**
+ * Browser content store on its own IndexedDB database
+ */
+class IndexedDBContentStore {
+    constructor(options = {}) {
+        this.adapter = new attachmentStorage.IndexedDB({
+            dbName: options.dbName || 'project-tracking-documents',
+            storeName: 'files',
+            indexedDB: options.indexedDB
+        });
+    }
+
+    put(hash, bytes) {
+        return this.adapter.set(hash, new Uint8Array(bytes));
+    }
+
+    get(hash) {
+        return this.adapter.get(hash).then(bytes => bytes ? new Uint8Array(bytes) : undefined);
+    }
+
+    remove(hash) {
+        return this.adapter.remove(hash);
+    }
+}
+
+/**
+ * Node content store - one file per hash in a directory
+ */
+class FileContentStore {
+    constructor(options = {}) {
+        this.fs = require('fs');
+        this.path = require('path');
+        this.directory = options.directory || this.path.join(process.cwd(), 'data', 'documents');
+    }
+
+    async put(hash, bytes) {
+        // Write-then-rename so a crash never leaves a half-written file
+        this.fs.mkdirSync(this.directory, { recursive: true });
+        const file = this.fileFor(hash);
+        const temp = file + '.' + process.pid + '.tmp';
+        this.fs.writeFileSync(temp, bytes);
+        this.fs.renameSync(temp, file);
+    }
+
+    async get(hash) {
+        const file = this.fileFor(hash);
+        if (!this.fs.existsSync(file)) return undefined;
+        return new Uint8Array(this.fs.readFileSync(file));
+    }
+
+    async remove(hash) {
+        const file = this.fileFor(hash);
+        if (this.fs.existsSync(file)) this.fs.unlinkSync(file);
+    }
+
+    /**
+     * @private
+     */
+    fileFor(hash) {
+        if (!attachmentHashing.isSha256(hash)) throw new Error(`Invalid content hash ${hash}`);
+        return this.path.join(this.directory, hash);
+    }
+}
+
+/**
+ * Content store on an ApiServer (`client` is an ApiServer.Client); the server
+ * keeps files and only returns them to users who can see a project they belong to
+ */
+class RemoteContentStore {
+    constructor(options = {}) {
+        if (!options.client) throw new Error('Remote content store requires an API client');
+        this.client = options.client;
+    }
+
+    async put(hash, bytes) {
+        await this.client.request('PUT', '/api/documents/' + hash, new Uint8Array(bytes));
+    }
+
+    async get(hash) {
+        try {
+            return await this.client.request('GET', '/api/documents/' + hash, undefined, { binary: true });
+        } catch (e) {
+            if (e.status === 404) return undefined;
+            throw e;
+        }
+    }
+
+    // Removed documents are kept for audit, so the server never deletes files
+    async remove(hash) {}
+}
+
+AttachmentStore.REMOVAL_FIELDS = ['removedAt', 'removedBy', 'removeReason'];
+AttachmentStore.Memory = MemoryContentStore;
+AttachmentStore.IndexedDB = IndexedDBContentStore;
+AttachmentStore.Files = FileContentStore;
+AttachmentStore.Remote = RemoteContentStore;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttachmentStore;
+}
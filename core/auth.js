@@ -0,0 +1,586 @@
+/**
+ * AuthManager - User Directory, Sign-In and Sessions
+ *
+ * Keeps the people who use the tracker - each one an RBAC user - with their
+ * roles, and signs them in through pluggable authentication providers:
+ *
+ *   const auth = new AuthManager({ rbac, events, idleTimeoutMinutes: 30 });
+ *   await auth.addUser({ id: 'finance_sarah', name: 'Sarah Finance', email: 'sarah@example.org',
+ *                        roles: ['finance'], password: 'correct horse battery' });
+ *   const session = await auth.login('local', { login: 'sarah@example.org', password: '...' });
+ *   auth.getSession();   // null once it has timed out
+ *
+ * Passwords are stored as salted PBKDF2-SHA256 hashes. A provider is any
+ * object with { id, label, authenticate(credentials, auth) -> Promise<{ userId }> };
+ * 'local' (directory passwords) is always registered. AuthManager.LocalOIDC is
+ * a stand-in identity provider that issues and checks signed ID tokens, so the
+ * single sign-on path can be exercised without an external IdP.
+ *
+ * Sessions end after `idleTimeoutMinutes` without activity (see touch()) or
+ * `maxSessionHours` after sign-in. Sign-ins, failed attempts, sign-outs,
+ * expired sessions and directory changes are published as USER_* / SESSION_*
+ * events; the signed-in user becomes the actor on `events`.
+ */
+const authStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const authEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const authHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+
+class AuthManager {
+    constructor(options = {}) {
+        this.users = [];
+        this.session = null;
+        this.providers = {};
+        this.storageKey = options.storageKey || 'auth';
+        this.storage = authStorage.resolve(options);
+        this.rbac = options.rbac || null;
+        this.ledger = options.ledger || null;
+        this.events = options.events || null;
+        this.idleTimeoutMinutes = options.idleTimeoutMinutes || 30;
+        this.maxSessionHours = options.maxSessionHours || 12;
+        this.passwordIterations = options.passwordIterations || 100000;
+        this.minPasswordLength = options.minPasswordLength || 8;
+        this.registerProvider(new LocalPasswordProvider());
+        (options.providers || []).forEach(provider => this.registerProvider(provider));
+        this.ready = this.load();
+    }
+
+    registerProvider(provider) {
+        if (!provider.id || typeof provider.authenticate !== 'function') {
+            throw new Error('Authentication provider requires an id and authenticate()');
+        }
+        this.providers[provider.id] = provider;
+    }
+
+    getProvider(providerId) {
+        return this.providers[providerId] || null;
+    }
+
+    /**
+     * Add a user to the directory and give them their RBAC roles
+     * @param {Object} user - { id, name, email, roles, password, mustChangePassword, oidcSubject }
+     * @param {Object} options - { userId: who added them }
+     * @returns {Promise<Object>} The user (without password hash)
+     */
+    async addUser(user, options = {}) {
+        if (!user.id) throw new Error('User requires an id');
+        if (this.getUser(user.id)) throw new Error(`User ${user.id} already exists`);
+        if (user.email && this.findUser(user.email)) throw new Error(`${user.email} is already in use`);
+        if (user.password) this.checkPasswordLength(user.password);
+
+        const record = {
+            id: user.id,
+            name: user.name || user.id,
+            email: user.email || null,
+            roles: (user.roles || []).slice(),
+            oidcSubject: user.oidcSubject || null,
+            disabled: false,
+            mustChangePassword: !!user.mustChangePassword,
+            password: user.password ? await this.hashPassword(user.password) : null,
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+        this.users.push(record);
+        record.roles.forEach(role => this.rbac && this.rbac.assignRole(record.id, role));
+        this.save();
+
+        authEvents.publish(this, 'USER_CREATED', {
+            projectId: null,
+            userId: options.userId || 'system',
+            details: { user: record.id, roles: record.roles }
+        });
+        return AuthManager.publicUser(record);
+    }
+
+    /**
+     * Change a user's name, email, roles or disabled flag
+     * @param {string} userId
+     * @param {Object} changes - { name, email, roles, disabled, oidcSubject }
+     * @param {Object} options - { userId: who changed them }
+     * @returns {Object} The user (without password hash)
+     */
+    updateUser(userId, changes, options = {}) {
+        const user = this.requireUser(userId);
+        if (changes.email && changes.email !== user.email) {
+            const existing = this.findUser(changes.email);
+            if (existing && existing.id !== userId) throw new Error(`${changes.email} is already in use`);
+        }
+
+        const before = { roles: user.roles.slice(), disabled: user.disabled };
+        ['name', 'email', 'oidcSubject', 'disabled'].forEach(field => {
+            if (changes[field] !== undefined) user[field] = changes[field];
+        });
+        if (changes.roles) {
+            user.roles.filter(role => !changes.roles.includes(role)).forEach(role => this.rbac && this.rbac.removeRole(userId, role));
+            changes.roles.filter(role => !user.roles.includes(role)).forEach(role => this.rbac && this.rbac.assignRole(userId, role));
+            user.roles = changes.roles.slice();
+        }
+        // Disabling someone signs them out
+        if (user.disabled && this.session && this.session.userId === userId) this.endSession('USER_LOGOUT', 'account_disabled');
+        this.save();
+
+        authEvents.publish(this, 'USER_UPDATED', {
+            projectId: null,
+            userId: options.userId || 'system',
+            details: { user: userId, changed: Object.keys(changes), before, after: { roles: user.roles, disabled: user.disabled } }
+        });
+        return AuthManager.publicUser(user);
+    }
+
+    /**
+     * Set a user's password
+     * @param {string} userId
+     * @param {string} password
+     * @param {Object} options - { userId: who set it, mustChangePassword: make them pick a new one at next sign-in }
+     * @returns {Promise}
+     */
+    async setPassword(userId, password, options = {}) {
+        const user = this.requireUser(userId);
+        this.checkPasswordLength(password);
+        user.password = await this.hashPassword(password);
+        user.mustChangePassword = !!options.mustChangePassword;
+        this.save();
+
+        authEvents.publish(this, 'USER_UPDATED', {
+            projectId: null,
+            userId: options.userId || userId,
+            details: { user: userId, changed: ['password'], mustChangePassword: user.mustChangePassword }
+        });
+    }
+
+    /**
+     * A user replacing their own password, which they must know
+     * @param {string} userId
+     * @param {string} currentPassword
+     * @param {string} password
+     * @returns {Promise}
+     */
+    async changePassword(userId, currentPassword, password) {
+        this.requireUser(userId);
+        if (!(await this.verifyPassword(userId, currentPassword))) {
+            const err = new Error('The current password is not correct');
+            err.reason = 'wrong_password';
+            throw err;
+        }
+        if (password === currentPassword) {
+            const err = new Error('Choose a password different from the current one');
+            err.reason = 'weak_password';
+            throw err;
+        }
+        return this.setPassword(userId, password, { userId });
+    }
+
+    /**
+     * Check a password against a user's stored hash
+     * @param {string} userId
+     * @param {string} password
+     * @returns {Promise<boolean>}
+     */
+    async verifyPassword(userId, password) {
+        const user = this.getUser(userId);
+        if (!user || !user.password || typeof password !== 'string') return false;
+        const { salt, iterations, hash } = user.password;
+        return authHashing.timingSafeEqual(await authHashing.pbkdf2(password, salt, iterations), hash);
+    }
+
+    getUser(userId) {
+        return this.users.find(u => u.id === userId) || null;
+    }
+
+    /**
+     * Look a user up by id or email (case-insensitive)
+     * @param {string} login
+     * @returns {Object|null}
+     */
+    findUser(login) {
+        const needle = String(login || '').trim().toLowerCase();
+        if (!needle) return null;
+        return this.users.find(u => u.id.toLowerCase() === needle || (u.email && u.email.toLowerCase() === needle)) || null;
+    }
+
+    getUsers() {
+        return this.users.map(AuthManager.publicUser);
+    }
+
+    /**
+     * Authenticate through a provider and start a session
+     * @param {string} providerId - 'local' or a registered provider
+     * @param {Object} credentials - Provider-specific, e.g. { login, password } or { idToken }
+     * @returns {Promise<Object>} The session
+     */
+    async login(providerId, credentials = {}) {
+        const user = await this.authenticate(providerId, credentials);
+        return this.createSession(user.id, providerId);
+    }
+
+    /**
+     * Check credentials without starting a session (ApiServer issues its own
+     * per-client sessions). Failures are published as USER_LOGIN_FAILED.
+     * @param {string} providerId
+     * @param {Object} credentials
+     * @returns {Promise<Object>} The user (without password hash)
+     */
+    async authenticate(providerId, credentials = {}) {
+        const provider = this.getProvider(providerId);
+        const fail = (reason, message, userId = null) => {
+            authEvents.publish(this, 'USER_LOGIN_FAILED', {
+                projectId: null,
+                userId: userId || 'anonymous',
+                details: { provider: providerId, login: credentials.login || null, reason }
+            });
+            const err = new Error(message);
+            err.reason = reason;
+            return err;
+        };
+
+        if (!provider) throw fail('unknown_provider', `Sign-in provider ${providerId} is not configured`);
+
+        let result;
+        try {
+            result = await provider.authenticate(credentials, this);
+        } catch (e) {
+            throw fail(e.reason || 'invalid_credentials', e.message, e.userId);
+        }
+        const user = result && this.getUser(result.userId);
+        if (!user) throw fail('unknown_user', 'No tracker account matches this sign-in');
+        if (user.disabled) throw fail('account_disabled', 'This account is disabled', user.id);
+
+        return AuthManager.publicUser(user);
+    }
+
+    /**
+     * Start a session for a user who has already been authenticated
+     * @param {string} userId
+     * @param {string} providerId
+     * @returns {Object} The session
+     */
+    createSession(userId, providerId = 'local') {
+        const user = this.requireUser(userId);
+        if (this.session) this.endSession('USER_LOGOUT', 'new_sign_in');
+
+        const now = new Date();
+        this.session = {
+            id: 'SES-' + AuthManager.randomHex(12),
+            userId,
+            provider: providerId,
+            createdAt: now.toISOString(),
+            lastActiveAt: now.toISOString(),
+            expiresAt: this.sessionExpiry(now, now).toISOString()
+        };
+        user.lastLoginAt = now.toISOString();
+        this.applyActor(userId);
+        this.save();
+
+        authEvents.publish(this, 'USER_LOGIN', {
+            projectId: null,
+            userId,
+            details: { provider: providerId, sessionId: this.session.id, mustChangePassword: user.mustChangePassword }
+        });
+        return { ...this.session };
+    }
+
+    /**
+     * Take over a session another AuthManager started, e.g. the one a tracker
+     * server issued at sign-in. The sign-in was recorded where it happened.
+     * @param {Object} session - { id, userId, provider, createdAt, lastActiveAt, expiresAt }
+     * @returns {Object} The session
+     */
+    adoptSession(session) {
+        this.requireUser(session.userId);
+        this.session = { ...session };
+        this.applyActor(session.userId);
+        this.save();
+        return { ...this.session };
+    }
+
+    /**
+     * The current session, or null when there is none or it has timed out
+     * @param {Date} now
+     * @returns {Object|null}
+     */
+    getSession(now = new Date()) {
+        if (!this.session) return null;
+        const user = this.getUser(this.session.userId);
+        if (!user || user.disabled) {
+            this.endSession('USER_LOGOUT', 'account_disabled');
+            return null;
+        }
+        if (new Date(this.session.expiresAt) <= now) {
+            this.endSession('SESSION_EXPIRED', 'timeout');
+            return null;
+        }
+        this.applyActor(this.session.userId);
+        return { ...this.session };
+    }
+
+    getCurrentUser(now = new Date()) {
+        const session = this.getSession(now);
+        return session ? AuthManager.publicUser(this.getUser(session.userId)) : null;
+    }
+
+    /**
+     * Record activity, pushing the idle timeout back
+     * @param {Date} now
+     * @returns {boolean} False when there is no live session
+     */
+    touch(now = new Date()) {
+        if (!this.getSession(now)) return false;
+        this.session.lastActiveAt = now.toISOString();
+        this.session.expiresAt = this.sessionExpiry(new Date(this.session.createdAt), now).toISOString();
+        this.save();
+        return true;
+    }
+
+    logout() {
+        if (this.session) this.endSession('USER_LOGOUT', 'signed_out');
+    }
+
+    /**
+     * @private
+     */
+    endSession(type, reason) {
+        const session = this.session;
+        this.session = null;
+        this.applyActor(null);
+        this.save();
+        authEvents.publish(this, type, {
+            projectId: null,
+            userId: session.userId,
+            details: { provider: session.provider, sessionId: session.id, reason, lastActiveAt: session.lastActiveAt }
+        });
+    }
+
+    /**
+     * Idle timeout, capped at the absolute session length
+     * @param {Date} createdAt
+     * @param {Date} lastActiveAt
+     * @returns {Date}
+     */
+    sessionExpiry(createdAt, lastActiveAt) {
+        const idle = lastActiveAt.getTime() + this.idleTimeoutMinutes * 60 * 1000;
+        const max = createdAt.getTime() + this.maxSessionHours * 60 * 60 * 1000;
+        return new Date(Math.min(idle, max));
+    }
+
+    /**
+     * @private
+     */
+    applyActor(userId) {
+        if (this.rbac) this.rbac.setCurrentUser(userId);
+        if (this.events) this.events.setActor(userId);
+    }
+
+    /**
+     * @private
+     */
+    async hashPassword(password) {
+        const salt = AuthManager.randomHex(16);
+        const iterations = this.passwordIterations;
+        return { algorithm: 'pbkdf2-sha256', iterations, salt, hash: await authHashing.pbkdf2(password, salt, iterations) };
+    }
+
+    /**
+     * @private
+     */
+    checkPasswordLength(password) {
+        if (!password || password.length < this.minPasswordLength) {
+            const err = new Error(`Passwords must be at least ${this.minPasswordLength} characters`);
+            err.reason = 'weak_password';
+            throw err;
+        }
+    }
+
+    /**
+     * @private
+     */
+    requireUser(userId) {
+        const user = this.getUser(userId);
+        if (!user) throw new Error(`User ${userId} does not exist`);
+        return user;
+    }
+
+    save() {
+        return Promise.all([
+            authStorage.write(this.storage, this.storageKey + '_users', this.users, 'user directory'),
+            this.session
+                ? authStorage.write(this.storage, this.storageKey + '_session', this.session, 'session')
+                : authStorage.remove(this.storage, this.storageKey + '_session', 'session')
+        ]);
+    }
+
+    load() {
+        return Promise.all([
+            authStorage.read(this.storage, this.storageKey + '_users', data => { this.users = data || []; }, 'user directory'),
+            authStorage.read(this.storage, this.storageKey + '_session', data => { this.session = data || null; }, 'session')
+        ]);
+    }
+
+    /**
+     * User record without the password hash
+     */
+    static publicUser(user) {
+        const { password, ...rest } = user;
+        return { ...rest, roles: user.roles.slice(), hasPassword: !!password };
+    }
+
+    static randomHex(bytes) {
+        const out = new Uint8Array(bytes);
+        if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues) {
+            globalThis.crypto.getRandomValues(out);
+        } else {
+            out.set(require('crypto').randomBytes(bytes));
+        }
+        return Array.from(out, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    static base64url(text) {
+        return AuthManager.base64urlBinary(unescape(encodeURIComponent(text)));
+    }
+
+    static base64urlBinary(binary) {
+        const encoded = typeof btoa === 'function' ? btoa(binary) : Buffer.from(binary, 'binary').toString('base64');
+        return encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64url(encoded) {
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = typeof atob === 'function' ? atob(base64) : Buffer.from(base64, 'base64').toString('binary');
+        return decodeURIComponent(escape(binary));
+    }
+}
+
+/**
+ * Directory passwords: { login: user id or email, password }
+ */
+class LocalPasswordProvider {
+    constructor(options = {}) {
+        this.id = options.id || 'local';
+        this.label = options.label || 'Email and password';
+    }
+
+    async authenticate(credentials, auth) {
+        const user = auth.findUser(credentials.login);
+        // Same answer for unknown users and wrong passwords
+        if (!user || !(await auth.verifyPassword(user.id, credentials.password))) {
+            const err = new Error('Email or password is incorrect');
+            err.reason = 'invalid_credentials';
+            err.userId = user ? user.id : null;
+            throw err;
+        }
+        return { userId: user.id };
+    }
+}
+
+/**
+ * Stand-in OpenID Connect identity provider for local testing. authorize()
+ * plays the IdP's sign-in page and returns an HS256 ID token; authenticate()
+ * checks it the way a relying party would (signature, issuer, audience,
+ * expiry) and maps its subject or email to a directory user. A production
+ * provider keeps authenticate({ idToken }) and verifies against the IdP's keys.
+ *
+ *   const idp = new AuthManager.LocalOIDC({ secret, accounts: [{ sub: '1001', email: 'sarah@example.org' }] });
+ *   auth.registerProvider(idp);
+ *   await auth.login('oidc', { idToken: idp.authorize('sarah@example.org') });
+ */
+class LocalOIDCProvider {
+    constructor(options = {}) {
+        if (!options.secret) throw new Error('LocalOIDC provider requires a signing secret');
+        this.id = options.id || 'oidc';
+        this.label = options.label || 'Single sign-on';
+        this.issuer = options.issuer || 'https://idp.localhost';
+        this.clientId = options.clientId || 'project-tracker';
+        this.secret = options.secret;
+        this.tokenMinutes = options.tokenMinutes || 5;
+        this.accounts = options.accounts || [];
+    }
+
+    /**
+     * Issue an ID token for an IdP account
+     * @param {string} login - Account email or subject
+     * @param {Object} options - { now, audience, nonce }
+     * @returns {string} Signed JWT
+     */
+    authorize(login, options = {}) {
+        const needle = String(login || '').trim().toLowerCase();
+        const account = this.accounts.find(a => String(a.sub).toLowerCase() === needle || (a.email && a.email.toLowerCase() === needle));
+        if (!account) {
+            const err = new Error(`${login} has no account at ${this.issuer}`);
+            err.reason = 'invalid_credentials';
+            throw err;
+        }
+        const iat = Math.floor((options.now ? new Date(options.now) : new Date()).getTime() / 1000);
+        return this.sign({
+            iss: this.issuer,
+            aud: options.audience || this.clientId,
+            sub: String(account.sub),
+            email: account.email || null,
+            name: account.name || null,
+            iat,
+            exp: iat + this.tokenMinutes * 60,
+            ...(options.nonce ? { nonce: options.nonce } : {})
+        });
+    }
+
+    async authenticate(credentials, auth) {
+        const claims = this.verify(credentials.idToken, credentials);
+        const user = auth.users.find(u => u.oidcSubject === claims.sub)
+            || (claims.email ? auth.findUser(claims.email) : null);
+        if (!user) {
+            const err = new Error(`${claims.email || claims.sub} does not have a tracker account`);
+            err.reason = 'unknown_user';
+            throw err;
+        }
+        return { userId: user.id, claims };
+    }
+
+    /**
+     * Check an ID token and return its claims
+     * @param {string} idToken
+     * @param {Object} options - { now, nonce }
+     * @returns {Object} Claims
+     */
+    verify(idToken, options = {}) {
+        const invalid = message => {
+            const err = new Error(`ID token rejected: ${message}`);
+            err.reason = 'invalid_token';
+            return err;
+        };
+        const parts = String(idToken || '').split('.');
+        if (parts.length !== 3) throw invalid('malformed');
+
+        const expected = AuthManager.base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+        if (parts[0] !== expected || !authHashing.timingSafeEqual(parts[2], this.signature(`${parts[0]}.${parts[1]}`))) {
+            throw invalid('bad signature');
+        }
+
+        const claims = JSON.parse(AuthManager.fromBase64url(parts[1]));
+        const now = Math.floor((options.now ? new Date(options.now) : new Date()).getTime() / 1000);
+        if (claims.iss !== this.issuer) throw invalid(`issued by ${claims.iss}`);
+        if (claims.aud !== this.clientId) throw invalid(`issued for ${claims.aud}`);
+        if (!claims.exp || claims.exp <= now) throw invalid('expired');
+        if (options.nonce && claims.nonce !== options.nonce) throw invalid('nonce mismatch');
+        return claims;
+    }
+
+    /**
+     * @private
+     */
+    sign(claims) {
+        const body = `${AuthManager.base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${AuthManager.base64url(JSON.stringify(claims))}`;
+        return `${body}.${this.signature(body)}`;
+    }
+
+    /**
+     * @private
+     */
+    signature(body) {
+        const hex = authHashing.hmacSha256(this.secret, body);
+        return AuthManager.base64urlBinary(hex.match(/../g).map(byte => String.fromCharCode(parseInt(byte, 16))).join(''));
+    }
+}
+
+AuthManager.LocalPassword = LocalPasswordProvider;
+AuthManager.LocalOIDC = LocalOIDCProvider;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AuthManager;
+}
@@ -0,0 +1,437 @@
+/**
+ * BackupManager - Backup, Restore and Versioned Data Migrations
+ *
+ * Tracker state is spread over several storage keys (projects, ledger, RBAC,
+ * approvals, funding, QA...). The manager groups them into named sections
+ * and exports them as one bundle stamped with a schema version:
+ *
+ *   {
+ *       format: 'project-tracking-backup',
+ *       schemaVersion: 3,
+ *       exportedAt: '2025-11-02T17:04:11.201Z',
+ *       sections: { projects: ['cpf_projects_financial'], ledger: ['cpf_ledger_financial', ...] },
+ *       data: { cpf_projects_financial: [...], cpf_ledger_financial: [...] },
+ *       checksum: '9f2c...'          // SHA-256 of `data`
+ *   }
+ *
+ * Migrations are ordered steps `{ version, description, migrate(data) }` that
+ * bring data written at an older version (by an older copy of the app, or in
+ * an older backup) up to the current one; `data` maps storage key -> value.
+ * They run on imported bundles and, through migrateStorage(), on what is
+ * already in storage.
+ *
+ * Imports are validated, migrated and previewed as a per-key diff before
+ * anything is written. restore() replaces every key of the restored
+ * sections, reloads them and publishes DATA_RESTORED.
+ */
+const backupStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const backupEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const backupHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+
+class BackupManager {
+    /**
+     * @param {Object} options - {
+     *     storage, events, ledger, application,
+     *     sections: { name: { keys: { storageKey: 'array'|'object' }, validate(data) -> [message] | Promise, reload() } },
+     *     migrations: [{ version, description, migrate(data) }],
+     *     schemaVersion, versionKey
+     * }
+     */
+    constructor(options = {}) {
+        this.sections = options.sections || {};
+        this.migrations = (options.migrations || []).slice().sort((a, b) => a.version - b.version);
+        this.migrations.forEach((migration, idx) => {
+            if (idx > 0 && migration.version === this.migrations[idx - 1].version) {
+                throw new Error(`Duplicate migration for schema version ${migration.version}`);
+            }
+        });
+        this.schemaVersion = options.schemaVersion || Math.max(1, ...this.migrations.map(m => m.version));
+        this.application = options.application || null;
+        this.versionKey = options.versionKey || 'schema_version';
+        this.events = options.events || null;
+        this.ledger = options.ledger || null;
+        this.storage = backupStorage.resolve(options);
+    }
+
+    /**
+     * Read every section into a bundle
+     * @param {Object} options - { userId, sections: [names] to export a subset }
+     * @returns {Promise<Object>} The bundle
+     */
+    exportBundle(options = {}) {
+        const names = this.getSectionNames(options.sections);
+        return this.readKeys(this.getKeys(names), data => {
+            const bundle = {
+                format: BackupManager.FORMAT,
+                schemaVersion: this.schemaVersion,
+                application: this.application,
+                exportedAt: new Date().toISOString(),
+                exportedBy: options.userId || null,
+                sections: Object.fromEntries(names.map(name => [name, Object.keys(this.sections[name].keys)])),
+                data,
+                checksum: BackupManager.checksum(data)
+            };
+
+            backupEvents.publish(this, 'DATA_EXPORTED', {
+                userId: options.userId,
+                details: { schemaVersion: bundle.schemaVersion, sections: names, checksum: bundle.checksum }
+            });
+            return bundle;
+        });
+    }
+
+    /**
+     * Validate and migrate a bundle and diff it against what is stored.
+     * Nothing is written.
+     * @param {Object|string} input - Bundle or its JSON text
+     * @param {Object} options - { sections: [names] to restore a subset }
+     * @returns {Promise<Object>} { valid, errors, warnings, fromVersion, toVersion, migrations, exportedAt, sections, changes, data }
+     */
+    preview(input, options = {}) {
+        const errors = [];
+        const warnings = [];
+        const result = {
+            valid: false, errors, warnings,
+            fromVersion: null, toVersion: this.schemaVersion, migrations: [],
+            exportedAt: null, sections: {}, changes: { added: 0, removed: 0, changed: 0 }, data: null
+        };
+
+        const bundle = this.parseBundle(input, errors, warnings);
+        if (!bundle) return Promise.resolve(result);
+        result.fromVersion = bundle.schemaVersion;
+        result.exportedAt = bundle.exportedAt || null;
+
+        let migrated;
+        try {
+            migrated = this.migrate(bundle.data, bundle.schemaVersion);
+        } catch (e) {
+            errors.push(e.message);
+            return Promise.resolve(result);
+        }
+        result.migrations = migrated.applied;
+        result.data = migrated.data;
+
+        const names = this.getSectionNames(options.sections).filter(name => {
+            if (bundle.sections[name]) return true;
+            warnings.push(`Section ${name} is not in the backup and will be left unchanged`);
+            return false;
+        });
+        Object.keys(bundle.sections)
+            .filter(name => !this.sections[name])
+            .forEach(name => warnings.push(`Unknown section ${name} will be ignored`));
+
+        const checks = names.map(name => {
+            const section = this.sections[name];
+            const data = this.pick(migrated.data, Object.keys(section.keys));
+            Object.entries(section.keys).forEach(([key, type]) => {
+                const value = data[key];
+                if (value === undefined || !type) return;
+                if ((type === 'array') !== Array.isArray(value) || typeof value !== 'object' || value === null) {
+                    errors.push(`${name}: ${key} should be an ${type}`);
+                }
+            });
+            return Promise.resolve(section.validate ? section.validate(data) : [])
+                .then(messages => (messages || []).forEach(message => errors.push(`${name}: ${message}`)))
+                .catch(e => errors.push(`${name}: ${e.message}`));
+        });
+
+        return Promise.all(checks)
+            .then(() => this.readKeys(this.getKeys(names), current => current))
+            .then(current => {
+                names.forEach(name => {
+                    const keys = {};
+                    Object.keys(this.sections[name].keys).forEach(key => {
+                        const diff = BackupManager.diff(current[key], migrated.data[key]);
+                        keys[key] = diff;
+                        ['added', 'removed', 'changed'].forEach(change => { result.changes[change] += diff[change].length; });
+                    });
+                    result.sections[name] = {
+                        keys,
+                        changed: Object.values(keys).some(d => d.added.length || d.removed.length || d.changed.length)
+                    };
+                });
+                result.valid = errors.length === 0;
+                return result;
+            });
+    }
+
+    /**
+     * Replace the stored sections with a bundle's contents
+     * @param {Object|string} input - Bundle or its JSON text
+     * @param {Object} options - { userId, sections: [names], dryRun: true to only preview }
+     * @returns {Promise<Object>} The preview, plus { restored: [names] } when written
+     */
+    restore(input, options = {}) {
+        return this.preview(input, options).then(preview => {
+            if (!preview.valid) {
+                const error = new Error(`Backup cannot be restored: ${preview.errors.join('; ')}`);
+                error.reason = 'invalid_backup';
+                error.preview = preview;
+                throw error;
+            }
+            if (options.dryRun) return preview;
+
+            const names = Object.keys(preview.sections);
+            return this.commit(this.getKeys(names), preview.data, names, () => {
+                backupEvents.publish(this, 'DATA_RESTORED', {
+                    userId: options.userId,
+                    details: {
+                        sections: names,
+                        fromVersion: preview.fromVersion,
+                        toVersion: preview.toVersion,
+                        migrations: preview.migrations.map(m => m.version),
+                        exportedAt: preview.exportedAt,
+                        changes: preview.changes
+                    }
+                });
+                return { ...preview, restored: names };
+            });
+        });
+    }
+
+    /**
+     * Bring data already in storage up to the current schema version. Runs
+     * synchronously for sync adapters, so call it before reading app state.
+     * @param {Object} options - { userId }
+     * @returns {Promise<Object|null>} { fromVersion, toVersion, migrations }, or null if already current
+     */
+    migrateStorage(options = {}) {
+        const keys = this.getKeys(this.getSectionNames());
+        return this.readKeys([this.versionKey, ...keys], stored => {
+            const version = stored[this.versionKey];
+            delete stored[this.versionKey];
+
+            if (version === this.schemaVersion) return null;
+            if (version > this.schemaVersion) {
+                const error = new Error(`Stored data is at schema version ${version}, newer than this app supports (${this.schemaVersion})`);
+                error.reason = 'newer_schema';
+                throw error;
+            }
+            // Nothing stored yet: start at the current version
+            if (version === undefined && keys.every(key => stored[key] === undefined)) {
+                backupStorage.write(this.storage, this.versionKey, this.schemaVersion, 'schema version');
+                return null;
+            }
+
+            const fromVersion = version || 1;
+            const migrated = this.migrate(stored, fromVersion);
+            const present = keys.filter(key => migrated.data[key] !== undefined);
+            return this.commit(present, migrated.data, this.getSectionNames(), () => {
+                const summary = { fromVersion, toVersion: this.schemaVersion, migrations: migrated.applied };
+                backupEvents.publish(this, 'DATA_MIGRATED', { userId: options.userId, details: summary });
+                return summary;
+            });
+        });
+    }
+
+    /**
+     * Run the migrations after `fromVersion` on a copy of the data
+     * @param {Object} data - storage key -> value
+     * @param {number} fromVersion
+     * @returns {Object} { data, applied: [{ version, description }] }
+     */
+    migrate(data, fromVersion) {
+        const copy = JSON.parse(JSON.stringify(data || {}));
+        const applied = [];
+        this.migrations
+            .filter(m => m.version > fromVersion && m.version <= this.schemaVersion)
+            .forEach(migration => {
+                try {
+                    migration.migrate(copy);
+                } catch (e) {
+                    throw new Error(`Migration to schema version ${migration.version} failed: ${e.message}`);
+                }
+                applied.push({ version: migration.version, description: migration.description || '' });
+            });
+        return { data: copy, applied };
+    }
+
+    /**
+     * Parse and check the envelope of a bundle
+     * @private
+     */
+    parseBundle(input, errors, warnings) {
+        let bundle = input;
+        if (typeof input === 'string') {
+            try {
+                bundle = JSON.parse(input);
+            } catch (e) {
+                errors.push(`Backup is not valid JSON: ${e.message}`);
+                return null;
+            }
+        }
+
+        if (!bundle || bundle.format !== BackupManager.FORMAT || !bundle.data || !bundle.sections) {
+            errors.push('Not a tracker backup bundle');
+            return null;
+        }
+        if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+            errors.push(`Backup has an invalid schema version: ${bundle.schemaVersion}`);
+            return null;
+        }
+        if (bundle.schemaVersion > this.schemaVersion) {
+            errors.push(`Backup schema version ${bundle.schemaVersion} is newer than this app supports (${this.schemaVersion})`);
+            return null;
+        }
+        if (!bundle.checksum) {
+            warnings.push('Backup has no checksum; its contents cannot be checked for corruption');
+        } else if (bundle.checksum !== BackupManager.checksum(bundle.data)) {
+            errors.push('Backup contents do not match its checksum (edited or corrupted)');
+            return null;
+        }
+        if (this.application && bundle.application && bundle.application !== this.application) {
+            warnings.push(`Backup was exported from ${bundle.application}`);
+        }
+        return bundle;
+    }
+
+    /**
+     * @private
+     */
+    getSectionNames(names = null) {
+        return names ? names.filter(name => this.sections[name]) : Object.keys(this.sections);
+    }
+
+    /**
+     * @private
+     */
+    getKeys(names) {
+        return names.flatMap(name => Object.keys(this.sections[name].keys));
+    }
+
+    /**
+     * @private
+     */
+    pick(data, keys) {
+        return Object.fromEntries(keys.filter(key => data[key] !== undefined).map(key => [key, data[key]]));
+    }
+
+    /**
+     * Read keys into a { key: value } map and hand it to `apply`. Like
+     * StorageAdapter.read(), runs synchronously for sync adapters.
+     * @private
+     */
+    readKeys(keys, apply) {
+        return new Promise((resolve, reject) => {
+            const values = {};
+            let remaining = keys.length;
+            const finish = () => {
+                try {
+                    resolve(apply(values));
+                } catch (e) {
+                    reject(e);
+                }
+            };
+
+            if (remaining === 0) return finish();
+            keys.forEach(key => backupStorage.read(this.storage, key, value => {
+                if (value !== undefined) values[key] = value;
+                if (--remaining === 0) finish();
+            }, key));
+        });
+    }
+
+    /**
+     * Write the keys, reload the sections, then run `done`. Stays synchronous
+     * for sync adapters, whose module load() applies before returning.
+     * @private
+     */
+    commit(keys, data, names, done) {
+        const writes = this.writeKeys(keys, data).filter(result => result && typeof result.then === 'function');
+        if (writes.length === 0) {
+            this.reloadSections(names);
+            return done();
+        }
+        return Promise.all(writes)
+            .then(() => Promise.all(this.reloadSections(names)))
+            .then(done);
+    }
+
+    /**
+     * Write (or remove, when absent from `data`) each key, then stamp the
+     * schema version. Failures throw: a half-applied restore must not pass silently.
+     * @private
+     */
+    writeKeys(keys, data) {
+        const results = keys.map(key => data[key] === undefined
+            ? this.storage.remove(key)
+            : this.storage.set(key, data[key]));
+        results.push(this.storage.set(this.versionKey, this.schemaVersion));
+        return results;
+    }
+
+    /**
+     * @private
+     */
+    reloadSections(names) {
+        return names.map(name => this.sections[name].reload ? this.sections[name].reload() : null);
+    }
+
+    /**
+     * SHA-256 over a bundle's data
+     * @param {Object} data
+     * @returns {string}
+     */
+    static checksum(data) {
+        return backupHashing.sha256(JSON.stringify(data));
+    }
+
+    /**
+     * Compare two stored values record by record. Array items are matched by
+     * `id` (or position); objects by property, one level into nested arrays
+     * and objects (e.g. `commitments/COMMIT-...`, `roles/finance`).
+     * @param {*} current
+     * @param {*} incoming
+     * @returns {Object} { current, incoming, added: [ids], removed: [ids], changed: [ids], unchanged }
+     */
+    static diff(current, incoming) {
+        const before = BackupManager.records(current);
+        const after = BackupManager.records(incoming);
+        const added = Object.keys(after).filter(id => !(id in before));
+        const removed = Object.keys(before).filter(id => !(id in after));
+        const changed = Object.keys(after).filter(id => id in before && before[id] !== after[id]);
+        return {
+            current: Object.keys(before).length,
+            incoming: Object.keys(after).length,
+            added,
+            removed,
+            changed,
+            unchanged: Object.keys(after).length - added.length - changed.length
+        };
+    }
+
+    /**
+     * Flatten a stored value into { recordId: JSON }
+     * @private
+     */
+    static records(value, prefix = '', depth = 0) {
+        const records = {};
+        if (value === undefined || value === null) return records;
+
+        if (Array.isArray(value)) {
+            value.forEach((item, idx) => {
+                const id = item && typeof item === 'object' && item.id !== undefined ? item.id : '#' + idx;
+                records[prefix + id] = JSON.stringify(item);
+            });
+        } else if (typeof value === 'object' && depth === 0) {
+            Object.entries(value).forEach(([key, child]) => {
+                if (child && typeof child === 'object') {
+                    Object.assign(records, BackupManager.records(child, `${prefix}${key}/`, depth + 1));
+                } else {
+                    records[prefix + key] = JSON.stringify(child);
+                }
+            });
+        } else if (typeof value === 'object') {
+            Object.entries(value).forEach(([key, child]) => { records[prefix + key] = JSON.stringify(child); });
+        } else {
+            records[prefix || 'value'] = JSON.stringify(value);
+        }
+        return records;
+    }
+}
+
+BackupManager.FORMAT = 'project-tracking-backup';
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+}
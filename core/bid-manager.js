@@ -0,0 +1,370 @@
+/**
+ * BidManager - Contractor Registry, Line-Item Bids and Awards
+ *
+ * Bids live on the project (`project.bids`) so they travel with it; the
+ * manager keeps the contractor registry and the award history and does the
+ * checking, scoring and awarding:
+ *
+ *   {
+ *       id: 'BID-...',
+ *       contractorId: 'contractor_acme',
+ *       lineItems: [{ measure: 'Attic Insulation (R-38)', amount: 2600 }],
+ *       amount: 2600,                 // sum of line items
+ *       timelineDays: 14,
+ *       selected: false
+ *   }
+ *
+ * Contractors carry license and insurance expiry dates; a bid only qualifies
+ * while both are current and it prices every selected measure. Awarding any
+ * bid other than the lowest qualified one requires a written justification,
+ * which is published with the BID_AWARDED event.
+ */
+const bidStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const bidEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
+class BidManager {
+    constructor(options = {}) {
+        this.contractors = {};
+        this.awards = [];
+        this.events = options.events || null;
+        this.qaGates = options.qaGates || null;
+        this.measureLibrary = options.measureLibrary || [];   // an array of entries or a MeasureLibrary
+        this.scoring = {
+            weights: { price: 0.6, qaPassRate: 0.25, timeline: 0.15 },
+            defaultQaPassRate: 0.5,        // score for contractors with no inspection history
+            ...(options.scoring || {})
+        };
+        this.flagAboveTypical = options.flagAboveTypical || 1.5;
+        this.storageKey = options.storageKey || 'bid_data';
+        this.storage = bidStorage.resolve(options);
+        this.ready = this.load();
+        (options.contractors || []).forEach(contractor => this.registerContractor(contractor, { persist: false }));
+    }
+
+    /**
+     * Add or update a contractor
+     * @param {Object} contractor - { id, name, license: { number, expiresAt }, insurance: { carrier, expiresAt } }
+     * @param {Object} options - { persist: false to skip saving (config loaded at startup) }
+     */
+    registerContractor(contractor, options = {}) {
+        if (!contractor.id) throw new Error('Contractor requires an id');
+        this.contractors[contractor.id] = { name: contractor.id, license: null, insurance: null, ...contractor };
+        if (options.persist !== false) this.save();
+    }
+
+    getContractor(contractorId) {
+        return this.contractors[contractorId] || null;
+    }
+
+    getContractors() {
+        return Object.values(this.contractors);
+    }
+
+    /**
+     * License and insurance check
+     * @param {string} contractorId
+     * @param {Date} asOf
+     * @returns {Object} { ok, issues: [{ code, message }] }
+     */
+    checkContractor(contractorId, asOf = new Date()) {
+        const contractor = this.getContractor(contractorId);
+        if (!contractor) {
+            return { ok: false, issues: [{ code: 'unknown_contractor', message: `${contractorId || 'Contractor'} is not in the registry` }] };
+        }
+
+        const issues = [];
+        [['license', 'License'], ['insurance', 'Insurance']].forEach(([field, label]) => {
+            const record = contractor[field];
+            if (!record || !record.expiresAt) {
+                issues.push({ code: `${field}_missing`, message: `${label} not on file for ${contractor.name}` });
+            } else if (new Date(record.expiresAt) < asOf) {
+                issues.push({ code: `${field}_expired`, message: `${label} for ${contractor.name} expired ${record.expiresAt}` });
+            }
+        });
+        return { ok: issues.length === 0, issues };
+    }
+
+    /**
+     * Add a line-item bid to the project
+     * @param {Object} project
+     * @param {Object} bid - { contractorId, lineItems: [{ measure, amount }], timelineDays, notes, userId }
+     * @returns {Object} The stored bid
+     */
+    submitBid(project, bid) {
+        const contractor = this.getContractor(bid.contractorId);
+        if (!contractor) throw new Error(`Contractor ${bid.contractorId} is not in the registry`);
+        const lineItems = (bid.lineItems || [])
+            .map(item => ({ measure: item.measure, amount: Number(item.amount) || 0 }))
+            .filter(item => item.amount > 0);
+        if (lineItems.length === 0) throw new Error('A bid needs at least one priced line item');
+
+        const stored = {
+            id: 'BID-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            contractor: contractor.name,
+            contractorId: contractor.id,
+            lineItems,
+            amount: lineItems.reduce((sum, item) => sum + item.amount, 0),
+            timelineDays: bid.timelineDays ? Number(bid.timelineDays) : null,
+            notes: bid.notes || '',
+            selected: false,
+            submittedAt: new Date().toISOString()
+        };
+
+        project.bids = project.bids || [];
+        project.bids.push(stored);
+        bidEvents.publish(this, 'BID_SUBMITTED', {
+            projectId: project.id,
+            userId: bid.userId,
+            details: { bidId: stored.id, contractorId: stored.contractorId, amount: stored.amount, lineItems: lineItems.length }
+        });
+        return stored;
+    }
+
+    /**
+     * Line items priced well above the measure library's typical cost, and
+     * selected measures the bid leaves out
+     * @param {Object} project
+     * @param {Object} bid
+     * @returns {Array} [{ code: 'above_typical'|'missing_measure'|'lump_sum', measure, message }]
+     */
+    flagBid(project, bid) {
+        if (!bid.lineItems) {
+            return [{ code: 'lump_sum', measure: null, message: 'Lump-sum bid without line items' }];
+        }
+
+        const flags = [];
+        bid.lineItems.forEach(item => {
+            const reference = Array.isArray(this.measureLibrary)
+                ? this.measureLibrary.find(m => m.name === item.measure)
+                : this.measureLibrary.get(item.measure);
+            if (reference && reference.typicalCost && item.amount > reference.typicalCost * this.flagAboveTypical) {
+                const ratio = item.amount / reference.typicalCost;
+                flags.push({
+                    code: 'above_typical',
+                    measure: item.measure,
+                    amount: item.amount,
+                    typicalCost: reference.typicalCost,
+                    ratio: Math.round(ratio * 100) / 100,
+                    message: `${item.measure}: $${item.amount.toLocaleString()} is ${Math.round((ratio - 1) * 100)}% above the typical $${reference.typicalCost.toLocaleString()}`
+                });
+            }
+        });
+
+        (project.measures || []).filter(m => m.selected).forEach(measure => {
+            if (!bid.lineItems.some(item => item.measure === measure.name)) {
+                flags.push({ code: 'missing_measure', measure: measure.name, message: `${measure.name} is not priced` });
+            }
+        });
+        return flags;
+    }
+
+    /**
+     * Share of a contractor's inspections that passed, on projects they were awarded
+     * @param {string} contractorId
+     * @returns {number|null} 0-1, or null with no history
+     */
+    getQaPassRate(contractorId) {
+        if (!this.qaGates) return null;
+
+        const latest = {};
+        this.awards.forEach(award => { latest[award.projectId] = award; });
+        const attempts = Object.values(latest)
+            .filter(award => award.contractorId === contractorId)
+            .flatMap(award => this.qaGates.getHistory(award.projectId))
+            .filter(attempt => attempt.outcome === 'passed' || attempt.outcome === 'failed');
+
+        if (attempts.length === 0) return null;
+        return attempts.filter(attempt => attempt.outcome === 'passed').length / attempts.length;
+    }
+
+    /**
+     * Score and rank a project's bids. Each criterion scores 0-1 against the best
+     * qualified bid; the total is the weighted sum.
+     * @param {Object} project
+     * @param {Object} options - { asOf }
+     * @returns {Array} [{ bid, qualified, issues, flags, scores: { price, qaPassRate, timeline }, qaPassRate, total, rank }] best first
+     */
+    scoreBids(project, options = {}) {
+        const asOf = options.asOf ? new Date(options.asOf) : new Date();
+        const weights = this.scoring.weights;
+
+        const evaluated = (project.bids || []).map(bid => {
+            const check = bid.contractorId ? this.checkContractor(bid.contractorId, asOf) : { ok: false, issues: [{ code: 'unknown_contractor', message: `${bid.contractor} is not in the registry` }] };
+            const flags = this.flagBid(project, bid);
+            const issues = [...check.issues, ...flags.filter(f => f.code === 'missing_measure')];
+            return { bid, qualified: issues.length === 0 && bid.amount > 0, issues, flags };
+        });
+
+        const qualified = evaluated.filter(e => e.qualified);
+        const lowest = Math.min(...qualified.map(e => e.bid.amount));
+        const fastest = Math.min(...qualified.filter(e => e.bid.timelineDays).map(e => e.bid.timelineDays));
+
+        evaluated.forEach(e => {
+            const qaPassRate = e.bid.contractorId ? this.getQaPassRate(e.bid.contractorId) : null;
+            e.qaPassRate = qaPassRate;
+            e.scores = {
+                price: e.bid.amount > 0 && isFinite(lowest) ? Math.min(1, lowest / e.bid.amount) : 0,
+                qaPassRate: qaPassRate === null ? this.scoring.defaultQaPassRate : qaPassRate,
+                timeline: e.bid.timelineDays && isFinite(fastest) ? Math.min(1, fastest / e.bid.timelineDays) : 0
+            };
+            e.total = Object.entries(weights).reduce((sum, [criterion, weight]) => sum + weight * (e.scores[criterion] || 0), 0);
+            e.total = Math.round(e.total * 1000) / 1000;
+        });
+
+        // Qualified bids rank ahead of unqualified ones
+        evaluated.sort((a, b) => (b.qualified - a.qualified) || (b.total - a.total));
+        evaluated.forEach((e, idx) => { e.rank = idx + 1; });
+        return evaluated;
+    }
+
+    /**
+     * Cheapest bid that qualifies
+     * @returns {Object|null} The bid
+     */
+    getLowestQualifiedBid(project, options = {}) {
+        const qualified = this.scoreBids(project, options).filter(e => e.qualified);
+        if (qualified.length === 0) return null;
+        return qualified.reduce((best, e) => e.bid.amount < best.bid.amount ? e : best).bid;
+    }
+
+    /**
+     * Award a bid. Anything but the lowest qualified bid needs a justification.
+     * @param {Object} project - bids are updated in place
+     * @param {string} bidId
+     * @param {Object} options - { userId, justification, asOf }
+     * @returns {Object} The award record
+     */
+    award(project, bidId, options = {}) {
+        const scored = this.scoreBids(project, options);
+        const entry = scored.find(e => e.bid.id === bidId);
+        if (!entry) throw new Error(`Bid ${bidId} not found on ${project.id}`);
+
+        if (!entry.qualified) {
+            const error = new Error(`Bid from ${entry.bid.contractor} is not qualified: ${entry.issues.map(i => i.message).join('; ')}`);
+            error.reason = 'not_qualified';
+            throw error;
+        }
+
+        const lowest = this.getLowestQualifiedBid(project, options);
+        const isLowest = lowest.amount === entry.bid.amount;
+        const justification = (options.justification || '').trim();
+        if (!isLowest && !justification) {
+            const error = new Error(`A written justification is required: ${lowest.contractor} bid $${lowest.amount.toLocaleString()} (lowest qualified)`);
+            error.reason = 'justification_required';
+            throw error;
+        }
+
+        project.bids.forEach(bid => { bid.selected = bid.id === bidId; });
+
+        const award = {
+            projectId: project.id,
+            bidId,
+            contractorId: entry.bid.contractorId,
+            amount: entry.bid.amount,
+            lowestQualifiedBidId: lowest.id,
+            lowestQualifiedAmount: lowest.amount,
+            justification: isLowest ? null : justification,
+            score: entry.total,
+            rank: entry.rank,
+            awardedBy: options.userId || null,
+            awardedAt: new Date().toISOString()
+        };
+        this.awards.push(award);
+
+        bidEvents.publish(this, 'BID_AWARDED', {
+            projectId: project.id,
+            userId: options.userId,
+            details: {
+                bidId,
+                contractorId: award.contractorId,
+                amount: award.amount,
+                lowestQualified: isLowest,
+                lowestQualifiedBidId: lowest.id,
+                lowestQualifiedAmount: lowest.amount,
+                justification: award.justification,
+                score: entry.total,
+                rank: entry.rank,
+                flags: entry.flags.map(f => f.message)
+            }
+        });
+
+        this.save();
+        return award;
+    }
+
+    getAwards(projectId = null) {
+        return projectId ? this.awards.filter(a => a.projectId === projectId) : this.awards.slice();
+    }
+
+    /**
+     * Check someone's edited copy of the bid data against the stored one by
+     * replaying what changed, as `userId` (for ApiServer, where the tracker
+     * saves it whole). Contractors only come from configuration; awards are
+     * only added, must be the user's own and are made again in time order on
+     * the stored projects, so the bid must qualify and passing over the lowest
+     * qualified bid needs a justification. The result must match the copy apart
+     * from timestamps.
+     * @param {Object} next - The edited { contractors, awards }
+     * @param {Object} previous - The stored data
+     * @param {string} userId
+     * @param {Object} options - { projects: the stored projects, asOf }
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId, options = {}) {
+        if (!next || typeof next !== 'object' || Array.isArray(next)) return ['expected bid data'];
+        const before = { contractors: {}, awards: [], ...(previous || {}) };
+        const awards = next.awards || [];
+        const problems = [];
+
+        if (BidManager.withoutTimes(next.contractors || {}) !== BidManager.withoutTimes({ ...before.contractors, ...this.contractors })) {
+            problems.push('contractors are registered in configuration');
+        }
+        if (!before.awards.every((award, i) => JSON.stringify(awards[i]) === JSON.stringify(award))) {
+            return [...problems, 'recorded awards cannot be changed or removed'];
+        }
+
+        const scratch = new BidManager({ storage: new bidStorage.Memory(), qaGates: this.qaGates, measureLibrary: this.measureLibrary, scoring: this.scoring });
+        scratch.contractors = { ...before.contractors, ...this.contractors };
+        scratch.awards = JSON.parse(JSON.stringify(before.awards));
+        const projects = new Map();
+        awards.slice(before.awards.length)
+            .sort((a, b) => new Date(a.awardedAt) - new Date(b.awardedAt))
+            .forEach(award => {
+                try {
+                    if (award.awardedBy !== userId) throw new Error(`an award by ${award.awardedBy} cannot be recorded by ${userId}`);
+                    if (!projects.has(award.projectId)) {
+                        const project = (options.projects || []).find(p => p.id === award.projectId);
+                        if (!project) throw new Error(`Project ${award.projectId} not found`);
+                        projects.set(award.projectId, JSON.parse(JSON.stringify(project)));
+                    }
+                    const made = scratch.award(projects.get(award.projectId), award.bidId, { userId, justification: award.justification || '', asOf: options.asOf });
+                    if (BidManager.withoutTimes(made) !== BidManager.withoutTimes(award)) throw new Error('does not match the bids it was made on');
+                } catch (e) {
+                    problems.push(`${award.projectId} award of ${award.bidId}: ${e.message}`);
+                }
+            });
+        return problems;
+    }
+
+    /**
+     * Canonical JSON with timestamps left out
+     * @private
+     */
+    static withoutTimes(value) {
+        const strip = v => {
+            if (Array.isArray(v)) return v.map(strip);
+            if (!v || typeof v !== 'object') return v;
+            return Object.fromEntries(Object.keys(v).sort()
+                .filter(key => key !== 'awardedAt' && v[key] !== undefined)
+                .map(key => [key, strip(v[key])]));
+        };
+        return JSON.stringify(strip(value));
+    }
+
+    save() { return bidStorage.write(this.storage, this.storageKey, { contractors: this.contractors, awards: this.awards }, 'bid data'); }
+    load() { return bidStorage.read(this.storage, this.storageKey, data => { data = data || {}; this.contractors = { ...(data.contractors || {}), ...this.contractors }; this.awards = data.awards || []; }, 'bid data'); }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BidManager;
+}
@@ -0,0 +1,420 @@
+/**
+ * ChangeOrderManager - Change Orders and Cost Variance
+ *
+ * A change order explains why implementation cost moves away from the
+ * awarded bid. Like a bid it is priced per measure:
+ *
+ *   {
+ *       id: 'CO-...',
+ *       projectId: 'CPF-001',
+ *       lineItems: [{ measure: 'Attic Insulation (R-38)', amount: 850 }],   // negative amounts are credits
+ *       amount: 850,
+ *       reason: 'Knob and tube wiring found in attic - remediation before insulating',
+ *       status: 'pending' | 'approved' | 'rejected' | 'withdrawn',
+ *       approvalId: 'APR-...'
+ *   }
+ *
+ * Change orders up to `approvalThreshold` (absolute value) are approved on
+ * request. Larger ones go through the `chainId` approval chain on the
+ * ApprovalEngine and follow its outcome. Approved change orders feed the
+ * variance report: recommended -> selected -> estimated (awarded bid) ->
+ * authorized (approved form amount) -> revised (estimated + change orders) -> actual.
+ *
+ * Requests and decisions are published as CHANGE_ORDER_* events on `events`
+ * (or recorded straight to `ledger` when no event bus is configured).
+ */
+const changeOrderStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const changeOrderEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const changeOrderApprovals = typeof ApprovalEngine !== 'undefined' ? ApprovalEngine : require('./approval-engine');
+
+class ChangeOrderManager {
+    constructor(options = {}) {
+        this.changeOrders = [];
+        this.events = options.events || null;
+        this.ledger = options.ledger || null;
+        this.approvals = options.approvals || null;
+        this.chainId = options.chainId || null;
+        this.approvalThreshold = options.approvalThreshold || 0;
+        this.authorizedMilestone = options.authorizedMilestone || null;
+        this.milestone = options.milestone || 'CHANGE_ORDER';
+        this.storageKey = options.storageKey || 'change_orders';
+        this.storage = changeOrderStorage.resolve(options);
+        this.ready = this.load();
+
+        // Follow approvals granted, rejected or reopened on the engine
+        if (this.events) {
+            this.events.on('APPROVAL_*', event => {
+                if (event.details.milestone === this.milestone) this.syncApprovals();
+            });
+        }
+    }
+
+    /**
+     * Request a change order
+     * @param {Object} project
+     * @param {Object} changeOrder - { lineItems: [{ measure, amount }], reason, userId }
+     * @returns {Object} The stored change order
+     */
+    request(project, changeOrder) {
+        const reason = (changeOrder.reason || '').trim();
+        if (!reason) throw new Error('A change order needs a reason');
+        const lineItems = (changeOrder.lineItems || [])
+            .map(item => ({ measure: item.measure, amount: Number(item.amount) || 0 }))
+            .filter(item => item.measure && item.amount !== 0);
+        if (lineItems.length === 0) throw new Error('A change order needs at least one measure with an amount');
+
+        const stored = {
+            id: 'CO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            projectId: project.id,
+            lineItems,
+            amount: lineItems.reduce((sum, item) => sum + item.amount, 0),
+            reason,
+            status: 'pending',
+            approvalId: null,
+            requestedBy: changeOrder.userId || null,
+            requestedAt: new Date().toISOString(),
+            decidedBy: null,
+            decidedAt: null
+        };
+        this.changeOrders.push(stored);
+
+        const needsApproval = this.needsApproval(stored);
+        changeOrderEvents.publish(this, 'CHANGE_ORDER_REQUESTED', {
+            projectId: project.id,
+            userId: changeOrder.userId,
+            details: { changeOrderId: stored.id, amount: stored.amount, measures: lineItems.map(i => i.measure), reason, needsApproval }
+        });
+
+        if (needsApproval) {
+            stored.approvalId = this.approvals.requestApproval({
+                projectId: project.id,
+                milestone: this.milestone,
+                chainId: this.chainId,
+                amount: Math.abs(stored.amount),
+                changeOrderId: stored.id,
+                requestedBy: changeOrder.userId || 'system'
+            });
+            this.syncApprovals();
+        } else {
+            this.decide(stored, 'approved', changeOrder.userId || 'system', { automatic: true });
+        }
+
+        this.save();
+        return stored;
+    }
+
+    /**
+     * Whether a change order goes through the approval chain
+     * @param {Object} changeOrder
+     * @returns {boolean}
+     */
+    needsApproval(changeOrder) {
+        return !!(this.approvals && this.chainId) && Math.abs(changeOrder.amount) > this.approvalThreshold;
+    }
+
+    /**
+     * Withdraw a change order that is still pending
+     * @param {string} changeOrderId
+     * @param {string} userId
+     * @param {string} reason
+     */
+    withdraw(changeOrderId, userId, reason = '') {
+        const changeOrder = this.get(changeOrderId);
+        if (changeOrder.status !== 'pending') {
+            throw new Error(`Change order ${changeOrderId} is ${changeOrder.status}`);
+        }
+        // The approval engine only lets the requester withdraw, so ask it first
+        if (changeOrder.approvalId && this.approvals) {
+            this.approvals.withdraw(changeOrder.approvalId, userId, reason || 'Change order withdrawn');
+        }
+        this.decide(changeOrder, 'withdrawn', userId, { reason });
+        this.save();
+        return changeOrder;
+    }
+
+    /**
+     * Bring change order statuses in line with their approval requests
+     * @returns {Array} Change orders whose status changed
+     */
+    syncApprovals() {
+        if (!this.approvals) return [];
+
+        const changed = this.changeOrders.filter(changeOrder => {
+            if (!changeOrder.approvalId || changeOrder.status === 'withdrawn') return false;
+            const approval = this.approvals.approvals.find(a => a.id === changeOrder.approvalId);
+            if (!approval || approval.status === changeOrder.status) return false;
+
+            const userId = approval.status === 'rejected'
+                ? approval.rejectedBy
+                : (approval.approvals[approval.approvals.length - 1] || {}).userId;
+            this.decide(changeOrder, approval.status, userId || 'system', {
+                reason: approval.status === 'rejected' ? approval.rejectionReason : undefined
+            });
+            return true;
+        });
+
+        if (changed.length > 0) this.save();
+        return changed;
+    }
+
+    get(changeOrderId) {
+        const changeOrder = this.changeOrders.find(c => c.id === changeOrderId);
+        if (!changeOrder) throw new Error('Change order not found');
+        return changeOrder;
+    }
+
+    getChangeOrders(projectId = null) {
+        return projectId ? this.changeOrders.filter(c => c.projectId === projectId) : this.changeOrders.slice();
+    }
+
+    /**
+     * Amount approved through a form's approval chain (e.g. the 300CPF)
+     * @param {string} projectId
+     * @returns {number|null}
+     */
+    getAuthorizedAmount(projectId) {
+        if (!this.approvals || !this.authorizedMilestone) return null;
+        const approved = this.approvals.getForProject(projectId)
+            .filter(a => a.milestone === this.authorizedMilestone && a.status === 'approved');
+        return approved.length ? Number(approved[approved.length - 1].amount) || 0 : null;
+    }
+
+    /**
+     * Cost at each stage of a project and what moved it
+     * @param {Object} project
+     * @returns {Object} { projectId, stages, variances, changeOrders, unexplained, overAuthorized, measures }
+     */
+    getVarianceReport(project) {
+        const financials = project.financials || {};
+        const changeOrders = this.getChangeOrders(project.id);
+        const sum = status => changeOrders.filter(c => c.status === status).reduce((total, c) => total + c.amount, 0);
+        const approved = sum('approved');
+        const awarded = (project.bids || []).find(b => b.selected) || null;
+        const estimated = financials.estimated || null;
+
+        const stages = {
+            recommended: financials.recommended || 0,
+            selected: financials.selected || 0,
+            estimated,
+            authorized: this.getAuthorizedAmount(project.id),
+            revised: estimated !== null || approved ? (estimated || financials.selected || 0) + approved : null,
+            actual: financials.actual || null
+        };
+
+        const order = ['recommended', 'selected', 'estimated', 'authorized', 'revised', 'actual'];
+        const present = order.filter(stage => stages[stage] !== null);
+        const variances = present.slice(1).map((stage, idx) => {
+            const from = present[idx];
+            const amount = stages[stage] - stages[from];
+            return { from, to: stage, amount, percent: stages[from] ? Math.round(amount / stages[from] * 1000) / 10 : null };
+        });
+
+        const ceiling = stages.actual !== null ? stages.actual : stages.revised;
+        return {
+            projectId: project.id,
+            stages,
+            variances,
+            changeOrders: { approved, pending: sum('pending'), rejected: sum('rejected'), count: changeOrders.length },
+            // Actual cost movement no approved change order accounts for
+            unexplained: stages.actual !== null && stages.revised !== null ? stages.actual - stages.revised : null,
+            overAuthorized: stages.authorized !== null && ceiling !== null && ceiling > stages.authorized,
+            measures: this.getMeasureVariance(project, awarded, changeOrders)
+        };
+    }
+
+    /**
+     * Variance reports for many projects, summed
+     * @param {Array} projects
+     * @returns {Object} { projects, totals, changeOrders, unexplained, overAuthorized: [projectId], reports }
+     */
+    getPortfolioVariance(projects) {
+        const reports = projects.map(project => this.getVarianceReport(project));
+        const totals = { recommended: 0, selected: 0, estimated: 0, authorized: 0, revised: 0, actual: 0 };
+        const changeOrders = { approved: 0, pending: 0, rejected: 0, count: 0 };
+
+        reports.forEach(report => {
+            Object.keys(totals).forEach(stage => { totals[stage] += report.stages[stage] || 0; });
+            Object.keys(changeOrders).forEach(key => { changeOrders[key] += report.changeOrders[key]; });
+        });
+
+        return {
+            projects: reports.length,
+            totals,
+            changeOrders,
+            unexplained: reports.reduce((total, r) => total + (r.unexplained || 0), 0),
+            overAuthorized: reports.filter(r => r.overAuthorized).map(r => r.projectId),
+            reports
+        };
+    }
+
+    /**
+     * Check someone's edited copy of the change orders against the stored one
+     * by replaying what changed, as `userId` (for ApiServer, where the tracker
+     * saves the whole list). A new change order is requested again in the
+     * user's name, and must point at the approval request the engine holds for
+     * it; after that only its status moves, by the user withdrawing it (once
+     * its approval request is withdrawn) or by following the engine's approvals.
+     * The result must match the copy apart from timestamps.
+     * @param {Array} next - The edited change orders
+     * @param {Array} previous - The stored change orders
+     * @param {string} userId
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId) {
+        if (!Array.isArray(next)) return ['expected an array of change orders'];
+        const stored = new Map((previous || []).map(changeOrder => [changeOrder.id, changeOrder]));
+        const kept = new Set(next.map(changeOrder => changeOrder.id));
+        const problems = Array.from(stored.keys()).filter(id => !kept.has(id)).map(id => `${id} was removed`);
+
+        next.forEach(changeOrder => {
+            const before = stored.get(changeOrder.id);
+            if (before && JSON.stringify(before) === JSON.stringify(changeOrder)) return;
+            try {
+                this.replayChangeOrder(changeOrder, before || null, userId);
+            } catch (e) {
+                problems.push(`${changeOrder.id}: ${e.message}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Rebuild one edited change order on a scratch manager; throws when the user's actions do not lead to it
+     * @private
+     */
+    replayChangeOrder(changeOrder, before, userId) {
+        // Approval requests are made on a copy of the engine's, so the check leaves the engine alone
+        let approvals = null;
+        if (this.approvals) {
+            approvals = new changeOrderApprovals({ storage: new changeOrderStorage.Memory() });
+            approvals.chains = this.approvals.chains;
+            approvals.approvals = JSON.parse(JSON.stringify(this.approvals.approvals));
+        }
+        const scratch = new ChangeOrderManager({
+            storage: new changeOrderStorage.Memory(),
+            approvals,
+            chainId: this.chainId,
+            approvalThreshold: this.approvalThreshold,
+            milestone: this.milestone
+        });
+        const current = () => scratch.changeOrders[0];
+        const approvalFor = id => (approvals ? approvals.approvals.find(a => a.id === id) : null) || null;
+
+        if (before) {
+            const fixed = value => JSON.stringify(Object.entries(value).filter(([field]) => !ChangeOrderManager.DECISION_FIELDS.includes(field)));
+            if (fixed(before) !== fixed(changeOrder)) throw new Error('only the status of a change order can be changed');
+            scratch.changeOrders = [JSON.parse(JSON.stringify(before))];
+        } else {
+            if (changeOrder.requestedBy !== userId) {
+                throw new Error(`a change order requested by ${changeOrder.requestedBy} cannot be recorded by ${userId}`);
+            }
+            scratch.request({ id: changeOrder.projectId }, { lineItems: changeOrder.lineItems, reason: changeOrder.reason, userId });
+            current().id = changeOrder.id;
+            if (current().approvalId) {
+                // The tracker saves the approval request before the change order (see save())
+                const approval = approvalFor(changeOrder.approvalId);
+                if (!approval || approval.changeOrderId !== changeOrder.id || approval.milestone !== this.milestone) {
+                    throw new Error(`approval request ${changeOrder.approvalId} is not on file for it`);
+                }
+                current().approvalId = changeOrder.approvalId;
+            }
+        }
+
+        if (changeOrder.status === 'withdrawn' && current().status !== 'withdrawn') {
+            if (changeOrder.decidedBy !== userId) throw new Error(`a withdrawal by ${changeOrder.decidedBy} cannot be recorded by ${userId}`);
+            const approval = approvalFor(current().approvalId);
+            if (approval && !(approval.withdrawn && approval.rejectedBy === userId)) {
+                throw new Error(`${userId} has not withdrawn approval request ${approval.id}`);
+            }
+            if (current().status !== 'pending') throw new Error(`Change order ${changeOrder.id} is ${current().status}`);
+            scratch.decide(current(), 'withdrawn', userId);
+        }
+        scratch.syncApprovals();
+
+        if (ChangeOrderManager.withoutTimes(current()) !== ChangeOrderManager.withoutTimes(changeOrder)) {
+            throw new Error('does not match what its request and approvals lead to');
+        }
+    }
+
+    /**
+     * Canonical JSON of a change order with its timestamps left out
+     * @private
+     */
+    static withoutTimes(value) {
+        return JSON.stringify(Object.fromEntries(Object.keys(value).sort()
+            .filter(key => !ChangeOrderManager.TIME_FIELDS.includes(key) && value[key] !== undefined)
+            .map(key => [key, value[key]])));
+    }
+
+    /**
+     * Per-measure breakdown: scope cost, awarded line item and change orders
+     * @private
+     */
+    getMeasureVariance(project, awarded, changeOrders) {
+        const rows = {};
+        const row = name => rows[name] || (rows[name] = { measure: name, recommended: 0, selected: 0, estimated: null, changeOrders: 0, pending: 0 });
+
+        (project.measures || []).forEach(measure => {
+            const r = row(measure.name);
+            r.recommended = measure.cost || 0;
+            r.selected = measure.selected ? measure.cost || 0 : 0;
+        });
+        ((awarded && awarded.lineItems) || []).forEach(item => { row(item.measure).estimated = item.amount; });
+        changeOrders.forEach(changeOrder => {
+            if (changeOrder.status !== 'approved' && changeOrder.status !== 'pending') return;
+            changeOrder.lineItems.forEach(item => {
+                row(item.measure)[changeOrder.status === 'approved' ? 'changeOrders' : 'pending'] += item.amount;
+            });
+        });
+
+        return Object.values(rows).map(r => ({
+            ...r,
+            revised: (r.estimated !== null ? r.estimated : r.selected) + r.changeOrders
+        }));
+    }
+
+    /**
+     * @private
+     */
+    decide(changeOrder, status, userId, details = {}) {
+        const previous = changeOrder.status;
+        changeOrder.status = status;
+        changeOrder.decidedBy = status === 'pending' ? null : userId;
+        changeOrder.decidedAt = status === 'pending' ? null : new Date().toISOString();
+
+        const type = {
+            approved: 'CHANGE_ORDER_APPROVED',
+            rejected: 'CHANGE_ORDER_REJECTED',
+            withdrawn: 'CHANGE_ORDER_WITHDRAWN'
+        }[status];
+        if (!type) return;
+
+        changeOrderEvents.publish(this, type, {
+            projectId: changeOrder.projectId,
+            userId,
+            details: {
+                changeOrderId: changeOrder.id,
+                amount: changeOrder.amount,
+                approvalId: changeOrder.approvalId,
+                previousStatus: previous,
+                ...details
+            }
+        });
+    }
+
+    save() {
+        // Change orders point at approval requests: a server checking them needs the requests first,
+        // so what is saved now is written once the requests saved with it are
+        const changeOrders = JSON.parse(JSON.stringify(this.changeOrders));
+        return Promise.resolve(this.approvals && this.approvals.save())
+            .then(() => changeOrderStorage.write(this.storage, this.storageKey, changeOrders, 'change orders'));
+    }
+
+    load() { return changeOrderStorage.read(this.storage, this.storageKey, data => { this.changeOrders = data || []; }, 'change orders'); }
+}
+ChangeOrderManager.DECISION_FIELDS = ['status', 'decidedBy', 'decidedAt'];
+ChangeOrderManager.TIME_FIELDS = ['requestedAt', 'decidedAt'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChangeOrderManager;
+}
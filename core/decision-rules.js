@@ -0,0 +1,270 @@
+/**
+ * DecisionRules - Decision Point Routing and Escalation
+ *
+ * Declares, per decision type, which roles decide it, who an escalation goes
+ * to next and the inputs a decision must record, and carries out what each
+ * outcome means for the project:
+ *
+ *   const decisions = new DecisionRules({ events, workflow, rbac,
+ *       types: [{ id: 'Budget Threshold', deciders: ['finance'], escalateTo: ['executive'],
+ *                 inputs: [{ id: 'amount', label: 'Amount ($)', type: 'number', required: true }] }],
+ *       outcomes: {
+ *           Approved: { release: true },
+ *           Escalated: { escalate: true },
+ *           Denied: { status: 'denied', release: true },
+ *           'On Hold': { hold: true }
+ *       } });
+ *
+ *   decisions.decide(project, { type: 'Budget Threshold', outcome: 'Escalated', inputs: { amount: 18000 } },
+ *                    { userId: 'finance_sarah', role: 'finance' });
+ *   decisions.getOpenEscalations(projects, 'executive');   // [{ project, decision }]
+ *
+ * Decisions are kept on the project (`project.decisionPoints`). An escalated
+ * decision stays open for the next role in `escalateTo` until that role
+ * decides the same type (putting it on hold keeps it with that role);
+ * escalating past the last role is refused. An outcome
+ * with `status` moves the project through the workflow (the transition can be
+ * `automatic` so it is not offered as a button); `hold` sets `project.hold`,
+ * which pauses SLAMonitor clocks until an outcome with `release` ends it.
+ *
+ * With `rbac`, the deciding role must be one the user holds (directly or
+ * inherited); without `options.role` the first decider they hold is used.
+ *
+ * Every decision publishes DECISION_RECORDED, and each automatic effect its
+ * own event: DECISION_ESCALATED, STATUS_CHANGE, PROJECT_HOLD_STARTED and
+ * PROJECT_HOLD_RELEASED.
+ */
+const decisionEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
+class DecisionRules {
+    /**
+     * @param {Object} options - { events, workflow, rbac, types: [{ id, label, deciders, escalateTo, inputs, outcomes }],
+     *                             outcomes: { [outcome]: { label, escalate, status, hold, release } } }
+     */
+    constructor(options = {}) {
+        this.events = options.events || null;
+        this.workflow = options.workflow || null;
+        this.rbac = options.rbac || null;
+        this.outcomes = options.outcomes || {};
+        this.types = [];
+        (options.types || []).forEach(type => this.defineType(type));
+    }
+
+    /**
+     * @param {Object} type - { id, label, deciders: [roles], escalateTo: [roles], inputs: [{ id, label, type, required }],
+     *                          outcomes: [names] (defaults to every outcome) }
+     */
+    defineType(type) {
+        if (!type.id) throw new Error('Decision type requires an id');
+        if (!type.deciders || type.deciders.length === 0) throw new Error(`Decision type ${type.id} needs deciders`);
+        this.types = this.types.filter(t => t.id !== type.id).concat({ escalateTo: [], inputs: [], ...type });
+    }
+
+    getTypes() {
+        return this.types.slice();
+    }
+
+    getType(typeId) {
+        return this.types.find(t => t.id === typeId) || null;
+    }
+
+    /**
+     * Outcomes a decision type allows, in configuration order
+     * @param {string} typeId
+     * @returns {Array} [{ id, label, escalate, status, hold, release }]
+     */
+    getOutcomes(typeId) {
+        const type = this.getType(typeId);
+        const allowed = type && type.outcomes ? type.outcomes : Object.keys(this.outcomes);
+        return allowed.filter(id => this.outcomes[id]).map(id => ({ id, label: id, ...this.outcomes[id] }));
+    }
+
+    /**
+     * The roles that decide a type for this project now: the escalation
+     * target while one is open, otherwise the type's deciders
+     * @param {Object} project
+     * @param {string} typeId
+     * @returns {Array}
+     */
+    getDeciders(project, typeId) {
+        const open = this.getOpenEscalation(project, typeId);
+        if (open) return [open.escalatedTo];
+        const type = this.getType(typeId);
+        return type ? type.deciders.slice() : [];
+    }
+
+    /**
+     * @param {Object} project
+     * @param {string} typeId
+     * @returns {Object|null} The escalated decision of this type still waiting for an answer
+     */
+    getOpenEscalation(project, typeId) {
+        return (project.decisionPoints || [])
+            .filter(d => d.type === typeId && d.escalatedTo && !d.resolvedBy)
+            .pop() || null;
+    }
+
+    /**
+     * Escalations waiting on a role across projects
+     * @param {Array} projects
+     * @param {string} role
+     * @returns {Array} [{ project, decision }]
+     */
+    getOpenEscalations(projects, role) {
+        return projects.flatMap(project => (project.decisionPoints || [])
+            .filter(d => d.escalatedTo && !d.resolvedBy && (!role || d.escalatedTo === role))
+            .map(decision => ({ project, decision })));
+    }
+
+    /**
+     * Record a decision and carry out its outcome
+     * @param {Object} project - Modified in place
+     * @param {Object} decision - { type, outcome, inputs: { [inputId]: value }, notes }
+     * @param {Object} options - { userId, role } (with `rbac`, role defaults to a decider role the user holds)
+     * @returns {Object} The decision point, with `effects`
+     */
+    decide(project, decision, options = {}) {
+        const type = this.getType(decision.type);
+        if (!type) throw DecisionRules.error('unknown_type', `Unknown decision type ${decision.type}`);
+        const outcome = this.getOutcomes(type.id).find(o => o.id === decision.outcome);
+        if (!outcome) throw DecisionRules.error('unknown_outcome', `${decision.outcome} is not an outcome of ${type.id}`);
+
+        const deciders = this.getDeciders(project, type.id);
+        let role = options.role;
+        if (this.rbac) {
+            const held = this.rbac.getEffectiveRoles(options.userId).map(r => r.id);
+            if (role && !held.includes(role)) {
+                throw DecisionRules.error('role_not_held', `${options.userId || 'Anonymous'} does not hold the ${role} role`);
+            }
+            if (!role) role = deciders.find(r => held.includes(r));
+        }
+        if (!deciders.includes(role)) {
+            throw DecisionRules.error('not_decider', `${type.label || type.id} is decided by ${deciders.join(' or ')}`);
+        }
+
+        const inputs = decision.inputs || {};
+        const missing = type.inputs.filter(input => input.required && DecisionRules.isBlank(inputs[input.id]));
+        if (missing.length > 0) {
+            throw DecisionRules.error('missing_inputs', `${type.label || type.id} needs ${missing.map(input => input.label || input.id).join(', ')}`);
+        }
+
+        // Work out every effect before changing anything, so a refused one leaves the project as it was
+        const open = this.getOpenEscalation(project, type.id);
+        const level = open ? type.escalateTo.indexOf(open.escalatedTo) + 1 : 0;
+        let escalatedTo = null;
+        if (outcome.escalate) {
+            escalatedTo = type.escalateTo[level] || null;
+            if (!escalatedTo) throw DecisionRules.error('no_escalation', `${type.label || type.id} cannot be escalated past ${role}`);
+        } else if (outcome.hold && open) {
+            escalatedTo = open.escalatedTo;
+        }
+        const moveTo = outcome.status && project.status !== outcome.status ? outcome.status : null;
+        if (moveTo) {
+            if (!this.workflow) throw DecisionRules.error('no_workflow', `${outcome.id} needs a workflow to move the project to ${moveTo}`);
+            const check = this.workflow.evaluate(project, moveTo);
+            if (!check.allowed) throw DecisionRules.error('transition_blocked', check.unmetGuards.map(g => g.message).join('; '));
+        }
+        const startHold = outcome.hold && !project.hold;
+        const releaseHold = outcome.release && !!project.hold;
+
+        const point = {
+            id: 'DEC-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            type: type.id,
+            outcome: outcome.id,
+            inputs,
+            notes: decision.notes || '',
+            timestamp: new Date().toISOString(),
+            decidedBy: options.userId || null,
+            role,
+            level,
+            escalatedTo,
+            resolves: open ? open.id : null,
+            effects: [
+                ...(outcome.escalate ? [{ effect: 'escalated', to: escalatedTo }] : []),
+                ...(releaseHold ? [{ effect: 'hold_released', since: project.hold.since }] : []),
+                ...(moveTo ? [{ effect: 'status', from: project.status, to: moveTo }] : []),
+                ...(startHold ? [{ effect: 'hold_started' }] : [])
+            ]
+        };
+        if (!project.decisionPoints) project.decisionPoints = [];
+        project.decisionPoints.push(point);
+        if (open) open.resolvedBy = point.id;
+
+        decisionEvents.publish(this, 'DECISION_RECORDED', {
+            projectId: project.id,
+            userId: point.decidedBy,
+            details: {
+                decisionId: point.id,
+                type: point.type,
+                outcome: point.outcome,
+                role: point.role,
+                level,
+                inputs,
+                resolves: point.resolves,
+                effects: point.effects.map(e => e.effect)
+            }
+        });
+
+        if (outcome.escalate) {
+            decisionEvents.publish(this, 'DECISION_ESCALATED', {
+                projectId: project.id,
+                userId: point.decidedBy,
+                details: { decisionId: point.id, type: point.type, from: role, to: escalatedTo, level: level + 1 }
+            });
+        }
+        if (releaseHold) this.releaseHold(project, { userId: point.decidedBy, decisionId: point.id });
+        if (moveTo) {
+            this.workflow.transition(project, moveTo, { userId: point.decidedBy, reason: `${type.label || type.id}: ${outcome.id}` });
+        }
+        if (startHold) {
+            project.hold = { since: point.timestamp, decisionId: point.id, type: point.type, reason: point.notes };
+            decisionEvents.publish(this, 'PROJECT_HOLD_STARTED', {
+                projectId: project.id,
+                userId: point.decidedBy,
+                details: { decisionId: point.id, type: point.type, reason: point.notes }
+            });
+        }
+        return point;
+    }
+
+    /**
+     * End a project's hold
+     * @param {Object} project - Modified in place
+     * @param {Object} options - { userId, decisionId, reason }
+     * @returns {boolean} Whether the project was on hold
+     */
+    releaseHold(project, options = {}) {
+        if (!project.hold) return false;
+        const hold = project.hold;
+        project.hold = null;
+        decisionEvents.publish(this, 'PROJECT_HOLD_RELEASED', {
+            projectId: project.id,
+            userId: options.userId || null,
+            details: {
+                heldSince: hold.since,
+                heldBy: hold.decisionId,
+                decisionId: options.decisionId || null,
+                reason: options.reason || undefined
+            }
+        });
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    static isBlank(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '') || (typeof value === 'number' && isNaN(value));
+    }
+
+    static error(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DecisionRules;
+}
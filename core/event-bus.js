@@ -0,0 +1,119 @@
+/**
+ * EventBus - Typed Events Shared by the Core Modules
+ *
+ * Core modules publish what they do (an approval granted, a commitment made,
+ * an inspection failed) as events named after `Ledger.ACTION_TYPES`. The
+ * ledger subscribes and records every event, and any other listener can
+ * subscribe for notifications, webhooks or UI refreshes:
+ *
+ *   const events = new EventBus();
+ *   ledger.subscribe(events);
+ *   const approvals = new ApprovalEngine({ events });
+ *
+ *   events.on('APPROVAL_*', event => notify(event));
+ *   events.setActor('pm_john');   // default userId for events that don't name one
+ *
+ * Listener errors are logged and never interrupt the module that emitted.
+ */
+
+class EventBus {
+    constructor(options = {}) {
+        this.listeners = [];
+        this.actor = options.actor || null;
+    }
+
+    /**
+     * Subscribe to events
+     * @param {string} pattern - Exact type, a prefix ending in '*' (e.g. 'QA_*'), or '*' for everything
+     * @param {Function} handler - (event) => void | Promise
+     * @returns {Function} Unsubscribe
+     */
+    on(pattern, handler) {
+        if (typeof handler !== 'function') throw new Error(`Handler for ${pattern} must be a function`);
+        const listener = { pattern, handler };
+        this.listeners.push(listener);
+        return () => { this.listeners = this.listeners.filter(l => l !== listener); };
+    }
+
+    /**
+     * Subscribe for a single event
+     * @returns {Function} Unsubscribe
+     */
+    once(pattern, handler) {
+        const off = this.on(pattern, event => {
+            off();
+            return handler(event);
+        });
+        return off;
+    }
+
+    off(pattern, handler) {
+        this.listeners = this.listeners.filter(l => !(l.pattern === pattern && (!handler || l.handler === handler)));
+    }
+
+    /**
+     * User recorded on events that don't carry a userId (the signed-in user)
+     * @param {string|null} userId
+     */
+    setActor(userId) {
+        this.actor = userId || null;
+    }
+
+    /**
+     * Publish an event to every matching listener, in subscription order
+     * @param {string} type - e.g. 'APPROVAL_GRANTED'
+     * @param {Object} event - { projectId, userId, source, details }
+     * @returns {Object} The delivered event
+     */
+    emit(type, event = {}) {
+        const delivered = {
+            id: 'EVT-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            type,
+            timestamp: new Date().toISOString(),
+            ...event,
+            userId: event.userId || this.actor || 'system',
+            details: event.details || {}
+        };
+
+        this.listeners.slice().forEach(({ pattern, handler }) => {
+            if (!EventBus.matches(pattern, type)) return;
+            try {
+                const result = handler(delivered);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(e => console.error(`Event listener for ${type} failed:`, e));
+                }
+            } catch (e) {
+                console.error(`Event listener for ${type} failed:`, e);
+            }
+        });
+
+        return delivered;
+    }
+
+    static matches(pattern, type) {
+        if (pattern === '*' || pattern === type) return true;
+        return pattern.endsWith('*') && type.startsWith(pattern.slice(0, -1));
+    }
+
+    /**
+     * How core modules publish: to their event bus when one is configured,
+     * otherwise straight to their ledger (the pre-bus behaviour)
+     * @param {Object} module - Any object with optional `events` and `ledger`
+     * @param {string} type
+     * @param {Object} event - { projectId, userId, details }
+     */
+    static publish(module, type, event) {
+        if (module.events) {
+            return module.events.emit(type, { source: module.constructor.name, ...event });
+        }
+        if (module.ledger) {
+            module.ledger.record({ action: type, projectId: event.projectId, userId: event.userId || 'system', details: event.details || {} });
+        }
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EventBus;
+}
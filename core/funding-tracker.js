@@ -1,23 +1,830 @@
+/**
+ * FundingTracker - Braided Funding
+ *
+ * Tracks commitments and disbursements per project and models funding sources
+ * as first-class objects so a project's selected measures can be split across
+ * them automatically:
+ *
+ *   {
+ *       id: 'wap',
+ *       name: 'Weatherization Assistance Program (WAP)',
+ *       totalCap: 250000,              // program budget across the portfolio
+ *       perProjectCap: 8000,           // most any one project may receive
+ *       eligibleMeasureCategories: ['Insulation', 'Weatherization'],
+ *       eligibleScenarios: ['low-income-homeowner'],
+ *       requiresQualification: true,   // only for projects whose income qualification is 'yes'
+ *       expiresAt: '2026-09-30',
+ *       stacking: { maxShare: 1, stackable: true, exclusiveWith: ['liheap'] },
+ *       priority: 1,                   // lower is spent first
+ *       autoAllocate: true             // false: only added by hand, never proposed
+ *   }
+ *
+ * Contractors can be paid against a payment schedule: milestones priced as a
+ * share of the contract, each released by a QA gate and/or an approval, with
+ * retainage withheld from every payment until its own release condition is met:
+ *
+ *   {
+ *       contractAmount: 18000,
+ *       retainagePercent: 0.1,
+ *       retainageRelease: { approval: '320CPF' },
+ *       milestones: [
+ *           { id: 'deposit', name: 'Deposit', percent: 0.1, retainage: false, condition: { approval: '300CPF' } },
+ *           { id: 'rough-in', name: 'Rough-in', percent: 0.4, condition: { qaGate: 'rough-in' } },
+ *           { id: 'final', name: 'Final', percent: 0.5, condition: { qaGate: 'implementation' } }
+ *       ]
+ *   }
+ *
+ * Milestone payments and retainage releases drawn from a funding source must
+ * fit within the project's undisbursed commitment from that source.
+ *
+ * Commitments, schedules, disbursements and releases are published as
+ * FUNDING_COMMITTED, PAYMENT_SCHEDULED, PAYMENT_DISBURSED and RETAINAGE_RELEASED
+ * events when an event bus is configured.
+ */
+const fundingStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const fundingEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
 class FundingTracker {
-    constructor() {
+    constructor(options = {}) {
         this.commitments = [];
         this.disbursements = [];
-        this.load();
+        this.sources = {};
+        this.schedules = {};
+        this.events = options.events || null;
+        this.qaGates = options.qaGates || null;
+        this.approvals = options.approvals || null;
+        this.storageKey = options.storageKey || 'funding_data';
+        this.storage = fundingStorage.resolve(options);
+        this.ready = this.load();
+        (options.sources || []).forEach(source => this.defineSource(source, { persist: false }));
     }
     addCommitment(c) {
-        this.commitments.push({id: 'COM-'+Date.now(), ...c, date: new Date().toISOString()});
+        if (c.sourceId) {
+            const check = this.checkCommitment(c);
+            if (!check.ok) throw new Error(`Over-commitment: ${check.issues.map(i => i.message).join('; ')}`);
+        }
+        const commitment = {id: 'COM-'+Date.now()+'-'+Math.random().toString(36).substr(2, 6), ...c, date: new Date().toISOString()};
+        this.commitments.push(commitment);
+        fundingEvents.publish(this, 'FUNDING_COMMITTED', {
+            projectId: commitment.projectId,
+            userId: c.userId,
+            details: { commitments: [commitment.id], sourceIds: [commitment.sourceId || commitment.source || null], total: commitment.amount }
+        });
         this.save();
+        return commitment.id;
     }
+    /**
+     * Record a payment. With a milestoneId the milestone must be released and
+     * not yet paid in full; partial payments from several sources are allowed.
+     * @param {Object} d - { projectId, amount, sourceId, milestoneId, userId, ... }
+     * @returns {string} Disbursement id
+     */
     recordDisbursement(d) {
-        this.disbursements.push({id: 'DIS-'+Date.now(), ...d, date: new Date().toISOString()});
+        if (d.milestoneId) this.checkMilestonePayment(d);
+        const disbursement = {id: 'DIS-'+Date.now()+'-'+Math.random().toString(36).substr(2, 6), ...d, date: new Date().toISOString()};
+        this.disbursements.push(disbursement);
+        fundingEvents.publish(this, 'PAYMENT_DISBURSED', {
+            projectId: disbursement.projectId,
+            userId: d.userId,
+            details: {
+                disbursementId: disbursement.id,
+                amount: disbursement.amount,
+                sourceId: disbursement.sourceId || null,
+                ...(d.milestoneId ? { milestoneId: d.milestoneId } : {})
+            }
+        });
         this.save();
+        return disbursement.id;
     }
     getGap(projectId) {
         const committed = this.commitments.filter(c => c.projectId === projectId).reduce((sum, c) => sum + c.amount, 0);
         const disbursed = this.disbursements.filter(d => d.projectId === projectId).reduce((sum, d) => sum + d.amount, 0);
         return { committed, disbursed, remaining: committed - disbursed };
     }
-    save() { localStorage.setItem('funding_data', JSON.stringify({commitments: this.commitments, disbursements: this.disbursements})); }
-    load() { const data = JSON.parse(localStorage.getItem('funding_data') || '{}'); this.commitments = data.commitments || []; this.disbursements = data.disbursements || []; }
+
+    /**
+     * Register or update a funding source
+     * @param {Object} source - See module comment for the shape
+     * @param {Object} options - { persist: false to skip saving (config loaded at startup) }
+     */
+    defineSource(source, options = {}) {
+        if (!source.id) throw new Error('Funding source requires an id');
+        this.sources[source.id] = {
+            name: source.id,
+            totalCap: null,
+            perProjectCap: null,
+            eligibleMeasureCategories: null,
+            eligibleScenarios: null,
+            expiresAt: null,
+            priority: 100,
+            ...source,
+            stacking: { maxShare: 1, stackable: true, exclusiveWith: [], ...(source.stacking || {}) }
+        };
+        if (options.persist !== false) this.save();
+        return this.sources[source.id];
+    }
+
+    getSource(sourceId) {
+        return this.sources[sourceId] || null;
+    }
+
+    getSources() {
+        return Object.values(this.sources);
+    }
+
+    /**
+     * Portfolio-level position of every source
+     * @param {Object} options - { asOf: date used for expiry, excludeProjectId }
+     * @returns {Array} [{ sourceId, name, totalCap, committed, disbursed, remaining, expired, expiresAt }]
+     */
+    getSourceBalances(options = {}) {
+        const asOf = options.asOf ? new Date(options.asOf) : new Date();
+        return this.getSources().map(source => {
+            const committed = this.getCommitted(source.id, { excludeProjectId: options.excludeProjectId });
+            const disbursed = this.disbursements
+                .filter(d => d.sourceId === source.id)
+                .reduce((sum, d) => sum + d.amount, 0);
+            return {
+                sourceId: source.id,
+                name: source.name,
+                totalCap: source.totalCap,
+                committed,
+                disbursed,
+                remaining: source.totalCap === null ? null : source.totalCap - committed,
+                expired: this.isExpired(source, asOf),
+                expiresAt: source.expiresAt
+            };
+        });
+    }
+
+    /**
+     * Sum of commitments against a source
+     * @param {string} sourceId
+     * @param {Object} options - { projectId: only this project, excludeProjectId: all but this project }
+     * @returns {number}
+     */
+    getCommitted(sourceId, options = {}) {
+        return this.commitments
+            .filter(c => c.sourceId === sourceId)
+            .filter(c => !options.projectId || c.projectId === options.projectId)
+            .filter(c => !options.excludeProjectId || c.projectId !== options.excludeProjectId)
+            .reduce((sum, c) => sum + c.amount, 0);
+    }
+
+    /**
+     * Check a prospective commitment against caps and expiry without recording it
+     * @param {Object} commitment - { sourceId, projectId, amount, date }
+     * @param {Object} options - { replaceProject: ignore the project's existing commitments }
+     * @returns {Object} { ok, issues: [{ sourceId, code, message }] }
+     */
+    checkCommitment(commitment, options = {}) {
+        return this.checkCommitments(commitment.projectId, [commitment], options);
+    }
+
+    /**
+     * Check a project's full set of commitments together (e.g. a funding stack
+     * edited in the UI) so sources shared within the set are summed first
+     * @param {string} projectId
+     * @param {Array} commitments - [{ sourceId, amount }]
+     * @param {Object} options - { replaceProject, asOf }
+     * @returns {Object} { ok, issues }
+     */
+    checkCommitments(projectId, commitments, options = {}) {
+        const asOf = options.asOf ? new Date(options.asOf) : new Date();
+        const issues = [];
+        const bySource = {};
+        commitments.forEach(c => { bySource[c.sourceId] = (bySource[c.sourceId] || 0) + (Number(c.amount) || 0); });
+
+        Object.entries(bySource).forEach(([sourceId, amount]) => {
+            const source = this.getSource(sourceId);
+            if (!source) {
+                issues.push({ sourceId, code: 'unknown_source', message: `Unknown funding source ${sourceId}` });
+                return;
+            }
+            if (amount <= 0) return;
+
+            if (this.isExpired(source, asOf)) {
+                issues.push({ sourceId, code: 'expired', message: `${source.name} expired on ${source.expiresAt}` });
+            }
+
+            const projectExisting = options.replaceProject ? 0 : this.getCommitted(sourceId, { projectId });
+            if (source.perProjectCap !== null && projectExisting + amount > source.perProjectCap) {
+                issues.push({
+                    sourceId,
+                    code: 'per_project_cap',
+                    message: `${source.name}: $${projectExisting + amount} exceeds the $${source.perProjectCap} per-project cap`
+                });
+            }
+
+            const portfolioExisting = this.getCommitted(sourceId, options.replaceProject ? { excludeProjectId: projectId } : {});
+            if (source.totalCap !== null && portfolioExisting + amount > source.totalCap) {
+                issues.push({
+                    sourceId,
+                    code: 'total_cap',
+                    message: `${source.name}: only $${Math.max(0, source.totalCap - portfolioExisting)} of $${source.totalCap} remains`
+                });
+            }
+        });
+
+        const used = Object.keys(bySource).filter(id => bySource[id] > 0 && this.getSource(id));
+        used.forEach((sourceId, i) => {
+            used.slice(i + 1).filter(other => this.areExclusive(sourceId, other)).forEach(other => issues.push({
+                sourceId,
+                code: 'exclusive',
+                message: `${this.getSource(sourceId).name} cannot be combined with ${this.getSource(other).name}`
+            }));
+        });
+
+        return { ok: issues.length === 0, issues };
+    }
+
+    /**
+     * Replace a project's commitments with a new set, all or nothing
+     * @param {string} projectId
+     * @param {Array} commitments - [{ sourceId, amount, ... }]
+     * @param {Object} options - { userId }
+     * @returns {Array} New commitment ids
+     */
+    setProjectCommitments(projectId, commitments, options = {}) {
+        const check = this.checkCommitments(projectId, commitments, { replaceProject: true });
+        if (!check.ok) throw new Error(`Over-commitment: ${check.issues.map(i => i.message).join('; ')}`);
+
+        // Saving the same stack again keeps the existing commitments (and publishes nothing)
+        const committed = commitments.filter(c => c.amount > 0);
+        const previous = this.commitments.filter(c => c.projectId === projectId && c.sourceId);
+        const stackKey = list => list.map(c => `${c.sourceId}:${c.amount}`).sort().join('|');
+        if (stackKey(previous) === stackKey(committed)) return previous.map(c => c.id);
+
+        this.commitments = this.commitments.filter(c => c.projectId !== projectId || !c.sourceId);
+        const date = new Date().toISOString();
+        const ids = committed.map(c => {
+            const commitment = { id: 'COM-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6), ...c, projectId, date };
+            this.commitments.push(commitment);
+            return commitment.id;
+        });
+        fundingEvents.publish(this, 'FUNDING_COMMITTED', {
+            projectId,
+            userId: options.userId,
+            details: {
+                commitments: ids,
+                sourceIds: committed.map(c => c.sourceId),
+                total: committed.reduce((sum, c) => sum + c.amount, 0),
+                replaced: previous.length
+            }
+        });
+        this.save();
+        return ids;
+    }
+
+    /**
+     * Propose a split of a project's selected measures across eligible sources.
+     * Restricted and expiring money is used first so flexible sources stay
+     * available for projects that need them; nothing is committed.
+     * @param {Object} project - { id, scenario, qualified, measures: [{ name, cost, category, selected }] }
+     * @param {Object} options - { asOf, sourceIds: limit to these sources }
+     * @returns {Object} { projectId, allocations, bySource, totalCost, funded, gap, skipped, warnings }
+     */
+    allocate(project, options = {}) {
+        const asOf = options.asOf ? new Date(options.asOf) : new Date();
+        const measures = (project.measures || []).filter(m => m.selected !== false && m.cost > 0);
+        const skipped = [];
+        const warnings = [];
+
+        const candidates = this.getSources()
+            .filter(source => !options.sourceIds || options.sourceIds.includes(source.id))
+            .filter(source => {
+                if (source.autoAllocate === false) {
+                    skipped.push({ sourceId: source.id, reason: 'manual_only' });
+                    return false;
+                }
+                if (this.isExpired(source, asOf)) {
+                    skipped.push({ sourceId: source.id, reason: 'expired' });
+                    return false;
+                }
+                if (source.eligibleScenarios && !source.eligibleScenarios.includes(project.scenario)) {
+                    skipped.push({ sourceId: source.id, reason: 'scenario_ineligible' });
+                    return false;
+                }
+                if (source.requiresQualification && project.qualified !== 'yes') {
+                    skipped.push({ sourceId: source.id, reason: 'not_qualified' });
+                    return false;
+                }
+                return true;
+            })
+            .sort((a, b) => this.compareSources(a, b));
+
+        // Headroom excludes this project's own commitments so re-allocating doesn't count itself
+        const headroom = {};
+        candidates.forEach(source => {
+            const portfolio = source.totalCap === null ? Infinity : source.totalCap - this.getCommitted(source.id, { excludeProjectId: project.id });
+            const perProject = source.perProjectCap === null ? Infinity : source.perProjectCap;
+            headroom[source.id] = Math.max(0, Math.min(portfolio, perProject));
+            if (headroom[source.id] === 0) skipped.push({ sourceId: source.id, reason: 'no_balance' });
+        });
+
+        const allocations = [];
+        const used = new Set();
+
+        measures.forEach(measure => {
+            let remaining = measure.cost;
+            const onMeasure = [];
+
+            for (const source of candidates) {
+                if (remaining <= 0) break;
+                if (headroom[source.id] <= 0) continue;
+                if (source.eligibleMeasureCategories && !source.eligibleMeasureCategories.includes(measure.category)) continue;
+                if ([...used].some(other => this.areExclusive(source.id, other))) continue;
+                if (onMeasure.length > 0 && (!source.stacking.stackable || onMeasure.some(s => !s.stacking.stackable))) continue;
+
+                const shareCap = measure.cost * source.stacking.maxShare;
+                const amount = Math.round(Math.min(remaining, shareCap, headroom[source.id]) * 100) / 100;
+                if (amount <= 0) continue;
+
+                allocations.push({ sourceId: source.id, sourceName: source.name, measure: measure.name, amount });
+                headroom[source.id] -= amount;
+                remaining -= amount;
+                onMeasure.push(source);
+                used.add(source.id);
+            }
+
+            if (remaining > 0) {
+                warnings.push({ measure: measure.name, code: 'unfunded', message: `${measure.name}: $${Math.round(remaining * 100) / 100} not covered by any eligible source` });
+            }
+        });
+
+        const bySource = {};
+        allocations.forEach(a => { bySource[a.sourceId] = Math.round(((bySource[a.sourceId] || 0) + a.amount) * 100) / 100; });
+        const totalCost = measures.reduce((sum, m) => sum + m.cost, 0);
+        const funded = Object.values(bySource).reduce((sum, amount) => sum + amount, 0);
+
+        // Flag sources this allocation would nearly exhaust
+        Object.keys(bySource).forEach(sourceId => {
+            const source = this.getSource(sourceId);
+            if (source.totalCap === null) return;
+            const left = source.totalCap - this.getCommitted(sourceId, { excludeProjectId: project.id }) - bySource[sourceId];
+            if (left < source.totalCap * 0.1) {
+                warnings.push({ sourceId, code: 'low_balance', message: `${source.name} would have $${Math.round(left)} left portfolio-wide` });
+            }
+        });
+
+        return {
+            projectId: project.id,
+            allocations,
+            bySource,
+            totalCost,
+            funded,
+            gap: Math.round((totalCost - funded) * 100) / 100,
+            skipped,
+            warnings
+        };
+    }
+
+    /**
+     * Commit a proposal from allocate(), replacing the project's previous commitments
+     * @param {Object} allocation
+     * @param {Object} options - { userId }
+     * @returns {Array} New commitment ids
+     */
+    commitAllocation(allocation, options = {}) {
+        return this.setProjectCommitments(allocation.projectId, Object.entries(allocation.bySource).map(([sourceId, amount]) => ({
+            sourceId,
+            source: this.getSource(sourceId).name,
+            amount
+        })), options);
+    }
+
+    /**
+     * Set or replace a project's payment schedule. Milestones are priced by
+     * `percent` of the contract (or a fixed `amount`) and must add up to it, so a
+     * schedule can be re-applied to a revised contract amount. Milestones that
+     * already have payments cannot be dropped or priced below what was paid.
+     * @param {string} projectId
+     * @param {Object} schedule - See module comment; also { contractorId }
+     * @param {Object} options - { userId }
+     * @returns {Object} The stored schedule
+     */
+    setPaymentSchedule(projectId, schedule, options = {}) {
+        const contractAmount = Number(schedule.contractAmount) || 0;
+        if (contractAmount <= 0) throw new Error('A payment schedule needs a contract amount');
+        if (!Array.isArray(schedule.milestones) || schedule.milestones.length === 0) {
+            throw new Error('A payment schedule needs at least one milestone');
+        }
+
+        const milestones = schedule.milestones.map((m, idx) => ({
+            id: m.id || `milestone-${idx + 1}`,
+            name: m.name || m.id || `Milestone ${idx + 1}`,
+            percent: m.percent !== undefined ? m.percent : null,
+            amount: this.roundCents(m.percent !== undefined && m.percent !== null ? contractAmount * m.percent : Number(m.amount) || 0),
+            retainage: m.retainage !== false,
+            condition: m.condition || null
+        }));
+        if (new Set(milestones.map(m => m.id)).size !== milestones.length) {
+            throw new Error('Payment milestone ids must be unique');
+        }
+
+        // Percent-priced milestones round to cents; the last one absorbs the remainder
+        const last = milestones[milestones.length - 1];
+        const others = milestones.slice(0, -1).reduce((sum, m) => sum + m.amount, 0);
+        if (last.percent !== null) last.amount = this.roundCents(contractAmount - others);
+        const total = this.roundCents(others + last.amount);
+        if (total !== this.roundCents(contractAmount)) {
+            throw new Error(`Milestones add up to $${total}, not the $${contractAmount} contract`);
+        }
+
+        const retainagePercent = Number(schedule.retainagePercent) || 0;
+        const previous = this.schedules[projectId] || null;
+        this.getMilestonePayments(projectId).forEach((paid, milestoneId) => {
+            const milestone = milestones.find(m => m.id === milestoneId);
+            if (!milestone) throw new Error(`Milestone ${milestoneId} has payments and cannot be removed`);
+            const net = this.roundCents(milestone.amount - (milestone.retainage ? milestone.amount * retainagePercent : 0));
+            if (net < paid) throw new Error(`${milestone.name} has $${paid} paid, more than its new $${net} payable`);
+        });
+
+        this.schedules[projectId] = {
+            projectId,
+            contractorId: schedule.contractorId || (previous && previous.contractorId) || null,
+            contractAmount,
+            retainagePercent,
+            retainageRelease: schedule.retainageRelease || null,
+            milestones,
+            createdAt: previous ? previous.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        fundingEvents.publish(this, 'PAYMENT_SCHEDULED', {
+            projectId,
+            userId: options.userId,
+            details: {
+                contractAmount,
+                retainagePercent,
+                milestones: milestones.map(m => ({ id: m.id, amount: m.amount })),
+                replaced: !!previous
+            }
+        });
+        this.save();
+        return this.schedules[projectId];
+    }
+
+    /**
+     * A project's schedule with what has been paid, what is released and the retainage position
+     * @param {string} projectId
+     * @returns {Object|null} { ...schedule, milestones: [{ ..., retained, netAmount, paid, remaining, ready, waitingFor, status }],
+     *                          paid, outstanding, retainage: { held, released, remaining, releasable, waitingFor } }
+     */
+    getPaymentSchedule(projectId) {
+        const schedule = this.schedules[projectId];
+        if (!schedule) return null;
+
+        const payments = this.getMilestonePayments(projectId);
+        let held = 0;
+        const milestones = schedule.milestones.map(m => {
+            const retained = m.retainage ? this.roundCents(m.amount * schedule.retainagePercent) : 0;
+            const netAmount = this.roundCents(m.amount - retained);
+            const paid = payments.get(m.id) || 0;
+            const remaining = this.roundCents(netAmount - paid);
+            const condition = this.checkPaymentCondition(projectId, m.condition);
+            held += netAmount > 0 ? retained * Math.min(1, paid / netAmount) : retained;
+
+            let status = 'pending';
+            if (remaining <= 0) status = 'paid';
+            else if (paid > 0) status = 'partially_paid';
+            else if (condition.met) status = 'payable';
+            return { ...m, retained, netAmount, paid, remaining, ready: condition.met, waitingFor: condition.waitingFor, status };
+        });
+
+        const released = this.roundCents(this.disbursements
+            .filter(d => d.projectId === projectId && d.retainageRelease)
+            .reduce((sum, d) => sum + d.amount, 0));
+        const paid = this.roundCents(milestones.reduce((sum, m) => sum + m.paid, 0));
+        const release = this.checkPaymentCondition(projectId, schedule.retainageRelease);
+        const unpaid = milestones.filter(m => m.status !== 'paid');
+        const remainingRetainage = this.roundCents(held - released);
+
+        return {
+            ...schedule,
+            milestones,
+            paid,
+            outstanding: this.roundCents(schedule.contractAmount - paid - released),
+            retainage: {
+                held: this.roundCents(held),
+                released,
+                remaining: remainingRetainage,
+                releasable: remainingRetainage > 0 && unpaid.length === 0 && release.met,
+                waitingFor: [...unpaid.map(m => `${m.name} paid`), ...release.waitingFor]
+            }
+        };
+    }
+
+    /**
+     * Pay out held retainage once every milestone is paid and the release condition is met
+     * @param {string} projectId
+     * @param {Object} options - { sourceId, amount (default: all remaining), userId }
+     * @returns {string} Disbursement id
+     */
+    releaseRetainage(projectId, options = {}) {
+        const schedule = this.getPaymentSchedule(projectId);
+        if (!schedule) throw new Error(`No payment schedule for ${projectId}`);
+        if (!schedule.retainage.releasable) {
+            const error = new Error(`Retainage cannot be released yet: waiting for ${schedule.retainage.waitingFor.join(', ') || 'retainage to be held'}`);
+            error.reason = 'retainage_not_releasable';
+            throw error;
+        }
+
+        const amount = options.amount !== undefined ? this.roundCents(Number(options.amount)) : schedule.retainage.remaining;
+        if (!(amount > 0) || amount > schedule.retainage.remaining) {
+            const error = new Error(`Retainage release must be between $0 and $${schedule.retainage.remaining}`);
+            error.reason = 'overpayment';
+            throw error;
+        }
+        if (options.sourceId) this.checkSourceDraw(projectId, options.sourceId, amount);
+
+        const disbursement = {
+            id: 'DIS-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            projectId,
+            amount,
+            sourceId: options.sourceId || null,
+            retainageRelease: true,
+            userId: options.userId || null,
+            date: new Date().toISOString()
+        };
+        this.disbursements.push(disbursement);
+        fundingEvents.publish(this, 'RETAINAGE_RELEASED', {
+            projectId,
+            userId: options.userId,
+            details: { disbursementId: disbursement.id, amount, sourceId: disbursement.sourceId, remaining: this.roundCents(schedule.retainage.remaining - amount) }
+        });
+        this.save();
+        return disbursement.id;
+    }
+
+    /**
+     * What the portfolio still owes contractors
+     * @param {Object} options - { projectIds: limit to these projects }
+     * @returns {Object} { projects: [...], totals, bySource: [{ sourceId, name, committed, disbursed, remaining }] }
+     */
+    getPayablesReport(options = {}) {
+        const projectIds = Object.keys(this.schedules).filter(id => !options.projectIds || options.projectIds.includes(id));
+        const totals = { contractAmount: 0, paid: 0, payableNow: 0, upcoming: 0, retainageHeld: 0, retainageReleasable: 0, outstanding: 0 };
+
+        const projects = projectIds.map(projectId => {
+            const schedule = this.getPaymentSchedule(projectId);
+            const open = schedule.milestones.filter(m => m.remaining > 0);
+            const row = {
+                projectId,
+                contractorId: schedule.contractorId,
+                contractAmount: schedule.contractAmount,
+                paid: schedule.paid,
+                payableNow: this.roundCents(open.filter(m => m.ready).reduce((sum, m) => sum + m.remaining, 0)),
+                upcoming: this.roundCents(open.filter(m => !m.ready).reduce((sum, m) => sum + m.remaining, 0)),
+                retainageHeld: schedule.retainage.remaining,
+                retainageReleasable: schedule.retainage.releasable ? schedule.retainage.remaining : 0,
+                outstanding: schedule.outstanding,
+                nextMilestone: open.length ? { id: open[0].id, name: open[0].name, ready: open[0].ready, waitingFor: open[0].waitingFor } : null
+            };
+            Object.keys(totals).forEach(key => { totals[key] = this.roundCents(totals[key] + row[key]); });
+            return row;
+        });
+
+        const bySource = {};
+        this.commitments.filter(c => c.sourceId && projectIds.includes(c.projectId)).forEach(c => {
+            const entry = bySource[c.sourceId] || (bySource[c.sourceId] = {
+                sourceId: c.sourceId,
+                name: (this.getSource(c.sourceId) || {}).name || c.sourceId,
+                committed: 0,
+                disbursed: 0
+            });
+            entry.committed += c.amount;
+        });
+        this.disbursements.filter(d => d.sourceId && bySource[d.sourceId] && projectIds.includes(d.projectId)).forEach(d => {
+            bySource[d.sourceId].disbursed += d.amount;
+        });
+
+        return {
+            projects,
+            totals,
+            bySource: Object.values(bySource).map(s => ({ ...s, remaining: this.roundCents(s.committed - s.disbursed) }))
+        };
+    }
+
+    /**
+     * Undisbursed commitment from one source to one project
+     * @returns {number}
+     */
+    getSourceAvailable(projectId, sourceId) {
+        const disbursed = this.disbursements
+            .filter(d => d.projectId === projectId && d.sourceId === sourceId)
+            .reduce((sum, d) => sum + d.amount, 0);
+        return this.roundCents(this.getCommitted(sourceId, { projectId }) - disbursed);
+    }
+
+    /**
+     * Check someone's edited copy of the funding data against the stored one
+     * by replaying what changed, as `userId` (for ApiServer, where the tracker
+     * saves it whole). A project's changed stack of sourced commitments is set
+     * again (caps, expiry, exclusivity), other commitments are only added and
+     * must be the user's own, changed payment schedules are set again, and new
+     * payments and retainage releases must be the user's own and are recorded
+     * again in time order. Recorded payments never change and sources only come
+     * from configuration. The result must match the copy apart from the ids and
+     * timestamps of what was added.
+     * @param {Object} next - The edited { commitments, disbursements, sources, schedules }
+     * @param {Object} previous - The stored data
+     * @param {string} userId
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId) {
+        if (!next || typeof next !== 'object' || Array.isArray(next)) return ['expected funding data'];
+        const before = JSON.parse(JSON.stringify({ commitments: [], disbursements: [], schedules: {}, ...(previous || {}) }));
+        const commitments = next.commitments || [];
+        const disbursements = next.disbursements || [];
+        const schedules = next.schedules || {};
+        const scratch = new FundingTracker({ storage: new fundingStorage.Memory(), qaGates: this.qaGates, approvals: this.approvals });
+        Object.assign(scratch, { sources: this.sources, commitments: before.commitments, disbursements: before.disbursements, schedules: before.schedules });
+
+        const problems = [];
+        const replay = (label, task) => {
+            try {
+                task();
+            } catch (e) {
+                problems.push(`${label}: ${e.message}`);
+            }
+        };
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+        // What a replay adds gets new random ids; take the copy's
+        const adopt = (list, known, ids) => list.filter(item => !known.has(item.id)).forEach((item, i) => { if (ids[i]) item.id = ids[i]; });
+
+        if (FundingTracker.withoutTimes(next.sources || {}) !== FundingTracker.withoutTimes(this.sources)) {
+            problems.push('funding sources are set in configuration');
+        }
+
+        const storedCommitments = new Map(before.commitments.map(c => [c.id, c]));
+        const projectIds = new Set([
+            ...before.commitments.filter(c => !commitments.some(other => same(other, c))).map(c => c.projectId),
+            ...commitments.filter(c => !storedCommitments.has(c.id) || !same(storedCommitments.get(c.id), c)).map(c => c.projectId)
+        ]);
+        projectIds.forEach(projectId => replay(projectId, () => {
+            const theirs = commitments.filter(c => c.projectId === projectId);
+            const sourced = theirs.filter(c => c.sourceId);
+            if (!same(sourced, scratch.commitments.filter(c => c.projectId === projectId && c.sourceId))) {
+                const known = new Set(scratch.commitments.map(c => c.id));
+                scratch.setProjectCommitments(projectId, sourced.map(({ id, date, projectId: project, ...c }) => c), { userId });
+                adopt(scratch.commitments, known, sourced.filter(c => !storedCommitments.has(c.id)).map(c => c.id));
+            }
+            theirs.filter(c => !c.sourceId && !storedCommitments.has(c.id)).forEach(({ id, date, ...c }) => {
+                if (c.userId !== userId) throw new Error(`a commitment by ${c.userId} cannot be recorded by ${userId}`);
+                scratch.addCommitment(c);
+                scratch.commitments[scratch.commitments.length - 1].id = id;
+            });
+        }));
+
+        Object.keys(before.schedules).filter(projectId => !schedules[projectId])
+            .forEach(projectId => problems.push(`${projectId}: a payment schedule cannot be removed`));
+        Object.entries(schedules).filter(([projectId, schedule]) => !same(before.schedules[projectId], schedule))
+            .forEach(([projectId, schedule]) => replay(projectId, () => scratch.setPaymentSchedule(projectId, schedule, { userId })));
+
+        if (!before.disbursements.every((d, i) => same(disbursements[i], d))) {
+            problems.push('recorded payments cannot be changed or removed');
+        } else {
+            disbursements.slice(before.disbursements.length)
+                .sort((a, b) => new Date(a.date) - new Date(b.date))
+                .forEach(({ id, date, ...d }) => replay(id, () => {
+                    if (d.userId !== userId) throw new Error(`a payment by ${d.userId} cannot be recorded by ${userId}`);
+                    if (d.retainageRelease) scratch.releaseRetainage(d.projectId, { amount: d.amount, sourceId: d.sourceId, userId });
+                    else scratch.recordDisbursement(d);
+                    scratch.disbursements[scratch.disbursements.length - 1].id = id;
+                }));
+        }
+
+        if (problems.length) return problems;
+        const byId = list => list.slice().sort((a, b) => String(a.id).localeCompare(String(b.id)));
+        if (FundingTracker.withoutTimes(byId(scratch.commitments)) !== FundingTracker.withoutTimes(byId(commitments)) ||
+            FundingTracker.withoutTimes(byId(scratch.disbursements)) !== FundingTracker.withoutTimes(byId(disbursements)) ||
+            FundingTracker.withoutTimes(scratch.schedules) !== FundingTracker.withoutTimes(schedules)) {
+            return ['does not match what its commitments, schedules and payments lead to'];
+        }
+        return [];
+    }
+
+    /**
+     * @private
+     */
+    checkMilestonePayment(d) {
+        const schedule = this.getPaymentSchedule(d.projectId);
+        if (!schedule) throw new Error(`No payment schedule for ${d.projectId}`);
+        const milestone = schedule.milestones.find(m => m.id === d.milestoneId);
+        if (!milestone) throw new Error(`Milestone ${d.milestoneId} is not on the ${d.projectId} schedule`);
+
+        if (!milestone.ready) {
+            const error = new Error(`${milestone.name} is not released: waiting for ${milestone.waitingFor.join(', ')}`);
+            error.reason = 'milestone_not_ready';
+            throw error;
+        }
+        if (!(d.amount > 0) || this.roundCents(d.amount) > milestone.remaining) {
+            const error = new Error(`${milestone.name} has $${milestone.remaining} left to pay`);
+            error.reason = 'overpayment';
+            throw error;
+        }
+        if (d.sourceId) this.checkSourceDraw(d.projectId, d.sourceId, d.amount);
+    }
+
+    /**
+     * @private
+     */
+    checkSourceDraw(projectId, sourceId, amount) {
+        const source = this.getSource(sourceId);
+        if (!source) throw new Error(`Unknown funding source ${sourceId}`);
+        const available = this.getSourceAvailable(projectId, sourceId);
+        if (this.roundCents(amount) > available) {
+            const error = new Error(`${source.name} has $${available} committed to ${projectId} and not yet disbursed`);
+            error.reason = 'source_exhausted';
+            throw error;
+        }
+    }
+
+    /**
+     * QA gate and approval conditions; each one named must be met
+     * @private
+     */
+    checkPaymentCondition(projectId, condition) {
+        const waitingFor = [];
+        if (condition && condition.qaGate) {
+            if (!this.qaGates || !this.qaGates.isPassed(projectId, condition.qaGate)) waitingFor.push(`QA ${condition.qaGate} passed`);
+        }
+        if (condition && condition.approval) {
+            const approved = this.approvals && this.approvals.getForProject(projectId)
+                .some(a => a.milestone === condition.approval && a.status === 'approved');
+            if (!approved) waitingFor.push(`${condition.approval} approved`);
+        }
+        return { met: waitingFor.length === 0, waitingFor };
+    }
+
+    /**
+     * Paid so far per milestone
+     * @private
+     */
+    getMilestonePayments(projectId) {
+        const payments = new Map();
+        this.disbursements.filter(d => d.projectId === projectId && d.milestoneId).forEach(d => {
+            payments.set(d.milestoneId, this.roundCents((payments.get(d.milestoneId) || 0) + d.amount));
+        });
+        return payments;
+    }
+
+    /**
+     * @private
+     */
+    roundCents(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    /**
+     * @private
+     */
+    isExpired(source, asOf = new Date()) {
+        return !!source.expiresAt && new Date(source.expiresAt) < asOf;
+    }
+
+    /**
+     * Exclusivity may be declared on either source
+     * @private
+     */
+    areExclusive(a, b) {
+        const sourceA = this.getSource(a);
+        const sourceB = this.getSource(b);
+        return !!(sourceA && sourceA.stacking.exclusiveWith.includes(b)) || !!(sourceB && sourceB.stacking.exclusiveWith.includes(a));
+    }
+
+    /**
+     * Spend order: explicit priority, then soonest expiry, then most restricted
+     * @private
+     */
+    compareSources(a, b) {
+        if (a.priority !== b.priority) return a.priority - b.priority;
+        const expiryA = a.expiresAt ? new Date(a.expiresAt).getTime() : Infinity;
+        const expiryB = b.expiresAt ? new Date(b.expiresAt).getTime() : Infinity;
+        if (expiryA !== expiryB) return expiryA - expiryB;
+        const breadth = s => (s.eligibleMeasureCategories ? s.eligibleMeasureCategories.length : 1000) + (s.eligibleScenarios ? s.eligibleScenarios.length : 1000);
+        return breadth(a) - breadth(b);
+    }
+
+    /**
+     * Canonical JSON with timestamps left out
+     * @private
+     */
+    static withoutTimes(value) {
+        const strip = v => {
+            if (Array.isArray(v)) return v.map(strip);
+            if (!v || typeof v !== 'object') return v;
+            return Object.fromEntries(Object.keys(v).sort()
+                .filter(key => !FundingTracker.TIME_FIELDS.includes(key) && v[key] !== undefined)
+                .map(key => [key, strip(v[key])]));
+        };
+        return JSON.stringify(strip(value));
+    }
+
+    save() { return fundingStorage.write(this.storage, this.storageKey, {commitments: this.commitments, disbursements: this.disbursements, sources: this.sources, schedules: this.schedules}, 'funding data'); }
+    load() { return fundingStorage.read(this.storage, this.storageKey, data => { data = data || {}; this.commitments = data.commitments || []; this.disbursements = data.disbursements || []; this.sources = { ...(data.sources || {}), ...this.sources }; this.schedules = data.schedules || {}; }, 'funding data'); }
 }
+FundingTracker.TIME_FIELDS = ['date', 'createdAt', 'updatedAt'];
+
 if (typeof module !== 'undefined') module.exports = FundingTracker;
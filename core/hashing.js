@@ -0,0 +1,305 @@
+/**
+ * Hashing - SHA-256 Primitives
+ *
+ * Dependency-free SHA-256, HMAC-SHA256 and Merkle root helpers that behave
+ * identically in the browser and in Node. The synchronous implementation keeps
+ * `Ledger.record()` synchronous; `digest()` uses the platform's native crypto
+ * when available for bulk work such as verification.
+ */
+
+class Hashing {
+    /**
+     * SHA-256 of a string (UTF-8) or byte array
+     * @param {string|Uint8Array} input
+     * @returns {string} Lowercase hex digest
+     */
+    static sha256(input) {
+        return Hashing.toHex(Hashing.sha256Bytes(Hashing.toBytes(input)));
+    }
+
+    /**
+     * HMAC-SHA256 (RFC 2104)
+     * @param {string|Uint8Array} key
+     * @param {string|Uint8Array} message
+     * @returns {string} Lowercase hex digest
+     */
+    static hmacSha256(key, message) {
+        return Hashing.toHex(Hashing.hmacSha256Bytes(Hashing.toBytes(key), Hashing.toBytes(message)));
+    }
+
+    /**
+     * @private
+     */
+    static hmacSha256Bytes(key, message) {
+        let keyBytes = key;
+        if (keyBytes.length > 64) keyBytes = Hashing.sha256Bytes(keyBytes);
+
+        const inner = new Uint8Array(64);
+        const outer = new Uint8Array(64);
+        for (let i = 0; i < 64; i++) {
+            const b = keyBytes[i] || 0;
+            inner[i] = b ^ 0x36;
+            outer[i] = b ^ 0x5c;
+        }
+
+        const innerHash = Hashing.sha256Bytes(Hashing.concat(inner, message));
+        return Hashing.sha256Bytes(Hashing.concat(outer, innerHash));
+    }
+
+    /**
+     * SHA-256 using native crypto (WebCrypto or Node) with JS fallback
+     * @param {string|Uint8Array} input
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    static async digest(input) {
+        const bytes = Hashing.toBytes(input);
+        const subtle = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle;
+
+        if (subtle) {
+            const buffer = await subtle.digest('SHA-256', bytes);
+            return Hashing.toHex(new Uint8Array(buffer));
+        }
+
+        if (typeof require === 'function') {
+            try {
+                return require('crypto').createHash('sha256').update(bytes).digest('hex');
+            } catch (e) {
+                // Fall through to the portable implementation
+            }
+        }
+
+        return Hashing.sha256(bytes);
+    }
+
+    /**
+     * PBKDF2-HMAC-SHA256 (RFC 8018) for password hashing, using native crypto
+     * (WebCrypto or Node) with JS fallback
+     * @param {string|Uint8Array} password
+     * @param {string|Uint8Array} salt
+     * @param {number} iterations
+     * @param {number} length - Derived key length in bytes
+     * @returns {Promise<string>} Lowercase hex key
+     */
+    static async pbkdf2(password, salt, iterations, length = 32) {
+        const passwordBytes = Hashing.toBytes(password);
+        const saltBytes = Hashing.toBytes(salt);
+        const subtle = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.subtle;
+
+        if (subtle) {
+            const key = await subtle.importKey('raw', passwordBytes, 'PBKDF2', false, ['deriveBits']);
+            const bits = await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt: saltBytes, iterations }, key, length * 8);
+            return Hashing.toHex(new Uint8Array(bits));
+        }
+
+        if (typeof require === 'function') {
+            try {
+                return require('crypto').pbkdf2Sync(passwordBytes, saltBytes, iterations, length, 'sha256').toString('hex');
+            } catch (e) {
+                // Fall through to the portable implementation
+            }
+        }
+
+        const out = new Uint8Array(length);
+        for (let block = 1, offset = 0; offset < length; block++, offset += 32) {
+            const index = new Uint8Array([block >>> 24, (block >>> 16) & 0xff, (block >>> 8) & 0xff, block & 0xff]);
+            let u = Hashing.hmacSha256Bytes(passwordBytes, Hashing.concat(saltBytes, index));
+            const t = u.slice();
+            for (let i = 1; i < iterations; i++) {
+                u = Hashing.hmacSha256Bytes(passwordBytes, u);
+                for (let j = 0; j < t.length; j++) t[j] ^= u[j];
+            }
+            out.set(t.subarray(0, Math.min(32, length - offset)), offset);
+        }
+        return Hashing.toHex(out);
+    }
+
+    /**
+     * Compare two strings in time independent of where they differ
+     * @param {string} a
+     * @param {string} b
+     * @returns {boolean}
+     */
+    static timingSafeEqual(a, b) {
+        if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+        let diff = 0;
+        for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        return diff === 0;
+    }
+
+    /**
+     * Merkle root over a list of hex hashes. Odd levels duplicate the last node.
+     * @param {Array<string>} hashes
+     * @returns {string} Root hash ('0' for an empty list)
+     */
+    static merkleRoot(hashes) {
+        if (!hashes || hashes.length === 0) return '0';
+
+        let level = hashes.slice();
+        while (level.length > 1) {
+            const next = [];
+            for (let i = 0; i < level.length; i += 2) {
+                const left = level[i];
+                const right = i + 1 < level.length ? level[i + 1] : left;
+                next.push(Hashing.sha256(left + right));
+            }
+            level = next;
+        }
+        return level[0];
+    }
+
+    /**
+     * Deterministic JSON: object keys sorted, undefined values dropped
+     * @param {*} value
+     * @returns {string}
+     */
+    static canonicalize(value) {
+        if (value === null || typeof value !== 'object') {
+            return JSON.stringify(value);
+        }
+        if (Array.isArray(value)) {
+            return '[' + value.map(v => v === undefined ? 'null' : Hashing.canonicalize(v)).join(',') + ']';
+        }
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return '{' + keys.map(k => JSON.stringify(k) + ':' + Hashing.canonicalize(value[k])).join(',') + '}';
+    }
+
+    /**
+     * Check that a value looks like a SHA-256 hex digest
+     * @param {string} hash
+     * @returns {boolean}
+     */
+    static isSha256(hash) {
+        return typeof hash === 'string' && /^[0-9a-f]{64}$/.test(hash);
+    }
+
+    /**
+     * Encode string as UTF-8 bytes
+     * @private
+     */
+    static toBytes(input) {
+        if (input instanceof Uint8Array) return input;
+        if (typeof ArrayBuffer !== 'undefined' && input instanceof ArrayBuffer) return new Uint8Array(input);
+
+        const str = String(input);
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode(str);
+        }
+
+        const utf8 = unescape(encodeURIComponent(str));
+        const bytes = new Uint8Array(utf8.length);
+        for (let i = 0; i < utf8.length; i++) bytes[i] = utf8.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * @private
+     */
+    static toHex(bytes) {
+        let hex = '';
+        for (let i = 0; i < bytes.length; i++) {
+            hex += (bytes[i] < 16 ? '0' : '') + bytes[i].toString(16);
+        }
+        return hex;
+    }
+
+    /**
+     * @private
+     */
+    static concat(a, b) {
+        const out = new Uint8Array(a.length + b.length);
+        out.set(a, 0);
+        out.set(b, a.length);
+        return out;
+    }
+
+    /**
+     * Core SHA-256 compression (FIPS 180-4)
+     * @private
+     */
+    static sha256Bytes(bytes) {
+        const K = Hashing.K;
+        const H = [
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ];
+
+        // Pad: 0x80, zeros, then 64-bit big-endian bit length
+        const bitLength = bytes.length * 8;
+        const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(bytes, 0);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000), false);
+        view.setUint32(paddedLength - 4, bitLength >>> 0, false);
+
+        const W = new Uint32Array(64);
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let t = 0; t < 16; t++) {
+                W[t] = view.getUint32(offset + t * 4, false);
+            }
+            for (let t = 16; t < 64; t++) {
+                const s0 = Hashing.rotr(W[t - 15], 7) ^ Hashing.rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+                const s1 = Hashing.rotr(W[t - 2], 17) ^ Hashing.rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+                W[t] = (W[t - 16] + s0 + W[t - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let t = 0; t < 64; t++) {
+                const S1 = Hashing.rotr(e, 6) ^ Hashing.rotr(e, 11) ^ Hashing.rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const temp1 = (h + S1 + ch + K[t] + W[t]) >>> 0;
+                const S0 = Hashing.rotr(a, 2) ^ Hashing.rotr(a, 13) ^ Hashing.rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (S0 + maj) >>> 0;
+
+                h = g;
+                g = f;
+                f = e;
+                e = (d + temp1) >>> 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (temp1 + temp2) >>> 0;
+            }
+
+            H[0] = (H[0] + a) >>> 0;
+            H[1] = (H[1] + b) >>> 0;
+            H[2] = (H[2] + c) >>> 0;
+            H[3] = (H[3] + d) >>> 0;
+            H[4] = (H[4] + e) >>> 0;
+            H[5] = (H[5] + f) >>> 0;
+            H[6] = (H[6] + g) >>> 0;
+            H[7] = (H[7] + h) >>> 0;
+        }
+
+        const out = new Uint8Array(32);
+        const outView = new DataView(out.buffer);
+        H.forEach((word, i) => outView.setUint32(i * 4, word, false));
+        return out;
+    }
+
+    /**
+     * @private
+     */
+    static rotr(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+}
+
+// SHA-256 round constants
+Hashing.K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Hashing;
+}
@@ -3,16 +3,52 @@ const modules = {};
 if (typeof window !== 'undefined') {
     modules.Ledger = window.Ledger || class Ledger {};
     modules.RBAC = window.RBAC || class RBAC {};
+    modules.AuthManager = window.AuthManager || class AuthManager {};
     modules.ApprovalEngine = window.ApprovalEngine || class ApprovalEngine {};
     modules.FundingTracker = window.FundingTracker || class FundingTracker {};
     modules.QAGates = window.QAGates || class QAGates {};
+    modules.Workflow = window.Workflow || class Workflow {};
+    modules.DecisionRules = window.DecisionRules || class DecisionRules {};
+    modules.BidManager = window.BidManager || class BidManager {};
+    modules.ChangeOrderManager = window.ChangeOrderManager || class ChangeOrderManager {};
+    modules.BackupManager = window.BackupManager || class BackupManager {};
+    modules.SchemaValidator = window.SchemaValidator || class SchemaValidator {};
+    modules.ReportEngine = window.ReportEngine || class ReportEngine {};
+    modules.SLAMonitor = window.SLAMonitor || class SLAMonitor {};
+    modules.NotificationCenter = window.NotificationCenter || class NotificationCenter {};
+    modules.AttachmentStore = window.AttachmentStore || class AttachmentStore {};
+    modules.ApiServer = window.ApiServer || class ApiServer {};
+    modules.SyncEngine = window.SyncEngine || class SyncEngine {};
+    modules.QualificationEngine = window.QualificationEngine || class QualificationEngine {};
+    modules.MeasureLibrary = window.MeasureLibrary || class MeasureLibrary {};
+    modules.EventBus = window.EventBus || class EventBus {};
+    modules.Hashing = window.Hashing || class Hashing {};
+    modules.StorageAdapter = window.StorageAdapter || class StorageAdapter {};
 }
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         Ledger: require('./ledger'),
         RBAC: require('./rbac'),
+        AuthManager: require('./auth'),
         ApprovalEngine: require('./approval-engine'),
         FundingTracker: require('./funding-tracker'),
-        QAGates: require('./qa-gates')
+        QAGates: require('./qa-gates'),
+        Workflow: require('./workflow'),
+        DecisionRules: require('./decision-rules'),
+        BidManager: require('./bid-manager'),
+        ChangeOrderManager: require('./change-orders'),
+        BackupManager: require('./backup'),
+        SchemaValidator: require('./schema-validator'),
+        ReportEngine: require('./reports'),
+        SLAMonitor: require('./sla-monitor'),
+        NotificationCenter: require('./notifications'),
+        AttachmentStore: require('./attachments'),
+        ApiServer: require('./api-server'),
+        SyncEngine: require('./sync'),
+        QualificationEngine: require('./qualification'),
+        MeasureLibrary: require('./measure-library'),
+        EventBus: require('./event-bus'),
+        Hashing: require('./hashing'),
+        StorageAdapter: require('./storage')
     };
 }
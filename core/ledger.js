@@ -3,14 +3,23 @@
  * 
  * Records every action, update, and transaction with cryptographic integrity.
  * Append-only log prevents tampering and provides complete audit trail.
+ * Entries are chained with SHA-256; signed checkpoints (Merkle root + entry
+ * count) can be exported for external auditors.
  */
 
+const ledgerHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+const ledgerStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+
 class Ledger {
     constructor(options = {}) {
         this.entries = [];
+        this.checkpoints = [];
         this.storageKey = options.storageKey || 'ledger_entries';
+        this.storage = ledgerStorage.resolve(options);
         this.useHashing = options.useHashing !== false; // Default true
-        this.load();
+        this.signer = options.signer || null;
+        this.checkpointInterval = options.checkpointInterval || 0; // 0 = manual only
+        this.ready = this.load();
     }
 
     /**
@@ -32,10 +41,22 @@ class Ledger {
 
         this.entries.push(ledgerEntry);
         this.save();
+
+        if (this.signer && this.checkpointInterval && this.entries.length % this.checkpointInterval === 0) {
+            this.checkpoint().catch(e => console.error('Failed to create ledger checkpoint:', e));
+        }
         
         return ledgerEntry.id;
     }
 
+    /**
+     * Get all entries in chain order
+     * @returns {Array} Entries
+     */
+    getAll() {
+        return this.entries.slice();
+    }
+
     /**
      * Get complete history for a project
      * @param {string} projectId 
@@ -77,53 +98,305 @@ class Ledger {
     }
 
     /**
-     * Verify ledger integrity
-     * @returns {Object} Validation result
+     * Verify ledger integrity. Checks every entry rather than stopping at the
+     * first failure, then validates stored checkpoints against the chain.
+     * @returns {Promise<Object>} { valid, message, checked, issues, checkpoints }
      */
-    verify() {
+    async verify() {
         if (!this.useHashing) {
-            return { valid: true, message: 'Hashing disabled' };
+            return { valid: true, message: 'Hashing disabled', checked: 0, issues: [], checkpoints: [] };
         }
 
+        const issues = [];
         for (let i = 0; i < this.entries.length; i++) {
             const entry = this.entries[i];
-            const calculatedHash = this.calculateHash({
-                ...entry,
-                hash: undefined // Exclude hash field from calculation
-            });
+            const expectedPrevious = i === 0 ? '0' : (this.entries[i - 1].hash || '0');
+
+            if (!entry.hash) {
+                issues.push({ index: i, id: entry.id, cause: 'missing_hash', message: `Entry ${i} (${entry.id}) has no hash` });
+            } else if (!ledgerHashing.isSha256(entry.hash)) {
+                issues.push({ index: i, id: entry.id, cause: 'legacy_hash', message: `Entry ${i} (${entry.id}) uses the legacy 32-bit hash; run migrateLegacyHashes()` });
+            } else {
+                const calculatedHash = await ledgerHashing.digest(this.serializeForHash(entry));
+                if (entry.hash !== calculatedHash) {
+                    issues.push({
+                        index: i,
+                        id: entry.id,
+                        cause: 'hash_mismatch',
+                        message: `Entry ${i} (${entry.id}) content does not match its hash`,
+                        expected: calculatedHash,
+                        actual: entry.hash
+                    });
+                }
+            }
+
+            if (entry.previousHash !== expectedPrevious) {
+                issues.push({
+                    index: i,
+                    id: entry.id,
+                    cause: 'broken_link',
+                    message: `Entry ${i} (${entry.id}) does not link to the previous entry`,
+                    expected: expectedPrevious,
+                    actual: entry.previousHash
+                });
+            }
+        }
+
+        const checkpoints = [];
+        for (const checkpoint of this.checkpoints) {
+            checkpoints.push(await this.verifyCheckpoint(checkpoint));
+        }
+
+        const valid = issues.length === 0 && checkpoints.every(c => c.valid);
+        let message = 'Ledger integrity verified';
+        if (issues.length > 0) {
+            message = `${issues.length} integrity issue${issues.length !== 1 ? 's' : ''} found in ${this.entries.length} entries`;
+        } else if (!valid) {
+            message = 'One or more checkpoints failed verification';
+        }
+
+        return { valid, message, checked: this.entries.length, issues, checkpoints };
+    }
 
-            if (entry.hash !== calculatedHash) {
-                return {
-                    valid: false,
-                    message: `Entry ${i} (${entry.id}) has invalid hash`,
-                    entry
-                };
+    /**
+     * Create a signed checkpoint over the current chain
+     * @returns {Promise<Object>} Checkpoint record
+     */
+    async checkpoint() {
+        if (!this.signer) {
+            throw new Error('Ledger checkpoints require a signer');
+        }
+
+        const payload = {
+            entryCount: this.entries.length,
+            lastEntryId: this.entries.length ? this.entries[this.entries.length - 1].id : null,
+            lastHash: this.getLastHash(),
+            merkleRoot: ledgerHashing.merkleRoot(this.entries.map(e => e.hash || '0')),
+            algorithm: 'SHA-256',
+            createdAt: new Date().toISOString()
+        };
+
+        const checkpoint = {
+            id: 'CKP-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            ...payload,
+            signature: {
+                algorithm: this.signer.algorithm,
+                keyId: this.signer.keyId || null,
+                value: await this.signer.sign(ledgerHashing.canonicalize(payload))
             }
+        };
+
+        this.checkpoints.push(checkpoint);
+        this.save();
+        return checkpoint;
+    }
 
-            if (i > 0) {
-                const previousEntry = this.entries[i - 1];
-                if (entry.previousHash !== previousEntry.hash) {
-                    return {
-                        valid: false,
-                        message: `Entry ${i} (${entry.id}) has broken chain`,
-                        entry
-                    };
+    /**
+     * Verify a checkpoint's signature and that the chain still matches it
+     * @param {Object} checkpoint
+     * @returns {Promise<Object>} { id, valid, cause, message }
+     */
+    async verifyCheckpoint(checkpoint) {
+        const result = { id: checkpoint.id, entryCount: checkpoint.entryCount, valid: false };
+
+        if (checkpoint.entryCount > this.entries.length) {
+            return { ...result, cause: 'entries_missing', message: `Checkpoint ${checkpoint.id} covers ${checkpoint.entryCount} entries but only ${this.entries.length} exist` };
+        }
+
+        const covered = this.entries.slice(0, checkpoint.entryCount);
+        const merkleRoot = ledgerHashing.merkleRoot(covered.map(e => e.hash || '0'));
+        if (merkleRoot !== checkpoint.merkleRoot) {
+            return { ...result, cause: 'merkle_mismatch', message: `Checkpoint ${checkpoint.id} Merkle root no longer matches entries 0-${checkpoint.entryCount - 1}` };
+        }
+
+        if (this.signer) {
+            const { id, signature, ...payload } = checkpoint;
+            const signatureValid = signature && await this.signer.verify(ledgerHashing.canonicalize(payload), signature.value);
+            if (!signatureValid) {
+                return { ...result, cause: 'bad_signature', message: `Checkpoint ${checkpoint.id} signature is invalid` };
+            }
+        }
+
+        return { ...result, valid: true, message: `Checkpoint ${checkpoint.id} verified` };
+    }
+
+    /**
+     * Re-hash entries written with the legacy 32-bit hash using SHA-256, and
+     * record the migration itself as a ledger entry. Only legacy entries get a
+     * new hash (and the entries after them a new link); nothing is rewritten
+     * unless every legacy hash, SHA-256 hash and link still checks out, so a
+     * tampered ledger is reported rather than given a fresh chain. Signed
+     * checkpoints over entries that get a new hash stop matching: the
+     * migration is refused while there are any, unless `dropCheckpoints` is
+     * set, and the dropped ones are listed in the LEDGER_MIGRATED entry.
+     * @param {Object} options - { userId, dropCheckpoints }
+     * @returns {Object|null} Migration summary ({ migrated: false, issues } when refused), or null if nothing to migrate
+     */
+    migrateLegacyHashes(options = {}) {
+        if (!this.useHashing) return null;
+
+        const legacy = this.entries.map(entry => Ledger.isLegacyHash(entry.hash));
+        const firstLegacy = legacy.indexOf(true);
+        if (firstLegacy === -1) return null;
+
+        const issues = [];
+        this.entries.forEach((entry, i) => {
+            const expectedPrevious = i === 0 ? '0' : (this.entries[i - 1].hash || '0');
+            if (entry.previousHash !== expectedPrevious) {
+                issues.push({ index: i, id: entry.id, cause: 'broken_link', message: `Entry ${i} (${entry.id}) does not link to the previous entry` });
+            }
+            if (legacy[i]) {
+                if (i > 0 && !legacy[i - 1]) {
+                    issues.push({ index: i, id: entry.id, cause: 'legacy_after_sha256', message: `Entry ${i} (${entry.id}) has a legacy hash but follows a SHA-256 entry` });
+                } else if (entry.hash !== this.calculateLegacyHash(entry)) {
+                    issues.push({ index: i, id: entry.id, cause: 'hash_mismatch', message: `Entry ${i} (${entry.id}) content does not match its legacy hash` });
                 }
+            } else if (!ledgerHashing.isSha256(entry.hash) || entry.hash !== this.calculateHash(entry)) {
+                issues.push({ index: i, id: entry.id, cause: 'hash_mismatch', message: `Entry ${i} (${entry.id}) content does not match its hash` });
+            }
+        });
+
+        // Checkpoints over entries before the first legacy one still match afterwards
+        const covering = this.checkpoints.filter(checkpoint => checkpoint.entryCount > firstLegacy);
+        if (covering.length > 0 && !options.dropCheckpoints) {
+            issues.push(...covering.map(checkpoint => ({
+                id: checkpoint.id,
+                cause: 'checkpoint_covers_legacy',
+                message: `Checkpoint ${checkpoint.id} covers entries that would get a new hash; pass dropCheckpoints to drop it`
+            })));
+        }
+        if (issues.length > 0) return { migrated: false, issues };
+
+        let previousHash = firstLegacy === 0 ? '0' : this.entries[firstLegacy - 1].hash;
+        this.entries.slice(firstLegacy).forEach((entry, i) => {
+            if (legacy[firstLegacy + i]) entry.legacyHash = entry.hash;
+            entry.previousHash = previousHash;
+            entry.hash = this.calculateHash(entry);
+            previousHash = entry.hash;
+        });
+        this.checkpoints = this.checkpoints.filter(checkpoint => !covering.includes(checkpoint));
+
+        const summary = {
+            migrated: true,
+            fromAlgorithm: 'legacy-32bit',
+            toAlgorithm: 'SHA-256',
+            entriesRechained: this.entries.length - firstLegacy,
+            legacyEntries: legacy.filter(Boolean).length,
+            checkpointsDropped: covering.map(checkpoint => checkpoint.id)
+        };
+
+        this.record({
+            action: Ledger.ACTION_TYPES.LEDGER_MIGRATED,
+            userId: options.userId || 'system',
+            details: summary
+        });
+
+        return summary;
+    }
+
+    /**
+     * Merge another copy of this ledger (an offline browser, a sync bundle, a
+     * server). Entries are matched by id and both chains are kept up to the
+     * first entry where they differ. After that:
+     *   keep: 'ours'   - this chain stays as it is; their new entries follow it
+     *   keep: 'theirs' - their chain is taken as is; our new entries follow it
+     *   (default)      - both sides' entries are interleaved by timestamp, then
+     *                    id, each side keeping its own order, so two copies
+     *                    that merge each other end up with the same chain
+     * Entries that move keep their id, timestamp and content and are linked
+     * again; checkpoints covering a moved entry are dropped. Unless keeping
+     * theirs, new entries `accept` returns false for are left out (e.g. a
+     * server taking only entries in the sending user's name).
+     * @param {Array} entries - The other copy's whole chain
+     * @param {Object} options - { keep: 'ours' | 'theirs', accept: (entry) => boolean }
+     * @returns {Object} { added, rechained, checkpointsDropped, refused }
+     */
+    merge(entries, options = {}) {
+        const theirs = entries || [];
+        theirs.forEach((entry, i) => {
+            const linked = !this.useHashing || entry.previousHash === (i === 0 ? '0' : theirs[i - 1].hash);
+            const intact = !this.useHashing || !ledgerHashing.isSha256(entry.hash) || entry.hash === this.calculateHash(entry);
+            if (!entry.id || !linked || !intact) {
+                const error = new Error(`Entry ${i} (${entry.id}) of the other ledger does not match its hash chain`);
+                error.reason = 'invalid_record';
+                throw error;
             }
+        });
+
+        let fork = 0;
+        while (fork < this.entries.length && fork < theirs.length &&
+               this.entries[fork].id === theirs[fork].id && this.entries[fork].hash === theirs[fork].hash) {
+            fork++;
+        }
+
+        const ourIds = new Set(this.entries.map(e => e.id));
+        const theirIds = new Set(theirs.map(e => e.id));
+        const unlink = ({ previousHash, hash, ...entry }) => entry;
+        const unknown = theirs.slice(fork).filter(e => !ourIds.has(e.id));
+        const newToUs = unknown.filter(e => !options.accept || options.accept(e)).map(unlink);
+
+        let kept;
+        let moved;
+        if (options.keep === 'ours') {
+            kept = this.entries;
+            moved = newToUs;
+        } else if (options.keep === 'theirs') {
+            kept = theirs;
+            moved = this.entries.slice(fork).filter(e => !theirIds.has(e.id)).map(unlink);
+        } else {
+            kept = this.entries.slice(0, fork);
+            moved = Ledger.interleave(this.entries.slice(fork).map(unlink), newToUs);
         }
 
-        return { valid: true, message: 'Ledger integrity verified' };
+        const merged = kept.slice();
+        moved.forEach(entry => {
+            const linked = { ...entry, previousHash: merged.length ? merged[merged.length - 1].hash || '0' : '0' };
+            if (this.useHashing) linked.hash = this.calculateHash(linked);
+            merged.push(linked);
+        });
+
+        let unchanged = 0;
+        while (unchanged < this.entries.length && unchanged < merged.length &&
+               merged[unchanged].id === this.entries[unchanged].id && merged[unchanged].hash === this.entries[unchanged].hash) {
+            unchanged++;
+        }
+        const ourHashes = new Map(this.entries.map(e => [e.id, e.hash]));
+        const result = {
+            added: merged.filter(e => !ourHashes.has(e.id)).length,
+            rechained: merged.filter(e => ourHashes.has(e.id) && ourHashes.get(e.id) !== e.hash).length,
+            checkpointsDropped: this.checkpoints.filter(c => c.entryCount > unchanged).length,
+            refused: unknown.length - newToUs.length
+        };
+        if (unchanged === this.entries.length && merged.length === this.entries.length) return result;
+
+        this.entries = merged;
+        this.checkpoints = this.checkpoints.filter(c => c.entryCount <= unchanged);
+        this.save();
+        return result;
     }
 
     /**
      * Export ledger to JSON
-     * @returns {string} JSON string
+     * @returns {Promise<string>} JSON string
      */
-    export() {
+    async export() {
         return JSON.stringify({
             exportDate: new Date().toISOString(),
             entries: this.entries,
-            integrity: this.verify()
+            checkpoints: this.checkpoints,
+            integrity: await this.verify()
+        }, null, 2);
+    }
+
+    /**
+     * Export checkpoints for auditors
+     * @returns {string} JSON string
+     */
+    exportCheckpoints() {
+        return JSON.stringify({
+            exportDate: new Date().toISOString(),
+            storageKey: this.storageKey,
+            checkpoints: this.checkpoints
         }, null, 2);
     }
 
@@ -150,19 +423,60 @@ class Ledger {
         ].join('\n');
     }
 
+    /**
+     * Record every event published on an EventBus. With `actor`, events
+     * published as 'system' are recorded in the name it returns, marked
+     * `details.system` (a client whose server only takes entries in its
+     * user's name).
+     * @param {EventBus} events
+     * @param {Object} options - { filter: (event) => boolean to skip events, actor: () => userId }
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(events, options = {}) {
+        return events.on('*', event => {
+            if (options.filter && !options.filter(event)) return;
+            const actor = options.actor && event.userId === 'system' ? options.actor() : null;
+            this.record({
+                action: event.type,
+                projectId: event.projectId,
+                userId: actor || event.userId,
+                ...(event.source ? { source: event.source } : {}),
+                details: actor ? { ...event.details, system: true } : event.details
+            });
+        });
+    }
+
     /**
      * Clear all entries (use with caution!)
      */
     clear() {
         this.entries = [];
+        this.checkpoints = [];
         this.save();
     }
 
     /**
-     * Calculate SHA-256 hash (simple implementation)
+     * Calculate SHA-256 hash over every field except the hash itself
      * @private
      */
     calculateHash(entry) {
+        return ledgerHashing.sha256(this.serializeForHash(entry));
+    }
+
+    /**
+     * Canonical form of an entry used for hashing
+     * @private
+     */
+    serializeForHash(entry) {
+        const { hash, ...content } = entry;
+        return ledgerHashing.canonicalize(content);
+    }
+
+    /**
+     * Legacy 32-bit string hash, kept only to audit pre-migration data
+     * @private
+     */
+    calculateLegacyHash(entry) {
         const str = JSON.stringify({
             id: entry.id,
             timestamp: entry.timestamp,
@@ -173,7 +487,6 @@ class Ledger {
             previousHash: entry.previousHash
         });
         
-        // Simple hash for client-side (use crypto.subtle.digest in production)
         let hash = 0;
         for (let i = 0; i < str.length; i++) {
             const char = str.charCodeAt(i);
@@ -183,6 +496,29 @@ class Ledger {
         return hash.toString(16);
     }
 
+    /**
+     * Whether a hash is in the pre-SHA-256 form (a 32-bit integer in hex)
+     * @private
+     */
+    static isLegacyHash(hash) {
+        return typeof hash === 'string' && /^-?[0-9a-f]{1,8}$/.test(hash);
+    }
+
+    /**
+     * Merge two lists of entries by timestamp, then id; each list keeps its own order
+     * @private
+     */
+    static interleave(a, b) {
+        const before = (x, y) => x.timestamp < y.timestamp || (x.timestamp === y.timestamp && x.id < y.id);
+        const merged = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            merged.push(before(b[j], a[i]) ? b[j++] : a[i++]);
+        }
+        return merged.concat(a.slice(i), b.slice(j));
+    }
+
     /**
      * Get last entry's hash
      * @private
@@ -201,31 +537,25 @@ class Ledger {
     }
 
     /**
-     * Save to localStorage
+     * Persist entries and checkpoints through the storage adapter
      * @private
      */
     save() {
-        try {
-            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
-        } catch (e) {
-            console.error('Failed to save ledger:', e);
-        }
+        return Promise.all([
+            ledgerStorage.write(this.storage, this.storageKey, this.entries, 'ledger'),
+            ledgerStorage.write(this.storage, this.storageKey + '_checkpoints', this.checkpoints, 'ledger checkpoints')
+        ]);
     }
 
     /**
-     * Load from localStorage
+     * Load entries and checkpoints from the storage adapter
      * @private
      */
     load() {
-        try {
-            const saved = localStorage.getItem(this.storageKey);
-            if (saved) {
-                this.entries = JSON.parse(saved);
-            }
-        } catch (e) {
-            console.error('Failed to load ledger:', e);
-            this.entries = [];
-        }
+        return Promise.all([
+            ledgerStorage.read(this.storage, this.storageKey, data => { this.entries = data || []; }, 'ledger'),
+            ledgerStorage.read(this.storage, this.storageKey + '_checkpoints', data => { this.checkpoints = data || []; }, 'ledger checkpoints')
+        ]);
     }
 }
 
@@ -234,19 +564,73 @@ Ledger.ACTION_TYPES = {
     PROJECT_CREATED: 'PROJECT_CREATED',
     STATUS_CHANGE: 'STATUS_CHANGE',
     FIELD_UPDATE: 'FIELD_UPDATE',
+    MEASURE_LIBRARY_UPDATED: 'MEASURE_LIBRARY_UPDATED',
+    QUALIFICATION_DECIDED: 'QUALIFICATION_DECIDED',
+    DECISION_RECORDED: 'DECISION_RECORDED',
+    DECISION_ESCALATED: 'DECISION_ESCALATED',
+    PROJECT_HOLD_STARTED: 'PROJECT_HOLD_STARTED',
+    PROJECT_HOLD_RELEASED: 'PROJECT_HOLD_RELEASED',
     APPROVAL_REQUESTED: 'APPROVAL_REQUESTED',
     APPROVAL_GRANTED: 'APPROVAL_GRANTED',
     APPROVAL_REJECTED: 'APPROVAL_REJECTED',
+    APPROVAL_DENIED: 'APPROVAL_DENIED',
+    APPROVAL_ESCALATED: 'APPROVAL_ESCALATED',
+    APPROVAL_REOPENED: 'APPROVAL_REOPENED',
+    APPROVAL_DELEGATED: 'APPROVAL_DELEGATED',
+    APPROVAL_DELEGATION_REVOKED: 'APPROVAL_DELEGATION_REVOKED',
     PAYMENT_REQUESTED: 'PAYMENT_REQUESTED',
     PAYMENT_DISBURSED: 'PAYMENT_DISBURSED',
+    PAYMENT_SCHEDULED: 'PAYMENT_SCHEDULED',
+    RETAINAGE_RELEASED: 'RETAINAGE_RELEASED',
     FUNDING_COMMITTED: 'FUNDING_COMMITTED',
+    BID_SUBMITTED: 'BID_SUBMITTED',
+    BID_AWARDED: 'BID_AWARDED',
+    CHANGE_ORDER_REQUESTED: 'CHANGE_ORDER_REQUESTED',
+    CHANGE_ORDER_APPROVED: 'CHANGE_ORDER_APPROVED',
+    CHANGE_ORDER_REJECTED: 'CHANGE_ORDER_REJECTED',
+    CHANGE_ORDER_WITHDRAWN: 'CHANGE_ORDER_WITHDRAWN',
     QA_CHECKPOINT_CREATED: 'QA_CHECKPOINT_CREATED',
     QA_PASSED: 'QA_PASSED',
     QA_FAILED: 'QA_FAILED',
+    QA_WORK_ORDER_CREATED: 'QA_WORK_ORDER_CREATED',
+    QA_CORRECTION_COMPLETED: 'QA_CORRECTION_COMPLETED',
     DOCUMENT_UPLOADED: 'DOCUMENT_UPLOADED',
+    DOCUMENT_REMOVED: 'DOCUMENT_REMOVED',
     COMMENT_ADDED: 'COMMENT_ADDED',
     USER_LOGIN: 'USER_LOGIN',
-    PERMISSION_CHANGED: 'PERMISSION_CHANGED'
+    USER_LOGIN_FAILED: 'USER_LOGIN_FAILED',
+    USER_LOGOUT: 'USER_LOGOUT',
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    USER_CREATED: 'USER_CREATED',
+    USER_UPDATED: 'USER_UPDATED',
+    NOTIFICATION_SENT: 'NOTIFICATION_SENT',
+    NOTIFICATION_REMINDED: 'NOTIFICATION_REMINDED',
+    NOTIFICATION_ESCALATED: 'NOTIFICATION_ESCALATED',
+    NOTIFICATION_DIGEST_SENT: 'NOTIFICATION_DIGEST_SENT',
+    PERMISSION_CHANGED: 'PERMISSION_CHANGED',
+    LEDGER_MIGRATED: 'LEDGER_MIGRATED',
+    DATA_EXPORTED: 'DATA_EXPORTED',
+    DATA_MIGRATED: 'DATA_MIGRATED',
+    DATA_RESTORED: 'DATA_RESTORED',
+    SYNC_COMPLETED: 'SYNC_COMPLETED',
+    SYNC_CONFLICT_RESOLVED: 'SYNC_CONFLICT_RESOLVED',
+    REPORT_GENERATED: 'REPORT_GENERATED'
+};
+
+/**
+ * Create an HMAC-SHA256 checkpoint signer
+ * @param {string} secret - Shared signing secret
+ * @param {string} keyId - Identifier auditors use to pick the right key
+ * @returns {Object} Signer { algorithm, keyId, sign, verify }
+ */
+Ledger.createHmacSigner = function(secret, keyId = 'default') {
+    if (!secret) throw new Error('HMAC signer requires a secret');
+    return {
+        algorithm: 'HMAC-SHA256',
+        keyId,
+        sign: payload => ledgerHashing.hmacSha256(secret, payload),
+        verify: (payload, signature) => ledgerHashing.hmacSha256(secret, payload) === signature
+    };
 };
 
 // Export for use in other modules
@@ -0,0 +1,279 @@
+/**
+ * MeasureLibrary - Versioned Measure Library with Energy Savings
+ *
+ * The measures staff pick from when scoping a project, with their typical cost
+ * and incentive and the deemed savings funders ask about: annual kWh and
+ * therms saved, the fuel they come from and the measure's useful life.
+ *
+ *   const library = new MeasureLibrary({ storage, events,
+ *       measures: [{ name: 'Attic Insulation (R-38)', category: 'Insulation', typicalCost: 2500, typicalIncentive: 500,
+ *                    fuel: 'gas', annualKwh: 120, annualTherms: 110, usefulLife: 30 }],
+ *       prices: { electric: 0.14, gas: 1.45 },              // $ per kWh / therm
+ *       emissions: { electric: 0.00029, gas: 0.0053 } });   // tons CO2 per kWh / therm
+ *
+ *   library.update(measures, { userId: 'pm_john', note: 'BPA 2026 deemed savings' });   // version 2
+ *   library.summarize(project.measures);
+ *   // { annualKwh, annualTherms, annualSavings, lifetimeSavings, annualCo2Tons, lifetimeCo2Tons,
+ *   //   simplePayback, costEffectiveness, costPerTon, withoutSavings, ... }
+ *
+ * Every update() keeps the previous versions, so a project's measures can say
+ * which version they were priced from (`libraryVersion`) and restore() can go
+ * back to an earlier one. Until someone edits it, the library is version 1
+ * built from `measures`. Updates publish MEASURE_LIBRARY_UPDATED with the
+ * names added, removed and changed.
+ *
+ * Fuel-switching measures (a ducted heat pump replacing a gas furnace) save
+ * therms and use more electricity, so annualKwh may be negative.
+ */
+const libraryStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const libraryEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const librarySchemas = typeof SchemaValidator !== 'undefined' ? SchemaValidator : require('./schema-validator');
+
+class MeasureLibrary {
+    /**
+     * @param {Object} options - { storage, storageKey, events, measures, prices: { electric, gas },
+     *                             emissions: { electric, gas } }
+     */
+    constructor(options = {}) {
+        this.defaults = options.measures || [];
+        this.versions = [this.defaultVersion()];
+        this.storageKey = options.storageKey || 'measure_library';
+        this.storage = libraryStorage.resolve(options);
+        this.events = options.events || null;
+        this.prices = { electric: 0, gas: 0, ...(options.prices || {}) };
+        this.emissions = { electric: 0, gas: 0, ...(options.emissions || {}) };
+        this.schemas = new librarySchemas();
+        this.ready = this.load();
+    }
+
+    /**
+     * @returns {number} Current version number
+     */
+    getCurrentVersion() {
+        return this.versions[this.versions.length - 1].version;
+    }
+
+    /**
+     * @returns {Array} Measures in the current version
+     */
+    getAll() {
+        return this.versions[this.versions.length - 1].measures;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {Object|null} The current library entry with this name
+     */
+    get(name) {
+        return this.getAll().find(m => m.name === name) || null;
+    }
+
+    /**
+     * @returns {Array} [{ version, changedBy, changedAt, note, added, removed, changed, count }], oldest first
+     */
+    getVersions() {
+        return this.versions.map(({ measures, ...version }) => ({ ...version, count: measures.length }));
+    }
+
+    /**
+     * @param {number} version
+     * @returns {Object|null} { version, measures, changedBy, changedAt, note, ... }
+     */
+    getVersion(version) {
+        return this.versions.find(v => v.version === version) || null;
+    }
+
+    /**
+     * Replace the library with a new version
+     * @param {Array} measures - Library entries (LibraryMeasure schema)
+     * @param {Object} options - { userId, note }
+     * @returns {Object} The new version
+     */
+    update(measures, options = {}) {
+        const problems = [];
+        const names = new Set();
+        (measures || []).forEach((measure, idx) => {
+            this.schemas.validate('LibraryMeasure', measure).errors
+                .forEach(error => problems.push(`${measure && measure.name || `Measure ${idx + 1}`}: ${librarySchemas.formatError(error)}`));
+            if (measure && names.has(measure.name)) problems.push(`${measure.name}: appears more than once`);
+            if (measure) names.add(measure.name);
+        });
+        if (problems.length > 0) {
+            const error = MeasureLibrary.error('invalid_measure', problems.join('; '));
+            error.problems = problems;
+            throw error;
+        }
+
+        const changes = MeasureLibrary.diff(this.getAll(), measures);
+        if (!changes.added.length && !changes.removed.length && !changes.changed.length) {
+            throw MeasureLibrary.error('unchanged', 'The measure library has no changes to save');
+        }
+
+        const version = {
+            version: this.getCurrentVersion() + 1,
+            measures: measures.map(m => ({ ...m })),
+            ...changes,
+            note: options.note || '',
+            changedBy: options.userId || null,
+            changedAt: new Date().toISOString()
+        };
+        this.versions.push(version);
+
+        libraryEvents.publish(this, 'MEASURE_LIBRARY_UPDATED', {
+            userId: version.changedBy,
+            details: { version: version.version, ...changes, count: measures.length, note: version.note }
+        });
+        this.save();
+        return version;
+    }
+
+    /**
+     * Make an earlier version current again (as a new version)
+     * @param {number} version
+     * @param {Object} options - { userId }
+     * @returns {Object} The new version
+     */
+    restore(version, options = {}) {
+        const earlier = this.getVersion(version);
+        if (!earlier) throw MeasureLibrary.error('not_found', `Measure library version ${version} not found`);
+        return this.update(earlier.measures, { ...options, note: `Restored version ${version}` });
+    }
+
+    /**
+     * Savings for one project measure: its own figures, or the library entry's
+     * for measures added before they carried savings
+     * @param {Object} measure - { name, annualKwh, annualTherms, usefulLife, fuel }
+     * @returns {Object|null} { annualKwh, annualTherms, usefulLife, fuel } (null without savings data)
+     */
+    getSavings(measure) {
+        const source = measure.usefulLife !== undefined ? measure : this.get(measure.name);
+        if (!source || source.usefulLife === undefined) return null;
+        return {
+            annualKwh: source.annualKwh || 0,
+            annualTherms: source.annualTherms || 0,
+            usefulLife: source.usefulLife,
+            fuel: source.fuel || 'none'
+        };
+    }
+
+    /**
+     * Savings and cost-effectiveness of a project's selected measures
+     * @param {Array} measures - Project measures ({ name, cost, incentive, selected, ... })
+     * @param {Object} options - { incentives } (defaults to the measures' own incentives)
+     * @returns {Object} { cost, incentives, annualKwh, annualTherms, lifetimeKwh, lifetimeTherms,
+     *                     annualSavings, lifetimeSavings, annualCo2Tons, lifetimeCo2Tons,
+     *                     simplePayback, costEffectiveness, costPerTon, withoutSavings }
+     */
+    summarize(measures, options = {}) {
+        const selected = (measures || []).filter(m => m.selected);
+        const totals = {
+            cost: 0, annualKwh: 0, annualTherms: 0, lifetimeKwh: 0, lifetimeTherms: 0, withoutSavings: []
+        };
+        selected.forEach(measure => {
+            totals.cost += measure.cost || 0;
+            const savings = this.getSavings(measure);
+            if (!savings) {
+                totals.withoutSavings.push(measure.name);
+                return;
+            }
+            totals.annualKwh += savings.annualKwh;
+            totals.annualTherms += savings.annualTherms;
+            totals.lifetimeKwh += savings.annualKwh * savings.usefulLife;
+            totals.lifetimeTherms += savings.annualTherms * savings.usefulLife;
+        });
+
+        const incentives = options.incentives !== undefined
+            ? options.incentives
+            : selected.reduce((sum, m) => sum + (m.incentive || 0), 0);
+        const dollars = (kwh, therms) => kwh * this.prices.electric + therms * this.prices.gas;
+        const tons = (kwh, therms) => kwh * this.emissions.electric + therms * this.emissions.gas;
+        const annualSavings = Math.round(dollars(totals.annualKwh, totals.annualTherms));
+        const lifetimeSavings = Math.round(dollars(totals.lifetimeKwh, totals.lifetimeTherms));
+        const lifetimeCo2 = tons(totals.lifetimeKwh, totals.lifetimeTherms);
+
+        return {
+            ...totals,
+            incentives,
+            annualSavings,
+            lifetimeSavings,
+            annualCo2Tons: MeasureLibrary.round(tons(totals.annualKwh, totals.annualTherms), 2),
+            lifetimeCo2Tons: MeasureLibrary.round(lifetimeCo2, 1),
+            // Years for the customer's share of the cost to pay for itself
+            simplePayback: annualSavings > 0 ? MeasureLibrary.round(Math.max(0, totals.cost - incentives) / annualSavings, 1) : null,
+            // Lifetime energy cost savings per dollar installed (savings-to-investment ratio)
+            costEffectiveness: totals.cost > 0 ? MeasureLibrary.round(lifetimeSavings / totals.cost, 2) : null,
+            costPerTon: lifetimeCo2 > 0 ? Math.round(totals.cost / lifetimeCo2) : null
+        };
+    }
+
+    save() {
+        // Version 1 is rebuilt from the defaults, so nothing is stored until the first edit
+        if (this.versions.length < 2) return Promise.resolve();
+        return libraryStorage.write(this.storage, this.storageKey, this.versions, 'measure library');
+    }
+
+    load() {
+        return libraryStorage.read(this.storage, this.storageKey, data => {
+            this.versions = data && data.length ? data : [this.defaultVersion()];
+        }, 'measure library');
+    }
+
+    /**
+     * @private
+     */
+    defaultVersion() {
+        return {
+            version: 1,
+            measures: this.defaults.map(m => ({ ...m })),
+            added: [],
+            removed: [],
+            changed: [],
+            note: 'Program defaults',
+            changedBy: null,
+            changedAt: null
+        };
+    }
+
+    /**
+     * @private
+     */
+    static diff(before, after) {
+        const byName = list => new Map(list.map(m => [m.name, m]));
+        const old = byName(before);
+        const current = byName(after);
+        return {
+            added: after.filter(m => !old.has(m.name)).map(m => m.name),
+            removed: before.filter(m => !current.has(m.name)).map(m => m.name),
+            changed: after.filter(m => old.has(m.name) && JSON.stringify(MeasureLibrary.sorted(old.get(m.name))) !== JSON.stringify(MeasureLibrary.sorted(m)))
+                .map(m => m.name)
+        };
+    }
+
+    /**
+     * @private
+     */
+    static sorted(measure) {
+        return Object.keys(measure).sort().reduce((acc, key) => ({ ...acc, [key]: measure[key] }), {});
+    }
+
+    /**
+     * @private
+     */
+    static round(value, places) {
+        const factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    static error(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+MeasureLibrary.FUELS = ['electric', 'gas', 'dual', 'none'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeasureLibrary;
+}
@@ -0,0 +1,992 @@
+/**
+ * NotificationCenter - Inbox, Reminders, Digests and Delivery Channels
+ *
+ * Watches the event bus and queues a notification for each person who has to
+ * act: approvers with an open slot on the active step of an approval (and
+ * anyone they delegated to), the QA role when an inspection is due, the
+ * `workOrderRoles` when an inspection fails with corrections to make, and the
+ * responsible roles of SLA clocks that are at risk or breached (see sweep()).
+ *
+ *   const notifications = new NotificationCenter({
+ *       events, approvals, qaGates, sla,
+ *       membersOf: role => userIdsWithRole(role),
+ *       contactOf: userId => ({ name: 'Sarah Finance', email: 'sarah@example.org' }),
+ *       channels: [
+ *           { channel: new NotificationCenter.Webhook({ url: 'https://hooks.example.org/cpf', secret }), mode: 'immediate' },
+ *           { channel: new NotificationCenter.SMTP({ host: 'localhost', port: 25, from: 'tracker@example.org' }), mode: 'digest' }
+ *       ],
+ *       remindAfterHours: 24, escalateAfterReminders: 2, escalateTo: ['executive']
+ *   });
+ *   notifications.getInbox('finance_sarah');
+ *   await notifications.sweep({ projects });   // SLA alerts, reminders, escalations and due digests
+ *
+ * A notification that asks for action stays open until the action happens (the
+ * slot is approved, the inspection is recorded, the work order is completed,
+ * the SLA clock stops). Open ones are sent again every `remindAfterHours`; once
+ * one has had `escalateAfterReminders` reminders the `escalateTo` roles are told
+ * too. After `digestHour` each day, everyone with open or unread notifications
+ * gets one digest on the 'digest' channels.
+ *
+ * A channel is any object with { id, send(message) -> Promise } and an optional
+ * canDeliver(contact). NotificationCenter.SMTP (Node only) and
+ * NotificationCenter.Webhook are included. Queued notifications, reminders,
+ * escalations and digests are published as NOTIFICATION_* events.
+ */
+const notifyStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const notifyEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const notifyHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+
+const NOTIFY_HOUR = 60 * 60 * 1000;
+const NOTIFY_PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+class NotificationCenter {
+    constructor(options = {}) {
+        this.notifications = [];
+        this.digests = {};
+        this.channels = [];
+        this.storageKey = options.storageKey || 'notifications';
+        this.storage = notifyStorage.resolve(options);
+        this.ledger = options.ledger || null;
+        this.events = options.events || null;
+        this.approvals = options.approvals || null;
+        this.qaGates = options.qaGates || null;
+        this.sla = options.sla || null;
+        this.rbac = options.rbac || null;
+        this.membersOf = options.membersOf || (role => this.roleMembers(role));
+        this.contactOf = options.contactOf || (() => ({}));
+        this.describeProject = options.describeProject || (projectId => projectId);
+        this.qaRole = options.qaRole || 'qa';
+        this.workOrderRoles = [].concat(options.workOrderRoles || []);
+        this.remindAfterHours = options.remindAfterHours || 24;
+        this.escalateAfterReminders = options.escalateAfterReminders || 2;
+        this.escalateTo = [].concat(options.escalateTo || []);
+        this.digestHour = options.digestHour !== undefined ? options.digestHour : 7;
+        this.retentionDays = options.retentionDays || 90;
+        this.delivering = Promise.resolve();
+        (options.channels || []).forEach(entry => this.addChannel(entry.channel || entry, entry.channel ? entry : {}));
+        this.ready = this.load();
+        if (this.events) this.watch(this.events);
+    }
+
+    /**
+     * Register a delivery channel
+     * @param {Object} channel - { id, send(message), canDeliver(contact) }
+     * @param {Object} options - { mode: 'immediate' (each notification and reminder) | 'digest' (daily digest) }
+     */
+    addChannel(channel, options = {}) {
+        if (!channel || !channel.id || typeof channel.send !== 'function') {
+            throw new Error('Notification channel requires an id and send()');
+        }
+        const mode = options.mode || 'immediate';
+        if (!['immediate', 'digest'].includes(mode)) throw new Error(`Unknown notification channel mode ${mode}`);
+        this.channels = this.channels.filter(c => c.channel.id !== channel.id).concat({ channel, mode });
+    }
+
+    /**
+     * Queue notifications for approval and QA events on a bus
+     * @param {EventBus} events
+     */
+    watch(events) {
+        events.on('APPROVAL_*', event => this.onApprovalEvent(event));
+        events.on('QA_*', event => this.onQAEvent(event));
+    }
+
+    /**
+     * Queue a notification for one user (an open one with the same key is kept instead)
+     * @param {Object} notification - { userId, key, type, title, body, projectId, action, priority, actionable }
+     * @returns {Object|null} The queued notification, or null if it was already open
+     */
+    notify(notification, now = new Date()) {
+        if (!notification.userId || !notification.key) throw new Error('Notification requires a userId and key');
+        if (this.findOpen(notification.userId, notification.key)) return null;
+
+        const record = {
+            id: 'NTF-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            type: 'info',
+            title: '',
+            body: '',
+            projectId: null,
+            action: null,
+            priority: 'normal',
+            actionable: true,
+            ...notification,
+            createdAt: now.toISOString(),
+            lastSentAt: now.toISOString(),
+            readAt: null,
+            resolvedAt: null,
+            reminders: 0,
+            escalatedAt: null,
+            deliveries: []
+        };
+        // Updates are done with once read; only actionable notifications wait to be resolved
+        if (!record.actionable) record.resolvedAt = record.createdAt;
+        this.notifications.push(record);
+
+        notifyEvents.publish(this, 'NOTIFICATION_SENT', {
+            projectId: record.projectId,
+            userId: 'system',
+            details: { notificationId: record.id, to: record.userId, type: record.type, key: record.key, priority: record.priority }
+        });
+        this.queueDelivery('notification', record.userId, [record], now);
+        this.save();
+        return record;
+    }
+
+    /**
+     * Queue the same notification for everyone holding one of the roles
+     * @param {Array|string} roles
+     * @param {Object} notification - As notify(), without userId
+     * @param {Array} exclude - User ids to leave out
+     * @returns {Array} Queued notifications
+     */
+    notifyRoles(roles, notification, exclude = [], now = new Date()) {
+        const userIds = new Set([].concat(roles).flatMap(role => this.membersOf(role)));
+        return Array.from(userIds)
+            .filter(userId => !exclude.includes(userId))
+            .map(userId => this.notify({ ...notification, userId }, now))
+            .filter(Boolean);
+    }
+
+    /**
+     * Close open notifications, e.g. once the approval they asked for is given
+     * @param {Function} predicate - (notification) => boolean
+     * @returns {Array} Resolved notifications
+     */
+    resolve(predicate, now = new Date()) {
+        const resolved = this.notifications.filter(n => !n.resolvedAt && predicate(n));
+        resolved.forEach(n => { n.resolvedAt = now.toISOString(); });
+
+        // An escalation lasts as long as someone is still being reminded about the same thing
+        const escalations = this.notifications.filter(n =>
+            !n.resolvedAt && n.type === 'escalation' &&
+            !this.notifications.some(o => !o.resolvedAt && o.type !== 'escalation' && o.key === n.escalates)
+        );
+        escalations.forEach(n => { n.resolvedAt = now.toISOString(); });
+
+        if (resolved.length + escalations.length > 0) this.save();
+        return resolved.concat(escalations);
+    }
+
+    /**
+     * Notifications for one user, open action items first, then newest first
+     * @param {string} userId
+     * @param {Object} options - { unreadOnly, includeResolved: also actionable ones already done, limit }
+     * @returns {Array}
+     */
+    getInbox(userId, options = {}) {
+        const items = this.notifications
+            .filter(n => n.userId === userId)
+            .filter(n => !options.unreadOnly || !n.readAt)
+            .filter(n => options.includeResolved || !n.actionable || !n.resolvedAt)
+            .sort((a, b) => NotificationCenter.isOpen(b) - NotificationCenter.isOpen(a) ||
+                new Date(b.createdAt) - new Date(a.createdAt));
+        return options.limit ? items.slice(0, options.limit) : items;
+    }
+
+    getUnreadCount(userId) {
+        return this.getInbox(userId, { unreadOnly: true }).length;
+    }
+
+    markRead(notificationId, userId, now = new Date()) {
+        const notification = this.notifications.find(n => n.id === notificationId && n.userId === userId);
+        if (!notification) throw new Error('Notification not found');
+        if (!notification.readAt) {
+            notification.readAt = now.toISOString();
+            this.save();
+        }
+        return notification;
+    }
+
+    markAllRead(userId, now = new Date()) {
+        const unread = this.notifications.filter(n => n.userId === userId && !n.readAt);
+        unread.forEach(n => { n.readAt = now.toISOString(); });
+        if (unread.length > 0) this.save();
+        return unread.length;
+    }
+
+    /**
+     * Periodic work: SLA alerts, reminders, escalations, due digests and pruning
+     * @param {Object} options - { projects: for SLA alerts, now }
+     * @returns {Promise<Object>} { sla, reminded, escalated, digests, pruned }
+     */
+    sweep(options = {}) {
+        const now = options.now ? new Date(options.now) : new Date();
+        const sla = options.projects ? this.syncSla(options.projects, now) : [];
+        const { reminded, escalated } = this.remind(now);
+        const pruned = this.prune(now);
+        return this.sendDigests(now).then(digests => this.flush().then(() => ({ sla, reminded, escalated, digests, pruned })));
+    }
+
+    /**
+     * Queue notifications for SLA alerts and resolve those whose clock has stopped
+     * or moved on (an at-risk notice is replaced by a breach)
+     * @param {Array} projects
+     * @returns {Array} Newly queued notifications
+     */
+    syncSla(projects, now = new Date()) {
+        if (!this.sla) return [];
+        const live = new Set();
+        const queued = this.sla.getAlerts(projects, { now }).flatMap(alert => {
+            const key = `sla:${alert.ruleId}:${alert.projectId}:${alert.startedAt}:${alert.status}`;
+            live.add(key);
+            const breached = alert.status === 'breached';
+            return this.notifyRoles(alert.roles, {
+                key,
+                type: 'sla',
+                projectId: alert.projectId,
+                title: `${breached ? 'SLA breached' : 'SLA at risk'}: ${alert.name}`,
+                body: `${this.describeProject(alert.projectId)} - ${alert.elapsed} of ${alert.limit} ${alert.unit} used, due ${alert.deadline.slice(0, 10)}`,
+                action: alert.action,
+                priority: breached ? 'high' : 'normal'
+            }, [], now);
+        });
+        this.resolve(n => n.key.startsWith('sla:') && !live.has(n.key), now);
+        return queued;
+    }
+
+    /**
+     * Send reminders for open notifications and escalate the ones reminded often enough
+     * @returns {Object} { reminded: [notifications], escalated: [notifications] }
+     */
+    remind(now = new Date()) {
+        const due = this.notifications.filter(n =>
+            NotificationCenter.isOpen(n) && now - new Date(n.lastSentAt) >= this.remindAfterHours * NOTIFY_HOUR
+        );
+        const escalated = [];
+
+        due.forEach(n => {
+            n.reminders += 1;
+            n.lastSentAt = now.toISOString();
+            notifyEvents.publish(this, 'NOTIFICATION_REMINDED', {
+                projectId: n.projectId,
+                userId: 'system',
+                details: { notificationId: n.id, to: n.userId, key: n.key, reminders: n.reminders }
+            });
+            this.queueDelivery('reminder', n.userId, [n], now);
+
+            if (n.type !== 'escalation' && !n.escalatedAt && n.reminders >= this.escalateAfterReminders && this.escalateTo.length > 0) {
+                n.escalatedAt = now.toISOString();
+                n.priority = 'high';
+                escalated.push(...this.escalate(n, now));
+            }
+        });
+
+        if (due.length > 0) this.save();
+        return { reminded: due, escalated };
+    }
+
+    /**
+     * Tell the `escalateTo` roles about a notification nobody has acted on
+     * @private
+     */
+    escalate(notification, now) {
+        const waitingOn = this.notifications
+            .filter(n => NotificationCenter.isOpen(n) && n.key === notification.key)
+            .map(n => n.userId);
+        const queued = this.notifyRoles(this.escalateTo, {
+            key: `escalation:${notification.key}`,
+            escalates: notification.key,
+            type: 'escalation',
+            projectId: notification.projectId,
+            title: `Overdue: ${notification.title}`,
+            body: `${notification.body} - waiting on ${Array.from(new Set(waitingOn)).map(id => this.contactOf(id).name || id).join(', ')} after ${notification.reminders} reminders`,
+            action: notification.action,
+            priority: 'high'
+        }, waitingOn, now);
+
+        notifyEvents.publish(this, 'NOTIFICATION_ESCALATED', {
+            projectId: notification.projectId,
+            userId: 'system',
+            details: { notificationId: notification.id, key: notification.key, waitingOn, escalatedTo: queued.map(n => n.userId) }
+        });
+        return queued;
+    }
+
+    /**
+     * What a user's daily digest would contain
+     * @param {string} userId
+     * @returns {Object} { userId, open: [actionable notifications still open], updates: [unread updates], subject, text }
+     */
+    buildDigest(userId, now = new Date()) {
+        const inbox = this.getInbox(userId);
+        const open = inbox
+            .filter(n => NotificationCenter.isOpen(n))
+            .sort((a, b) => NOTIFY_PRIORITIES[a.priority] - NOTIFY_PRIORITIES[b.priority] || new Date(a.createdAt) - new Date(b.createdAt));
+        const updates = inbox.filter(n => !n.actionable && !n.readAt);
+
+        const lines = [];
+        if (open.length > 0) {
+            lines.push('Waiting on you:');
+            open.forEach(n => lines.push(`- ${n.priority === 'high' ? '[!] ' : ''}${n.title} (${n.body}), open ${NotificationCenter.age(n.createdAt, now)}`));
+        }
+        if (updates.length > 0) {
+            if (lines.length > 0) lines.push('');
+            lines.push('Updates:');
+            updates.forEach(n => lines.push(`- ${n.title} (${n.body})`));
+        }
+
+        return {
+            userId,
+            open,
+            updates,
+            subject: `${open.length} item${open.length === 1 ? '' : 's'} waiting on you, ${updates.length} update${updates.length === 1 ? '' : 's'}`,
+            text: lines.join('\n')
+        };
+    }
+
+    /**
+     * Send today's digest to everyone who has not had one yet (from `digestHour`, local time)
+     * @returns {Promise<Array>} User ids a digest was sent to
+     */
+    sendDigests(now = new Date()) {
+        const digestChannels = this.channels.filter(c => c.mode === 'digest');
+        if (digestChannels.length === 0 || now.getHours() < this.digestHour) return Promise.resolve([]);
+
+        const today = NotificationCenter.localDate(now);
+        const userIds = Array.from(new Set(this.notifications
+            .filter(n => NotificationCenter.isOpen(n) || !n.readAt)
+            .map(n => n.userId)))
+            .filter(userId => this.digests[userId] !== today);
+
+        const sent = userIds.filter(userId => {
+            const digest = this.buildDigest(userId, now);
+            if (digest.open.length + digest.updates.length === 0) return false;
+            this.digests[userId] = today;
+            this.queueDelivery('digest', userId, digest.open.concat(digest.updates), now, digest);
+            notifyEvents.publish(this, 'NOTIFICATION_DIGEST_SENT', {
+                userId: 'system',
+                details: { to: userId, open: digest.open.length, updates: digest.updates.length }
+            });
+            return true;
+        });
+
+        if (sent.length > 0) this.save();
+        return this.flush().then(() => sent);
+    }
+
+    /**
+     * Wait for queued deliveries to finish
+     * @returns {Promise}
+     */
+    flush() {
+        return this.delivering;
+    }
+
+    /**
+     * Drop finished notifications older than `retentionDays`
+     * @returns {number} Notifications removed
+     */
+    prune(now = new Date()) {
+        const cutoff = now.getTime() - this.retentionDays * 24 * NOTIFY_HOUR;
+        const before = this.notifications.length;
+        this.notifications = this.notifications.filter(n =>
+            NotificationCenter.isOpen(n) || !n.readAt || new Date(n.createdAt).getTime() >= cutoff
+        );
+        const removed = before - this.notifications.length;
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    /**
+     * Check someone's edited copy of the notifications against the stored one,
+     * as `userId` (for ApiServer, where the tracker saves the whole list).
+     * Every browser queues, reminds, escalates and resolves notifications for
+     * the system, so those may come from anyone, but a new one must be what
+     * notify() makes of it, what it says and whom it is for never change, and
+     * only its recipient marks it read. Only finished notifications past
+     * `retentionDays` may be dropped (see prune()).
+     * @param {Array} next - The edited notifications
+     * @param {Array} previous - The stored notifications
+     * @param {string} userId
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId, now = new Date()) {
+        if (!Array.isArray(next)) return ['expected an array of notifications'];
+        const cutoff = now.getTime() - this.retentionDays * 24 * NOTIFY_HOUR;
+        const stored = new Map((previous || []).map(notification => [notification.id, notification]));
+        const kept = new Set(next.map(notification => notification.id));
+        const problems = Array.from(stored.values())
+            .filter(n => !kept.has(n.id) && (NotificationCenter.isOpen(n) || !n.readAt || new Date(n.createdAt).getTime() >= cutoff))
+            .map(n => `${n.id} was removed before it could be pruned`);
+
+        next.forEach(notification => {
+            const before = stored.get(notification.id);
+            if (before && JSON.stringify(before) === JSON.stringify(notification)) return;
+            try {
+                this.checkChange(notification, before || null, userId);
+            } catch (e) {
+                problems.push(`${notification.id}: ${e.message}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Throws when one edited notification changed in a way the writer cannot change it
+     * @private
+     */
+    checkChange(notification, before, userId) {
+        const fixed = value => JSON.stringify(Object.entries(value)
+            .filter(([field]) => !NotificationCenter.STATE_FIELDS.includes(field))
+            .sort(([a], [b]) => a < b ? -1 : 1));
+        if (before) {
+            if (fixed(before) !== fixed(notification)) throw new Error('only its read, reminder and delivery state can change');
+            if ((before.resolvedAt && !notification.resolvedAt) || (before.escalatedAt && !notification.escalatedAt) || notification.reminders < before.reminders) {
+                throw new Error('resolving, reminding or escalating it cannot be taken back');
+            }
+            if (JSON.stringify((notification.deliveries || []).slice(0, before.deliveries.length)) !== JSON.stringify(before.deliveries)) {
+                throw new Error('recorded deliveries cannot be changed');
+            }
+        } else {
+            const scratch = new NotificationCenter({ storage: new notifyStorage.Memory() });
+            const fields = Object.fromEntries(Object.entries(notification)
+                .filter(([field]) => !NotificationCenter.STATE_FIELDS.includes(field) && field !== 'id' && field !== 'createdAt'));
+            const record = scratch.notify(fields, new Date(notification.createdAt));
+            record.id = notification.id;
+            if (fixed(record) !== fixed(notification)) throw new Error('does not match what notify() queues');
+        }
+
+        if (notification.readAt !== (before ? before.readAt : null) && (notification.userId !== userId || (before && before.readAt))) {
+            throw new Error(`only ${notification.userId} can mark it read`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    onApprovalEvent(event) {
+        if (!this.approvals) return;
+        if (['APPROVAL_DELEGATED', 'APPROVAL_DELEGATION_REVOKED'].includes(event.type)) {
+            this.approvals.approvals.filter(a => a.status === 'pending').forEach(a => this.syncApproval(a));
+            return;
+        }
+        const approvalId = event.details.approvalId;
+        const approval = approvalId && this.approvals.approvals.find(a => a.id === approvalId);
+        if (!approval || event.type === 'APPROVAL_DENIED') return;
+
+        this.syncApproval(approval);
+
+        // Tell the requester how it ended
+        const outcome = event.type === 'APPROVAL_REJECTED' ? 'rejected'
+            : event.type === 'APPROVAL_GRANTED' && approval.status === 'approved' ? 'approved'
+            : null;
+        if (outcome && approval.requestedBy && approval.requestedBy !== event.userId) {
+            this.notify({
+                userId: approval.requestedBy,
+                key: `approval:${approval.id}:${approval.revision}:${outcome}`,
+                type: 'approval',
+                projectId: approval.projectId,
+                title: `${approval.milestone || 'Approval'} ${outcome}`,
+                body: `${this.describeProject(approval.projectId)}${outcome === 'rejected' && event.details.reason ? ` - ${event.details.reason}` : ''}`,
+                action: 'openFormApprovals',
+                priority: outcome === 'rejected' ? 'high' : 'low',
+                actionable: false
+            });
+        }
+    }
+
+    /**
+     * Make the open notifications for an approval match who can act on it now
+     * @private
+     */
+    syncApproval(approval) {
+        const prefix = `approval:${approval.id}:`;
+        const step = approval.status === 'pending' && approval.steps ? approval.steps[approval.currentStep] : null;
+        const key = `${prefix}${approval.revision || 0}:${step ? step.id : 'approvers'}`;
+        const waitingOn = approval.status === 'pending' ? this.approvalRecipients(approval, step) : [];
+
+        this.resolve(n => n.type === 'approval' && n.actionable && n.key.startsWith(prefix) &&
+            (n.key !== key || !waitingOn.includes(n.userId)));
+
+        const due = step && step.dueAt ? `, due ${step.dueAt.slice(0, 10)}` : '';
+        waitingOn.forEach(userId => this.notify({
+            userId,
+            key,
+            type: 'approval',
+            projectId: approval.projectId,
+            title: `${approval.milestone || 'Approval'} waiting on you`,
+            body: `${this.describeProject(approval.projectId)} - ${step ? step.name : 'Approvers'}${due}${step && step.escalated ? ' (escalated)' : ''}`,
+            action: 'openFormApprovals',
+            priority: step && step.escalated ? 'high' : 'normal'
+        }));
+    }
+
+    /**
+     * Users who can fill an open slot on the active step, plus their delegates
+     * @private
+     */
+    approvalRecipients(approval, step) {
+        // Requesters and users who already signed cannot sign (again)
+        const excluded = new Set(approval.approvals.map(a => a.userId));
+        if (approval.requestedBy && !this.approvals.allowSelfApproval) excluded.add(approval.requestedBy);
+
+        const users = new Set();
+        if (!step) {
+            (approval.requiredApprovers || []).forEach(userId => users.add(userId));
+        } else {
+            step.slots
+                .filter(slot => !slot.approvedBy && (!slot.escalation || step.escalated))
+                .forEach(slot => (slot.user ? [slot.user] : this.membersOf(slot.role)).forEach(userId => users.add(userId)));
+        }
+        Array.from(users).forEach(from => (this.approvals.delegations || [])
+            .filter(d => d.from === from && this.approvals.hasDelegation(from, d.to))
+            .forEach(d => users.add(d.to)));
+
+        return Array.from(users).filter(userId => !excluded.has(userId));
+    }
+
+    /**
+     * @private
+     */
+    onQAEvent(event) {
+        const details = event.details;
+        const project = this.describeProject(event.projectId);
+
+        switch (event.type) {
+            case 'QA_CHECKPOINT_CREATED':
+                this.notifyRoles(this.qaRole, {
+                    key: `qa:${details.checkpointId}`,
+                    type: 'qa',
+                    projectId: event.projectId,
+                    title: `Inspection due: ${details.stage}`,
+                    body: `${project} - ${details.items} checklist items`,
+                    action: 'openQAInspection'
+                }, [event.userId]);
+                break;
+            case 'QA_PASSED':
+            case 'QA_FAILED':
+                this.resolve(n => n.key === `qa:${details.checkpointId}` || n.key === `qa:${details.checkpointId}:reinspect`);
+                // Work orders a failed re-inspection reopened
+                if (this.qaGates) {
+                    (details.workOrders || [])
+                        .map(id => this.qaGates.getWorkOrders({ id })[0])
+                        .filter(wo => wo && wo.status === 'open')
+                        .forEach(wo => this.notifyWorkOrder({ ...wo, workOrderId: wo.id }, event));
+                }
+                break;
+            case 'QA_WORK_ORDER_CREATED':
+                this.notifyWorkOrder({ ...details, projectId: event.projectId }, event);
+                break;
+            case 'QA_CORRECTION_COMPLETED': {
+                this.resolve(n => n.key === `wo:${details.workOrderId}`);
+                const remaining = this.qaGates ? this.qaGates.getWorkOrders({ checkpointId: details.checkpointId, status: 'open' }) : [];
+                if (remaining.length === 0) {
+                    this.notifyRoles(this.qaRole, {
+                        key: `qa:${details.checkpointId}:reinspect`,
+                        type: 'qa',
+                        projectId: event.projectId,
+                        title: 'Re-inspection due',
+                        body: `${project} - corrections completed`,
+                        action: 'openQAInspection'
+                    }, [event.userId]);
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    notifyWorkOrder(workOrder, event) {
+        this.notifyRoles(this.workOrderRoles, {
+            key: `wo:${workOrder.workOrderId}`,
+            type: 'qa',
+            projectId: workOrder.projectId,
+            title: `Correction needed: ${workOrder.title}`,
+            body: `${this.describeProject(workOrder.projectId)} - failed ${workOrder.stage} inspection`,
+            action: 'openQAInspection',
+            priority: 'high'
+        }, [event.userId]);
+    }
+
+    /**
+     * Send to every channel of the matching mode; failures are recorded on the notifications
+     * @private
+     */
+    queueDelivery(kind, userId, items, now, digest = null) {
+        const mode = kind === 'digest' ? 'digest' : 'immediate';
+        const contact = this.contactOf(userId) || {};
+        const message = {
+            kind,
+            userId,
+            to: contact,
+            subject: digest ? digest.subject : `${kind === 'reminder' ? 'Reminder: ' : ''}${items[0].title}`,
+            text: digest ? digest.text : `${items[0].body}`,
+            notifications: items.map(n => NotificationCenter.summary(n)),
+            sentAt: now.toISOString()
+        };
+
+        this.channels
+            .filter(c => c.mode === mode && (!c.channel.canDeliver || c.channel.canDeliver(contact)))
+            .forEach(({ channel }) => {
+                this.delivering = this.delivering
+                    .then(() => channel.send(message))
+                    .then(() => ({ status: 'sent' }), e => {
+                        console.error(`Notification channel ${channel.id} failed for ${userId}:`, e);
+                        return { status: 'failed', error: e.message };
+                    })
+                    .then(result => {
+                        items.forEach(n => n.deliveries.push({ channel: channel.id, kind, at: new Date().toISOString(), ...result }));
+                        return this.save();
+                    });
+            });
+    }
+
+    /**
+     * Users assigned a role directly in RBAC
+     * @private
+     */
+    roleMembers(role) {
+        if (!this.rbac) return [];
+        return Object.keys(this.rbac.users || {}).filter(userId => this.rbac.getUserRoles(userId).includes(role));
+    }
+
+    /**
+     * @private
+     */
+    findOpen(userId, key) {
+        return this.notifications.find(n => n.userId === userId && n.key === key && !n.resolvedAt) || null;
+    }
+
+    save() {
+        return Promise.all([
+            notifyStorage.write(this.storage, this.storageKey, this.notifications, 'notifications'),
+            notifyStorage.write(this.storage, this.storageKey + '_digests', this.digests, 'notification digests')
+        ]);
+    }
+
+    load() {
+        return Promise.all([
+            notifyStorage.read(this.storage, this.storageKey, data => { this.notifications = data || []; }, 'notifications'),
+            notifyStorage.read(this.storage, this.storageKey + '_digests', data => { this.digests = data || {}; }, 'notification digests')
+        ]);
+    }
+
+    static isOpen(notification) {
+        return notification.actionable && !notification.resolvedAt;
+    }
+
+    /**
+     * What channels receive about a notification
+     */
+    static summary(notification) {
+        const { deliveries, ...rest } = notification;
+        return rest;
+    }
+
+    static localDate(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    }
+
+    static age(since, now = new Date()) {
+        const hours = Math.floor((now - new Date(since)) / NOTIFY_HOUR);
+        return hours < 24 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+    }
+}
+
+/**
+ * Email over SMTP (Node only): { host, port, secure: implicit TLS, auth: { user, pass }, from, name }
+ *
+ * Plain SMTP without authentication suits a local relay or the mock server
+ * from SMTPChannel.createMockServer(); credentials are only sent over TLS
+ * unless `allowInsecureAuth` is set.
+ */
+class SMTPChannel {
+    constructor(options = {}) {
+        if (!options.host || !options.from) throw new Error('SMTP channel requires a host and a from address');
+        this.id = options.id || 'email';
+        this.host = options.host;
+        this.secure = !!options.secure;
+        this.port = options.port || (this.secure ? 465 : 25);
+        this.auth = options.auth || null;
+        this.from = SMTPChannel.address(options.from);
+        this.name = options.name || 'localhost';
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.rejectUnauthorized = options.rejectUnauthorized !== false;
+        if (this.auth && !this.secure && !options.allowInsecureAuth) {
+            throw new Error('SMTP credentials require a secure connection');
+        }
+    }
+
+    canDeliver(contact) {
+        return !!(contact && contact.email);
+    }
+
+    async send(message) {
+        const to = SMTPChannel.address(message.to.email);
+        const connection = await SMTPConnection.open(this);
+        try {
+            await connection.command(null, [220]);
+            await connection.command(`EHLO ${this.name}`, [250]);
+            if (this.auth) {
+                const token = Buffer.from(`\0${this.auth.user}\0${this.auth.pass}`).toString('base64');
+                await connection.command(`AUTH PLAIN ${token}`, [235]);
+            }
+            await connection.command(`MAIL FROM:<${this.from}>`, [250]);
+            await connection.command(`RCPT TO:<${to}>`, [250, 251]);
+            await connection.command('DATA', [354]);
+            const reply = await connection.command(`${SMTPChannel.compose({ ...message, from: this.from, to })}\r\n.`, [250]);
+            await connection.command('QUIT', [221]);
+            return { to, response: reply.lines.join(' ') };
+        } finally {
+            connection.close();
+        }
+    }
+
+    /**
+     * RFC 5322 message with a plain-text body, dot-stuffed for DATA
+     */
+    static compose(message) {
+        const domain = message.from.split('@')[1] || 'localhost';
+        const headers = [
+            `From: ${message.from}`,
+            `To: ${message.to}`,
+            `Subject: ${SMTPChannel.encodeHeader(message.subject || '')}`,
+            `Date: ${new Date(message.sentAt || Date.now()).toUTCString()}`,
+            `Message-ID: <${Date.now()}.${Math.random().toString(36).substr(2, 10)}@${domain}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+        const body = String(message.text || '')
+            .split(/\r?\n/)
+            .map(line => line.startsWith('.') ? '.' + line : line)
+            .join('\r\n');
+        return headers.join('\r\n') + '\r\n\r\n' + body;
+    }
+
+    static encodeHeader(value) {
+        const clean = String(value).replace(/[\r\n]+/g, ' ');
+        return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+    }
+
+    static address(value) {
+        const address = String(value || '').trim();
+        if (!/^[^\s<>@]+@[^\s<>@]+$/.test(address)) throw new Error(`Invalid email address: ${value}`);
+        return address;
+    }
+
+    /**
+     * Local SMTP server that accepts every message, for tests and demos
+     * @param {Object} options - { host: '127.0.0.1', port: 0 (any free port), rejectRecipients: [addresses answered with 550] }
+     * @returns {Promise<Object>} { host, port, messages: [{ from, to, subject, headers, text, raw }], close() }
+     */
+    static createMockServer(options = {}) {
+        const net = require('net');
+        const messages = [];
+        const rejected = (options.rejectRecipients || []).map(a => a.toLowerCase());
+
+        const server = net.createServer(socket => {
+            let buffer = '';
+            let envelope = { from: null, to: [] };
+            let data = null;
+            const reply = line => socket.write(line + '\r\n');
+
+            socket.setEncoding('utf8');
+            socket.on('error', () => {});
+            reply('220 mock-smtp ready');
+            socket.on('data', chunk => {
+                buffer += chunk;
+                let index;
+                while ((index = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+
+                    if (data) {
+                        if (line !== '.') {
+                            data.push(line.startsWith('..') ? line.slice(1) : line);
+                            continue;
+                        }
+                        messages.push(SMTPChannel.parseMessage(envelope, data.join('\r\n')));
+                        envelope = { from: null, to: [] };
+                        data = null;
+                        reply('250 OK: queued');
+                        continue;
+                    }
+
+                    const command = line.slice(0, 4).toUpperCase();
+                    const argument = (line.match(/<([^>]*)>/) || [])[1] || '';
+                    if (command === 'EHLO' || command === 'HELO') reply('250-mock-smtp\r\n250-8BITMIME\r\n250 AUTH PLAIN');
+                    else if (command === 'AUTH') reply('235 Authentication successful');
+                    else if (command === 'MAIL') { envelope.from = argument; reply('250 OK'); }
+                    else if (command === 'RCPT') {
+                        if (rejected.includes(argument.toLowerCase())) reply('550 No such user');
+                        else { envelope.to.push(argument); reply('250 OK'); }
+                    }
+                    else if (command === 'DATA') { data = []; reply('354 End data with <CR><LF>.<CR><LF>'); }
+                    else if (command === 'RSET') { envelope = { from: null, to: [] }; reply('250 OK'); }
+                    else if (command === 'NOOP') reply('250 OK');
+                    else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+                    else reply('502 Command not implemented');
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(options.port || 0, options.host || '127.0.0.1', () => {
+                const { address, port } = server.address();
+                resolve({
+                    host: address,
+                    port,
+                    messages,
+                    close: () => new Promise(done => server.close(() => done()))
+                });
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    static parseMessage(envelope, raw) {
+        const split = raw.indexOf('\r\n\r\n');
+        const headers = {};
+        raw.slice(0, split === -1 ? raw.length : split).split('\r\n').forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+        });
+        const encoded = (headers.subject || '').match(/^=\?UTF-8\?B\?(.*)\?=$/i);
+        return {
+            from: envelope.from,
+            to: envelope.to.slice(),
+            subject: encoded ? Buffer.from(encoded[1], 'base64').toString('utf8') : headers.subject || '',
+            headers,
+            text: split === -1 ? '' : raw.slice(split + 4).replace(/\r\n/g, '\n'),
+            raw
+        };
+    }
+}
+
+/**
+ * One SMTP client connection: writes commands and reads (multi-line) replies
+ * @private
+ */
+class SMTPConnection {
+    constructor(socket, timeoutMs) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.replies = [];
+        this.waiting = null;
+        this.error = null;
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs, () => {
+            this.fail(new Error('SMTP server timed out'));
+            socket.destroy();
+        });
+        socket.on('data', chunk => {
+            this.buffer += chunk;
+            this.drain();
+        });
+        socket.on('error', e => this.fail(e));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    static open(channel) {
+        const transport = require(channel.secure ? 'tls' : 'net');
+        return new Promise((resolve, reject) => {
+            const socket = transport.connect({
+                host: channel.host,
+                port: channel.port,
+                servername: channel.host,
+                rejectUnauthorized: channel.rejectUnauthorized
+            });
+            socket.once(channel.secure ? 'secureConnect' : 'connect', () => {
+                socket.removeListener('error', reject);
+                resolve(new SMTPConnection(socket, channel.timeoutMs));
+            });
+            socket.once('error', reject);
+        });
+    }
+
+    /**
+     * Send a command (null to only read the greeting) and check the reply code
+     * @returns {Promise<Object>} { code, lines }
+     */
+    command(line, expected) {
+        if (line !== null) this.socket.write(line + '\r\n');
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.settle();
+        }).then(reply => {
+            if (!expected.includes(reply.code)) {
+                const error = new Error(`SMTP server answered ${reply.code} ${reply.lines.join(' ')}`);
+                error.code = reply.code;
+                throw error;
+            }
+            return reply;
+        });
+    }
+
+    close() {
+        this.socket.end();
+    }
+
+    drain() {
+        let index;
+        while ((index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line.slice(4));
+            if (line.charAt(3) !== '-') {
+                this.replies.push({ code: Number(line.slice(0, 3)), lines: this.lines });
+                this.lines = [];
+            }
+        }
+        this.settle();
+    }
+
+    fail(error) {
+        if (!this.error) this.error = error;
+        this.settle();
+    }
+
+    settle() {
+        if (!this.waiting) return;
+        const { resolve, reject } = this.waiting;
+        if (this.replies.length > 0) {
+            this.waiting = null;
+            resolve(this.replies.shift());
+        } else if (this.error) {
+            this.waiting = null;
+            reject(this.error);
+        }
+    }
+}
+
+/**
+ * JSON POST to a URL: { url, secret: signs the body (X-Signature-256: sha256=<hex HMAC>), headers, fetch }
+ */
+class WebhookChannel {
+    constructor(options = {}) {
+        if (!options.url) throw new Error('Webhook channel requires a url');
+        this.id = options.id || 'webhook';
+        this.url = options.url;
+        this.secret = options.secret || null;
+        this.headers = options.headers || {};
+        this.fetch = options.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+    }
+
+    async send(message) {
+        if (!this.fetch) throw new Error('Webhook channel needs fetch()');
+        const body = JSON.stringify(message);
+        const headers = { 'Content-Type': 'application/json', ...this.headers };
+        if (this.secret) headers['X-Signature-256'] = 'sha256=' + notifyHashing.hmacSha256(this.secret, body);
+
+        const response = await this.fetch(this.url, { method: 'POST', headers, body });
+        if (!response.ok) throw new Error(`Webhook ${this.url} answered ${response.status}`);
+        return { status: response.status };
+    }
+}
+
+// What reminders, escalations, resolving, reading and delivering change on a queued notification
+NotificationCenter.STATE_FIELDS = ['readAt', 'resolvedAt', 'lastSentAt', 'reminders', 'escalatedAt', 'priority', 'deliveries'];
+NotificationCenter.SMTP = SMTPChannel;
+NotificationCenter.Webhook = WebhookChannel;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotificationCenter;
+}
@@ -1,24 +1,608 @@
+/**
+ * QAGates - Quality Assurance Checkpoints
+ *
+ * A checkpoint is one project+stage gate. Its checklist comes from the stage's
+ * template (or an explicit `checklist`) and is copied onto the checkpoint, so
+ * later template edits never change how past inspections are judged:
+ *
+ *   {
+ *       stage: 'implementation',
+ *       name: 'Final Inspection',
+ *       items: [
+ *           { id: 'air-sealing', label: 'Air sealing complete', type: 'check' },
+ *           { id: 'cfm50', label: 'Blower door', type: 'reading', unit: 'CFM50', max: 2500 },
+ *           { id: 'attic-photo', label: 'Attic depth photo', type: 'check', evidenceRequired: true, allowNA: false }
+ *       ]
+ *   }
+ *
+ * Every inspection is kept as an attempt on the checkpoint. `isPassed` is
+ * computed from the latest attempt's results; failed items open correction
+ * work orders that the next passing result for that item verifies.
+ *
+ * Checkpoints, results and work orders are published as QA_* events.
+ */
+const qaStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const qaEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
 class QAGates {
-    constructor() {
+    constructor(options = {}) {
         this.checkpoints = [];
-        this.load();
+        this.workOrders = [];
+        this.templates = {};
+        this.ledger = options.ledger || null;
+        this.events = options.events || null;
+        this.storageKey = options.storageKey || 'qa_checkpoints';
+        this.storage = qaStorage.resolve(options);
+        this.ready = this.load();
+        (options.templates || []).forEach(template => this.defineTemplate(template));
     }
+
+    /**
+     * Register the checklist used for new checkpoints at a stage
+     * @param {Object} template - { stage, name, items: [{ id, label, type: 'check'|'reading', unit, min, max, required, allowNA, evidenceRequired, correction }] }
+     */
+    defineTemplate(template) {
+        if (!template.stage) throw new Error('QA template requires a stage');
+        this.templates[template.stage] = {
+            name: template.stage,
+            ...template,
+            items: (template.items || []).map((item, idx) => this.normalizeItem(item, idx))
+        };
+    }
+
+    getTemplate(stage) {
+        return this.templates[stage] || null;
+    }
+
+    /**
+     * Open a checkpoint
+     * @param {Object} cp - { projectId, stage, inspector, checklist: [label | item] } checklist overrides the template
+     * @returns {Object} The checkpoint
+     */
     create(cp) {
-        this.checkpoints.push({id: 'QA-'+Date.now(), ...cp, status: 'pending', createdAt: new Date().toISOString()});
+        const template = this.getTemplate(cp.stage);
+        const items = cp.checklist
+            ? cp.checklist.map((item, idx) => this.normalizeItem(item, idx))
+            : (template ? template.items.map(item => ({ ...item })) : []);
+
+        const checkpoint = {
+            id: 'QA-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+            ...cp,
+            template: template ? template.name : null,
+            items,
+            inspections: [],
+            status: 'pending',
+            createdAt: new Date().toISOString()
+        };
+        delete checkpoint.checklist;
+        this.checkpoints.push(checkpoint);
+
+        qaEvents.publish(this, 'QA_CHECKPOINT_CREATED', {
+            projectId: checkpoint.projectId,
+            userId: cp.inspector,
+            details: { checkpointId: checkpoint.id, stage: checkpoint.stage, template: checkpoint.template, items: items.length }
+        });
+
+        this.save();
+        return checkpoint;
+    }
+
+    /**
+     * Latest checkpoint for a project+stage, creating one if none exists
+     * @param {string} projectId
+     * @param {string} stage
+     * @param {Object} fields - Extra fields for a new checkpoint
+     * @returns {Object}
+     */
+    ensure(projectId, stage, fields = {}) {
+        return this.getCheckpoint(projectId, stage) || this.create({ projectId, stage, ...fields });
+    }
+
+    /**
+     * Most recently created checkpoint for a project+stage
+     * @returns {Object|null}
+     */
+    getCheckpoint(projectId, stage) {
+        const matches = this.checkpoints.filter(c => c.projectId === projectId && c.stage === stage);
+        return matches[matches.length - 1] || null;
+    }
+
+    getCheckpoints(projectId) {
+        return this.checkpoints.filter(c => c.projectId === projectId);
+    }
+
+    /**
+     * Record an inspection attempt
+     * @param {string} checkpointId
+     * @param {Object} inspection - { inspector, notes, evidence, results: { itemId: { result: 'pass'|'fail'|'na', value, notes, evidence: [{ type, ref, name }] } } }
+     * @returns {Object} The stored attempt, including outcome, failedItems, missingItems and workOrders
+     */
+    recordInspection(checkpointId, inspection = {}) {
+        const checkpoint = this.checkpoints.find(c => c.id === checkpointId);
+        if (!checkpoint) throw new Error(`QA checkpoint ${checkpointId} not found`);
+
+        const attempt = {
+            id: `${checkpoint.id}-A${checkpoint.inspections.length + 1}`,
+            attempt: checkpoint.inspections.length + 1,
+            inspector: inspection.inspector || null,
+            inspectedAt: new Date().toISOString(),
+            results: inspection.results || {},
+            evidence: inspection.evidence || [],
+            notes: inspection.notes || '',
+            failReason: inspection.failReason || null
+        };
+
+        const evaluation = this.evaluate(checkpoint, attempt);
+        Object.assign(attempt, {
+            outcome: evaluation.outcome,
+            failedItems: evaluation.failed.map(f => f.itemId),
+            missingItems: evaluation.missing.map(m => m.itemId)
+        });
+
+        this.verifyWorkOrders(checkpoint, attempt, evaluation);
+        attempt.workOrders = this.openWorkOrders(checkpoint, attempt, evaluation);
+
+        checkpoint.inspections.push(attempt);
+        checkpoint.status = evaluation.outcome === 'incomplete' ? 'in_progress' : evaluation.outcome;
+        checkpoint.inspector = attempt.inspector || checkpoint.inspector;
+        if (evaluation.outcome === 'passed') checkpoint.passedAt = attempt.inspectedAt;
+        if (evaluation.outcome === 'failed') checkpoint.failedAt = attempt.inspectedAt;
+
+        if (evaluation.outcome !== 'incomplete') {
+            qaEvents.publish(this, evaluation.outcome === 'passed' ? 'QA_PASSED' : 'QA_FAILED', {
+                projectId: checkpoint.projectId,
+                userId: attempt.inspector,
+                details: {
+                    checkpointId: checkpoint.id,
+                    stage: checkpoint.stage,
+                    attempt: attempt.attempt,
+                    failedItems: attempt.failedItems,
+                    workOrders: attempt.workOrders,
+                    reason: attempt.failReason || undefined
+                }
+            });
+        }
+
         this.save();
+        return attempt;
+    }
+
+    /**
+     * Judge an attempt against the checkpoint's checklist
+     * @param {Object} checkpoint
+     * @param {Object} attempt - { results, failReason }
+     * @returns {Object} { outcome: 'passed'|'failed'|'incomplete', items, failed, missing }
+     */
+    evaluate(checkpoint, attempt) {
+        const items = checkpoint.items.map(item => this.evaluateItem(item, (attempt.results || {})[item.id]));
+        const failed = items.filter(i => i.status === 'fail');
+        const missing = items.filter(i => i.status === 'missing');
+
+        let outcome = 'passed';
+        if (failed.length || attempt.failReason) outcome = 'failed';
+        else if (missing.length) outcome = 'incomplete';
+
+        return { outcome, items, failed, missing };
     }
-    pass(projectId, stage) {
-        const cp = this.checkpoints.find(c => c.projectId === projectId && c.stage === stage);
-        if (cp) { cp.status = 'passed'; cp.passedAt = new Date().toISOString(); this.save(); }
+
+    /**
+     * Mark every checklist item passed (the single-button inspection)
+     * @param {string} projectId
+     * @param {string} stage
+     * @param {string} inspector
+     * @returns {Object} The attempt
+     */
+    pass(projectId, stage, inspector = null) {
+        const checkpoint = this.ensure(projectId, stage, { inspector });
+        const results = {};
+        checkpoint.items.forEach(item => { results[item.id] = { result: 'pass' }; });
+        return this.recordInspection(checkpoint.id, { inspector, results });
     }
-    fail(projectId, stage, reason) {
-        const cp = this.checkpoints.find(c => c.projectId === projectId && c.stage === stage);
-        if (cp) { cp.status = 'failed'; cp.failReason = reason; cp.failedAt = new Date().toISOString(); this.save(); }
+
+    /**
+     * Fail the checkpoint with a reason; opens one general work order
+     * @returns {Object} The attempt
+     */
+    fail(projectId, stage, reason, inspector = null) {
+        const checkpoint = this.ensure(projectId, stage, { inspector });
+        return this.recordInspection(checkpoint.id, { inspector, failReason: reason || 'Failed inspection' });
     }
+
+    /**
+     * Whether the latest inspection of the latest checkpoint passes its checklist
+     * @param {string} projectId
+     * @param {string} stage
+     * @returns {boolean}
+     */
     isPassed(projectId, stage) {
-        return this.checkpoints.some(c => c.projectId === projectId && c.stage === stage && c.status === 'passed');
+        const checkpoint = this.getCheckpoint(projectId, stage);
+        if (!checkpoint || !checkpoint.inspections.length) return false;
+        return this.evaluate(checkpoint, checkpoint.inspections[checkpoint.inspections.length - 1]).outcome === 'passed';
+    }
+
+    /**
+     * Every attempt for a project+stage across all of its checkpoints, oldest first
+     * @returns {Array} [{ checkpointId, ...attempt }]
+     */
+    getHistory(projectId, stage) {
+        return this.checkpoints
+            .filter(c => c.projectId === projectId && (!stage || c.stage === stage))
+            .flatMap(c => c.inspections.map(attempt => ({ checkpointId: c.id, stage: c.stage, ...attempt })));
+    }
+
+    /**
+     * @param {Object} filter - { projectId, stage, status, checkpointId }
+     * @returns {Array}
+     */
+    getWorkOrders(filter = {}) {
+        return this.workOrders.filter(wo => Object.entries(filter).every(([key, value]) => value === undefined || wo[key] === value));
+    }
+
+    /**
+     * Mark a correction done; it stays unverified until a re-inspection passes the item
+     * @param {string} workOrderId
+     * @param {Object} completion - { completedBy, notes, evidence }
+     * @returns {Object} The work order
+     */
+    completeWorkOrder(workOrderId, completion = {}) {
+        const workOrder = this.workOrders.find(wo => wo.id === workOrderId);
+        if (!workOrder) throw new Error(`Work order ${workOrderId} not found`);
+        if (workOrder.status !== 'open') throw new Error(`Work order ${workOrderId} is ${workOrder.status}`);
+
+        Object.assign(workOrder, {
+            status: 'completed',
+            completedBy: completion.completedBy || null,
+            completedAt: new Date().toISOString(),
+            completionNotes: completion.notes || '',
+            evidence: [...workOrder.evidence, ...(completion.evidence || [])]
+        });
+
+        qaEvents.publish(this, 'QA_CORRECTION_COMPLETED', {
+            projectId: workOrder.projectId,
+            userId: workOrder.completedBy,
+            details: { workOrderId, checkpointId: workOrder.checkpointId, itemId: workOrder.itemId }
+        });
+
+        this.save();
+        return workOrder;
+    }
+
+    /**
+     * Check someone's edited copy of the checkpoints against the stored one by
+     * replaying what changed, as `userId` (for ApiServer, where the tracker saves
+     * the whole list). A new checkpoint is opened again from its stage's
+     * template; new inspection attempts must be the user's own, on a checkpoint
+     * `canInspect` allows, and are recorded again in order, against the stored
+     * work orders. Recorded attempts cannot change. The result must match the
+     * copy apart from timestamps and the ids of the work orders it opens.
+     * @param {Array} next - The edited checkpoints
+     * @param {Array} previous - The stored checkpoints
+     * @param {string} userId
+     * @param {Object} options - { canInspect: (checkpoint) => whether the user may record inspections on it }
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId, options = {}) {
+        if (!Array.isArray(next)) return ['expected an array of QA checkpoints'];
+        const stored = new Map((previous || []).map(cp => [cp.id, this.upgradeCheckpoint(cp)]));
+        const kept = new Set(next.map(cp => cp.id));
+        const problems = Array.from(stored.keys()).filter(id => !kept.has(id)).map(id => `${id} was removed`);
+
+        next.forEach(checkpoint => {
+            const before = stored.get(checkpoint.id);
+            if (before && JSON.stringify(before) === JSON.stringify(checkpoint)) return;
+            try {
+                this.replayCheckpoint(checkpoint, before || null, userId, options);
+            } catch (e) {
+                problems.push(`${checkpoint.id}: ${e.message}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Check someone's edited copy of the work orders against the stored one,
+     * as `userId`. An order only changes the way the stored inspections change
+     * it (opened, reopened, verified), which must be the user's own, or by the
+     * user completing it; orders are never removed. The result must match the
+     * copy apart from timestamps.
+     * @param {Array} next - The edited work orders
+     * @param {Array} previous - The stored work orders
+     * @param {string} userId
+     * @returns {Array} Problems
+     */
+    verifyWorkOrderChanges(next, previous, userId) {
+        if (!Array.isArray(next)) return ['expected an array of work orders'];
+        const stored = new Map((previous || []).map(wo => [wo.id, wo]));
+        const kept = new Set(next.map(wo => wo.id));
+        const problems = Array.from(stored.keys()).filter(id => !kept.has(id)).map(id => `${id} was removed`);
+
+        next.forEach(workOrder => {
+            const before = stored.get(workOrder.id);
+            if (before && JSON.stringify(before) === JSON.stringify(workOrder)) return;
+            try {
+                this.replayWorkOrder(workOrder, before || null, userId);
+            } catch (e) {
+                problems.push(`${workOrder.id}: ${e.message}`);
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Rebuild one edited checkpoint on a scratch instance; throws when its attempts do not lead to it
+     * @private
+     */
+    replayCheckpoint(checkpoint, before, userId, options) {
+        const scratch = new QAGates({ storage: new qaStorage.Memory() });
+        scratch.templates = this.templates;
+        scratch.workOrders = JSON.parse(JSON.stringify(this.workOrders));
+
+        const attempts = checkpoint.inspections || [];
+        if (before) {
+            const fixed = cp => JSON.stringify(Object.entries(cp).filter(([field]) => !QAGates.INSPECTION_FIELDS.includes(field)));
+            if (fixed(before) !== fixed(checkpoint)) throw new Error('only inspections can be added to a checkpoint');
+            if (JSON.stringify(attempts.slice(0, before.inspections.length)) !== JSON.stringify(before.inspections)) {
+                throw new Error('recorded inspections cannot be changed');
+            }
+            scratch.checkpoints = [JSON.parse(JSON.stringify(before))];
+        } else {
+            const fields = Object.fromEntries(Object.entries(checkpoint).filter(([field]) => !QAGates.ENGINE_FIELDS.includes(field)));
+            // Stages without a template keep the checklist they were opened with
+            scratch.create({ ...fields, inspector: userId, ...(this.getTemplate(checkpoint.stage) ? {} : { checklist: checkpoint.items || [] }) });
+            scratch.checkpoints[0].id = checkpoint.id;
+        }
+
+        const added = attempts.slice(before ? before.inspections.length : 0);
+        if (added.length && options.canInspect && !options.canInspect(checkpoint)) {
+            throw new Error(`${userId} cannot record inspections on ${checkpoint.projectId}`);
+        }
+        added.forEach(attempt => {
+            if (attempt.inspector !== userId) {
+                throw new Error(`inspection ${attempt.id} by ${attempt.inspector} cannot be recorded by ${userId}`);
+            }
+            const known = new Set(scratch.workOrders.map(wo => wo.id));
+            const recorded = scratch.recordInspection(checkpoint.id, {
+                inspector: userId,
+                results: attempt.results,
+                evidence: attempt.evidence,
+                notes: attempt.notes,
+                failReason: attempt.failReason
+            });
+            // Work orders opened here get new random ids; take the copy's
+            recorded.workOrders.forEach((id, i) => {
+                const theirs = (attempt.workOrders || [])[i];
+                if (known.has(id) || !theirs || known.has(theirs)) return;
+                scratch.workOrders.find(wo => wo.id === id).id = theirs;
+                recorded.workOrders[i] = theirs;
+            });
+        });
+
+        if (QAGates.withoutTimes(scratch.checkpoints[0]) !== QAGates.withoutTimes(checkpoint)) {
+            throw new Error('does not match what its inspections lead to');
+        }
+    }
+
+    /**
+     * Rebuild one edited work order from the stored inspections since it last
+     * changed, and its completion, in time order; throws when they do not lead to it
+     * @private
+     */
+    replayWorkOrder(workOrder, before, userId) {
+        const checkpoint = this.checkpoints.find(cp => cp.id === workOrder.checkpointId);
+        if (!checkpoint) throw new Error(`QA checkpoint ${workOrder.checkpointId} not found`);
+        if (before && JSON.stringify((workOrder.attempts || []).slice(0, before.attempts.length)) !== JSON.stringify(before.attempts)) {
+            throw new Error('recorded attempts cannot be changed');
+        }
+
+        const number = id => (checkpoint.inspections.find(attempt => attempt.id === id) || {}).attempt || 0;
+        const first = before
+            ? Math.max(...[...before.attempts, before.verifiedBy].map(number)) + 1
+            : number((workOrder.attempts || [])[0]);
+        const steps = checkpoint.inspections.filter(attempt => first > 0 && attempt.attempt >= first)
+            .map(attempt => ({ at: attempt.inspectedAt, attempt }));
+        if (workOrder.completedAt && (!before || before.completedAt !== workOrder.completedAt)) {
+            steps.push({ at: workOrder.completedAt, completion: true });
+        }
+        steps.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+        const scratch = new QAGates({ storage: new qaStorage.Memory() });
+        const cp = JSON.parse(JSON.stringify(checkpoint));
+        scratch.checkpoints = [cp];
+        scratch.workOrders = before ? [JSON.parse(JSON.stringify(before))] : [];
+        const current = () => scratch.workOrders.find(wo => wo.id === workOrder.id);
+
+        steps.forEach(({ attempt, completion }) => {
+            if (completion) {
+                if (workOrder.completedBy !== userId) throw new Error(`completion by ${workOrder.completedBy} cannot be recorded by ${userId}`);
+                if (!current()) throw new Error('no inspection opened it');
+                scratch.completeWorkOrder(workOrder.id, {
+                    completedBy: userId,
+                    notes: workOrder.completionNotes,
+                    evidence: (workOrder.evidence || []).slice(current().evidence.length)
+                });
+                return;
+            }
+            const was = JSON.stringify(current() || null);
+            const known = new Set(scratch.workOrders.map(wo => wo.id));
+            const evaluation = scratch.evaluate(cp, attempt);
+            scratch.verifyWorkOrders(cp, attempt, evaluation);
+            scratch.openWorkOrders(cp, attempt, evaluation).forEach((id, i) => {
+                if (!known.has(id) && (attempt.workOrders || [])[i] === workOrder.id) scratch.workOrders.find(wo => wo.id === id).id = workOrder.id;
+            });
+            if (JSON.stringify(current() || null) !== was && attempt.inspector !== userId) {
+                throw new Error(`inspection ${attempt.id} by ${attempt.inspector} cannot be recorded by ${userId}`);
+            }
+        });
+
+        if (!current()) throw new Error('no inspection opened it');
+        if (QAGates.withoutTimes(current()) !== QAGates.withoutTimes(workOrder)) {
+            throw new Error('does not match what its inspections and completion lead to');
+        }
+    }
+
+    /**
+     * Canonical JSON of a checkpoint or work order with its timestamps left out
+     * @private
+     */
+    static withoutTimes(value) {
+        const strip = v => {
+            if (Array.isArray(v)) return v.map(strip);
+            if (!v || typeof v !== 'object') return v;
+            return Object.fromEntries(Object.keys(v).sort()
+                .filter(key => !QAGates.TIME_FIELDS.includes(key) && v[key] !== undefined)
+                .map(key => [key, strip(v[key])]));
+        };
+        return JSON.stringify(strip(value));
+    }
+
+    /**
+     * @private
+     */
+    normalizeItem(item, idx) {
+        if (typeof item === 'string') item = { label: item };
+        return {
+            id: item.id || `item-${idx + 1}`,
+            type: 'check',
+            required: true,
+            allowNA: true,
+            evidenceRequired: false,
+            ...item
+        };
+    }
+
+    /**
+     * @private
+     * @returns {Object} { itemId, status: 'pass'|'fail'|'na'|'missing', message }
+     */
+    evaluateItem(item, entry) {
+        const label = item.label || item.id;
+        const verdict = (status, message = null) => ({ itemId: item.id, label, status, message });
+
+        if (!entry || (!entry.result && (entry.value === undefined || entry.value === null || entry.value === ''))) {
+            return verdict(item.required ? 'missing' : 'na', `${label}: not inspected`);
+        }
+        if (entry.result === 'na') {
+            return item.allowNA ? verdict('na') : verdict('missing', `${label}: cannot be marked N/A`);
+        }
+        if (entry.result === 'fail') {
+            return verdict('fail', entry.notes ? `${label}: ${entry.notes}` : `${label}: failed`);
+        }
+
+        if (item.type === 'reading' && entry.value !== undefined && entry.value !== null && entry.value !== '') {
+            const value = Number(entry.value);
+            const unit = item.unit ? ` ${item.unit}` : '';
+            if (isNaN(value)) return verdict('missing', `${label}: reading is not a number`);
+            if (item.max !== undefined && value > item.max) return verdict('fail', `${label}: ${value}${unit} exceeds ${item.max}${unit}`);
+            if (item.min !== undefined && value < item.min) return verdict('fail', `${label}: ${value}${unit} below ${item.min}${unit}`);
+        }
+
+        if (item.evidenceRequired && !(entry.evidence || []).length) {
+            return verdict('missing', `${label}: photo or document required`);
+        }
+        return verdict('pass');
+    }
+
+    /**
+     * One open work order per failed item; a repeat failure adds the attempt to the existing order
+     * @private
+     * @returns {Array} Work order ids touched by this attempt
+     */
+    openWorkOrders(checkpoint, attempt, evaluation) {
+        const failures = evaluation.failed.slice();
+        if (attempt.failReason) failures.push({ itemId: null, label: 'General', message: attempt.failReason });
+
+        return failures.map(failure => {
+            const item = checkpoint.items.find(i => i.id === failure.itemId) || {};
+            const existing = this.workOrders.find(wo => wo.checkpointId === checkpoint.id && wo.itemId === failure.itemId && wo.status !== 'verified');
+            if (existing) {
+                existing.status = 'open';
+                existing.attempts.push(attempt.id);
+                existing.description = failure.message;
+                return existing.id;
+            }
+
+            const workOrder = {
+                id: 'WO-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6),
+                projectId: checkpoint.projectId,
+                stage: checkpoint.stage,
+                checkpointId: checkpoint.id,
+                itemId: failure.itemId,
+                title: item.correction || `Correct: ${failure.label}`,
+                description: failure.message,
+                status: 'open',
+                attempts: [attempt.id],
+                evidence: ((attempt.results[failure.itemId] || {}).evidence || []).slice(),
+                createdAt: new Date().toISOString()
+            };
+            this.workOrders.push(workOrder);
+            qaEvents.publish(this, 'QA_WORK_ORDER_CREATED', {
+                projectId: workOrder.projectId,
+                userId: attempt.inspector,
+                details: { workOrderId: workOrder.id, checkpointId: checkpoint.id, stage: checkpoint.stage, itemId: workOrder.itemId, title: workOrder.title }
+            });
+            return workOrder.id;
+        });
+    }
+
+    /**
+     * Close work orders whose items this attempt passed
+     * @private
+     */
+    verifyWorkOrders(checkpoint, attempt, evaluation) {
+        const passed = new Set(evaluation.items.filter(i => i.status === 'pass' || i.status === 'na').map(i => i.itemId));
+        this.workOrders
+            .filter(wo => wo.checkpointId === checkpoint.id && wo.status !== 'verified')
+            .filter(wo => wo.itemId === null ? evaluation.outcome === 'passed' : passed.has(wo.itemId))
+            .forEach(wo => Object.assign(wo, { status: 'verified', verifiedBy: attempt.id, verifiedAt: attempt.inspectedAt }));
+    }
+
+    /**
+     * Bring checkpoints saved before inspections were tracked up to date
+     * @private
+     */
+    upgradeCheckpoint(cp) {
+        if (Array.isArray(cp.inspections)) return cp;
+
+        const checkpoint = { ...cp, items: (cp.checklist || []).map((item, idx) => this.normalizeItem(item, idx)), inspections: [] };
+        delete checkpoint.checklist;
+        if (cp.status === 'passed' || cp.status === 'failed') {
+            const results = {};
+            if (cp.status === 'passed') checkpoint.items.forEach(item => { results[item.id] = { result: 'pass' }; });
+            checkpoint.inspections.push({
+                id: `${cp.id}-A1`,
+                attempt: 1,
+                inspector: cp.inspector || null,
+                inspectedAt: cp.passedAt || cp.failedAt || cp.createdAt,
+                results,
+                evidence: [],
+                notes: '',
+                failReason: cp.status === 'failed' ? (cp.failReason || 'Failed inspection') : null,
+                outcome: cp.status,
+                failedItems: [],
+                missingItems: [],
+                workOrders: [],
+                migrated: true
+            });
+        }
+        return checkpoint;
+    }
+
+    save() {
+        // Work orders follow from inspections: a server checking them needs the checkpoints first,
+        // so what is saved now is written once the checkpoints saved with it are
+        const workOrders = JSON.parse(JSON.stringify(this.workOrders));
+        return qaStorage.write(this.storage, this.storageKey, this.checkpoints, 'QA checkpoints')
+            .then(() => qaStorage.write(this.storage, this.storageKey + '_work_orders', workOrders, 'QA work orders'));
+    }
+    load() {
+        return Promise.all([
+            qaStorage.read(this.storage, this.storageKey, data => { this.checkpoints = (data || []).map(cp => this.upgradeCheckpoint(cp)); }, 'QA checkpoints'),
+            qaStorage.read(this.storage, this.storageKey + '_work_orders', data => { this.workOrders = data || []; }, 'QA work orders')
+        ]);
     }
-    save() { localStorage.setItem('qa_checkpoints', JSON.stringify(this.checkpoints)); }
-    load() { this.checkpoints = JSON.parse(localStorage.getItem('qa_checkpoints') || '[]'); }
 }
+QAGates.ENGINE_FIELDS = ['id', 'template', 'items', 'inspections', 'status', 'inspector', 'createdAt', 'passedAt', 'failedAt'];
+QAGates.INSPECTION_FIELDS = ['inspections', 'status', 'inspector', 'passedAt', 'failedAt'];
+QAGates.TIME_FIELDS = ['createdAt', 'inspectedAt', 'passedAt', 'failedAt', 'completedAt', 'verifiedAt'];
+
 if (typeof module !== 'undefined') module.exports = QAGates;
@@ -0,0 +1,345 @@
+/**
+ * QualificationEngine - Income Eligibility and Customer Scenarios
+ *
+ * Turns what a household tells intake staff into a program decision. Income
+ * is compared with the area median income (AMI) for the household's size and
+ * placed in a band; the first program rule whose conditions match assigns the
+ * project's scenario, and the evidence that scenario needs is checked off:
+ *
+ *   const qualification = new QualificationEngine({ events,
+ *       ami: { area: 'Portland-Vancouver-Hillsboro MSA', year: 2026, medianIncome: 116900 },   // 4-person median
+ *       bands: [{ id: 'low', label: 'Low income', maxPercent: 80 }, { id: 'moderate', label: 'Moderate income', maxPercent: 120 }],
+ *       rules: [
+ *           { scenario: 'manufactured-home', when: { tenure: 'owner', homeType: 'manufactured', band: 'low' } },
+ *           { scenario: 'low-income-homeowner', when: { tenure: 'owner', band: 'low' } },
+ *           { scenario: 'landlord-owner', when: { tenure: 'landlord' } }
+ *       ],
+ *       evidence: [
+ *           { id: 'income-proof', label: 'Proof of income' },
+ *           { id: 'landlord-permission', label: 'Landlord permission letter', scenarios: ['renter-with-permission'] }
+ *       ],
+ *       incentiveLevels: { 'low-income-homeowner': 1.5 } });
+ *
+ *   qualification.evaluate({ householdSize: 3, income: 52000, tenure: 'owner', homeType: 'site-built',
+ *                            evidence: { 'income-proof': 'verified' } });
+ *   // { qualified: 'yes', scenario: 'low-income-homeowner', band: 'low', amiPercent: 49.4, ... }
+ *   qualification.decide(project, household, { userId: 'coord_maria' });   // sets project.scenario / qualified
+ *
+ * Household sizes scale the 4-person median the way HUD income limits do (70%
+ * for one person up to 132% for eight, 8 points more for each person after).
+ * A rule's `when` names household facts (plus `band`), an array matching any
+ * of its values; its `label` names it in the reasons. Evidence items apply to
+ * every scenario unless they list `scenarios`; 'verified' and 'waived' count as
+ * complete. A household matching a rule is 'pending' until its evidence is
+ * complete, then 'yes'; one matching no rule is 'no'.
+ *
+ * decide() keeps every decision with the household and checklist it was based
+ * on and publishes QUALIFICATION_DECIDED. The ledger entry records the band and
+ * percentage of AMI, not the income itself.
+ */
+const qualificationStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const qualificationEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
+class QualificationEngine {
+    /**
+     * @param {Object} options - { storage, storageKey, events, ami: { area, year, medianIncome, sizeFactors },
+     *                             bands, rules, evidence, incentiveLevels: { scenario: multiplier } }
+     */
+    constructor(options = {}) {
+        this.decisions = [];
+        this.storageKey = options.storageKey || 'qualifications';
+        this.storage = qualificationStorage.resolve(options);
+        this.events = options.events || null;
+        this.ami = { area: null, year: null, medianIncome: 0, sizeFactors: QualificationEngine.HUD_SIZE_FACTORS, ...(options.ami || {}) };
+        this.bands = (options.bands || []).slice().sort((a, b) => a.maxPercent - b.maxPercent);
+        this.rules = options.rules || [];
+        this.evidence = options.evidence || [];
+        this.incentiveLevels = options.incentiveLevels || {};
+        this.ready = this.load();
+    }
+
+    /**
+     * Area median income for a household of this size
+     * @param {number} householdSize
+     * @returns {number}
+     */
+    getMedianIncome(householdSize) {
+        const factors = this.ami.sizeFactors;
+        const last = factors.length - 1;
+        const factor = householdSize <= factors.length
+            ? factors[householdSize - 1]
+            : factors[last] + (factors[last] - factors[last - 1]) * (householdSize - factors.length);
+        return Math.round(this.ami.medianIncome * factor);
+    }
+
+    /**
+     * Place an income in the lowest band whose limit it does not exceed
+     * @param {number} householdSize
+     * @param {number} income - Annual household income
+     * @returns {Object} { band, label, amiPercent, median, limit } (band null above every band)
+     */
+    getBand(householdSize, income) {
+        const median = this.getMedianIncome(householdSize);
+        const amiPercent = median > 0 ? Math.round(income / median * 1000) / 10 : null;
+        const band = median > 0 ? this.bands.find(b => income <= median * b.maxPercent / 100) : null;
+        return {
+            band: band ? band.id : null,
+            label: band ? band.label || band.id : null,
+            amiPercent,
+            median,
+            limit: band ? Math.round(median * band.maxPercent / 100) : null
+        };
+    }
+
+    /**
+     * Evaluate a household against the bands, rules and evidence list; nothing is stored
+     * @param {Object} household - { householdSize, income, tenure, homeType, landlordPermission, ...,
+     *                               evidence: { [evidenceId]: 'missing' | 'received' | 'verified' | 'waived' } }
+     * @returns {Object} { qualified: 'yes' | 'no' | 'pending', scenario, ruleIndex, band, bandLabel, amiPercent,
+     *                     median, limit, evidence: [{ id, label, status, complete }], missingEvidence, reasons }
+     */
+    evaluate(household) {
+        QualificationEngine.check(household);
+        const { evidence: statuses = {}, ...facts } = household;
+        const income = this.getBand(facts.householdSize, facts.income);
+        const reasons = [income.band
+            ? `Income of $${facts.income.toLocaleString()} is ${income.amiPercent}% of the area median for ${QualificationEngine.people(facts.householdSize)} ($${income.median.toLocaleString()}): ${income.label}`
+            : `Income of $${facts.income.toLocaleString()} is ${income.amiPercent}% of the area median for ${QualificationEngine.people(facts.householdSize)} ($${income.median.toLocaleString()}), above every income band`];
+
+        const ruleIndex = this.rules.findIndex(rule => QualificationEngine.matches(rule.when || {}, { ...facts, band: income.band }));
+        const rule = ruleIndex >= 0 ? this.rules[ruleIndex] : null;
+        const scenario = rule ? rule.scenario : null;
+        const evidence = scenario ? this.getChecklist(scenario, statuses) : [];
+        const missingEvidence = evidence.filter(item => !item.complete).map(item => item.id);
+
+        let qualified;
+        if (!scenario) {
+            qualified = 'no';
+            reasons.push('No program rule matches this household');
+        } else if (missingEvidence.length > 0) {
+            qualified = 'pending';
+            reasons.push(`Matches ${rule.label || scenario}; still needed: ${evidence.filter(item => !item.complete).map(item => item.label).join(', ')}`);
+        } else {
+            qualified = 'yes';
+            reasons.push(`Matches ${rule.label || scenario}; all evidence is in`);
+        }
+
+        return {
+            qualified,
+            scenario,
+            ruleIndex: rule ? ruleIndex : null,
+            band: income.band,
+            bandLabel: income.label,
+            amiPercent: income.amiPercent,
+            median: income.median,
+            limit: income.limit,
+            evidence,
+            missingEvidence,
+            reasons
+        };
+    }
+
+    /**
+     * The evidence a scenario needs, with each item's status
+     * @param {string} scenario
+     * @param {Object} statuses - { [evidenceId]: status }
+     * @returns {Array} [{ id, label, status, complete }]
+     */
+    getChecklist(scenario, statuses = {}) {
+        return this.evidence
+            .filter(item => !item.scenarios || item.scenarios.includes(scenario))
+            .map(item => {
+                const status = statuses[item.id] || 'missing';
+                if (!QualificationEngine.EVIDENCE_STATUSES.includes(status)) {
+                    throw QualificationEngine.error('invalid_household', `${item.label || item.id}: unknown status ${status}`);
+                }
+                return { id: item.id, label: item.label || item.id, status, complete: status === 'verified' || status === 'waived' };
+            });
+    }
+
+    /**
+     * Evaluate a household for a project, keep the decision and apply it to the
+     * project: `qualified` always, `scenario` when a rule matched
+     * @param {Object} project - Modified in place
+     * @param {Object} household - As evaluate()
+     * @param {Object} options - { userId, notes }
+     * @returns {Object} The stored decision
+     */
+    decide(project, household, options = {}) {
+        const result = this.evaluate(household);
+        const { evidence, ...facts } = household;
+        const previous = { scenario: project.scenario || null, qualified: project.qualified || null };
+        const decision = {
+            id: 'QUAL-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            projectId: project.id,
+            household: facts,
+            ami: { area: this.ami.area, year: this.ami.year, median: result.median },
+            ...result,
+            previous,
+            notes: options.notes || '',
+            decidedBy: options.userId || null,
+            decidedAt: new Date().toISOString()
+        };
+        this.decisions.push(decision);
+
+        project.qualified = result.qualified;
+        if (result.scenario) project.scenario = result.scenario;
+        project.qualificationId = decision.id;
+
+        qualificationEvents.publish(this, 'QUALIFICATION_DECIDED', {
+            projectId: project.id,
+            userId: decision.decidedBy,
+            details: {
+                decisionId: decision.id,
+                qualified: result.qualified,
+                scenario: result.scenario,
+                previousScenario: previous.scenario,
+                householdSize: facts.householdSize,
+                band: result.band,
+                amiPercent: result.amiPercent,
+                amiYear: this.ami.year,
+                evidence: result.evidence.map(item => ({ id: item.id, status: item.status })),
+                missingEvidence: result.missingEvidence
+            }
+        });
+        this.save();
+        return decision;
+    }
+
+    /**
+     * Latest decision for a project
+     * @param {string} projectId
+     * @returns {Object|null}
+     */
+    getDecision(projectId) {
+        const history = this.getHistory(projectId);
+        return history.length ? history[history.length - 1] : null;
+    }
+
+    /**
+     * @param {string} projectId
+     * @returns {Array} Decisions, oldest first
+     */
+    getHistory(projectId) {
+        return this.decisions.filter(d => d.projectId === projectId);
+    }
+
+    /**
+     * Multiplier applied to typical measure incentives for a scenario (1 when not configured)
+     * @param {string} scenario
+     * @returns {number}
+     */
+    getIncentiveLevel(scenario) {
+        const level = this.incentiveLevels[scenario];
+        return typeof level === 'number' ? level : 1;
+    }
+
+    /**
+     * Check someone's edited copy of the decisions against the stored one, as
+     * `userId` (for ApiServer, where the tracker saves the whole list).
+     * Decisions are only added, in the user's name, and each new one is decided
+     * again from its household and evidence statuses. The result must match
+     * the copy apart from its time and the wording of its reasons (which
+     * follows the browser's number format).
+     * @param {Array} next - The edited decisions
+     * @param {Array} previous - The stored decisions
+     * @param {string} userId
+     * @returns {Array} Problems
+     */
+    verifyChanges(next, previous, userId) {
+        if (!Array.isArray(next)) return ['expected an array of qualification decisions'];
+        const stored = previous || [];
+        if (JSON.stringify(next.slice(0, stored.length)) !== JSON.stringify(stored)) {
+            return ['recorded decisions cannot be changed or removed'];
+        }
+
+        const problems = [];
+        next.slice(stored.length).forEach(decision => {
+            try {
+                if (decision.decidedBy !== userId) throw new Error(`a decision by ${decision.decidedBy} cannot be recorded by ${userId}`);
+                const scratch = new QualificationEngine({
+                    storage: new qualificationStorage.Memory(),
+                    ami: this.ami,
+                    bands: this.bands,
+                    rules: this.rules,
+                    evidence: this.evidence
+                });
+                const project = { id: decision.projectId, ...decision.previous };
+                const evidence = Object.fromEntries((decision.evidence || []).map(item => [item.id, item.status]));
+                const replayed = scratch.decide(project, { ...decision.household, evidence }, { userId, notes: decision.notes });
+                replayed.id = decision.id;
+                if (QualificationEngine.withoutTimes(replayed) !== QualificationEngine.withoutTimes(decision)) {
+                    throw new Error('does not match the decision its household and evidence lead to');
+                }
+            } catch (e) {
+                problems.push(`${decision.id}: ${e.message}`);
+            }
+        });
+        return problems;
+    }
+
+    save() {
+        return qualificationStorage.write(this.storage, this.storageKey, this.decisions, 'qualifications');
+    }
+
+    load() {
+        return qualificationStorage.read(this.storage, this.storageKey, data => { this.decisions = data || []; }, 'qualifications');
+    }
+
+    /**
+     * Canonical JSON of a decision without its time and reasons
+     * @private
+     */
+    static withoutTimes(value) {
+        const strip = v => {
+            if (Array.isArray(v)) return v.map(strip);
+            if (!v || typeof v !== 'object') return v;
+            return Object.fromEntries(Object.keys(v).sort()
+                .filter(key => !['decidedAt', 'reasons'].includes(key) && v[key] !== undefined)
+                .map(key => [key, strip(v[key])]));
+        };
+        return JSON.stringify(strip(value));
+    }
+
+    /**
+     * @private
+     */
+    static check(household) {
+        if (!household || !Number.isInteger(household.householdSize) || household.householdSize < 1) {
+            throw QualificationEngine.error('invalid_household', 'Household size must be a whole number of at least 1');
+        }
+        if (typeof household.income !== 'number' || !isFinite(household.income) || household.income < 0) {
+            throw QualificationEngine.error('invalid_household', 'Annual household income must be 0 or more');
+        }
+    }
+
+    /**
+     * @private
+     */
+    static matches(when, facts) {
+        return Object.entries(when).every(([key, expected]) =>
+            Array.isArray(expected) ? expected.includes(facts[key]) : facts[key] === expected);
+    }
+
+    /**
+     * @private
+     */
+    static people(count) {
+        return `${count} ${count === 1 ? 'person' : 'people'}`;
+    }
+
+    static error(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+// Share of the 4-person median for households of 1 to 8
+QualificationEngine.HUD_SIZE_FACTORS = [0.7, 0.8, 0.9, 1, 1.08, 1.16, 1.24, 1.32];
+QualificationEngine.EVIDENCE_STATUSES = ['missing', 'received', 'verified', 'waived'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QualificationEngine;
+}
@@ -3,15 +3,39 @@
  * 
  * Manages user permissions at field and action levels.
  * Supports role templates, custom permissions, and hierarchical roles.
+ *
+ * Roles can inherit from parent roles and attach named conditions to a grant,
+ * keyed by `permission:entry` where entry is the matching grant ('*', a
+ * resource name, or `own-<resource>` which requires ownership):
+ *
+ *   rbac.defineCondition('beforeForm300', project => !project.form300);
+ *   rbac.defineRole('finance', {
+ *       inherits: ['staff'],
+ *       edit: ['budget'],
+ *       conditions: { 'edit:budget': 'beforeForm300' }
+ *   });
+ *   rbac.can('sarah', 'edit', 'budget', project.id, project);
+ *
+ * Field policies map a resource type's fields to the resource that guards
+ * each permission, so field names never collide with resource names:
+ *
+ *   rbac.defineFieldPolicy('project', { financials: { view: 'budget', edit: 'budget' } });
  */
 
+const rbacStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const rbacEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
 class RBAC {
     constructor(options = {}) {
         this.roles = options.roles || {};
         this.users = options.users || {};
+        this.fieldPolicies = options.fieldPolicies || {};
+        this.conditions = { ...RBAC.BUILT_IN_CONDITIONS, ...(options.conditions || {}) };
         this.currentUser = null;
+        this.events = options.events || null;
         this.storageKey = options.storageKey || 'rbac_data';
-        this.load();
+        this.storage = rbacStorage.resolve(options);
+        this.ready = this.load();
     }
 
     /**
@@ -20,11 +44,47 @@ class RBAC {
      * @param {Object} permissions - Permission object
      */
     defineRole(roleId, permissions) {
+        (permissions.inherits || []).forEach(parentId => {
+            if (parentId === roleId || this.inheritsFrom(parentId, roleId)) {
+                throw new Error(`Role ${roleId} cannot inherit from ${parentId}: circular inheritance`);
+            }
+        });
+
+        // Roles are re-synced from config on every load; only real changes are published
+        const { id, createdAt, ...existing } = this.roles[roleId] || {};
+        const changed = !this.roles[roleId] || JSON.stringify(existing) !== JSON.stringify(permissions);
+
         this.roles[roleId] = {
             id: roleId,
             ...permissions,
             createdAt: new Date().toISOString()
         };
+        if (changed) {
+            rbacEvents.publish(this, 'PERMISSION_CHANGED', { details: { change: 'role_defined', roleId, permissions } });
+        }
+        this.save();
+    }
+
+    /**
+     * Register a named condition. Predicates are not persisted, so define them
+     * at startup; roles and field policies refer to them by name.
+     * @param {string} name
+     * @param {Function} predicate - (context, userId, rbac) => boolean
+     */
+    defineCondition(name, predicate) {
+        if (typeof predicate !== 'function') {
+            throw new Error(`Condition ${name} must be a function`);
+        }
+        this.conditions[name] = predicate;
+    }
+
+    /**
+     * Define which resource guards each field of a resource type
+     * @param {string} resourceType - e.g. 'project'
+     * @param {Object} fields - { fieldName: { view: resource, edit: resource } }
+     */
+    defineFieldPolicy(resourceType, fields) {
+        this.fieldPolicies[resourceType] = { ...(this.fieldPolicies[resourceType] || {}), ...fields };
         this.save();
     }
 
@@ -44,6 +104,7 @@ class RBAC {
 
         if (!this.users[userId].roles.includes(roleId)) {
             this.users[userId].roles.push(roleId);
+            rbacEvents.publish(this, 'PERMISSION_CHANGED', { details: { change: 'role_assigned', targetUserId: userId, roleId } });
         }
 
         this.save();
@@ -55,8 +116,9 @@ class RBAC {
      * @param {string} roleId 
      */
     removeRole(userId, roleId) {
-        if (this.users[userId]) {
+        if (this.users[userId] && this.users[userId].roles.includes(roleId)) {
             this.users[userId].roles = this.users[userId].roles.filter(r => r !== roleId);
+            rbacEvents.publish(this, 'PERMISSION_CHANGED', { details: { change: 'role_removed', targetUserId: userId, roleId } });
             this.save();
         }
     }
@@ -75,46 +137,99 @@ class RBAC {
      * @param {string} permission - 'view', 'edit', 'approve', 'admin'
      * @param {string} resource - Resource type (e.g., 'project', 'payment', 'qa')
      * @param {string} resourceId - Optional specific resource ID
+     * @param {Object} context - Attributes for conditions (e.g. the project)
      * @returns {boolean}
      */
-    can(userId, permission, resource, resourceId = null) {
+    can(userId, permission, resource, resourceId = null, context = {}) {
+        return this.explain(userId, permission, resource, resourceId, context).allowed;
+    }
+
+    /**
+     * Evaluate a permission and report which rule granted or denied it
+     * @param {string} userId
+     * @param {string} permission
+     * @param {string} resource
+     * @param {string} resourceId
+     * @param {Object} context
+     * @returns {Object} { allowed, reason, rule, checked, message }
+     */
+    explain(userId, permission, resource, resourceId = null, context = {}) {
+        const result = { userId, permission, resource, resourceId, allowed: false, reason: null, rule: null, checked: [] };
         const user = this.users[userId];
-        if (!user) return false;
+        if (!user) {
+            return this.explained(result, 'unknown_user', `${userId} is not a known user`);
+        }
+
+        const effective = this.getEffectiveRoles(userId);
 
         // Superuser check
-        if (user.roles.includes('superuser') || user.roles.includes('admin')) {
-            return true;
+        const superRole = effective.find(r => r.id === 'superuser' || r.id === 'admin' || this.roles[r.id]?.superuser);
+        if (superRole) {
+            result.allowed = true;
+            result.rule = { role: superRole.id, via: superRole.via, entry: '*' };
+            return this.explained(result, 'superuser', `${userId} has superuser role ${superRole.id}`);
         }
 
-        // Check each role
-        for (const roleId of user.roles) {
+        // Check each role (direct roles first, then inherited)
+        for (const { id: roleId, via } of effective) {
             const role = this.roles[roleId];
             if (!role) continue;
 
-            // Check permission level
-            const perms = role[permission];
-            if (!perms) continue;
+            const entry = this.matchGrant(role[permission], resource, resourceId);
+            if (!entry) continue;
 
-            // Wildcard permission
-            if (perms === '*' || perms.includes('*')) {
-                return true;
-            }
+            const conditions = this.conditionsFor(role, permission, entry);
+            const failed = conditions.find(name => !this.evaluateCondition(name, context, userId));
+            const rule = { role: roleId, via, entry, conditions };
 
-            // Array of allowed resources
-            if (Array.isArray(perms) && perms.includes(resource)) {
-                return true;
+            if (failed) {
+                result.checked.push({ ...rule, failedCondition: failed });
+                continue;
             }
 
-            // Specific resource check
-            if (typeof perms === 'object' && perms[resource]) {
-                if (perms[resource] === '*') return true;
-                if (Array.isArray(perms[resource]) && perms[resource].includes(resourceId)) {
-                    return true;
-                }
-            }
+            result.allowed = true;
+            result.rule = rule;
+            return this.explained(result, 'granted',
+                `${permission} on ${resource} granted by role ${roleId}` + (via.length > 1 ? ` (inherited via ${via.join(' → ')})` : '') +
+                ` [${entry}]` + (conditions.length ? ` when ${conditions.join(', ')}` : ''));
+        }
+
+        if (result.checked.length > 0) {
+            const first = result.checked[0];
+            return this.explained(result, 'condition_failed',
+                `${permission} on ${resource} requires condition ${first.failedCondition} (role ${first.via.join(' → ')})`);
         }
+        return this.explained(result, 'no_matching_rule',
+            `No role of ${userId} grants ${permission} on ${resource}`);
+    }
 
-        return false;
+    /**
+     * Check a permission on one field of a resource type
+     * @param {string} userId
+     * @param {string} permission - 'view' or 'edit'
+     * @param {string} resourceType
+     * @param {string} field
+     * @param {Object} context
+     * @returns {boolean}
+     */
+    canField(userId, permission, resourceType, field, context = {}) {
+        return this.explainField(userId, permission, resourceType, field, context).allowed;
+    }
+
+    /**
+     * Explain a field-level decision. Fields without a policy fall back to the
+     * resource type itself.
+     * @returns {Object} explain() result plus { field, guardedBy }
+     */
+    explainField(userId, permission, resourceType, field, context = {}) {
+        const policy = this.fieldPolicies[resourceType]?.[field];
+        const guardedBy = (policy && policy[permission]) || resourceType;
+        return {
+            ...this.explain(userId, permission, guardedBy, context.id || null, context),
+            field,
+            resourceType,
+            guardedBy
+        };
     }
 
     /**
@@ -124,9 +239,9 @@ class RBAC {
      * @param {string} resourceId 
      * @returns {boolean}
      */
-    canCurrent(permission, resource, resourceId = null) {
+    canCurrent(permission, resource, resourceId = null, context = {}) {
         if (!this.currentUser) return false;
-        return this.can(this.currentUser, permission, resource, resourceId);
+        return this.can(this.currentUser, permission, resource, resourceId, context);
     }
 
     /**
@@ -145,7 +260,7 @@ class RBAC {
             admin: new Set()
         };
 
-        for (const roleId of user.roles) {
+        for (const { id: roleId } of this.getEffectiveRoles(userId)) {
             const role = this.roles[roleId];
             if (!role) continue;
 
@@ -178,7 +293,29 @@ class RBAC {
     }
 
     /**
-     * Check if user has specific role
+     * Direct roles plus everything they inherit, breadth-first
+     * @param {string} userId
+     * @returns {Array} [{ id, via: [direct role, ..., id] }]
+     */
+    getEffectiveRoles(userId) {
+        const seen = new Set();
+        const queue = this.getUserRoles(userId).map(id => ({ id, via: [id] }));
+        const effective = [];
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+            if (seen.has(current.id)) continue;
+            seen.add(current.id);
+            effective.push(current);
+            (this.roles[current.id]?.inherits || []).forEach(parentId => {
+                queue.push({ id: parentId, via: [...current.via, parentId] });
+            });
+        }
+        return effective;
+    }
+
+    /**
+     * Check if user has specific role (directly assigned, not inherited)
      * @param {string} userId 
      * @param {string} roleId 
      * @returns {boolean}
@@ -201,17 +338,28 @@ class RBAC {
     }
 
     /**
-     * Mask sensitive fields based on permissions
+     * Mask fields the user may not view
      * @param {string} userId 
      * @param {Object} data 
-     * @param {Array} sensitiveFields - Fields to mask
+     * @param {string|Array} resourceType - Resource type with a field policy, or
+     *                                      (legacy) an array of field names checked as resources
+     * @param {Object} context - Condition attributes (defaults to data)
      * @returns {Object} Masked data
      */
-    maskFields(userId, data, sensitiveFields = []) {
+    maskFields(userId, data, resourceType = 'project', context = data) {
         const masked = { ...data };
-        
-        for (const field of sensitiveFields) {
-            if (!this.can(userId, 'view', field)) {
+
+        if (Array.isArray(resourceType)) {
+            for (const field of resourceType) {
+                if (!this.can(userId, 'view', field)) {
+                    masked[field] = '***RESTRICTED***';
+                }
+            }
+            return masked;
+        }
+
+        for (const field of Object.keys(this.fieldPolicies[resourceType] || {})) {
+            if (field in masked && !this.canField(userId, 'view', resourceType, field, context)) {
                 masked[field] = '***RESTRICTED***';
             }
         }
@@ -226,7 +374,8 @@ class RBAC {
     export() {
         return {
             roles: this.roles,
-            users: this.users
+            users: this.users,
+            fieldPolicies: this.fieldPolicies
         };
     }
 
@@ -237,42 +386,124 @@ class RBAC {
     import(data) {
         this.roles = data.roles || {};
         this.users = data.users || {};
+        this.fieldPolicies = data.fieldPolicies || {};
         this.save();
     }
 
     /**
-     * Save to localStorage
+     * Grant entry matching a resource: '*', the resource, `own-<resource>`,
+     * or a { resource: '*' | [ids] } map
      * @private
      */
-    save() {
+    matchGrant(perms, resource, resourceId) {
+        if (!perms) return null;
+
+        // Wildcard permission
+        if (perms === '*' || (Array.isArray(perms) && perms.includes('*'))) return '*';
+
+        // Array of allowed resources
+        if (Array.isArray(perms)) {
+            if (perms.includes(resource)) return resource;
+            return perms.find(p => p.startsWith('own-') && RBAC.sameResource(p.slice(4), resource)) || null;
+        }
+
+        // Specific resource check
+        if (typeof perms === 'object' && perms[resource]) {
+            if (perms[resource] === '*') return resource;
+            if (Array.isArray(perms[resource]) && perms[resource].includes(resourceId)) {
+                return `${resource}:${resourceId}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Conditions attached to a grant; `own-` grants always require ownership
+     * @private
+     */
+    conditionsFor(role, permission, entry) {
+        const attached = (role.conditions || {})[`${permission}:${entry}`];
+        const conditions = attached ? [].concat(attached) : [];
+        if (entry.startsWith('own-') && !conditions.includes('isOwner')) conditions.unshift('isOwner');
+        return conditions;
+    }
+
+    /**
+     * @private
+     */
+    evaluateCondition(name, context, userId) {
+        const predicate = this.conditions[name];
+        if (!predicate) {
+            console.warn(`RBAC condition ${name} is not defined; denying`);
+            return false;
+        }
         try {
-            localStorage.setItem(this.storageKey, JSON.stringify({
-                roles: this.roles,
-                users: this.users
-            }));
+            return !!predicate(context || {}, userId, this);
         } catch (e) {
-            console.error('Failed to save RBAC data:', e);
+            console.error(`RBAC condition ${name} failed:`, e);
+            return false;
         }
     }
 
     /**
-     * Load from localStorage
+     * @private
+     */
+    inheritsFrom(roleId, ancestorId, seen = new Set()) {
+        if (seen.has(roleId)) return false;
+        seen.add(roleId);
+        return (this.roles[roleId]?.inherits || []).some(parentId =>
+            parentId === ancestorId || this.inheritsFrom(parentId, ancestorId, seen)
+        );
+    }
+
+    /**
+     * @private
+     */
+    explained(result, reason, message) {
+        result.reason = reason;
+        result.message = message;
+        return result;
+    }
+
+    /**
+     * Persist through the storage adapter
+     * @private
+     */
+    save() {
+        return rbacStorage.write(this.storage, this.storageKey, {
+            roles: this.roles,
+            users: this.users,
+            fieldPolicies: this.fieldPolicies
+        }, 'RBAC data');
+    }
+
+    /**
+     * Load from the storage adapter
      * @private
      */
     load() {
-        try {
-            const saved = localStorage.getItem(this.storageKey);
-            if (saved) {
-                const data = JSON.parse(saved);
+        return rbacStorage.read(this.storage, this.storageKey, data => {
+            if (data) {
                 this.roles = data.roles || {};
                 this.users = data.users || {};
+                this.fieldPolicies = data.fieldPolicies || {};
             }
-        } catch (e) {
-            console.error('Failed to load RBAC data:', e);
-        }
+        }, 'RBAC data');
     }
 }
 
+// 'projects' grants also match 'project' (and vice versa)
+RBAC.sameResource = (a, b) => a === b || a === b + 's' || a + 's' === b;
+
+// Conditions available without defineCondition()
+RBAC.BUILT_IN_CONDITIONS = {
+    // Resource owned by (or assigned to) the user
+    isOwner: (context, userId) =>
+        context.ownerId === userId ||
+        context.createdBy === userId ||
+        (Array.isArray(context.owners) && context.owners.includes(userId))
+};
+
 // Predefined role templates
 RBAC.ROLE_TEMPLATES = {
     PROJECT_MANAGER: {
@@ -0,0 +1,644 @@
+/**
+ * ReportEngine - Program KPIs and Funder Reports
+ *
+ * Builds program-level reports from projects and what the other core modules
+ * recorded about them. A report template is a list of sections, run for a
+ * date range:
+ *
+ *   {
+ *       id: 'quarterly-funder',
+ *       name: 'Quarterly Funder Report',
+ *       sections: [
+ *           { type: 'projects', title: 'Projects by Stage and Scenario', groupBy: ['status', 'scenario'] },
+ *           { type: 'funding' },
+ *           { type: 'cycleTime' },
+ *           { type: 'qa' },
+ *           { type: 'measures', groupBy: ['category'] }
+ *       ]
+ *   }
+ *
+ *   const report = reports.generate('quarterly-funder', projects, { ...ReportEngine.quarter('2026-Q3') });
+ *   ReportEngine.toCSV(report);   // or toJSON(), toHTML() for printing
+ *
+ * Section types:
+ *   projects  - counts and dollars grouped by any project field; the stage is
+ *               the one each project was in at the end of the period
+ *   funding   - committed and disbursed per funding source, in the period and to date
+ *   cycleTime - days spent in each stage, for stays that ended in the period
+ *   qa        - first-pass rate of QA checkpoints first inspected in the period
+ *   measures  - selected measures' cost, incentive and awarded amount per category
+ *
+ * Stages and cycle times come from the ledger's STATUS_CHANGE entries.
+ * Every section returns { columns: [{ key, label, format }], rows, totals }, so
+ * sections added with defineSection() export the same way. Generating a
+ * report is published as a REPORT_GENERATED event.
+ */
+const reportEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class ReportEngine {
+    constructor(options = {}) {
+        this.ledger = options.ledger || null;
+        this.events = options.events || null;
+        this.funding = options.funding || null;
+        this.qaGates = options.qaGates || null;
+        this.stages = options.stages || [];
+        this.stageField = options.stageField || 'status';
+        this.initialStage = options.initialStage || (this.stages[0] && this.stages[0].id) || null;
+        this.categorize = options.categorize || (measure => measure.category);
+        this.labels = options.labels || {};
+        this.templates = {};
+        this.sections = { ...ReportEngine.SECTIONS };
+        (options.templates || []).forEach(template => this.defineTemplate(template));
+    }
+
+    /**
+     * Register a report template
+     * @param {Object} template - { id, name, description, sections: [{ type, id, title, groupBy }] }
+     */
+    defineTemplate(template) {
+        if (!template.id) throw new Error('Report template requires an id');
+        (template.sections || []).forEach(section => {
+            if (!this.sections[section.type]) throw new Error(`Unknown report section type: ${section.type}`);
+        });
+        this.templates[template.id] = template;
+    }
+
+    getTemplate(templateId) {
+        return this.templates[templateId] || null;
+    }
+
+    getTemplates() {
+        return Object.values(this.templates);
+    }
+
+    /**
+     * Add a section type
+     * @param {string} type
+     * @param {Function} build - (engine, projects, { from, to, groupBy }) => { columns, rows, totals }
+     */
+    defineSection(type, build) {
+        if (typeof build !== 'function') throw new Error(`Report section ${type} needs a build function`);
+        this.sections[type] = build;
+    }
+
+    /**
+     * Run a template for a period
+     * @param {string|Object} template - Template id or template
+     * @param {Array} projects
+     * @param {Object} options - { from, to, groupBy: { sectionId: [fields] }, userId }
+     * @returns {Object} { template, title, period, generatedAt, generatedBy, projects, sections }
+     */
+    generate(template, projects, options = {}) {
+        const definition = typeof template === 'string' ? this.getTemplate(template) : template;
+        if (!definition) throw new Error(`Report template ${template} not found`);
+
+        const period = ReportEngine.period(options.from, options.to);
+        const inScope = projects.filter(project => this.isInPeriod(project, period));
+        const overrides = options.groupBy || {};
+
+        const sections = (definition.sections || []).map((section, idx) => {
+            const id = section.id || `${section.type}-${idx + 1}`;
+            const groupBy = overrides[id] || overrides[section.type] || section.groupBy;
+            return {
+                id,
+                type: section.type,
+                title: section.title || ReportEngine.TITLES[section.type] || section.type,
+                ...this.section(section.type, inScope, { ...period, groupBy })
+            };
+        });
+
+        const report = {
+            template: definition.id || null,
+            title: definition.name || 'Report',
+            period: { from: options.from || null, to: options.to || null },
+            generatedAt: new Date().toISOString(),
+            generatedBy: options.userId || null,
+            projects: inScope.length,
+            sections
+        };
+
+        reportEvents.publish(this, 'REPORT_GENERATED', {
+            userId: options.userId,
+            details: { template: report.template, from: report.period.from, to: report.period.to, projects: report.projects, sections: sections.map(s => s.type) }
+        });
+        return report;
+    }
+
+    /**
+     * Build one section without a template
+     * @param {string} type
+     * @param {Array} projects - Already limited to the period
+     * @param {Object} options - { from: Date|null, to: Date|null, groupBy }
+     * @returns {Object} { groupBy, columns, rows, totals }
+     */
+    section(type, projects, options = {}) {
+        const build = this.sections[type];
+        if (!build) throw new Error(`Unknown report section type: ${type}`);
+        return build(this, projects, options);
+    }
+
+    /**
+     * Stays in each stage, oldest first; the last one is still open (to: null)
+     * @param {Object} project
+     * @returns {Array} [{ stage, from, to }]
+     */
+    getStageHistory(project) {
+        const history = this.ledger ? this.ledger.getHistory(project.id) : [];
+        const changes = history
+            .filter(entry => entry.action === 'STATUS_CHANGE' && entry.details && entry.details.to)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const created = this.getCreatedAt(project);
+
+        const stays = [];
+        let stage = changes.length ? changes[0].details.from || this.initialStage : project[this.stageField];
+        let from = created;
+        changes.forEach(change => {
+            const at = new Date(change.timestamp);
+            stays.push({ stage, from, to: at });
+            stage = change.details.to;
+            from = at;
+        });
+        stays.push({ stage, from, to: null });
+        return stays;
+    }
+
+    /**
+     * Stage a project was in at a point in time (its current stage without one)
+     * @param {Object} project
+     * @param {Date|null} at
+     * @returns {string|null} Null when the project did not exist yet
+     */
+    getStageAt(project, at) {
+        if (!at) return project[this.stageField];
+        const stays = this.getStageHistory(project);
+        if (stays[0].from && stays[0].from > at) return null;
+        const stay = stays.find(s => !s.to || s.to > at);
+        return stay ? stay.stage : project[this.stageField];
+    }
+
+    /**
+     * @returns {Date|null}
+     */
+    getCreatedAt(project) {
+        if (project.createdDate && !isNaN(Date.parse(project.createdDate))) return new Date(project.createdDate);
+        const first = this.ledger ? this.ledger.getHistory(project.id)[0] : null;
+        return first ? new Date(first.timestamp) : null;
+    }
+
+    /**
+     * A project belongs to a period once it exists by the period's end
+     * @private
+     */
+    isInPeriod(project, period) {
+        const created = this.getCreatedAt(project);
+        return !period.to || !created || created <= period.to;
+    }
+
+    /**
+     * Group label for a value, e.g. the stage's label or labels.scenario(value)
+     * @private
+     */
+    label(field, value) {
+        if (value === undefined || value === null || value === '') return '(none)';
+        const labeler = this.labels[field];
+        if (typeof labeler === 'function') return labeler(value);
+        if (labeler && labeler[value]) return labeler[value];
+        if (field === this.stageField || field === 'stage') {
+            const stage = this.stages.find(s => s.id === value);
+            if (stage) return stage.label || stage.name || value;
+        }
+        return String(value);
+    }
+
+    /**
+     * Split items into groups by the given fields; stage groups follow the
+     * workflow order, everything else sorts by label
+     * @private
+     * @param {Array} items
+     * @param {Array<string>} fields
+     * @param {Function} valueOf - (item, field) => raw value
+     * @returns {Array} [{ group: { field: label }, items }]
+     */
+    group(items, fields, valueOf) {
+        const groups = new Map();
+        items.forEach(item => {
+            const values = fields.map(field => valueOf(item, field));
+            const key = JSON.stringify(values);
+            if (!groups.has(key)) groups.set(key, { values, items: [] });
+            groups.get(key).items.push(item);
+        });
+
+        const rank = (field, value) => {
+            const idx = this.stages.findIndex(s => s.id === value);
+            return (field === this.stageField || field === 'stage') && idx !== -1 ? idx : null;
+        };
+        return Array.from(groups.values())
+            .sort((a, b) => {
+                for (let i = 0; i < fields.length; i++) {
+                    const ra = rank(fields[i], a.values[i]);
+                    const rb = rank(fields[i], b.values[i]);
+                    const order = ra !== null && rb !== null ? ra - rb : this.label(fields[i], a.values[i]).localeCompare(this.label(fields[i], b.values[i]));
+                    if (order !== 0) return order;
+                }
+                return 0;
+            })
+            .map(g => ({
+                group: Object.fromEntries(fields.map((field, i) => [field, this.label(field, g.values[i])])),
+                items: g.items
+            }));
+    }
+
+    /**
+     * Columns for the grouping fields
+     * @private
+     */
+    groupColumns(fields, titles = {}) {
+        return fields.map(field => ({ key: field, label: titles[field] || ReportEngine.capitalize(field), format: 'text' }));
+    }
+
+    /**
+     * Parse a period; a date-only `to` covers the whole day
+     * @param {string|Date|null} from
+     * @param {string|Date|null} to
+     * @returns {Object} { from: Date|null, to: Date|null }
+     */
+    static period(from, to) {
+        const parse = (value, endOfDay) => {
+            if (!value) return null;
+            if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                return new Date(value + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z'));
+            }
+            const date = new Date(value);
+            if (isNaN(date)) throw new Error(`Invalid report date: ${value}`);
+            return date;
+        };
+        const period = { from: parse(from, false), to: parse(to, true) };
+        if (period.from && period.to && period.from > period.to) throw new Error('Report period starts after it ends');
+        return period;
+    }
+
+    /**
+     * Calendar quarter as a date range
+     * @param {string|Date} quarter - '2026-Q3', or any date inside the quarter
+     * @returns {Object} { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+     */
+    static quarter(quarter = new Date()) {
+        let year;
+        let q;
+        const match = typeof quarter === 'string' && /^(\d{4})-Q([1-4])$/i.exec(quarter);
+        if (match) {
+            year = Number(match[1]);
+            q = Number(match[2]);
+        } else {
+            const date = new Date(quarter);
+            if (isNaN(date)) throw new Error(`Invalid quarter: ${quarter}`);
+            year = date.getUTCFullYear();
+            q = Math.floor(date.getUTCMonth() / 3) + 1;
+        }
+        const end = new Date(Date.UTC(year, q * 3, 0));
+        return { from: `${year}-${String(q * 3 - 2).padStart(2, '0')}-01`, to: end.toISOString().slice(0, 10) };
+    }
+
+    static within(date, period) {
+        const at = new Date(date);
+        return (!period.from || at >= period.from) && (!period.to || at <= period.to);
+    }
+
+    static sum(items, valueOf) {
+        return ReportEngine.round(items.reduce((total, item) => total + (Number(valueOf(item)) || 0), 0));
+    }
+
+    static round(n, places = 2) {
+        const factor = Math.pow(10, places);
+        return Math.round(n * factor) / factor;
+    }
+
+    static capitalize(text) {
+        return String(text).replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase());
+    }
+
+    static getPath(object, path) {
+        return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+    }
+
+    /**
+     * Display value for a cell
+     * @param {*} value
+     * @param {string} format - 'text'|'number'|'money'|'percent'|'days'
+     * @returns {string}
+     */
+    static formatValue(value, format) {
+        if (value === null || value === undefined || value === '') return format === 'text' ? '' : '—';
+        switch (format) {
+            case 'money': return (value < 0 ? '-$' : '$') + Math.abs(Math.round(value)).toLocaleString('en-US');
+            case 'percent': return `${value}%`;
+            case 'days': return `${value} d`;
+            case 'number': return Number(value).toLocaleString('en-US');
+            default: return String(value);
+        }
+    }
+
+    static toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * One CSV with every section: a title row, a header row, the rows and a total row
+     * @param {Object} report
+     * @returns {string}
+     */
+    static toCSV(report) {
+        const quote = cell => `"${String(cell === null || cell === undefined ? '' : cell).replace(/"/g, '""')}"`;
+        const lines = [
+            [report.title],
+            ['Period', report.period.from || 'start', report.period.to || 'today'],
+            ['Generated', report.generatedAt, report.generatedBy || '']
+        ];
+        report.sections.forEach(section => {
+            lines.push([], [section.title], section.columns.map(c => c.label));
+            section.rows.forEach(row => lines.push(section.columns.map(c => row[c.key])));
+            if (section.totals) lines.push(section.columns.map((c, idx) => idx === 0 ? 'Total' : section.totals[c.key]));
+        });
+        return lines.map(line => line.map(quote).join(',')).join('\n');
+    }
+
+    /**
+     * Standalone printable HTML document
+     * @param {Object} report
+     * @param {Object} options - { organization }
+     * @returns {string}
+     */
+    static toHTML(report, options = {}) {
+        const esc = value => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const cell = (column, value, tag = 'td') => `<${tag} class="${column.format === 'text' ? '' : 'num'}">${esc(ReportEngine.formatValue(value, column.format))}</${tag}>`;
+        const sections = report.sections.map(section => `
+<section>
+  <h2>${esc(section.title)}</h2>
+  ${section.rows.length === 0 ? '<p class="empty">No activity in this period</p>' : `<table>
+    <thead><tr>${section.columns.map(c => `<th class="${c.format === 'text' ? '' : 'num'}">${esc(c.label)}</th>`).join('')}</tr></thead>
+    <tbody>
+${section.rows.map(row => `      <tr>${section.columns.map(c => cell(c, row[c.key])).join('')}</tr>`).join('\n')}
+    </tbody>${section.totals ? `
+    <tfoot><tr>${section.columns.map((c, idx) => idx === 0 ? '<th>Total</th>' : cell(c, section.totals[c.key], 'th')).join('')}</tr></tfoot>` : ''}
+  </table>`}
+</section>`).join('\n');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${esc(report.title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111; margin: 2rem; font-size: 12px; }
+  h1 { font-size: 20px; margin: 0 0 0.25rem; }
+  h2 { font-size: 14px; margin: 1.5rem 0 0.5rem; border-bottom: 2px solid #111; padding-bottom: 0.25rem; }
+  .meta { color: #555; margin-bottom: 1rem; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { padding: 4px 6px; border-bottom: 1px solid #ddd; text-align: left; }
+  .num { text-align: right; font-variant-numeric: tabular-nums; }
+  tfoot th { border-top: 2px solid #111; }
+  .empty { color: #777; font-style: italic; }
+  section { page-break-inside: avoid; }
+  @media print { body { margin: 0.5in; } }
+</style>
+</head>
+<body>
+<h1>${esc(report.title)}</h1>
+<div class="meta">${options.organization ? `${esc(options.organization)} · ` : ''}${esc(report.period.from || 'Program start')} to ${esc(report.period.to || 'today')} · ${report.projects} projects · generated ${esc(new Date(report.generatedAt).toLocaleString('en-US'))}${report.generatedBy ? ` by ${esc(report.generatedBy)}` : ''}</div>
+${sections}
+</body>
+</html>`;
+    }
+}
+
+ReportEngine.TITLES = {
+    projects: 'Projects',
+    funding: 'Funding by Source',
+    cycleTime: 'Cycle Time by Stage',
+    qa: 'QA First-Pass Rate',
+    measures: 'Cost per Measure Category'
+};
+
+// Built-in section builders: (engine, projects, { from, to, groupBy }) => { groupBy, columns, rows, totals }
+ReportEngine.SECTIONS = {
+    projects(engine, projects, options) {
+        const groupBy = options.groupBy || [engine.stageField];
+        const stageAt = new Map(projects.map(p => [p.id, engine.getStageAt(p, options.to)]));
+        const valueOf = (project, field) => field === engine.stageField ? stageAt.get(project.id) : ReportEngine.getPath(project, field);
+        const summarize = items => ({
+            projects: items.length,
+            newInPeriod: items.filter(p => {
+                const created = engine.getCreatedAt(p);
+                return created && ReportEngine.within(created, options);
+            }).length,
+            selected: ReportEngine.sum(items, p => (p.financials || {}).selected),
+            estimated: ReportEngine.sum(items, p => (p.financials || {}).estimated),
+            incentivized: ReportEngine.sum(items, p => (p.financials || {}).incentivized),
+            net: ReportEngine.sum(items, p => (p.financials || {}).net),
+            actual: ReportEngine.sum(items, p => (p.financials || {}).actual)
+        });
+
+        return {
+            groupBy,
+            columns: [
+                ...engine.groupColumns(groupBy, { [engine.stageField]: 'Stage' }),
+                { key: 'projects', label: 'Projects', format: 'number' },
+                { key: 'newInPeriod', label: 'New in Period', format: 'number' },
+                { key: 'selected', label: 'Selected Scope', format: 'money' },
+                { key: 'estimated', label: 'Awarded', format: 'money' },
+                { key: 'incentivized', label: 'Incentives', format: 'money' },
+                { key: 'net', label: 'Net Cost', format: 'money' },
+                { key: 'actual', label: 'Actual', format: 'money' }
+            ],
+            rows: engine.group(projects, groupBy, valueOf).map(g => ({ ...g.group, ...summarize(g.items) })),
+            totals: summarize(projects)
+        };
+    },
+
+    // Commitments are dated when a project's funding stack was last set
+    funding(engine, projects, options) {
+        const groupBy = options.groupBy || ['source'];
+        const funding = engine.funding || { commitments: [], disbursements: [], getSource: () => null };
+        const ids = new Set(projects.map(p => p.id));
+        const byId = new Map(projects.map(p => [p.id, p]));
+        const upTo = { from: null, to: options.to };
+
+        const records = [
+            ...funding.commitments.filter(c => c.sourceId && ids.has(c.projectId)).map(c => ({ kind: 'committed', ...c })),
+            ...funding.disbursements.filter(d => ids.has(d.projectId)).map(d => ({ kind: 'disbursed', ...d }))
+        ].filter(r => ReportEngine.within(r.date, upTo));
+
+        const valueOf = (record, field) => {
+            const source = funding.getSource(record.sourceId) || {};
+            if (field === 'source') return source.name || record.sourceId || '(unassigned)';
+            if (field === 'project') return record.projectId;
+            if (field in source) return source[field];
+            return ReportEngine.getPath(byId.get(record.projectId) || {}, field);
+        };
+        const summarize = items => {
+            const total = (kind, period, filter = () => true) => ReportEngine.sum(items.filter(r => r.kind === kind && filter(r) && ReportEngine.within(r.date, period)), r => r.amount);
+            const committedToDate = total('committed', upTo);
+            const disbursedToDate = total('disbursed', upTo);
+            return {
+                committed: total('committed', options),
+                disbursed: total('disbursed', options),
+                retainageReleased: total('disbursed', options, r => r.retainageRelease),
+                committedToDate,
+                disbursedToDate,
+                outstanding: ReportEngine.round(committedToDate - disbursedToDate),
+                projects: new Set(items.map(r => r.projectId)).size
+            };
+        };
+
+        return {
+            groupBy,
+            columns: [
+                ...engine.groupColumns(groupBy),
+                { key: 'projects', label: 'Projects', format: 'number' },
+                { key: 'committed', label: 'Committed in Period', format: 'money' },
+                { key: 'disbursed', label: 'Disbursed in Period', format: 'money' },
+                { key: 'retainageReleased', label: 'Retainage Released', format: 'money' },
+                { key: 'committedToDate', label: 'Committed to Date', format: 'money' },
+                { key: 'disbursedToDate', label: 'Disbursed to Date', format: 'money' },
+                { key: 'outstanding', label: 'Outstanding', format: 'money' }
+            ],
+            rows: engine.group(records, groupBy, valueOf).map(g => ({ ...g.group, ...summarize(g.items) })),
+            totals: summarize(records)
+        };
+    },
+
+    cycleTime(engine, projects, options) {
+        const groupBy = options.groupBy || ['stage'];
+        const stays = projects.flatMap(project => engine.getStageHistory(project)
+            .filter(stay => stay.from)
+            .map(stay => ({ ...stay, project })));
+        const valueOf = (stay, field) => field === 'stage' ? stay.stage : ReportEngine.getPath(stay.project, field);
+        const summarize = items => {
+            const days = items
+                .filter(s => s.to && ReportEngine.within(s.to, options))
+                .map(s => (s.to - s.from) / DAY)
+                .sort((a, b) => a - b);
+            const mid = Math.floor(days.length / 2);
+            const at = options.to || new Date();
+            return {
+                completed: days.length,
+                averageDays: days.length ? ReportEngine.round(days.reduce((a, b) => a + b, 0) / days.length, 1) : null,
+                medianDays: days.length ? ReportEngine.round(days.length % 2 ? days[mid] : (days[mid - 1] + days[mid]) / 2, 1) : null,
+                maxDays: days.length ? ReportEngine.round(days[days.length - 1], 1) : null,
+                // Still in the stage at the end of the period
+                inProgress: items.filter(s => s.from <= at && (!s.to || s.to > at)).length
+            };
+        };
+
+        return {
+            groupBy,
+            columns: [
+                ...engine.groupColumns(groupBy),
+                { key: 'completed', label: 'Stays Completed', format: 'number' },
+                { key: 'averageDays', label: 'Average', format: 'days' },
+                { key: 'medianDays', label: 'Median', format: 'days' },
+                { key: 'maxDays', label: 'Longest', format: 'days' },
+                { key: 'inProgress', label: 'In Progress', format: 'number' }
+            ],
+            rows: engine.group(stays, groupBy, valueOf)
+                .map(g => ({ ...g.group, ...summarize(g.items) }))
+                .filter(row => row.completed || row.inProgress),
+            totals: summarize(stays)
+        };
+    },
+
+    // A checkpoint passes first time when its first decisive inspection passed
+    qa(engine, projects, options) {
+        const groupBy = options.groupBy || ['stage'];
+        const byId = new Map(projects.map(p => [p.id, p]));
+        const checkpoints = ((engine.qaGates && engine.qaGates.checkpoints) || [])
+            .filter(c => byId.has(c.projectId))
+            .map(c => ({ checkpoint: c, first: c.inspections.find(a => a.outcome === 'passed' || a.outcome === 'failed') }))
+            .filter(c => c.first && ReportEngine.within(c.first.inspectedAt, options));
+        const valueOf = (item, field) => {
+            if (field === 'stage') {
+                const template = engine.qaGates.getTemplate ? engine.qaGates.getTemplate(item.checkpoint.stage) : null;
+                return engine.stages.some(s => s.id === item.checkpoint.stage) ? item.checkpoint.stage : (item.checkpoint.name || (template && template.name) || item.checkpoint.stage);
+            }
+            if (field === 'inspector') return item.first.inspector;
+            return ReportEngine.getPath(byId.get(item.checkpoint.projectId), field);
+        };
+        const summarize = items => {
+            const passed = items.filter(i => i.first.outcome === 'passed').length;
+            return {
+                checkpoints: items.length,
+                passedFirst: passed,
+                failedFirst: items.length - passed,
+                firstPassRate: items.length ? ReportEngine.round(passed / items.length * 100, 1) : null,
+                inspections: items.reduce((total, i) => total + i.checkpoint.inspections.filter(a => ReportEngine.within(a.inspectedAt, options)).length, 0)
+            };
+        };
+
+        return {
+            groupBy,
+            columns: [
+                ...engine.groupColumns(groupBy),
+                { key: 'checkpoints', label: 'Checkpoints', format: 'number' },
+                { key: 'passedFirst', label: 'Passed First Time', format: 'number' },
+                { key: 'failedFirst', label: 'Failed First Time', format: 'number' },
+                { key: 'firstPassRate', label: 'First-Pass Rate', format: 'percent' },
+                { key: 'inspections', label: 'Inspections', format: 'number' }
+            ],
+            rows: engine.group(checkpoints, groupBy, valueOf).map(g => ({ ...g.group, ...summarize(g.items) })),
+            totals: summarize(checkpoints)
+        };
+    },
+
+    measures(engine, projects, options) {
+        const groupBy = options.groupBy || ['category'];
+        const measures = projects.flatMap(project => {
+            const awarded = (project.bids || []).find(b => b.selected);
+            return (project.measures || []).filter(m => m.selected).map(measure => {
+                const line = awarded && (awarded.lineItems || []).find(item => item.measure === measure.name);
+                return { measure, project, awarded: line ? line.amount : null };
+            });
+        });
+        const valueOf = (item, field) => {
+            if (field === 'category') return engine.categorize(item.measure) || 'Uncategorized';
+            if (field === 'measure' || field === 'name') return item.measure.name;
+            return ReportEngine.getPath(item.project, field);
+        };
+        const summarize = items => {
+            const awarded = items.filter(i => i.awarded !== null);
+            const cost = ReportEngine.sum(items, i => i.measure.cost);
+            const awardedTotal = ReportEngine.sum(awarded, i => i.awarded);
+            return {
+                measures: items.length,
+                projects: new Set(items.map(i => i.project.id)).size,
+                cost,
+                averageCost: items.length ? ReportEngine.round(cost / items.length) : null,
+                incentive: ReportEngine.sum(items, i => i.measure.incentive),
+                awarded: awardedTotal,
+                averageAwarded: awarded.length ? ReportEngine.round(awardedTotal / awarded.length) : null
+            };
+        };
+
+        return {
+            groupBy,
+            columns: [
+                ...engine.groupColumns(groupBy),
+                { key: 'measures', label: 'Measures', format: 'number' },
+                { key: 'projects', label: 'Projects', format: 'number' },
+                { key: 'cost', label: 'Scoped Cost', format: 'money' },
+                { key: 'averageCost', label: 'Avg Scoped', format: 'money' },
+                { key: 'incentive', label: 'Incentives', format: 'money' },
+                { key: 'awarded', label: 'Awarded', format: 'money' },
+                { key: 'averageAwarded', label: 'Avg Awarded', format: 'money' }
+            ],
+            rows: engine.group(measures, groupBy, valueOf).map(g => ({ ...g.group, ...summarize(g.items) })),
+            totals: summarize(measures)
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportEngine;
+}
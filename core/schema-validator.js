@@ -0,0 +1,438 @@
+/**
+ * SchemaValidator - Record Schemas and Import Parsing
+ *
+ * Validates records against JSON Schema documents before they are saved or
+ * imported. Only the subset of JSON Schema the tracker needs is supported:
+ * type, required, properties, additionalProperties (boolean), items, enum,
+ * minimum, maximum, minLength, maxLength, pattern, minItems, format
+ * ('date', 'date-time') and `$ref` to another registered schema by name:
+ *
+ *   const schemas = new SchemaValidator();
+ *   schemas.validate('Measure', { name: 'Attic Insulation', cost: NaN });
+ *   // { valid: false, errors: [{ path: 'cost', keyword: 'type', message: 'must be a number' }] }
+ *
+ * `number` and `integer` reject NaN and Infinity, which JSON would otherwise
+ * store as null. Project, Measure, LibraryMeasure, Bid, FundingSource, Approval
+ * and DecisionPoint are registered by default (`SchemaValidator.SCHEMAS`); pass
+ * `schemas` to add or replace them.
+ *
+ * fromCSV() turns spreadsheet rows into records, converting cells to the
+ * types the schema declares, so CSV and JSON imports validate the same way.
+ */
+
+class SchemaValidator {
+    constructor(options = {}) {
+        this.schemas = {};
+        Object.entries({ ...SchemaValidator.SCHEMAS, ...(options.schemas || {}) })
+            .forEach(([name, schema]) => this.define(name, schema));
+    }
+
+    /**
+     * Register (or replace) a schema
+     * @param {string} name - e.g. 'Measure'; other schemas reference it with { $ref: 'Measure' }
+     * @param {Object} schema - JSON Schema
+     */
+    define(name, schema) {
+        if (!schema || typeof schema !== 'object') throw new Error(`Schema ${name} must be an object`);
+        this.schemas[name] = schema;
+    }
+
+    get(name) {
+        const schema = this.schemas[name];
+        if (!schema) throw new Error(`Unknown schema: ${name}`);
+        return schema;
+    }
+
+    /**
+     * Validate a value against a registered schema
+     * @param {string} name
+     * @param {*} value
+     * @returns {Object} { valid, errors: [{ path, keyword, message }] }
+     */
+    validate(name, value) {
+        const errors = [];
+        this.check(this.get(name), value, '', errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Validate, throwing with every error attached
+     * @param {string} name
+     * @param {*} value
+     * @param {string} label - Used in the message (e.g. the project id)
+     * @returns {*} The value
+     */
+    assert(name, value, label = name) {
+        const result = this.validate(name, value);
+        if (!result.valid) {
+            const error = new Error(`${label} is invalid: ${result.errors.map(SchemaValidator.formatError).join('; ')}`);
+            error.reason = 'invalid_record';
+            error.errors = result.errors;
+            throw error;
+        }
+        return value;
+    }
+
+    /**
+     * Records from CSV text. Headers map to property paths through `columns`
+     * (e.g. { 'Net Cost': 'financials.net' }) or match property names
+     * case-insensitively; cells are converted to the schema's types. Values that
+     * can't be converted are kept as text so validate() reports them.
+     * @param {string} name - Schema the rows describe
+     * @param {string} text
+     * @param {Object} options - { columns: { header: 'path' } }
+     * @returns {Object} { records, columns: { header: path }, ignored: [headers] }
+     */
+    fromCSV(name, text, options = {}) {
+        const [header = [], ...rows] = SchemaValidator.parseCSV(text);
+        const schema = this.resolve(this.get(name));
+        const properties = schema.properties || {};
+        const columns = {};
+        const ignored = [];
+
+        header.forEach(title => {
+            const mapped = Object.entries(options.columns || {}).find(([h]) => h.toLowerCase() === title.toLowerCase());
+            const property = Object.keys(properties).find(p => p.toLowerCase() === title.toLowerCase());
+            const path = mapped ? mapped[1] : property;
+            if (path) columns[title] = path;
+            else ignored.push(title);
+        });
+
+        const records = rows.map(row => {
+            const record = {};
+            header.forEach((title, idx) => {
+                const path = columns[title];
+                if (!path) return;
+                const value = this.convert(this.schemaAt(schema, path), row[idx] === undefined ? '' : row[idx]);
+                if (value !== undefined) SchemaValidator.setPath(record, path, value);
+            });
+            return record;
+        });
+
+        return { records, columns, ignored };
+    }
+
+    /**
+     * @private
+     */
+    check(schema, value, path, errors) {
+        schema = this.resolve(schema);
+        const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.isType(value, type))) {
+                fail('type', `must be ${types.map(t => t === 'null' ? 'null' : (/^[aeiou]/.test(t) ? 'an ' : 'a ') + t).join(' or ')}`);
+                return;
+            }
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail('enum', `must be one of ${schema.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) fail('minimum', `must be at least ${schema.minimum}`);
+            if (schema.maximum !== undefined && value > schema.maximum) fail('maximum', `must be at most ${schema.maximum}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) fail('maxLength', `must be at most ${schema.maxLength} characters`);
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail('pattern', `must match ${schema.pattern}`);
+            if (schema.format && SchemaValidator.FORMATS[schema.format] && !SchemaValidator.FORMATS[schema.format](value)) {
+                fail('format', `must be a valid ${schema.format}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+            if (schema.items) value.forEach((item, idx) => this.check(schema.items, item, `${path}[${idx}]`, errors));
+        } else if (value && typeof value === 'object') {
+            const join = key => path ? `${path}.${key}` : key;
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) errors.push({ path: join(key), keyword: 'required', message: 'is required' });
+            });
+            Object.entries(value).forEach(([key, child]) => {
+                const property = (schema.properties || {})[key];
+                if (property) {
+                    if (child !== undefined) this.check(property, child, join(key), errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: join(key), keyword: 'additionalProperties', message: 'is not allowed' });
+                }
+            });
+        }
+    }
+
+    /**
+     * @private
+     */
+    resolve(schema) {
+        return schema && schema.$ref ? this.resolve(this.get(schema.$ref)) : schema;
+    }
+
+    /**
+     * Schema for a dotted property path (e.g. 'financials.net')
+     * @private
+     */
+    schemaAt(schema, path) {
+        return path.split('.').reduce((current, key) => {
+            const resolved = this.resolve(current || {});
+            return (resolved.properties || {})[key] || null;
+        }, schema) || {};
+    }
+
+    /**
+     * Convert a CSV cell to the type a schema declares. Empty cells are omitted.
+     * @private
+     */
+    convert(schema, cell) {
+        const types = [].concat(this.resolve(schema).type || 'string');
+        const text = cell.trim();
+        if (text === '') return undefined;
+
+        if (types.includes('number') || types.includes('integer')) {
+            const number = Number(text.replace(/[$,\s]/g, ''));
+            if (!isNaN(number)) return number;
+        }
+        if (types.includes('boolean')) {
+            if (/^(true|yes|y|1|x)$/i.test(text)) return true;
+            if (/^(false|no|n|0)$/i.test(text)) return false;
+        }
+        if (types.includes('array')) return text.split(/\s*;\s*/);
+        return text;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'number': return typeof value === 'number' && isFinite(value);
+            case 'integer': return Number.isInteger(value);
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * One-line message for an error, e.g. 'measures[2].cost must be a number'
+     * @param {Object} error
+     * @returns {string}
+     */
+    static formatError(error) {
+        return error.path ? `${error.path} ${error.message}` : error.message;
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180: quoted fields, doubled
+     * quotes, newlines inside quotes). Blank lines are skipped.
+     * @param {string} text
+     * @returns {Array<Array<string>>}
+     */
+    static parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                if (row.some(c => c !== '')) rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        if (row.some(c => c !== '')) rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Quote cells and join rows as CSV
+     * @param {Array<Array>} rows
+     * @returns {string}
+     */
+    static formatCSV(rows) {
+        return rows
+            .map(row => row.map(cell => `"${String(cell === null || cell === undefined ? '' : cell).replace(/"/g, '""')}"`).join(','))
+            .join('\n');
+    }
+
+    /**
+     * @private
+     */
+    static setPath(record, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((obj, key) => obj[key] || (obj[key] = {}), record);
+        target[last] = value;
+    }
+}
+
+SchemaValidator.FORMATS = {
+    'date': value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+    'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value))
+};
+
+// Built-in record schemas
+SchemaValidator.SCHEMAS = {
+    Measure: {
+        type: 'object',
+        required: ['name', 'cost'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            category: { type: ['string', 'null'] },
+            cost: { type: 'number', minimum: 0 },
+            incentive: { type: 'number', minimum: 0 },
+            selected: { type: 'boolean' },
+            // Deemed savings copied from the library when the measure is added
+            fuel: { enum: ['electric', 'gas', 'dual', 'none'] },
+            annualKwh: { type: 'number' },
+            annualTherms: { type: 'number' },
+            usefulLife: { type: 'number', minimum: 0 },
+            libraryVersion: { type: 'integer', minimum: 1 }
+        }
+    },
+    LibraryMeasure: {
+        type: 'object',
+        required: ['name', 'category', 'typicalCost', 'typicalIncentive', 'fuel', 'annualKwh', 'annualTherms', 'usefulLife'],
+        properties: {
+            name: { type: 'string', minLength: 1 },
+            category: { type: 'string', minLength: 1 },
+            typicalCost: { type: 'number', minimum: 0 },
+            typicalIncentive: { type: 'number', minimum: 0 },
+            fuel: { enum: ['electric', 'gas', 'dual', 'none'] },
+            annualKwh: { type: 'number' },
+            annualTherms: { type: 'number' },
+            usefulLife: { type: 'number', minimum: 0 }
+        }
+    },
+    Bid: {
+        type: 'object',
+        required: ['contractor', 'amount'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            contractor: { type: 'string', minLength: 1 },
+            contractorId: { type: ['string', 'null'] },
+            lineItems: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['measure', 'amount'],
+                    properties: {
+                        measure: { type: 'string', minLength: 1 },
+                        amount: { type: 'number', minimum: 0 }
+                    }
+                }
+            },
+            amount: { type: 'number', minimum: 0 },
+            timelineDays: { type: ['number', 'null'], minimum: 0 },
+            notes: { type: 'string' },
+            selected: { type: 'boolean' },
+            submittedAt: { type: 'string', format: 'date-time' }
+        }
+    },
+    FundingSource: {
+        type: 'object',
+        required: ['name', 'amount'],
+        properties: {
+            sourceId: { type: ['string', 'null'] },
+            name: { type: 'string', minLength: 1 },
+            category: { type: 'string' },
+            type: { type: 'string' },
+            amount: { type: 'number', minimum: 0 },
+            actualAmount: { type: 'number', minimum: 0 },
+            maxAmount: { type: ['number', 'null'], minimum: 0 },
+            description: { type: 'string' },
+            status: { type: 'string' }
+        }
+    },
+    Approval: {
+        type: 'object',
+        required: ['party', 'stage', 'approved'],
+        properties: {
+            party: { type: 'string', minLength: 1 },
+            stage: { type: 'string', minLength: 1 },
+            approved: { type: 'boolean' },
+            timestamp: { type: ['string', 'null'], format: 'date-time' },
+            approvedBy: { type: ['string', 'null'] },
+            notes: { type: 'string' }
+        }
+    },
+    DecisionPoint: {
+        type: 'object',
+        required: ['type', 'outcome'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            type: { type: 'string', minLength: 1 },
+            outcome: { type: 'string', minLength: 1 },
+            inputs: { type: 'object' },
+            notes: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            decidedBy: { type: ['string', 'null'] },
+            role: { type: 'string' },
+            level: { type: 'integer', minimum: 0 },
+            escalatedTo: { type: ['string', 'null'] },
+            resolves: { type: ['string', 'null'] },
+            resolvedBy: { type: 'string' },
+            effects: { type: 'array', items: { type: 'object' } }
+        }
+    },
+    Project: {
+        type: 'object',
+        required: ['id', 'status', 'measures', 'bids', 'fundingSources', 'approvals', 'decisionPoints', 'financials'],
+        properties: {
+            id: { type: 'string', minLength: 1 },
+            type: { type: 'string' },
+            scenario: { type: 'string' },
+            address: { type: 'string' },
+            status: { type: 'string', minLength: 1 },
+            qualified: { type: 'string' },
+            form300: { type: 'boolean' },
+            form320: { type: 'boolean' },
+            measures: { type: 'array', items: { $ref: 'Measure' } },
+            bids: { type: 'array', items: { $ref: 'Bid' } },
+            fundingSources: { type: 'array', items: { $ref: 'FundingSource' } },
+            approvals: { type: 'array', items: { $ref: 'Approval' } },
+            decisionPoints: { type: 'array', items: { $ref: 'DecisionPoint' } },
+            hold: { type: ['object', 'null'] },
+            financials: {
+                type: 'object',
+                required: ['recommended', 'selected', 'estimated', 'incentivized', 'net', 'actual'],
+                properties: {
+                    recommended: { type: 'number', minimum: 0 },
+                    selected: { type: 'number', minimum: 0 },
+                    estimated: { type: 'number', minimum: 0 },
+                    incentivized: { type: 'number', minimum: 0 },
+                    net: { type: 'number' },
+                    actual: { type: 'number', minimum: 0 }
+                }
+            },
+            createdDate: { type: ['string', 'null'], format: 'date-time' }
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+}
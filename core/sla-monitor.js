@@ -0,0 +1,506 @@
+/**
+ * SLAMonitor - Cycle Times, Bottlenecks and SLA Alerts
+ *
+ * Reads the ledger to answer how long projects wait and where: dwell time per
+ * stage (STATUS_CHANGE entries), approval wait per approver role (APPROVAL_*
+ * entries) and service-level rules measured in business days:
+ *
+ *   {
+ *       id: '300cpf-approval',
+ *       name: '300CPF approved within 5 business days of scoping',
+ *       start: { stage: 'scoping' },      // entered a stage
+ *       end: { approval: '300CPF' },      // milestone fully approved
+ *       cancel: { stage: 'hea' },         // sent back: the clock stops without a verdict
+ *       businessDays: 5,                  // or `days` for calendar days
+ *       warnAt: 0.8,                      // at risk from 80% of the allowance
+ *       role: 'approver'                  // roles with open slots on the pending approval, or a role / list of roles
+ *   }
+ *
+ * Matchers: { stage } entering a stage (PROJECT_CREATED enters the initial
+ * stage), { leftStage }, { approval } a milestone fully approved - a clock
+ * does not start while it is still approved - or { action, details } for any
+ * ledger entry. Each start-to-end run of a rule's clock is an SLA instance:
+ * 'met' or 'breached' once it ends, 'running', 'at_risk' or 'breached' while open.
+ *
+ * Time a project spends on hold (between `holds.start` and `holds.end`, by
+ * default PROJECT_HOLD_STARTED and PROJECT_HOLD_RELEASED) does not count
+ * against any clock: the deadline moves out by the time held, and an open
+ * clock is 'paused' while the hold lasts. Entering one of `finalStages` stops
+ * every running clock without a verdict.
+ *
+ * Business days skip weekends and `calendar.holidays` ('YYYY-MM-DD', local time).
+ */
+const slaReports = typeof ReportEngine !== 'undefined' ? ReportEngine : require('./reports');
+
+const SLA_DAY = 24 * 60 * 60 * 1000;
+
+class SLAMonitor {
+    constructor(options = {}) {
+        this.ledger = options.ledger || null;
+        this.approvals = options.approvals || null;
+        this.stages = options.stages || [];
+        this.initialStage = options.initialStage || (this.stages[0] && this.stages[0].id) || null;
+        this.finalStages = options.finalStages || [];
+        this.holds = options.holds || { start: { action: 'PROJECT_HOLD_STARTED' }, end: { action: 'PROJECT_HOLD_RELEASED' } };
+        this.calendar = { workdays: [1, 2, 3, 4, 5], holidays: [], ...(options.calendar || {}) };
+        this.roleOf = options.roleOf || (() => null);
+        this.bottleneckFactor = options.bottleneckFactor || 1.5;
+        this.rules = [];
+        // Stage stays come from the same ledger reading the reports use
+        this.history = new slaReports({ ledger: this.ledger, stages: this.stages, stageField: options.stageField, initialStage: this.initialStage });
+        (options.rules || []).forEach(rule => this.defineRule(rule));
+    }
+
+    /**
+     * Register an SLA rule
+     * @param {Object} rule - { id, name, start, end, cancel, businessDays|days, warnAt, role, action }
+     */
+    defineRule(rule) {
+        if (!rule.id) throw new Error('SLA rule requires an id');
+        if (!rule.start || !rule.end) throw new Error(`SLA rule ${rule.id} needs a start and an end`);
+        if (!(rule.businessDays > 0) && !(rule.days > 0)) throw new Error(`SLA rule ${rule.id} needs businessDays or days`);
+        this.rules = this.rules.filter(r => r.id !== rule.id).concat({ warnAt: 0.8, ...rule });
+    }
+
+    getRule(ruleId) {
+        return this.rules.find(r => r.id === ruleId) || null;
+    }
+
+    /**
+     * Time spent in each stage: finished stays and projects still waiting
+     * (final stages such as completed are left out)
+     * @param {Array} projects
+     * @param {Object} options - { now }
+     * @returns {Object} { stages: [{ stage, label, completed, averageDays, medianDays, waiting, averageWaitingDays, oldestWaitingDays, bottleneck }],
+     *                     projects: [{ projectId, stage, since, days, businessDays }] }
+     */
+    getDwellTimes(projects, options = {}) {
+        const now = options.now ? new Date(options.now) : new Date();
+        const current = [];
+        const byStage = {};
+        const stageStats = stage => byStage[stage] || (byStage[stage] = { finished: [], waiting: [] });
+
+        projects.forEach(project => {
+            this.history.getStageHistory(project)
+                .filter(stay => stay.from && stay.from <= now && !this.finalStages.includes(stay.stage))
+                .forEach(stay => {
+                    if (stay.to && stay.to <= now) {
+                        stageStats(stay.stage).finished.push((stay.to - stay.from) / SLA_DAY);
+                    } else {
+                        const days = (now - stay.from) / SLA_DAY;
+                        stageStats(stay.stage).waiting.push(days);
+                        current.push({ projectId: project.id, stage: stay.stage, since: stay.from.toISOString(), days: SLAMonitor.round(days), businessDays: this.businessDaysBetween(stay.from, now) });
+                    }
+                });
+        });
+
+        const stages = this.orderStages(Object.keys(byStage)).map(stage => {
+            const { finished, waiting } = byStage[stage];
+            return {
+                stage,
+                label: this.stageLabel(stage),
+                completed: finished.length,
+                averageDays: SLAMonitor.average(finished),
+                medianDays: SLAMonitor.median(finished),
+                waiting: waiting.length,
+                averageWaitingDays: SLAMonitor.average(waiting),
+                oldestWaitingDays: waiting.length ? SLAMonitor.round(Math.max(...waiting)) : null
+            };
+        });
+        this.flagBottlenecks(stages, s => SLAMonitor.average([...byStage[s.stage].finished, ...byStage[s.stage].waiting]), s => s.completed + s.waiting);
+
+        return { stages, projects: current.sort((a, b) => b.days - a.days) };
+    }
+
+    /**
+     * How long each approver role takes: finished steps from the ledger,
+     * open slots from the approval engine
+     * @param {Object} options - { now, projectIds }
+     * @returns {Array} [{ role, completed, averageBusinessDays, medianBusinessDays, pending, oldestPendingBusinessDays, bottleneck }]
+     */
+    getBottlenecks(options = {}) {
+        const now = options.now ? new Date(options.now) : new Date();
+        const inScope = projectId => !options.projectIds || options.projectIds.includes(projectId);
+        const byRole = {};
+        const roleStats = role => byRole[role] || (byRole[role] = { finished: [], pending: [] });
+
+        this.getApprovalWaits().filter(wait => inScope(wait.projectId) && new Date(wait.completedAt) <= now)
+            .forEach(wait => roleStats(wait.role).finished.push(wait.businessDays));
+        this.getPendingSlots().filter(slot => inScope(slot.projectId))
+            .forEach(slot => roleStats(slot.role).pending.push(this.businessDaysBetween(new Date(slot.since), now)));
+
+        const roles = Object.keys(byRole).map(role => {
+            const { finished, pending } = byRole[role];
+            return {
+                role,
+                completed: finished.length,
+                averageBusinessDays: SLAMonitor.average(finished),
+                medianBusinessDays: SLAMonitor.median(finished),
+                pending: pending.length,
+                oldestPendingBusinessDays: pending.length ? SLAMonitor.round(Math.max(...pending)) : null
+            };
+        });
+        this.flagBottlenecks(roles, r => SLAMonitor.average([...byRole[r.role].finished, ...byRole[r.role].pending]), r => r.completed + r.pending);
+        return roles.sort((a, b) => (b.bottleneck - a.bottleneck) || ((b.averageBusinessDays || 0) - (a.averageBusinessDays || 0)));
+    }
+
+    /**
+     * Finished approval waits read from the ledger: each approver's wait runs
+     * from the step becoming active (request, previous step or reopen) to their approval
+     * @returns {Array} [{ approvalId, projectId, milestone, stepId, role, userId, startedAt, completedAt, businessDays }]
+     */
+    getApprovalWaits() {
+        if (!this.ledger) return [];
+        const started = {};
+        const waits = [];
+
+        this.ledger.getAll()
+            .filter(entry => /^APPROVAL_/.test(entry.action) && entry.details && entry.details.approvalId && !entry.details.migration)
+            .forEach(entry => {
+                const id = entry.details.approvalId;
+                if (entry.action === 'APPROVAL_REQUESTED' || entry.action === 'APPROVAL_REOPENED') {
+                    started[id] = entry.timestamp;
+                } else if (entry.action === 'APPROVAL_GRANTED' && started[id]) {
+                    waits.push({
+                        approvalId: id,
+                        projectId: entry.projectId,
+                        milestone: entry.details.milestone || null,
+                        stepId: entry.details.stepId || null,
+                        role: entry.details.role || this.roleOf(entry.details.onBehalfOf || entry.userId) || 'unassigned',
+                        userId: entry.userId,
+                        startedAt: started[id],
+                        completedAt: entry.timestamp,
+                        businessDays: this.businessDaysBetween(new Date(started[id]), new Date(entry.timestamp))
+                    });
+                    if (entry.details.stepComplete) started[id] = entry.timestamp;
+                }
+            });
+        return waits;
+    }
+
+    /**
+     * Open slots on active approval steps
+     * @param {Object} filter - { projectId, milestone }
+     * @returns {Array} [{ approvalId, projectId, milestone, stepId, role, since }]
+     */
+    getPendingSlots(filter = {}) {
+        if (!this.approvals) return [];
+        return this.approvals.approvals
+            .filter(a => a.status === 'pending' && a.steps)
+            .filter(a => (!filter.projectId || a.projectId === filter.projectId) && (!filter.milestone || a.milestone === filter.milestone))
+            .flatMap(a => {
+                const step = a.steps[a.currentStep];
+                if (!step) return [];
+                return step.slots
+                    .filter(slot => !slot.approvedBy && (!slot.escalation || step.escalated))
+                    .map(slot => ({
+                        approvalId: a.id,
+                        projectId: a.projectId,
+                        milestone: a.milestone || null,
+                        stepId: step.id,
+                        role: slot.role || this.roleOf(slot.user) || slot.label || 'unassigned',
+                        since: step.activatedAt || a.createdAt
+                    }));
+            });
+    }
+
+    /**
+     * Every run of every rule's clock for a project
+     * @param {Object} project
+     * @param {Object} options - { now }
+     * @returns {Array} [{ ruleId, name, projectId, status, startedAt, endedAt, deadline, elapsed, limit, unit, roles, holds }]
+     */
+    evaluate(project, options = {}) {
+        const now = options.now ? new Date(options.now) : new Date();
+        const entries = (this.ledger ? this.ledger.getHistory(project.id) : [])
+            .filter(entry => new Date(entry.timestamp) <= now)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const holds = this.getHolds(entries);
+
+        return this.rules.flatMap(rule => {
+            const instances = [];
+            const approved = {};
+            let clock = null;
+
+            entries.forEach(entry => {
+                const at = new Date(entry.timestamp);
+                if (clock && this.matches(rule.end, entry)) {
+                    instances.push(this.instance(rule, project, clock, at, now, holds));
+                    clock = null;
+                } else if (clock && ((rule.cancel && this.matches(rule.cancel, entry)) || this.finalStages.some(stage => this.matches({ stage }, entry)))) {
+                    clock = null;
+                } else if (!clock && this.matches(rule.start, entry) && !(rule.end.approval && approved[rule.end.approval])) {
+                    clock = at;
+                }
+
+                const milestone = entry.details && entry.details.milestone;
+                if (entry.action === 'APPROVAL_GRANTED' && entry.details.fullyApproved) approved[milestone] = true;
+                if (entry.action === 'APPROVAL_REOPENED' || entry.action === 'APPROVAL_REJECTED') approved[milestone] = false;
+            });
+            if (clock) instances.push(this.instance(rule, project, clock, null, now, holds));
+            return instances;
+        });
+    }
+
+    /**
+     * SLA instances across projects
+     * @param {Array} projects
+     * @param {Object} options - { now, ruleId }
+     * @returns {Array}
+     */
+    getInstances(projects, options = {}) {
+        return projects
+            .flatMap(project => this.evaluate(project, options))
+            .filter(instance => !options.ruleId || instance.ruleId === options.ruleId);
+    }
+
+    /**
+     * Open instances that are at risk or breached, breaches first
+     * @param {Array} projects
+     * @param {Object} options - { now, role: only alerts this role is responsible for }
+     * @returns {Array}
+     */
+    getAlerts(projects, options = {}) {
+        return this.getInstances(projects, options)
+            .filter(i => !i.endedAt && (i.status === 'breached' || i.status === 'at_risk'))
+            .filter(i => !options.role || i.roles.includes(options.role))
+            .sort((a, b) => (a.status === b.status ? 0 : a.status === 'breached' ? -1 : 1) || (b.elapsed / b.limit) - (a.elapsed / a.limit));
+    }
+
+    /**
+     * SLA results per week, oldest first
+     * @param {Array} projects
+     * @param {Object} options - { now, weeks: 8 }
+     * @returns {Array} [{ from, to, label, met, breached, breachRate, openBreaches }]
+     */
+    getTrend(projects, options = {}) {
+        const now = options.now ? new Date(options.now) : new Date();
+        const weeks = options.weeks || 8;
+        const instances = this.getInstances(projects, { now });
+
+        // Weeks start on Monday
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7) - (weeks - 1) * 7);
+
+        return Array.from({ length: weeks }, (_, idx) => {
+            const from = new Date(start);
+            from.setDate(start.getDate() + idx * 7);
+            const to = new Date(from);
+            to.setDate(from.getDate() + 7);
+            const end = to < now ? to : now;
+
+            const ended = instances.filter(i => i.endedAt && new Date(i.endedAt) >= from && new Date(i.endedAt) < to);
+            const breached = ended.filter(i => i.status === 'breached').length;
+            return {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                label: `${from.getMonth() + 1}/${from.getDate()}`,
+                met: ended.length - breached,
+                breached,
+                breachRate: ended.length ? SLAMonitor.round(breached / ended.length * 100) : null,
+                // Clocks past their allowance at the end of the week and still running then
+                openBreaches: instances.filter(i => {
+                    const started = new Date(i.startedAt);
+                    if (started >= end || (i.endedAt && new Date(i.endedAt) <= end)) return false;
+                    const rule = this.getRule(i.ruleId);
+                    return this.elapsed(rule, started, end) - this.heldTime(rule, i.holds, started, end) > i.limit;
+                }).length
+            };
+        });
+    }
+
+    /**
+     * Business days between two instants, counting partial days
+     * @param {Date} from
+     * @param {Date} to
+     * @returns {number}
+     */
+    businessDaysBetween(from, to) {
+        let total = 0;
+        let cursor = new Date(from);
+        for (let guard = 0; cursor < to && guard < 3700; guard++) {
+            const next = SLAMonitor.nextMidnight(cursor);
+            if (this.isBusinessDay(cursor)) total += (Math.min(next, to) - cursor) / SLA_DAY;
+            cursor = next;
+        }
+        return SLAMonitor.round(total);
+    }
+
+    /**
+     * Instant a number of business days after `from`
+     * @param {Date} from
+     * @param {number} days
+     * @returns {Date}
+     */
+    addBusinessDays(from, days) {
+        let remaining = days;
+        let cursor = new Date(from);
+        for (let guard = 0; guard < 3700; guard++) {
+            const next = SLAMonitor.nextMidnight(cursor);
+            if (this.isBusinessDay(cursor)) {
+                const available = (next - cursor) / SLA_DAY;
+                if (available >= remaining) return new Date(cursor.getTime() + remaining * SLA_DAY);
+                remaining -= available;
+            }
+            cursor = next;
+        }
+        return cursor;
+    }
+
+    isBusinessDay(date) {
+        const local = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+        return this.calendar.workdays.includes(date.getDay()) && !this.calendar.holidays.includes(local);
+    }
+
+    /**
+     * @private
+     */
+    matches(matcher, entry) {
+        const details = entry.details || {};
+        if (matcher.stage !== undefined) {
+            return (entry.action === 'STATUS_CHANGE' && details.to === matcher.stage)
+                || (entry.action === 'PROJECT_CREATED' && matcher.stage === this.initialStage);
+        }
+        if (matcher.leftStage !== undefined) {
+            return entry.action === 'STATUS_CHANGE' && details.from === matcher.leftStage;
+        }
+        if (matcher.approval !== undefined) {
+            return entry.action === 'APPROVAL_GRANTED' && details.milestone === matcher.approval && !!details.fullyApproved;
+        }
+        return entry.action === matcher.action
+            && Object.entries(matcher.details || {}).every(([key, value]) => details[key] === value);
+    }
+
+    /**
+     * Hold periods in a project's ledger entries (`to` null while still on hold)
+     * @private
+     */
+    getHolds(entries) {
+        const holds = [];
+        entries.forEach(entry => {
+            const open = holds.length && !holds[holds.length - 1].to ? holds[holds.length - 1] : null;
+            if (!open && this.matches(this.holds.start, entry)) holds.push({ from: new Date(entry.timestamp), to: null });
+            else if (open && this.matches(this.holds.end, entry)) open.to = new Date(entry.timestamp);
+        });
+        return holds;
+    }
+
+    /**
+     * @private
+     */
+    instance(rule, project, startedAt, endedAt, now, holds = []) {
+        const limit = rule.businessDays || rule.days;
+        const until = endedAt || now;
+        const overlapping = holds.filter(h => h.from < until && (!h.to || h.to > startedAt));
+        const held = this.heldTime(rule, overlapping, startedAt, until);
+        const elapsed = SLAMonitor.round(this.elapsed(rule, startedAt, until) - held);
+        const paused = !endedAt && overlapping.some(h => !h.to);
+        let status = elapsed > limit ? 'breached' : 'met';
+        if (!endedAt && status !== 'breached') status = paused ? 'paused' : elapsed >= limit * rule.warnAt ? 'at_risk' : 'running';
+
+        return {
+            ruleId: rule.id,
+            name: rule.name || rule.id,
+            projectId: project.id,
+            status,
+            startedAt: startedAt.toISOString(),
+            endedAt: endedAt ? endedAt.toISOString() : null,
+            // No deadline while the clock is paused; it moves out by the time held once the hold ends
+            deadline: paused ? null : (rule.businessDays ? this.addBusinessDays(startedAt, limit + held) : new Date(startedAt.getTime() + (limit + held) * SLA_DAY)).toISOString(),
+            elapsed,
+            limit,
+            unit: rule.businessDays ? 'business days' : 'days',
+            roles: endedAt ? [] : this.responsibleRoles(rule, project),
+            action: rule.action || null,
+            holds: overlapping.map(h => ({ from: h.from.toISOString(), to: h.to ? h.to.toISOString() : null }))
+        };
+    }
+
+    /**
+     * Time on hold between two instants, in the rule's unit
+     * @private
+     */
+    heldTime(rule, holds, from, to) {
+        return (holds || []).reduce((total, hold) => {
+            const start = new Date(Math.max(new Date(hold.from), from));
+            const end = new Date(Math.min(hold.to ? new Date(hold.to) : to, to));
+            return end > start ? total + this.elapsed(rule, start, end) : total;
+        }, 0);
+    }
+
+    /**
+     * @private
+     */
+    elapsed(rule, from, to) {
+        return rule.businessDays ? this.businessDaysBetween(from, to) : SLAMonitor.round((to - from) / SLA_DAY);
+    }
+
+    /**
+     * Who has to act on an open clock
+     * @private
+     */
+    responsibleRoles(rule, project) {
+        if (rule.role !== 'approver') return [].concat(rule.role || []);
+        const milestone = rule.end.approval;
+        const roles = this.getPendingSlots({ projectId: project.id, milestone }).map(slot => slot.role);
+        return Array.from(new Set(roles.length ? roles : [].concat(rule.fallbackRole || [])));
+    }
+
+    /**
+     * Mark groups that take `bottleneckFactor` times longer than the average of all groups
+     * @private
+     */
+    flagBottlenecks(groups, averageOf, countOf) {
+        const averages = groups.map(g => averageOf(g)).filter(a => a !== null);
+        const overall = SLAMonitor.average(averages);
+        groups.forEach(g => {
+            const average = averageOf(g);
+            g.bottleneck = groups.length > 1 && overall > 0 && average !== null && countOf(g) >= 2 && average >= overall * this.bottleneckFactor;
+        });
+    }
+
+    /**
+     * @private
+     */
+    orderStages(stageIds) {
+        const rank = id => {
+            const idx = this.stages.findIndex(s => s.id === id);
+            return idx === -1 ? this.stages.length : idx;
+        };
+        return stageIds.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * @private
+     */
+    stageLabel(stageId) {
+        const stage = this.stages.find(s => s.id === stageId);
+        return stage ? stage.label || stage.name || stageId : stageId;
+    }
+
+    static nextMidnight(date) {
+        const next = new Date(date);
+        next.setHours(24, 0, 0, 0);
+        return next;
+    }
+
+    static average(values) {
+        return values.length ? SLAMonitor.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+    }
+
+    static median(values) {
+        if (!values.length) return null;
+        const sorted = values.slice().sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return SLAMonitor.round(sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2);
+    }
+
+    static round(n) {
+        return Math.round(n * 10) / 10;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SLAMonitor;
+}
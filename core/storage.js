@@ -0,0 +1,478 @@
+/**
+ * Storage Adapters - Pluggable Persistence
+ *
+ * Every core module persists through an adapter instead of calling
+ * localStorage directly, so the same code runs in the browser, in Node and
+ * against a shared backend. Adapters may be synchronous (memory, localStorage,
+ * filesystem) or asynchronous (IndexedDB); modules treat both the same way and
+ * expose a `ready` promise that resolves once their data is loaded.
+ *
+ * Adapter interface (values are plain JSON-compatible objects):
+ *   get(key)         -> value | undefined   (or Promise)
+ *   set(key, value)  -> void                (or Promise)
+ *   remove(key)      -> void                (or Promise)
+ *   keys(prefix)     -> Array<string>       (or Promise)
+ */
+
+class StorageAdapter {
+    get(key) {
+        throw new Error(`${this.constructor.name}.get() not implemented`);
+    }
+
+    set(key, value) {
+        throw new Error(`${this.constructor.name}.set() not implemented`);
+    }
+
+    remove(key) {
+        throw new Error(`${this.constructor.name}.remove() not implemented`);
+    }
+
+    keys(prefix = '') {
+        throw new Error(`${this.constructor.name}.keys() not implemented`);
+    }
+
+    /**
+     * Pick the adapter a module should use
+     * @param {Object} options - { storage, namespace }
+     * @returns {StorageAdapter}
+     */
+    static resolve(options = {}) {
+        let adapter = options.storage;
+        if (!adapter) {
+            adapter = typeof localStorage !== 'undefined'
+                ? new LocalStorageAdapter()
+                : new MemoryStorageAdapter();
+        }
+        return options.namespace ? new NamespacedStorageAdapter(adapter, options.namespace) : adapter;
+    }
+
+    /**
+     * Read a key and hand the value to `apply`. Runs synchronously for sync
+     * adapters so existing callers keep working without awaiting.
+     * @param {StorageAdapter} adapter
+     * @param {string} key
+     * @param {Function} apply - Receives the stored value (or undefined)
+     * @param {string} label - Used in error messages
+     * @returns {Promise} Resolves once applied
+     */
+    static read(adapter, key, apply, label = key) {
+        const fail = e => {
+            console.error(`Failed to load ${label}:`, e);
+            apply(undefined);
+        };
+
+        try {
+            const value = adapter.get(key);
+            if (value && typeof value.then === 'function') {
+                return value.then(apply, fail);
+            }
+            apply(value);
+        } catch (e) {
+            fail(e);
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Write a key, logging (not throwing) on failure
+     * @param {StorageAdapter} adapter
+     * @param {string} key
+     * @param {*} value
+     * @param {string} label - Used in error messages
+     * @returns {Promise} Resolves once written
+     */
+    static write(adapter, key, value, label = key) {
+        const fail = e => console.error(`Failed to save ${label}:`, e);
+
+        try {
+            const result = adapter.set(key, value);
+            if (result && typeof result.then === 'function') {
+                return result.catch(fail);
+            }
+        } catch (e) {
+            fail(e);
+        }
+        return Promise.resolve();
+    }
+
+    /**
+     * Remove a key, logging (not throwing) on failure
+     * @param {StorageAdapter} adapter
+     * @param {string} key
+     * @param {string} label - Used in error messages
+     * @returns {Promise} Resolves once removed
+     */
+    static remove(adapter, key, label = key) {
+        const fail = e => console.error(`Failed to remove ${label}:`, e);
+
+        try {
+            const result = adapter.remove(key);
+            if (result && typeof result.then === 'function') {
+                return result.catch(fail);
+            }
+        } catch (e) {
+            fail(e);
+        }
+        return Promise.resolve();
+    }
+}
+
+/**
+ * In-memory adapter (tests, Node scripts, ephemeral sessions)
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor(initial = {}) {
+        super();
+        this.data = new Map();
+        Object.keys(initial).forEach(key => this.data.set(key, JSON.stringify(initial[key])));
+    }
+
+    get(key) {
+        const raw = this.data.get(key);
+        return raw === undefined ? undefined : JSON.parse(raw);
+    }
+
+    set(key, value) {
+        // Store serialized so callers can't mutate persisted state by reference
+        this.data.set(key, JSON.stringify(value));
+    }
+
+    remove(key) {
+        this.data.delete(key);
+    }
+
+    keys(prefix = '') {
+        return Array.from(this.data.keys()).filter(k => k.startsWith(prefix));
+    }
+}
+
+/**
+ * Browser localStorage adapter (default in the browser)
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.backend = options.backend || localStorage;
+    }
+
+    get(key) {
+        const raw = this.backend.getItem(key);
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    set(key, value) {
+        this.backend.setItem(key, JSON.stringify(value));
+    }
+
+    remove(key) {
+        this.backend.removeItem(key);
+    }
+
+    keys(prefix = '') {
+        const keys = [];
+        for (let i = 0; i < this.backend.length; i++) {
+            const key = this.backend.key(i);
+            if (key.startsWith(prefix)) keys.push(key);
+        }
+        return keys;
+    }
+}
+
+/**
+ * Browser IndexedDB adapter (asynchronous, larger quota than localStorage)
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.dbName = options.dbName || 'project-tracking';
+        this.storeName = options.storeName || 'keyval';
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key)).then(() => undefined);
+    }
+
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key)).then(() => undefined);
+    }
+
+    keys(prefix = '') {
+        return this.transaction('readonly', store => store.getAllKeys())
+            .then(keys => keys.map(String).filter(k => k.startsWith(prefix)));
+    }
+
+    /**
+     * @private
+     */
+    open() {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available in this environment'));
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * @private
+     */
+    transaction(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }));
+    }
+}
+
+/**
+ * Node filesystem adapter - one JSON file per key in a directory
+ */
+class FileStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        this.fs = require('fs');
+        this.path = require('path');
+        this.directory = options.directory || this.path.join(process.cwd(), 'data');
+        this.fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    get(key) {
+        const file = this.fileFor(key);
+        if (!this.fs.existsSync(file)) return undefined;
+        return JSON.parse(this.fs.readFileSync(file, 'utf8'));
+    }
+
+    set(key, value) {
+        // Write-then-rename so a crash never leaves a half-written file
+        const file = this.fileFor(key);
+        const temp = file + '.' + process.pid + '.tmp';
+        this.fs.writeFileSync(temp, JSON.stringify(value, null, 2));
+        this.fs.renameSync(temp, file);
+    }
+
+    remove(key) {
+        const file = this.fileFor(key);
+        if (this.fs.existsSync(file)) this.fs.unlinkSync(file);
+    }
+
+    keys(prefix = '') {
+        return this.fs.readdirSync(this.directory)
+            .filter(name => name.endsWith('.json'))
+            .map(name => decodeURIComponent(name.slice(0, -5)))
+            .filter(k => k.startsWith(prefix));
+    }
+
+    /**
+     * @private
+     */
+    fileFor(key) {
+        return this.path.join(this.directory, encodeURIComponent(key) + '.json');
+    }
+}
+
+/**
+ * Prefixes every key so several trackers (e.g. two programs) can share one backend
+ */
+class NamespacedStorageAdapter extends StorageAdapter {
+    constructor(adapter, namespace) {
+        super();
+        this.adapter = adapter;
+        this.namespace = namespace;
+        this.prefix = namespace + ':';
+    }
+
+    get(key) {
+        return this.adapter.get(this.prefix + key);
+    }
+
+    set(key, value) {
+        return this.adapter.set(this.prefix + key, value);
+    }
+
+    remove(key) {
+        return this.adapter.remove(this.prefix + key);
+    }
+
+    keys(prefix = '') {
+        const strip = keys => keys.map(k => k.slice(this.prefix.length));
+        const result = this.adapter.keys(this.prefix + prefix);
+        return result && typeof result.then === 'function' ? result.then(strip) : strip(result);
+    }
+}
+
+/**
+ * Tracker server adapter - keys live on an ApiServer (`client` is an
+ * ApiServer.Client) and are cached here, so reads stay synchronous once
+ * pull() has fetched every key the signed-in user may read. Writes go to the
+ * server in the background, one request per key at a time (later values
+ * replace queued ones), each naming the revision it was based on: if someone
+ * else saved the key in the meantime the server refuses it and `onConflict(key)`
+ * is called instead of overwriting their change; `onSaved(key)` once the
+ * newest value of a key is stored. A write that cannot reach the server
+ * (offline, or the server failed) is kept and sent again by resend(). A write
+ * the server refuses (not permitted or invalid) is reported to
+ * `onRefused(key, error)` and later values for the key are still sent.
+ * `localKeys` are cached but never sent (e.g. this browser's own session).
+ */
+class RemoteStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super();
+        if (!options.client) throw new Error('Remote storage requires an API client');
+        this.client = options.client;
+        this.localKeys = options.localKeys || [];
+        this.onConflict = options.onConflict || null;
+        this.onSaved = options.onSaved || null;
+        this.onRefused = options.onRefused || null;
+        this.data = new Map();
+        this.revisions = {};
+        this.queued = {};
+        this.writing = {};
+        this.unsent = {};
+    }
+
+    get(key) {
+        const raw = this.data.get(key);
+        return raw === undefined ? undefined : JSON.parse(raw);
+    }
+
+    set(key, value) {
+        const raw = JSON.stringify(value);
+        // Modules save every key they own on each change; only send what changed
+        // (an unchanged value resolves once the write already carrying it is done)
+        if (this.data.get(key) === raw) return this.writing[key];
+        this.data.set(key, raw);
+        if (!this.localKeys.includes(key)) return this.push(key, raw);
+    }
+
+    remove(key) {
+        if (!this.data.has(key)) return;
+        this.data.delete(key);
+        if (!this.localKeys.includes(key)) return this.push(key, 'null');
+    }
+
+    keys(prefix = '') {
+        return Array.from(this.data.keys()).filter(k => k.startsWith(prefix));
+    }
+
+    /**
+     * Replace the cache with the server's copy of every key this user may read.
+     * Keys with a write still on its way (or waiting for resend()) keep the local value.
+     * @returns {Promise<Array>} Keys received
+     */
+    async pull() {
+        const snapshot = await this.client.request('GET', '/api/storage');
+        Object.entries(snapshot).forEach(([key, { value, revision }]) => {
+            if (this.writing[key] || key in this.unsent) return;
+            this.data.set(key, JSON.stringify(value));
+            this.revisions[key] = revision;
+        });
+        return Object.keys(snapshot);
+    }
+
+    /**
+     * Forget every cached key (e.g. when the user signs out)
+     */
+    clear() {
+        this.data.clear();
+        this.revisions = {};
+        this.unsent = {};
+    }
+
+    /**
+     * Wait for queued writes to reach the server
+     * @returns {Promise}
+     */
+    flush() {
+        return Promise.all(Object.values(this.writing).map(write => write.catch(() => {})));
+    }
+
+    /**
+     * Send again the writes that could not reach the server
+     * @returns {Promise}
+     */
+    resend() {
+        return Promise.all(Object.entries(this.unsent).map(([key, raw]) => this.push(key, raw)));
+    }
+
+    /**
+     * Keys changed here that the server has not received yet
+     * @returns {Array}
+     */
+    unsentKeys() {
+        return Object.keys(this.unsent);
+    }
+
+    /**
+     * @private
+     */
+    push(key, raw) {
+        delete this.unsent[key];
+        this.queued[key] = raw;
+        if (!this.writing[key]) {
+            this.writing[key] = this.drain(key).finally(() => { delete this.writing[key]; });
+        }
+        return this.writing[key];
+    }
+
+    /**
+     * Send queued values for a key until none are left; rejects with the
+     * last failure if the newest value was not stored
+     * @private
+     */
+    async drain(key) {
+        let failure = null;
+        while (key in this.queued) {
+            const raw = this.queued[key];
+            delete this.queued[key];
+            try {
+                const result = await this.client.request('PUT', '/api/storage/' + encodeURIComponent(key), {
+                    value: JSON.parse(raw),
+                    revision: this.revisions[key] || null
+                });
+                this.revisions[key] = result.revision;
+                failure = null;
+                if (this.onSaved && !(key in this.queued)) this.onSaved(key);
+            } catch (e) {
+                failure = e;
+                if (e.reason === 'conflict') {
+                    // Later values were based on the same stale copy
+                    delete this.queued[key];
+                    if (this.onConflict) this.onConflict(key);
+                } else if (!e.status || e.status >= 500) {
+                    // The server could not be reached or failed: keep the newest value for resend()
+                    this.unsent[key] = key in this.queued ? this.queued[key] : raw;
+                    delete this.queued[key];
+                } else if (this.onRefused) {
+                    this.onRefused(key, e);
+                }
+            }
+        }
+        if (failure) throw failure;
+    }
+}
+
+StorageAdapter.Memory = MemoryStorageAdapter;
+StorageAdapter.LocalStorage = LocalStorageAdapter;
+StorageAdapter.IndexedDB = IndexedDBStorageAdapter;
+StorageAdapter.File = FileStorageAdapter;
+StorageAdapter.Namespaced = NamespacedStorageAdapter;
+StorageAdapter.Remote = RemoteStorageAdapter;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapter;
+}
@@ -0,0 +1,463 @@
+/**
+ * SyncEngine - Offline Copies, Per-Field Changes and Conflicts
+ *
+ * Every browser keeps its own copy of the records (projects) and may work on
+ * it without a connection. Rather than overwriting whole arrays, the engine
+ * records each change field by field and replays the changes on another copy,
+ * through a tracker server (ApiServer's POST /api/sync) or a bundle file:
+ *
+ *   const sync = new SyncEngine({ storageKey: 'cpf_sync', events, ledger });
+ *   sync.track(savedProjects, projects, { userId: 'qa_dave' });       // on every save
+ *   const bundle = sync.exportBundle({ userId: 'qa_dave' });           // carry to another copy
+ *   const result = sync.importBundle(projects, bundle, { userId });    // { records, applied, conflicts, ledger }
+ *   const synced = await sync.syncWithServer(apiClient, projects);     // same, against a server
+ *
+ * A change is { id, projectId, path, from, to, at, userId, replica }. Plain
+ * objects are compared key by key (`financials.actual`); arrays and other
+ * values are compared whole, and path '' is a whole record that was created.
+ * Applying a change is a three-way merge of that one field: a copy still
+ * holding `from` takes `to`, a copy already holding `to` is left alone, and
+ * any other value is a conflict kept until someone chooses a side with
+ * resolve(). The other side's value never silently replaces ours.
+ *
+ * Ledger entries travel with bundles and server syncs and are combined with
+ * Ledger.merge(): bundles interleave both chains the same way on each copy,
+ * the server's chain is never rewritten.
+ */
+const syncStorage = typeof StorageAdapter !== 'undefined' ? StorageAdapter : require('./storage');
+const syncEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+const syncHashing = typeof Hashing !== 'undefined' ? Hashing : require('./hashing');
+
+class SyncEngine {
+    /**
+     * @param {Object} options - { storage, storageKey, events, ledger, ignore: [fields never synced, e.g. 'updatedDate'] }
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'sync_state';
+        this.storage = syncStorage.resolve(options);
+        this.events = options.events || null;
+        this.ledger = options.ledger || null;
+        this.ignore = options.ignore || [];
+        this.replica = null;
+        this.changes = [];
+        this.conflicts = [];
+        this.acknowledged = [];
+        this.lastSync = null;
+        this.ready = this.load();
+    }
+
+    /**
+     * Record the fields that differ between the last saved records and the new ones
+     * @param {Array} before - Records as last saved
+     * @param {Array} after - Records about to be saved
+     * @param {Object} options - { userId }
+     * @returns {Array} Changes recorded
+     */
+    track(before, after, options = {}) {
+        const recorded = SyncEngine.diff(before, after, { ignore: this.ignore })
+            .map(change => this.createChange(change, options));
+        if (recorded.length) {
+            this.changes.push(...recorded);
+            this.save();
+        }
+        return recorded;
+    }
+
+    /**
+     * Changes made on this copy that another copy has not confirmed yet
+     * @returns {Array}
+     */
+    pending() {
+        return this.changes.slice();
+    }
+
+    getConflicts() {
+        return this.conflicts.slice();
+    }
+
+    /**
+     * Drop pending changes another copy has applied
+     * @param {Array} ids - Change ids; omit to drop every pending change
+     */
+    acknowledge(ids) {
+        const settled = ids ? new Set(ids) : null;
+        const remaining = settled ? this.changes.filter(change => !settled.has(change.id)) : [];
+        if (remaining.length === this.changes.length) return;
+        this.changes = remaining;
+        this.save();
+    }
+
+    /**
+     * This copy's pending changes and ledger, for another copy to import
+     * @param {Object} options - { userId }
+     * @returns {Object} Bundle
+     */
+    exportBundle(options = {}) {
+        const bundle = {
+            format: SyncEngine.FORMAT,
+            version: SyncEngine.VERSION,
+            replica: this.replica,
+            exportedAt: new Date().toISOString(),
+            exportedBy: options.userId || null,
+            changes: this.pending(),
+            acknowledged: this.acknowledged.slice(),
+            ledger: this.ledger ? this.ledger.getAll() : []
+        };
+
+        syncEvents.publish(this, 'DATA_EXPORTED', {
+            userId: options.userId,
+            details: { format: SyncEngine.FORMAT, replica: this.replica, changes: bundle.changes.length }
+        });
+        return bundle;
+    }
+
+    /**
+     * Apply another copy's bundle. Nothing is written to the records: save the
+     * returned ones. Conflicts are kept until resolved.
+     * @param {Array} records - This copy's records
+     * @param {Object|string} input - Bundle or its JSON text
+     * @param {Object} options - { userId, keep: 'ours' to leave this ledger's chain as it is (e.g. a server's),
+     *                            accept: (entry) => boolean for the bundle's ledger entries to take }
+     * @returns {Object} { records, applied, unchanged, conflicts, missing, ledger }
+     */
+    importBundle(records, input, options = {}) {
+        const bundle = SyncEngine.parseBundle(input);
+        if (bundle.replica === this.replica) {
+            throw SyncEngine.error('own_bundle', 'This bundle was exported from this copy');
+        }
+
+        // The ledger first: a bundle whose chain does not verify changes nothing
+        const ledger = this.ledger ? this.ledger.merge(bundle.ledger || [], { keep: options.keep, accept: options.accept }) : null;
+
+        const seen = new Set(this.acknowledged);
+        const incoming = bundle.changes.filter(change => !seen.has(change.id));
+        const result = SyncEngine.apply(records, incoming);
+        const conflicts = result.conflicts.map(({ change, current }) =>
+            this.addConflict(change, { mine: current, theirs: change.to, source: bundle.replica }));
+
+        // Our changes the other copy has already applied need not travel again
+        const applied = new Set(bundle.acknowledged || []);
+        this.changes = this.changes.filter(change => !applied.has(change.id));
+        this.acknowledged.push(...incoming.map(change => change.id));
+        this.lastSync = { at: new Date().toISOString(), via: 'bundle', with: bundle.replica };
+        this.save();
+
+        syncEvents.publish(this, 'SYNC_COMPLETED', {
+            userId: options.userId,
+            details: {
+                via: 'bundle',
+                from: bundle.replica,
+                exportedBy: bundle.exportedBy || null,
+                applied: result.applied.length,
+                conflicts: conflicts.length,
+                missing: result.missing.length,
+                ledgerEntriesAdded: ledger ? ledger.added : 0
+            }
+        });
+
+        return { records: result.records, applied: result.applied, unchanged: result.unchanged, conflicts, missing: result.missing, ledger };
+    }
+
+    /**
+     * Send pending changes (and the ledger) to a tracker server and take its copy
+     * of every record it shows this user. Records the server does not show are kept.
+     * @param {ApiServer.Client} client - Signed in
+     * @param {Array} records - This copy's records
+     * @param {Object} options - { ledger: false to leave the ledger out }
+     * @returns {Promise<Object>} { records, applied, conflicts, rejected, ledger }; ledger.refused
+     *     counts entries the server did not take (not in this user's name), which stay in this copy
+     */
+    async syncWithServer(client, records, options = {}) {
+        const sent = this.pending();
+        const sendLedger = this.ledger && options.ledger !== false;
+        const response = await client.request('POST', '/api/sync', {
+            replica: this.replica,
+            changes: sent,
+            ...(sendLedger ? { ledger: this.ledger.getAll() } : {})
+        });
+
+        const byId = new Map(sent.map(change => [change.id, change]));
+        const conflicts = response.conflicts.map(({ changeId, current }) =>
+            this.addConflict(byId.get(changeId), { mine: byId.get(changeId).to, theirs: current, source: 'server' }));
+        const rejected = response.rejected.map(rejection => ({ ...rejection, change: byId.get(rejection.changeId) }));
+        const settled = new Set([
+            ...response.applied,
+            ...response.unchanged,
+            ...response.conflicts.map(conflict => conflict.changeId),
+            ...response.rejected.map(rejection => rejection.changeId)
+        ]);
+        this.changes = this.changes.filter(change => !settled.has(change.id));
+
+        // The server's copy of everything it shows, with changes made since the request on top
+        const serverById = new Map(response.records.map(record => [record.id, record]));
+        const merged = records.map(record => serverById.get(record.id) || record);
+        const known = new Set(records.map(record => record.id));
+        response.records.filter(record => !known.has(record.id)).forEach(record => merged.push(record));
+        const result = SyncEngine.apply(merged, this.changes);
+
+        const ledger = sendLedger && response.ledger
+            ? { ...this.ledger.merge(response.ledger, { keep: 'theirs' }), refused: response.ledgerRefused || 0 }
+            : null;
+        this.lastSync = { at: new Date().toISOString(), via: 'server', with: client.url };
+        this.save();
+
+        return { records: result.records, applied: response.applied.length, conflicts, rejected, ledger };
+    }
+
+    /**
+     * Settle a conflict. Keeping ours queues a change that makes the other
+     * copies take our value at their next sync.
+     * @param {Array} records
+     * @param {string} conflictId
+     * @param {string} choice - 'mine' | 'theirs'
+     * @param {Object} options - { userId }
+     * @returns {Array} Records to save
+     */
+    resolve(records, conflictId, choice, options = {}) {
+        const conflict = this.conflicts.find(c => c.id === conflictId);
+        if (!conflict) throw SyncEngine.error('not_found', `Conflict ${conflictId} not found`);
+        if (choice !== 'mine' && choice !== 'theirs') throw SyncEngine.error('invalid_choice', 'Choose mine or theirs');
+
+        const value = choice === 'mine' ? conflict.mine : conflict.theirs;
+        const resolved = SyncEngine.clone(records);
+        SyncEngine.setPath(resolved, conflict.projectId, conflict.path, value);
+
+        this.changes = this.changes.filter(change => !(change.projectId === conflict.projectId && change.path === conflict.path));
+        if (choice === 'mine') {
+            this.changes.push(this.createChange({ projectId: conflict.projectId, path: conflict.path, from: conflict.theirs, to: conflict.mine }, options));
+        }
+        this.conflicts = this.conflicts.filter(c => c.id !== conflictId);
+        this.save();
+
+        syncEvents.publish(this, 'SYNC_CONFLICT_RESOLVED', {
+            projectId: conflict.projectId,
+            userId: options.userId,
+            details: { path: conflict.path, kept: choice, mine: conflict.mine, theirs: conflict.theirs, source: conflict.source }
+        });
+        return resolved;
+    }
+
+    /**
+     * @private
+     */
+    createChange(change, options = {}) {
+        return {
+            id: 'CHG-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            projectId: change.projectId,
+            path: change.path,
+            from: change.from,
+            to: change.to,
+            at: new Date().toISOString(),
+            userId: options.userId || null,
+            replica: this.replica
+        };
+    }
+
+    /**
+     * One open conflict per field; a later one replaces it but keeps the original base
+     * @private
+     */
+    addConflict(change, sides) {
+        const existing = this.conflicts.find(c => c.projectId === change.projectId && c.path === change.path);
+        const conflict = {
+            id: existing ? existing.id : 'CFL-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+            projectId: change.projectId,
+            path: change.path,
+            base: existing ? existing.base : change.from,
+            mine: sides.mine,
+            theirs: sides.theirs,
+            source: sides.source,
+            change: { id: change.id, userId: change.userId, at: change.at, replica: change.replica },
+            detectedAt: new Date().toISOString()
+        };
+        this.conflicts = this.conflicts.filter(c => c !== existing).concat(conflict);
+        return conflict;
+    }
+
+    /**
+     * @private
+     */
+    save() {
+        return syncStorage.write(this.storage, this.storageKey, {
+            replica: this.replica,
+            changes: this.changes,
+            conflicts: this.conflicts,
+            acknowledged: this.acknowledged,
+            lastSync: this.lastSync
+        }, 'sync state');
+    }
+
+    /**
+     * @private
+     */
+    load() {
+        return syncStorage.read(this.storage, this.storageKey, data => {
+            const state = data || {};
+            this.replica = state.replica || 'REP-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+            this.changes = state.changes || [];
+            this.conflicts = state.conflicts || [];
+            this.acknowledged = state.acknowledged || [];
+            this.lastSync = state.lastSync || null;
+            if (!data) this.save();
+        }, 'sync state');
+    }
+
+    /**
+     * Field changes between two versions of the records, matched by id
+     * @param {Array} before
+     * @param {Array} after
+     * @param {Object} options - { ignore: [top-level fields] }
+     * @returns {Array} [{ projectId, path, from, to }]
+     */
+    static diff(before, after, options = {}) {
+        const ignore = new Set(options.ignore || []);
+        const previous = new Map((before || []).map(record => [record.id, record]));
+        const changes = [];
+
+        const compare = (projectId, path, from, to) => {
+            if (SyncEngine.isObject(from) && SyncEngine.isObject(to)) {
+                const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+                keys.forEach(key => {
+                    if (!path && ignore.has(key)) return;
+                    compare(projectId, path ? `${path}.${key}` : key, from[key], to[key]);
+                });
+            } else if (!SyncEngine.same(from, to)) {
+                changes.push({ projectId, path, from: SyncEngine.clone(from), to: SyncEngine.clone(to) });
+            }
+        };
+
+        (after || []).forEach(record => {
+            if (!previous.has(record.id)) {
+                changes.push({ projectId: record.id, path: '', from: null, to: SyncEngine.clone(record) });
+            } else {
+                compare(record.id, '', previous.get(record.id), record);
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Apply changes in order to a copy of the records
+     * @param {Array} records - Not modified
+     * @param {Array} changes
+     * @returns {Object} { records, applied, unchanged, conflicts: [{ change, current }], missing }
+     */
+    static apply(records, changes) {
+        const result = { records: SyncEngine.clone(records || []), applied: [], unchanged: [], conflicts: [], missing: [] };
+        changes.forEach(change => {
+            const record = result.records.find(r => r.id === change.projectId);
+            if (!record && change.path !== '') {
+                result.missing.push(change);
+                return;
+            }
+
+            const current = SyncEngine.getPath(record, change.path);
+            if (SyncEngine.same(current, change.to)) {
+                result.unchanged.push(change);
+            } else if (SyncEngine.same(current, change.from)) {
+                SyncEngine.setPath(result.records, change.projectId, change.path, change.to);
+                result.applied.push(change);
+            } else {
+                result.conflicts.push({ change, current: SyncEngine.clone(current) });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * @param {Object} record
+     * @param {string} path - e.g. 'financials.actual'; '' for the record itself
+     */
+    static getPath(record, path) {
+        if (!path) return record;
+        return path.split('.').reduce((value, key) => (SyncEngine.isObject(value) ? value[key] : undefined), record);
+    }
+
+    /**
+     * Set a field (or, with path '', add or replace the record); null removes it
+     * @param {Array} records - Modified in place
+     */
+    static setPath(records, projectId, path, value) {
+        const index = records.findIndex(r => r.id === projectId);
+        if (!path) {
+            if (value === null || value === undefined) {
+                if (index !== -1) records.splice(index, 1);
+            } else if (index === -1) {
+                records.push(SyncEngine.clone(value));
+            } else {
+                records[index] = SyncEngine.clone(value);
+            }
+            return;
+        }
+        if (index === -1) return;
+
+        const keys = path.split('.');
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            if (!SyncEngine.isObject(object[key])) object[key] = {};
+            return object[key];
+        }, records[index]);
+        if (value === null || value === undefined) delete parent[last];
+        else parent[last] = SyncEngine.clone(value);
+    }
+
+    /**
+     * Check and parse a bundle
+     * @param {Object|string} input
+     * @returns {Object}
+     */
+    static parseBundle(input) {
+        let bundle = input;
+        if (typeof input === 'string') {
+            try {
+                bundle = JSON.parse(input);
+            } catch (e) {
+                throw SyncEngine.error('invalid_bundle', 'The file is not valid JSON');
+            }
+        }
+        if (!bundle || bundle.format !== SyncEngine.FORMAT || !Array.isArray(bundle.changes)) {
+            throw SyncEngine.error('invalid_bundle', 'The file is not a sync bundle');
+        }
+        if (bundle.version > SyncEngine.VERSION) {
+            throw SyncEngine.error('invalid_bundle', `The bundle is version ${bundle.version}; this copy reads up to ${SyncEngine.VERSION}`);
+        }
+        const broken = bundle.changes.find(change => !change || !change.id || !change.projectId || typeof change.path !== 'string');
+        if (broken) throw SyncEngine.error('invalid_bundle', 'The bundle holds a change without an id, project or path');
+        return bundle;
+    }
+
+    /**
+     * Same JSON value, whatever the key order; missing and null are the same
+     */
+    static same(a, b) {
+        return syncHashing.canonicalize(a === undefined ? null : a) === syncHashing.canonicalize(b === undefined ? null : b);
+    }
+
+    /**
+     * @private
+     */
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * @private
+     */
+    static clone(value) {
+        return value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+
+    static error(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+}
+
+SyncEngine.FORMAT = 'project-tracking-sync';
+SyncEngine.VERSION = 1;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyncEngine;
+}
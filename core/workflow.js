@@ -0,0 +1,210 @@
+/**
+ * Workflow - Stage-Gated State Machine
+ *
+ * Declares the states a project moves through, which transitions are allowed
+ * and the guards each transition must satisfy. The workflow does not store
+ * projects; it reads and sets `subject[stateField]` and publishes every
+ * transition as a STATUS_CHANGE event (or records it to `ledger` directly).
+ *
+ *   const workflow = new Workflow({
+ *       initial: 'intake',
+ *       states: [{ id: 'intake', label: 'Intake' }, { id: 'hea', label: 'HEA' }],
+ *       transitions: [
+ *           { from: 'intake', to: 'hea', guards: ['qualified'] },
+ *           { from: 'hea', to: 'intake', back: true }
+ *       ],
+ *       guards: {
+ *           qualified: { check: project => project.qualified === 'yes', message: 'Customer not qualified' }
+ *       },
+ *       events
+ *   });
+ *
+ *   workflow.transition(project, 'hea', { userId: 'pm_john' });
+ *   // { ok: false, unmetGuards: [{ guard: 'qualified', message: 'Customer not qualified' }] }
+ */
+const workflowEvents = typeof EventBus !== 'undefined' ? EventBus : require('./event-bus');
+
+class Workflow {
+    constructor(config = {}) {
+        this.states = {};
+        this.transitions = [];
+        this.guards = {};
+        this.initial = config.initial || null;
+        this.stateField = config.stateField || 'status';
+        this.ledger = config.ledger || null;
+        this.events = config.events || null;
+        this.context = config.context || {};
+
+        (config.states || []).forEach(state => this.defineState(state));
+        Object.entries(config.guards || {}).forEach(([name, guard]) => {
+            typeof guard === 'function' ? this.defineGuard(name, guard) : this.defineGuard(name, guard.check, guard.message);
+        });
+        (config.transitions || []).forEach(transition => this.defineTransition(transition));
+    }
+
+    /**
+     * @param {Object} state - { id, label, ... } extra fields are kept for the UI
+     */
+    defineState(state) {
+        if (!state.id) throw new Error('Workflow state requires an id');
+        this.states[state.id] = { ...state };
+        if (!this.initial) this.initial = state.id;
+    }
+
+    /**
+     * @param {Object} transition - { from: id | [ids] | '*', to, guards: [name | { guard, ...params }], label, back,
+     *                                automatic } automatic transitions are made by other modules, not offered to users
+     */
+    defineTransition(transition) {
+        if (!this.states[transition.to]) throw new Error(`Unknown workflow state ${transition.to}`);
+        [].concat(transition.from).forEach(from => {
+            if (from !== '*' && !this.states[from]) throw new Error(`Unknown workflow state ${from}`);
+        });
+
+        this.transitions.push({
+            id: transition.id || `${[].concat(transition.from).join('|')}->${transition.to}`,
+            guards: [],
+            ...transition
+        });
+    }
+
+    /**
+     * Register a guard
+     * @param {string} name
+     * @param {Function} check - (subject, context, params) => boolean
+     * @param {string|Function} message - Shown when unmet; functions get (subject, params)
+     */
+    defineGuard(name, check, message = null) {
+        if (typeof check !== 'function') throw new Error(`Guard ${name} must be a function`);
+        this.guards[name] = { check, message: message || `Guard ${name} not met` };
+    }
+
+    getState(stateId) {
+        return this.states[stateId] || null;
+    }
+
+    getStates() {
+        return Object.values(this.states);
+    }
+
+    /**
+     * Transitions leaving a state, in definition order
+     * @param {string} from
+     * @returns {Array}
+     */
+    getTransitions(from) {
+        return this.transitions.filter(t => [].concat(t.from).some(f => f === '*' || f === from) && t.to !== from);
+    }
+
+    findTransition(from, to) {
+        return this.getTransitions(from).find(t => t.to === to) || null;
+    }
+
+    /**
+     * Check a transition without performing it
+     * @param {Object} subject
+     * @param {string} to
+     * @param {Object} context - Merged over the workflow's default context for guards
+     * @returns {Object} { allowed, from, to, transition, unmetGuards: [{ guard, message }], reason }
+     */
+    evaluate(subject, to, context = {}) {
+        const from = subject[this.stateField] || this.initial;
+        const transition = this.findTransition(from, to);
+        const result = { allowed: false, from, to, transition, unmetGuards: [], reason: null };
+
+        if (!this.states[to]) {
+            result.reason = 'unknown_state';
+            result.unmetGuards.push({ guard: null, message: `Unknown state ${to}` });
+            return result;
+        }
+        if (!transition) {
+            result.reason = 'no_transition';
+            result.unmetGuards.push({ guard: null, message: `Cannot move from ${this.label(from)} to ${this.label(to)}` });
+            return result;
+        }
+
+        const guardContext = { ...this.context, ...context };
+        transition.guards.forEach(spec => {
+            const { guard: name, ...params } = typeof spec === 'string' ? { guard: spec } : spec;
+            const guard = this.guards[name];
+            if (!guard) {
+                result.unmetGuards.push({ guard: name, message: `Guard ${name} is not defined` });
+                return;
+            }
+
+            let passed;
+            try {
+                passed = !!guard.check(subject, guardContext, params);
+            } catch (e) {
+                console.error(`Workflow guard ${name} failed:`, e);
+                passed = false;
+            }
+            if (!passed) {
+                const message = typeof guard.message === 'function' ? guard.message(subject, params) : guard.message;
+                result.unmetGuards.push({ guard: name, message });
+            }
+        });
+
+        result.allowed = result.unmetGuards.length === 0;
+        result.reason = result.allowed ? null : 'guards_unmet';
+        return result;
+    }
+
+    /**
+     * Every transition out of the subject's state a user can choose, with its guard status
+     * @param {Object} subject
+     * @param {Object} context
+     * @returns {Array} [{ ...transition, allowed, unmetGuards }]
+     */
+    getAvailableTransitions(subject, context = {}) {
+        const from = subject[this.stateField] || this.initial;
+        return this.getTransitions(from).filter(transition => !transition.automatic).map(transition => {
+            const { allowed, unmetGuards } = this.evaluate(subject, transition.to, context);
+            return { ...transition, allowed, unmetGuards };
+        });
+    }
+
+    /**
+     * Move the subject to a new state if the transition exists and all guards pass
+     * @param {Object} subject - Mutated in place
+     * @param {string} to
+     * @param {Object} options - { userId, context, reason }
+     * @returns {Object} { ok, from, to, transition, unmetGuards, reason }
+     */
+    transition(subject, to, options = {}) {
+        const result = this.evaluate(subject, to, options.context);
+        if (!result.allowed) {
+            return { ok: false, ...result };
+        }
+
+        subject[this.stateField] = to;
+
+        workflowEvents.publish(this, 'STATUS_CHANGE', {
+            projectId: subject.id,
+            userId: options.userId,
+            details: {
+                from: result.from,
+                to,
+                transition: result.transition.id,
+                guards: result.transition.guards.map(g => typeof g === 'string' ? g : g.guard),
+                back: !!result.transition.back,
+                automatic: result.transition.automatic || undefined,
+                reason: options.reason || undefined
+            }
+        });
+
+        return { ok: true, ...result };
+    }
+
+    /**
+     * @private
+     */
+    label(stateId) {
+        return (this.states[stateId] && this.states[stateId].label) || stateId;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Workflow;
+}
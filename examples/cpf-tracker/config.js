@@ -0,0 +1,759 @@
+/**
+ * CPF-specific configuration for the core modules
+ */
+
+// Approver slot labels <-> CPF role selector values
+const CPF_ROLE_LABELS = {
+    pm: 'Project Manager',
+    finance: 'Finance Director',
+    coordinator: 'Program Coordinator',
+    qa: 'QA Inspector',
+    executive: 'Executive',
+    contractor: 'Contractor',
+    customer: 'Customer'
+};
+
+// Demo accounts, one per role, added to the user directory on first run.
+// Each role's user also stands in where the app needs "the" PM or finance
+// director (e.g. who requests a 300CPF).
+const CPF_USERS = {
+    pm: { id: 'pm_john', name: 'John PM', email: 'john.pm@cpf.example.org' },
+    finance: { id: 'finance_sarah', name: 'Sarah Finance', email: 'sarah.finance@cpf.example.org' },
+    coordinator: { id: 'coord_maria', name: 'Maria Coordinator', email: 'maria.coordinator@cpf.example.org' },
+    qa: { id: 'qa_dave', name: 'Dave QA', email: 'dave.qa@cpf.example.org' },
+    executive: { id: 'exec_lee', name: 'Lee Executive', email: 'lee.executive@cpf.example.org' },
+    contractor: { id: 'contractor_acme', name: 'Acme Contractor', email: 'office@acme-contractor.example.com' },
+    customer: { id: 'customer_pat', name: 'Pat Customer', email: 'pat.customer@example.com' }
+};
+
+// Sign-in. Demo accounts start with `demoPassword` and must pick their own at
+// first sign-in. `oidc` configures the local stand-in identity provider used
+// to test single sign-on; its accounts are matched to users by email. It signs
+// in whoever types an account's email, without a password, so it stays off
+// unless `enabled` is set for a trial.
+const CPF_AUTH = {
+    idleTimeoutMinutes: 30,
+    maxSessionHours: 12,
+    minPasswordLength: 10,
+    demoPassword: 'cpf-demo-password',
+    oidc: {
+        enabled: false,
+        issuer: 'https://idp.cpf.localhost',
+        clientId: 'cpf-tracker',
+        label: 'Single sign-on (test IdP)',
+        accounts: Object.values(CPF_USERS).map((user, idx) => ({ sub: String(1001 + idx), email: user.email, name: user.name }))
+    }
+};
+
+// RBAC roles - `approve` lists the forms each role may sign
+const CPF_RBAC_ROLES = {
+    staff: { view: '*' },
+    pm: { inherits: ['staff'], edit: '*', approve: ['assessment', 'bids', 'scope'], admin: ['own-projects'] },
+    finance: {
+        inherits: ['staff'],
+        edit: ['budget', 'funding', 'payments'],
+        approve: ['300CPF', '320CPF', 'change-order'],
+        conditions: { 'edit:budget': 'beforeForm300' }
+    },
+    coordinator: { inherits: ['staff'], edit: '*', approve: ['300CPF', '320CPF', 'change-order'] },
+    qa: { inherits: ['staff'], edit: ['qa-report', 'inspection-notes'], approve: ['320CPF', 'qa-gate'] },
+    executive: { inherits: ['finance'], approve: '*', admin: ['organization'] },
+    contractor: {
+        view: ['project', 'bids', 'work-orders'],
+        edit: ['bid-submission', 'completion-report'],
+        conditions: { 'view:project': 'isSelectedBidder' }
+    },
+    customer: { view: ['own-project', 'status', 'documents'], edit: ['contact-info'], approve: ['final-acceptance'] }
+};
+
+// Named RBAC conditions; `context` is the project being checked
+const CPF_RBAC_CONDITIONS = {
+    beforeForm300: project => !project.form300,
+    isSelectedBidder: (project, userId) => (project.bids || []).some(b => b.selected && b.contractorId === userId)
+};
+
+// Which RBAC resource guards each project field
+const CPF_FIELD_POLICIES = {
+    project: {
+        measures: { edit: 'budget' },
+        financials: { edit: 'budget' },
+        fundingSources: { edit: 'funding' }
+    }
+};
+
+// Funding sources for FundingTracker.allocate(). Caps are in dollars; totalCap is
+// the program budget across the portfolio, perProjectCap the most one project may receive.
+// Sources that depend on facts the tracker doesn't record (veteran status, loans) are manual-only;
+// income-tested ones (`requiresQualification`) wait until the household is qualified.
+const CPF_LOW_INCOME_SCENARIOS = ['low-income-homeowner', 'renter-with-permission', 'manufactured-home'];
+const CPF_FUNDING_SOURCES = [
+    { id: 'energy-trust', name: 'Energy Trust of Oregon', category: 'Utility', type: 'Rebate', totalCap: null, perProjectCap: null, description: 'Electric utility rebates',
+      eligibleMeasureCategories: ['Insulation', 'Weatherization', 'HVAC', 'Water Heating', 'Windows', 'Solar', 'Lighting', 'Controls'], stacking: { maxShare: 0.5 }, priority: 10 },
+    { id: 'nw-natural', name: 'NW Natural Rebates', category: 'Utility', type: 'Rebate', totalCap: null, perProjectCap: null, description: 'Gas utility rebates',
+      eligibleMeasureCategories: ['Insulation', 'Weatherization', 'Windows', 'Controls'], stacking: { maxShare: 0.3 }, priority: 10 },
+    { id: 'tax-25c', name: 'Federal Tax Credit (25C)', category: 'Tax Credit', type: 'Tax Credit', totalCap: null, perProjectCap: 1200, description: 'Home efficiency improvements',
+      eligibleMeasureCategories: ['Insulation', 'Weatherization', 'Windows', 'HVAC', 'Water Heating', 'Electrical'], stacking: { maxShare: 0.3 }, priority: 50 },
+    { id: 'tax-25d', name: 'Federal Tax Credit (25D)', category: 'Tax Credit', type: 'Tax Credit', totalCap: null, perProjectCap: null, description: '30% solar/battery credit',
+      eligibleMeasureCategories: ['Solar'], stacking: { maxShare: 0.3 }, priority: 50 },
+    { id: 'or-retc', name: 'Oregon Residential Energy Tax Credit', category: 'Tax Credit', type: 'Tax Credit', totalCap: null, perProjectCap: 1500, description: 'State tax credit',
+      eligibleMeasureCategories: ['Solar', 'HVAC', 'Water Heating'], stacking: { maxShare: 0.25 }, priority: 50 },
+    { id: 'wap', name: 'Weatherization Assistance Program (WAP)', category: 'Federal Program', type: 'Grant', totalCap: 250000, perProjectCap: 8000, description: 'DOE weatherization',
+      eligibleMeasureCategories: ['Insulation', 'Weatherization', 'Windows', 'Controls'], eligibleScenarios: CPF_LOW_INCOME_SCENARIOS, requiresQualification: true, expiresAt: '2027-06-30', priority: 1 },
+    { id: 'liheap', name: 'LIHEAP', category: 'Federal Program', type: 'Grant', totalCap: 150000, perProjectCap: 5000, description: 'Low-income heating assistance',
+      eligibleMeasureCategories: ['HVAC', 'Water Heating'], eligibleScenarios: CPF_LOW_INCOME_SCENARIOS, requiresQualification: true, expiresAt: '2027-09-30', priority: 1 },
+    { id: 'caa', name: 'Community Action Agency Funding', category: 'Community', type: 'Grant', totalCap: 60000, perProjectCap: null, description: 'Local CAA programs',
+      eligibleScenarios: CPF_LOW_INCOME_SCENARIOS, requiresQualification: true, priority: 20 },
+    { id: 'habitat', name: 'Habitat for Humanity', category: 'Nonprofit', type: 'Grant', totalCap: 40000, perProjectCap: null, description: 'Home repair assistance',
+      eligibleScenarios: ['low-income-homeowner', 'manufactured-home'], requiresQualification: true, priority: 20 },
+    { id: 'internal', name: 'Internal CPF Funding', category: 'Internal', type: 'Grant', totalCap: 100000, perProjectCap: null, description: 'Organization gap funding',
+      priority: 90 },
+    { id: 'green-bank', name: 'Green Bank Financing', category: 'Financing', type: 'Loan', totalCap: null, perProjectCap: null, description: 'Clean energy loans',
+      priority: 95, autoAllocate: false },
+    { id: 'pace', name: 'PACE Financing', category: 'Financing', type: 'Loan', totalCap: null, perProjectCap: null, description: 'Property-assessed clean energy',
+      eligibleScenarios: ['moderate-income-homeowner', 'landlord-owner'], priority: 95, autoAllocate: false },
+    { id: 'ira-homes', name: 'Inflation Reduction Act - HOMES', category: 'Federal Program', type: 'Rebate', totalCap: 500000, perProjectCap: 8000, description: 'Whole-home performance rebates',
+      stacking: { exclusiveWith: ['ira-hear'] }, priority: 5 },
+    { id: 'ira-hear', name: 'Inflation Reduction Act - HEAR', category: 'Federal Program', type: 'Rebate', totalCap: 400000, perProjectCap: 14000, description: 'Electrification rebates',
+      eligibleMeasureCategories: ['HVAC', 'Water Heating', 'Electrical', 'Insulation', 'Weatherization', 'Appliances'], eligibleScenarios: ['low-income-homeowner', 'moderate-income-homeowner', 'renter-with-permission', 'manufactured-home'], requiresQualification: true, priority: 5 },
+    { id: 'state-housing', name: 'State Affordable Housing Credits', category: 'State Program', type: 'Grant', totalCap: 75000, perProjectCap: null, description: 'Housing assistance',
+      eligibleScenarios: ['landlord-owner', 'renter-with-permission'], priority: 20 },
+    { id: 'tribal', name: 'Tribal Energy Programs', category: 'Tribal', type: 'Grant', totalCap: null, perProjectCap: null, description: 'Tribal member assistance',
+      priority: 30, autoAllocate: false },
+    { id: 'va', name: 'Veterans Affairs Benefits', category: 'Federal Program', type: 'Grant', totalCap: null, perProjectCap: null, description: 'VA home improvement',
+      priority: 30, autoAllocate: false },
+    { id: 'hud', name: 'HUD Home Improvement', category: 'Federal Program', type: 'Grant', totalCap: null, perProjectCap: null, description: 'HUD rehabilitation programs',
+      priority: 30, autoAllocate: false },
+    { id: 'local-gov', name: 'Local Government Grants', category: 'Municipal', type: 'Grant', totalCap: 50000, perProjectCap: null, description: 'City/county programs',
+      priority: 25 },
+    { id: 'foundation', name: 'Foundation Grants', category: 'Nonprofit', type: 'Grant', totalCap: null, perProjectCap: null, description: 'Private foundation funding',
+      priority: 40, autoAllocate: false }
+];
+
+// Income qualification (QualificationEngine). `ami` is the 4-person area median income
+// for the service area; update it when HUD publishes new income limits. Rules are tried
+// in order and the first match assigns the project's scenario. `evidence` is the
+// checklist intake collects for that scenario, and `incentiveLevels` scales the
+// measure library's typical incentives for each scenario.
+const CPF_QUALIFICATION = {
+    storageKey: 'cpf_qualifications',
+    ami: { area: 'Portland-Vancouver-Hillsboro, OR-WA MSA', year: 2026, medianIncome: 116900 },
+    bands: [
+        { id: 'low', label: 'Low income (up to 80% AMI)', maxPercent: 80 },
+        { id: 'moderate', label: 'Moderate income (up to 120% AMI)', maxPercent: 120 }
+    ],
+    rules: [
+        { scenario: 'landlord-owner', label: 'Landlord/Property Owner', when: { tenure: 'landlord' } },
+        { scenario: 'manufactured-home', label: 'Manufactured Home Owner', when: { tenure: 'owner', homeType: 'manufactured', band: 'low' } },
+        { scenario: 'low-income-homeowner', label: 'Low-Income Homeowner', when: { tenure: 'owner', band: 'low' } },
+        { scenario: 'moderate-income-homeowner', label: 'Moderate-Income Homeowner', when: { tenure: 'owner', band: 'moderate' } },
+        { scenario: 'renter-with-permission', label: 'Renter (with permission)', when: { tenure: 'renter', band: ['low', 'moderate'], landlordPermission: true } }
+    ],
+    evidence: [
+        { id: 'photo-id', label: 'Photo ID' },
+        { id: 'income-proof', label: 'Proof of income (tax return, pay stubs or benefit letter)',
+          scenarios: ['low-income-homeowner', 'moderate-income-homeowner', 'manufactured-home', 'renter-with-permission'] },
+        { id: 'ownership', label: 'Proof of ownership (deed or property tax statement)',
+          scenarios: ['low-income-homeowner', 'moderate-income-homeowner', 'manufactured-home', 'landlord-owner'] },
+        { id: 'lease', label: 'Current lease', scenarios: ['renter-with-permission'] },
+        { id: 'landlord-permission', label: 'Signed landlord permission letter', scenarios: ['renter-with-permission'] }
+    ],
+    incentiveLevels: {
+        'low-income-homeowner': 1.5,
+        'manufactured-home': 1.5,
+        'renter-with-permission': 1.25,
+        'moderate-income-homeowner': 1,
+        'landlord-owner': 1
+    }
+};
+
+// Measure library (MeasureLibrary): the program defaults, used until someone edits
+// the library in the tracker ("📚 Measure Library" keeps every version). Savings are
+// deemed per measure: annual kWh and therms saved (negative kWh for heat pumps that
+// replace a gas furnace) over `usefulLife` years. `prices` turn them into dollars and
+// `emissions` into tons of CO2 (Pacific Northwest grid mix, EPA factor for natural gas).
+const CPF_MEASURE_LIBRARY = {
+    storageKey: 'cpf_measure_library',
+    prices: { electric: 0.14, gas: 1.45 },            // $ per kWh / therm
+    emissions: { electric: 0.00029, gas: 0.0053 },    // tons CO2 per kWh / therm
+    measures: [
+        { name: 'Attic Insulation (R-38)', category: 'Insulation', typicalCost: 2500, typicalIncentive: 500, fuel: 'gas', annualKwh: 120, annualTherms: 110, usefulLife: 30 },
+        { name: 'Wall Insulation', category: 'Insulation', typicalCost: 3500, typicalIncentive: 700, fuel: 'gas', annualKwh: 150, annualTherms: 140, usefulLife: 30 },
+        { name: 'Floor Insulation', category: 'Insulation', typicalCost: 2000, typicalIncentive: 400, fuel: 'gas', annualKwh: 90, annualTherms: 70, usefulLife: 30 },
+        { name: 'Air Sealing & Weatherization', category: 'Weatherization', typicalCost: 1500, typicalIncentive: 300, fuel: 'gas', annualKwh: 100, annualTherms: 80, usefulLife: 15 },
+        { name: 'Duct Sealing & Insulation', category: 'Weatherization', typicalCost: 1200, typicalIncentive: 250, fuel: 'gas', annualKwh: 200, annualTherms: 60, usefulLife: 18 },
+        { name: 'Heat Pump (Mini-Split)', category: 'HVAC', typicalCost: 8000, typicalIncentive: 2000, fuel: 'electric', annualKwh: 2400, annualTherms: 0, usefulLife: 18 },
+        { name: 'Heat Pump (Ducted)', category: 'HVAC', typicalCost: 12000, typicalIncentive: 3000, fuel: 'dual', annualKwh: -3500, annualTherms: 600, usefulLife: 18 },
+        { name: 'Heat Pump Water Heater', category: 'Water Heating', typicalCost: 3500, typicalIncentive: 1000, fuel: 'electric', annualKwh: 2000, annualTherms: 0, usefulLife: 13 },
+        { name: 'Solar Water Heater', category: 'Water Heating', typicalCost: 5500, typicalIncentive: 1500, fuel: 'electric', annualKwh: 1800, annualTherms: 0, usefulLife: 20 },
+        { name: 'Windows - Double Pane (per window)', category: 'Windows', typicalCost: 650, typicalIncentive: 100, fuel: 'gas', annualKwh: 25, annualTherms: 8, usefulLife: 25 },
+        { name: 'Windows - Triple Pane (per window)', category: 'Windows', typicalCost: 900, typicalIncentive: 150, fuel: 'gas', annualKwh: 35, annualTherms: 11, usefulLife: 25 },
+        { name: 'Solar PV System (5kW)', category: 'Solar', typicalCost: 15000, typicalIncentive: 4500, fuel: 'electric', annualKwh: 6000, annualTherms: 0, usefulLife: 25 },
+        { name: 'Solar PV System (10kW)', category: 'Solar', typicalCost: 25000, typicalIncentive: 7500, fuel: 'electric', annualKwh: 12000, annualTherms: 0, usefulLife: 25 },
+        { name: 'Electric Panel Upgrade (200A)', category: 'Electrical', typicalCost: 2500, typicalIncentive: 500, fuel: 'none', annualKwh: 0, annualTherms: 0, usefulLife: 40 },
+        { name: 'LED Lighting Upgrade (whole home)', category: 'Lighting', typicalCost: 800, typicalIncentive: 200, fuel: 'electric', annualKwh: 600, annualTherms: 0, usefulLife: 15 },
+        { name: 'Smart Thermostat', category: 'Controls', typicalCost: 250, typicalIncentive: 75, fuel: 'gas', annualKwh: 150, annualTherms: 40, usefulLife: 10 },
+        { name: 'Refrigerator (ENERGY STAR)', category: 'Appliances', typicalCost: 1200, typicalIncentive: 200, fuel: 'electric', annualKwh: 100, annualTherms: 0, usefulLife: 14 },
+        { name: 'Clothes Washer (ENERGY STAR)', category: 'Appliances', typicalCost: 800, typicalIncentive: 150, fuel: 'electric', annualKwh: 80, annualTherms: 0, usefulLife: 14 },
+        { name: 'Clothes Dryer - Heat Pump', category: 'Appliances', typicalCost: 1400, typicalIncentive: 300, fuel: 'electric', annualKwh: 400, annualTherms: 0, usefulLife: 14 }
+    ]
+};
+
+// Contractor registry - bids only qualify while license and insurance are current
+const CPF_CONTRACTORS = [
+    { id: 'contractor_acme', name: 'Acme Contractor', license: { number: 'CCB-204711', expiresAt: '2027-06-30' }, insurance: { carrier: 'Pacific Mutual', expiresAt: '2027-01-31' } },
+    { id: 'contractor_evergreen', name: 'Evergreen Home Performance', license: { number: 'CCB-188302', expiresAt: '2027-03-31' }, insurance: { carrier: 'Cascade Insurance', expiresAt: '2026-12-31' } },
+    { id: 'contractor_northwest', name: 'Northwest Weatherization Co.', license: { number: 'CCB-176455', expiresAt: '2027-09-30' }, insurance: { carrier: 'Columbia General', expiresAt: '2027-04-30' } },
+    { id: 'contractor_summit', name: 'Summit Energy Retrofits', license: { number: 'CCB-201994', expiresAt: '2026-08-31' }, insurance: { carrier: 'Pacific Mutual', expiresAt: '2027-02-28' } }
+];
+
+// Bid scoring weights (sum to 1) and the markup over typicalCost that flags a line item
+const CPF_BID_SCORING = {
+    weights: { price: 0.6, qaPassRate: 0.25, timeline: 0.15 },
+    defaultQaPassRate: 0.5
+};
+const CPF_BID_FLAG_ABOVE_TYPICAL = 1.5;
+
+// Contractor payment schedules. Conditions name a QA gate stage and/or an approval
+// milestone that must be met before the milestone can be paid.
+const CPF_PAYMENT_SCHEDULES = {
+    single: {
+        name: 'Single payment on completion',
+        retainagePercent: 0,
+        milestones: [
+            { id: 'final', name: 'Final Payment', percent: 1, condition: { qaGate: 'implementation', approval: '320CPF' } }
+        ]
+    },
+    milestones: {
+        name: 'Deposit / rough-in / final with 10% retainage',
+        retainagePercent: 0.1,
+        retainageRelease: { approval: '320CPF' },
+        milestones: [
+            { id: 'deposit', name: 'Deposit', percent: 0.1, retainage: false, condition: { approval: '300CPF' } },
+            { id: 'rough-in', name: 'Rough-in', percent: 0.4, condition: { qaGate: 'rough-in' } },
+            { id: 'final', name: 'Final Payment', percent: 0.5, condition: { qaGate: 'implementation' } }
+        ]
+    }
+};
+// Contracts above this amount default to the milestone schedule
+const CPF_MILESTONE_PAYMENT_THRESHOLD = 10000;
+
+// Projects above this amount need Executive sign-off on both forms
+const CPF_EXECUTIVE_THRESHOLD = 25000;
+
+// Change orders up to this amount (either direction) are approved on request;
+// larger ones go through the cpf-change-order chain, with Executive sign-off above the second amount
+const CPF_CHANGE_ORDER_THRESHOLD = 500;
+const CPF_CHANGE_ORDER_EXECUTIVE_THRESHOLD = 5000;
+
+// Project workflow - states, allowed transitions and their guards.
+// Guards receive (project, context) where context is { qaGates, funding, approvals }.
+const CPF_WORKFLOW = {
+    initial: 'intake',
+    states: [
+        { id: 'intake', label: 'Intake', icon: '📝' },
+        { id: 'hea', label: 'HEA', icon: '🏠' },
+        { id: 'scoping', label: 'Scoping', icon: '📐' },
+        { id: 'bidding', label: 'Bidding', icon: '💰' },
+        { id: 'approved', label: 'Approved', icon: '✅' },
+        { id: 'implementation', label: 'Implementation', icon: '🔨' },
+        { id: 'completed', label: 'Completed', icon: '🎉' },
+        { id: 'denied', label: 'Denied', icon: '⛔' }
+    ],
+    transitions: [
+        { from: 'intake', to: 'hea', label: '✅ Complete Intake', description: 'Customer qualified, move to HEA', guards: ['qualified'] },
+        { from: 'hea', to: 'intake', label: '← Back to Intake', back: true },
+        { from: 'hea', to: 'scoping', label: '✅ Complete HEA', description: 'Assessment done, start scoping' },
+        { from: 'scoping', to: 'hea', label: '← Back to HEA', back: true },
+        { from: 'scoping', to: 'bidding', label: '✅ Complete Scoping', description: 'Measures finalized, request bids', guards: ['measuresSelected', 'form300Approved'] },
+        { from: 'bidding', to: 'scoping', label: '← Back to Scoping', back: true },
+        { from: 'bidding', to: 'approved', label: '✅ Approve Project', description: 'Bid selected, approve for work', guards: ['bidSelected'] },
+        { from: 'approved', to: 'bidding', label: '← Back to Bidding', back: true },
+        { from: 'approved', to: 'implementation', label: '🔨 Start Implementation', description: 'Begin work on project', guards: ['fundingGapClosed'] },
+        { from: 'implementation', to: 'approved', label: '← Back to Approved', back: true },
+        { from: 'implementation', to: 'completed', label: '✅ Mark Complete', description: 'Work finished, close project', guards: [{ guard: 'qaPassed', stage: 'implementation' }, 'form320Approved'] },
+        { from: 'completed', to: 'implementation', label: '← Reopen Project', description: 'Move back to implementation', back: true },
+        // Only a Denied decision point closes a project (CPF_DECISION_RULES)
+        { from: '*', to: 'denied', label: '⛔ Denied', automatic: true },
+        { from: 'denied', to: 'intake', label: '↩️ Reopen Project', description: 'Start over at intake', back: true }
+    ],
+    guards: {
+        qualified: {
+            check: project => project.qualified === 'yes',
+            message: 'Customer qualification has not been verified'
+        },
+        measuresSelected: {
+            check: project => (project.measures || []).some(m => m.selected),
+            message: 'No measures selected'
+        },
+        form300Approved: {
+            check: project => !!project.form300,
+            message: '300CPF (Project Authorization) is not approved'
+        },
+        bidSelected: {
+            check: project => (project.bids || []).some(b => b.selected),
+            message: 'No contractor bid selected'
+        },
+        // Low-income customers pay nothing, so their funding stack must cover the whole cost
+        fundingGapClosed: {
+            check: project => !CPF_LOW_INCOME_SCENARIOS.includes(project.scenario) || (project.financials.net || 0) <= 0,
+            message: project => `Funding gap of $${(project.financials.net || 0).toLocaleString()} must be closed for low-income projects`
+        },
+        qaPassed: {
+            check: (project, context, params) => context.qaGates.isPassed(project.id, params.stage),
+            message: (project, params) => `QA gate for ${params.stage} has not passed`
+        },
+        form320Approved: {
+            check: project => !!project.form320,
+            message: '320CPF (Payment Request) is not approved'
+        }
+    }
+};
+
+// Decision points (DecisionRules): who decides each type, the roles an
+// escalation moves up to in turn and the inputs every decision must record.
+// Escalated puts the decision on the next role's task list, Denied closes the
+// project as denied and On Hold pauses its SLA clocks until an Approved or
+// Denied decision releases it. Inputs are 'text', 'number' or 'select' (`options`).
+const CPF_DECISION_RULES = {
+    outcomes: {
+        'Approved': { label: 'Approved - Continue', release: true },
+        'Escalated': { label: 'Escalated - Review Required', escalate: true },
+        'Denied': { label: 'Denied - Refer Out', status: 'denied', release: true },
+        'On Hold': { label: 'On Hold - Pending Info', hold: true }
+    },
+    types: [
+        {
+            id: 'Qualified Homeowner',
+            deciders: ['coordinator'],
+            escalateTo: ['pm'],
+            inputs: [{ id: 'evidence', label: 'Evidence reviewed', type: 'text', required: true }]
+        },
+        {
+            id: 'Resources Check',
+            deciders: ['pm'],
+            escalateTo: ['finance', 'executive'],
+            inputs: [
+                { id: 'fundingAvailable', label: 'Funding available ($)', type: 'number', required: true },
+                { id: 'contractorCapacity', label: 'Contractor capacity', type: 'select', options: ['Available', 'Limited', 'None'], required: true }
+            ]
+        },
+        {
+            id: 'Budget Threshold',
+            deciders: ['finance'],
+            escalateTo: ['executive'],
+            inputs: [{ id: 'projectCost', label: 'Project cost ($)', type: 'number', required: true }]
+        },
+        {
+            id: 'Scope Change',
+            deciders: ['pm'],
+            escalateTo: ['finance', 'executive'],
+            inputs: [
+                { id: 'costChange', label: 'Cost change ($)', type: 'number', required: true },
+                { id: 'reason', label: 'Reason for change', type: 'text', required: true }
+            ]
+        },
+        {
+            id: 'Quality Issue',
+            deciders: ['qa'],
+            escalateTo: ['pm', 'executive'],
+            inputs: [
+                { id: 'severity', label: 'Severity', type: 'select', options: ['Minor', 'Major', 'Safety'], required: true },
+                { id: 'issue', label: 'Issue found', type: 'text', required: true }
+            ]
+        },
+        {
+            id: 'Timeline Delay',
+            deciders: ['coordinator'],
+            escalateTo: ['pm'],
+            inputs: [
+                { id: 'daysDelayed', label: 'Days delayed', type: 'number', required: true },
+                { id: 'cause', label: 'Cause', type: 'text', required: true }
+            ]
+        }
+    ]
+};
+
+// QA checklists per stage. Readings outside min/max fail the item; every failed
+// item opens a correction work order for the contractor.
+const CPF_QA_TEMPLATES = [
+    {
+        stage: 'hea',
+        name: 'HEA Quality Review',
+        items: [
+            { id: 'pre-cfm50', label: 'Pre-retrofit blower door', type: 'reading', unit: 'CFM50', min: 0 },
+            { id: 'caz-test', label: 'Combustion appliance zone (CAZ) test' },
+            { id: 'report-uploaded', label: 'Assessment report uploaded', evidenceRequired: true, allowNA: false }
+        ]
+    },
+    {
+        stage: 'implementation',
+        name: 'Final Inspection',
+        items: [
+            { id: 'scope-complete', label: 'All selected measures installed', allowNA: false, correction: 'Install remaining scoped measures' },
+            { id: 'post-cfm50', label: 'Post-retrofit blower door', type: 'reading', unit: 'CFM50', max: 2500, correction: 'Additional air sealing to reach 2,500 CFM50' },
+            { id: 'attic-depth', label: 'Attic insulation depth', type: 'reading', unit: 'in', min: 14, correction: 'Top up attic insulation to R-49' },
+            { id: 'co-ambient', label: 'Ambient CO after combustion test', type: 'reading', unit: 'ppm', max: 35, correction: 'Service combustion appliance - CO above action level' },
+            { id: 'attic-photo', label: 'Attic photo with depth ruler', evidenceRequired: true, allowNA: false },
+            { id: 'site-clean', label: 'Site clean, customer walkthrough done' }
+        ]
+    },
+    {
+        // Mid-job inspection that releases the rough-in payment on milestone schedules
+        stage: 'rough-in',
+        name: 'Rough-in Inspection',
+        items: [
+            { id: 'equipment-set', label: 'Indoor and outdoor units set and secured', allowNA: false, correction: 'Secure equipment per manufacturer spec' },
+            { id: 'line-set-pressure', label: 'Line set nitrogen pressure test', type: 'reading', unit: 'psi', min: 400, correction: 'Find and repair line set leak, re-test at 400+ psi' },
+            { id: 'electrical-rough', label: 'Electrical rough-in ready for permit inspection', correction: 'Complete disconnect and circuit rough-in' },
+            { id: 'rough-photo', label: 'Photos of line set and condensate routing', evidenceRequired: true, allowNA: false }
+        ]
+    }
+];
+
+// Documents that can be attached to projects, approvals and QA inspections. A
+// chain or step lists the types it needs before approval in `requiredDocuments`.
+const CPF_DOCUMENT_TYPES = [
+    { id: 'signed-300cpf', label: 'Signed 300CPF', accept: ['application/pdf', 'image/*'] },
+    { id: 'signed-320cpf', label: 'Signed 320CPF', accept: ['application/pdf', 'image/*'] },
+    { id: 'contractor-invoice', label: 'Contractor invoice', accept: ['application/pdf', 'image/*'] },
+    { id: 'hea-report', label: 'HEA report', accept: ['application/pdf'] },
+    { id: 'inspection-photo', label: 'Inspection photo', accept: ['image/*'], maxSizeMB: 15 },
+    { id: 'other', label: 'Other' }
+];
+
+// Approval chains driving the 300CPF and 320CPF forms and change orders
+const CPF_APPROVAL_CHAINS = [
+    {
+        id: 'cpf-300',
+        form: '300',
+        name: '300CPF - Project Authorization',
+        resource: '300CPF',
+        steps: [
+            {
+                id: 'review',
+                name: 'Program & Budget Review',
+                approvers: [
+                    { role: 'coordinator', label: CPF_ROLE_LABELS.coordinator },
+                    { role: 'finance', label: CPF_ROLE_LABELS.finance }
+                ],
+                timeoutHours: 120,
+                escalateTo: [{ role: 'executive', label: CPF_ROLE_LABELS.executive }]
+            },
+            {
+                id: 'executive',
+                name: 'Executive Sign-off',
+                approvers: [{ role: 'executive', label: CPF_ROLE_LABELS.executive }],
+                when: { amountAbove: CPF_EXECUTIVE_THRESHOLD }
+            }
+        ]
+    },
+    {
+        id: 'cpf-320',
+        form: '320',
+        name: '320CPF - Payment Request',
+        resource: '320CPF',
+        steps: [
+            {
+                id: 'inspection',
+                name: 'QA Inspection',
+                approvers: [{ role: 'qa', label: CPF_ROLE_LABELS.qa }]
+            },
+            {
+                id: 'payment',
+                name: 'Payment Authorization',
+                approvers: [
+                    { role: 'finance', label: CPF_ROLE_LABELS.finance },
+                    { role: 'coordinator', label: CPF_ROLE_LABELS.coordinator }
+                ],
+                timeoutHours: 120,
+                escalateTo: [{ role: 'executive', label: CPF_ROLE_LABELS.executive }],
+                requiredDocuments: ['contractor-invoice']
+            },
+            {
+                id: 'executive',
+                name: 'Executive Sign-off',
+                approvers: [{ role: 'executive', label: CPF_ROLE_LABELS.executive }],
+                when: { amountAbove: CPF_EXECUTIVE_THRESHOLD }
+            }
+        ]
+    },
+    {
+        id: 'cpf-change-order',
+        name: 'Change Order',
+        resource: 'change-order',
+        steps: [
+            {
+                id: 'review',
+                name: 'Budget Review',
+                approvers: [
+                    { role: 'finance', label: CPF_ROLE_LABELS.finance },
+                    { role: 'coordinator', label: CPF_ROLE_LABELS.coordinator }
+                ],
+                quorum: 1,
+                timeoutHours: 72,
+                escalateTo: [{ role: 'executive', label: CPF_ROLE_LABELS.executive }]
+            },
+            {
+                id: 'executive',
+                name: 'Executive Sign-off',
+                approvers: [{ role: 'executive', label: CPF_ROLE_LABELS.executive }],
+                when: { amountAbove: CPF_CHANGE_ORDER_EXECUTIVE_THRESHOLD }
+            }
+        ]
+    }
+];
+
+// Report templates (ReportEngine). groupBy takes any project field; the Reports
+// dialog can regroup the projects section.
+const CPF_REPORT_TEMPLATES = [
+    {
+        id: 'quarterly-funder',
+        name: 'Quarterly Funder Report',
+        description: 'Projects, funding, cycle time, QA and measure costs for a funding partner',
+        sections: [
+            { id: 'projects', type: 'projects', title: 'Projects by Stage and Scenario', groupBy: ['status', 'scenario'] },
+            { id: 'funding', type: 'funding', title: 'Dollars Committed and Disbursed by Funding Source', groupBy: ['source'] },
+            { id: 'cycleTime', type: 'cycleTime', title: 'Average Cycle Time by Stage', groupBy: ['stage'] },
+            { id: 'qa', type: 'qa', title: 'QA First-Pass Rate', groupBy: ['stage'] },
+            { id: 'measures', type: 'measures', title: 'Cost per Measure Category', groupBy: ['category'] }
+        ]
+    },
+    {
+        id: 'program-kpis',
+        name: 'Program KPIs',
+        description: 'Internal view: where projects stall and how contractors and measures perform',
+        sections: [
+            { id: 'projects', type: 'projects', title: 'Projects by Stage', groupBy: ['status'] },
+            { id: 'cycleTime', type: 'cycleTime', title: 'Cycle Time by Stage and Scenario', groupBy: ['stage', 'scenario'] },
+            { id: 'qa', type: 'qa', title: 'QA First-Pass Rate by Inspector', groupBy: ['inspector'] },
+            { id: 'funding', type: 'funding', title: 'Funding by Program Category', groupBy: ['category'] },
+            { id: 'measures', type: 'measures', title: 'Cost per Measure', groupBy: ['category', 'measure'] }
+        ]
+    }
+];
+
+// Service levels, in business days. `role` is who sees the breach as a task:
+// 'approver' means whoever still has to sign the pending approval for that
+// milestone (fallbackRole while none is open). `action` opens the task's screen.
+const CPF_SLA_CALENDAR = {
+    workdays: [1, 2, 3, 4, 5],
+    holidays: []
+};
+const CPF_SLA_RULES = [
+    {
+        id: 'intake-to-hea',
+        name: 'Intake completed within 3 business days',
+        start: { stage: 'intake' },
+        end: { leftStage: 'intake' },
+        businessDays: 3,
+        role: 'pm',
+        action: 'openDecisions'
+    },
+    {
+        id: '300cpf-approval',
+        name: '300CPF approved within 5 business days of scoping',
+        start: { stage: 'scoping' },
+        end: { approval: '300CPF' },
+        cancel: { leftStage: 'scoping' },
+        businessDays: 5,
+        role: 'approver',
+        fallbackRole: 'pm',
+        action: 'openFormApprovals'
+    },
+    {
+        id: 'bid-award',
+        name: 'Contractor awarded within 15 business days of bidding',
+        start: { stage: 'bidding' },
+        end: { action: 'BID_AWARDED' },
+        cancel: { stage: 'scoping' },
+        businessDays: 15,
+        role: 'pm',
+        action: 'openBidding'
+    },
+    {
+        id: '320cpf-payment',
+        name: '320CPF approved within 5 business days of passing QA',
+        start: { action: 'QA_PASSED', details: { stage: 'implementation' } },
+        end: { approval: '320CPF' },
+        businessDays: 5,
+        role: 'approver',
+        fallbackRole: 'pm',
+        action: 'openFormApprovals'
+    }
+];
+
+// Notifications: open approvals, inspections, corrections and SLA alerts are
+// re-sent every `remindAfterHours` and escalated to `escalateTo` after
+// `escalateAfterReminders` reminders. Each webhook ({ url, secret, mode:
+// 'immediate' | 'digest' }) receives notifications as signed JSON; digests go
+// out once a day after `digestHour`.
+const CPF_NOTIFICATIONS = {
+    remindAfterHours: 24,
+    escalateAfterReminders: 2,
+    escalateTo: ['executive'],
+    qaRole: 'qa',
+    workOrderRoles: ['contractor'],
+    digestHour: 7,
+    webhooks: []
+};
+
+// Tracker data schema. Each migration brings data saved at an older version - by
+// index-old/index-v2/index-financial or in an older backup - up to `version`;
+// `data` maps storage key -> value. Legacy form300Approvals arrays are left in
+// place: ensureFormApprovals() replays them onto approval chains at startup.
+const CPF_PROJECTS_KEY = 'cpf_projects_financial';
+const CPF_DATA_MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Give projects from older copies of the tracker the current shape',
+        migrate: data => {
+            if (!Array.isArray(data[CPF_PROJECTS_KEY])) return;
+            data[CPF_PROJECTS_KEY] = data[CPF_PROJECTS_KEY].map(project => ({
+                ...project,
+                // index-old projects predate type and scenario
+                type: project.type || 'unspecified',
+                scenario: project.scenario || 'unspecified',
+                address: project.address || '',
+                status: project.status || CPF_WORKFLOW.initial,
+                form300: !!project.form300,
+                form320: !!project.form320,
+                measures: project.measures || [],
+                bids: project.bids || [],
+                fundingSources: project.fundingSources || [],
+                approvals: project.approvals || [],
+                decisionPoints: project.decisionPoints || [],
+                financials: { recommended: 0, selected: 0, estimated: 0, incentivized: 0, net: 0, actual: 0, ...(project.financials || {}) },
+                createdDate: project.createdDate || null
+            }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Link project funding entries to funding source ids',
+        migrate: data => {
+            (data[CPF_PROJECTS_KEY] || []).forEach(project => {
+                (project.fundingSources || []).forEach(entry => {
+                    if (entry.sourceId) return;
+                    const source = CPF_FUNDING_SOURCES.find(s => s.name === entry.name);
+                    if (source) entry.sourceId = source.id;
+                });
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Store project creation dates as full timestamps',
+        migrate: data => {
+            (data[CPF_PROJECTS_KEY] || []).forEach(project => {
+                // index-old saved '2025-10-15'; the Project schema expects a date-time
+                if (/^\d{4}-\d{2}-\d{2}$/.test(project.createdDate || '')) {
+                    project.createdDate = new Date(project.createdDate + 'T00:00:00Z').toISOString();
+                }
+            });
+        }
+    }
+];
+
+// Tracker server (node bin/cpf-server.js). Opening the tracker with ?server=<url>,
+// or setting `url` here, keeps its data on that server instead of in this browser,
+// re-read every `refreshSeconds` while no dialog is open. `shared` lists every
+// key the tracker stores there with who may read (`view`) and write (`edit`) it:
+// true for any signed-in user, an RBAC resource or { permission, resource } rule,
+// a list of rules any of which will do, or false when only the server writes it.
+// A key without a rule is closed. Rows of keys with `project` are only shared
+// with users who can view that project; the server adds its own checks (see
+// sharedPolicies() in bin/cpf-server.js). What a user saves to a key they may
+// not read and write stays in their own browser.
+const CPF_STAFF = { permission: 'view', resource: 'budget' };
+const CPF_SERVER = {
+    url: null,
+    port: 8787,
+    refreshSeconds: 30,
+    shared: {
+        [CPF_PROJECTS_KEY]: { view: true, edit: true },
+        cpf_ledger_financial: { view: { permission: 'view', resource: 'audit' }, edit: { permission: 'view', resource: 'audit' } },
+        cpf_ledger_financial_checkpoints: { view: { permission: 'view', resource: 'audit' }, edit: false },
+        rbac_data: { view: true, edit: { permission: 'admin', resource: 'organization' } },
+        cpf_auth_users: { view: true, edit: false },
+        approval_requests: { view: [CPF_STAFF, 'work-orders'], edit: [CPF_STAFF, 'completion-report'], project: row => row.projectId },
+        approval_requests_delegations: { view: CPF_STAFF, edit: CPF_STAFF },
+        funding_data: { view: 'funding', edit: 'funding' },
+        qa_checkpoints: { view: CPF_STAFF, edit: CPF_STAFF, project: row => row.projectId },
+        qa_checkpoints_work_orders: { view: [CPF_STAFF, 'work-orders'], edit: [CPF_STAFF, 'completion-report'], project: row => row.projectId },
+        bid_data: { view: [CPF_STAFF, 'bids'], edit: 'bids' },
+        change_orders: { view: [CPF_STAFF, 'work-orders'], edit: [CPF_STAFF, 'completion-report'], project: row => row.projectId },
+        cpf_notifications: { view: true, edit: true },
+        cpf_notifications_digests: { view: CPF_STAFF, edit: CPF_STAFF },
+        cpf_documents: { view: true, edit: true, project: row => row.projectId },
+        // Household income stays with staff who can see budgets
+        cpf_qualifications: { view: CPF_STAFF, edit: { permission: 'edit', resource: 'project' } },
+        cpf_measure_library: { view: true, edit: { permission: 'edit', resource: 'measure-library' } },
+        schema_version: { view: true, edit: { permission: 'edit', resource: 'project' } }
+    }
+};
+
+// Offline copies. Each browser records its project changes field by field in
+// `storageKey` and merges them with another copy through "🔄 Sync": a tracker
+// server, or a bundle file carried between laptops. `ignore` lists fields that
+// are never compared; `labels` names fields in the conflict list.
+const CPF_SYNC = {
+    storageKey: 'cpf_sync',
+    ignore: ['updatedDate'],
+    labels: {
+        '': 'Whole project',
+        status: 'Stage',
+        address: 'Address',
+        qualified: 'Qualified homeowner',
+        scenario: 'Scenario',
+        form300: '300CPF authorized',
+        form320: '320CPF authorized',
+        measures: 'Measures',
+        bids: 'Bids',
+        fundingSources: 'Funding sources',
+        approvals: 'Approvals',
+        decisionPoints: 'Decisions',
+        hold: 'On hold',
+        notes: 'Notes',
+        'financials.recommended': 'Recommended cost',
+        'financials.selected': 'Selected cost',
+        'financials.estimated': 'Estimated cost',
+        'financials.incentivized': 'Incentives',
+        'financials.net': 'Net cost',
+        'financials.actual': 'Actual cost'
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CPF_ROLE_LABELS,
+        CPF_USERS,
+        CPF_AUTH,
+        CPF_RBAC_ROLES,
+        CPF_RBAC_CONDITIONS,
+        CPF_FIELD_POLICIES,
+        CPF_FUNDING_SOURCES,
+        CPF_QUALIFICATION,
+        CPF_MEASURE_LIBRARY,
+        CPF_CONTRACTORS,
+        CPF_BID_SCORING,
+        CPF_BID_FLAG_ABOVE_TYPICAL,
+        CPF_PAYMENT_SCHEDULES,
+        CPF_MILESTONE_PAYMENT_THRESHOLD,
+        CPF_EXECUTIVE_THRESHOLD,
+        CPF_CHANGE_ORDER_THRESHOLD,
+        CPF_CHANGE_ORDER_EXECUTIVE_THRESHOLD,
+        CPF_WORKFLOW,
+        CPF_DECISION_RULES,
+        CPF_QA_TEMPLATES,
+        CPF_DOCUMENT_TYPES,
+        CPF_APPROVAL_CHAINS,
+        CPF_REPORT_TEMPLATES,
+        CPF_SLA_CALENDAR,
+        CPF_SLA_RULES,
+        CPF_NOTIFICATIONS,
+        CPF_PROJECTS_KEY,
+        CPF_DATA_MIGRATIONS,
+        CPF_SERVER,
+        CPF_SYNC
+    };
+}